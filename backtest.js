@@ -0,0 +1,51 @@
+/**
+ * Offline Backtest Runner
+ *
+ * Replays a backtest without the bot or the database:
+ * 1. Reads a report sent by /backtest, or a bare backtest definition
+ * 2. Runs it against a candle CSV with a timestamp,open,high,low,close header
+ * 3. Prints the statistics and, for a report, whether they match the original run
+ *
+ * Usage: node backtest.js <report.json|definition.json> <candles.csv>
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Print only the results, without writing log files where the runner is started
+process.env.CAN_WRITE_LOGS = process.env.CAN_WRITE_LOGS || 'false';
+
+const backtestService = require('./src/services/backtestService');
+
+const [inputPath, candlesPath] = process.argv.slice(2);
+
+if (!inputPath || !candlesPath) {
+  console.error('Usage: node backtest.js <report.json|definition.json> <candles.csv>');
+  process.exit(1);
+}
+
+const input = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+const content = fs.readFileSync(candlesPath, 'utf8');
+const definition = input.definition || input;
+
+if (input.candles && input.candles.sha256 !== crypto.createHash('sha256').update(content).digest('hex')) {
+  console.warn(`Warning: ${candlesPath} is not the candle file the report was run on (${input.candles.file})`);
+}
+
+const result = backtestService.runBacktest(definition, backtestService.parseCandles(content));
+
+console.log(backtestService.formatBacktestSummary(definition, result).replace(/\*/g, ''));
+
+if (input.stats) {
+  const differences = Object.keys(input.stats).filter(key => input.stats[key] !== result.stats[key]);
+  
+  if (differences.length > 0) {
+    console.error(`\nDoes not match the report: ${differences.map(key => 
+      `${key} ${input.stats[key]} -> ${result.stats[key]}`).join(', ')}`);
+    process.exit(1);
+  }
+  
+  console.log('\nMatches the report.');
+}
+
+process.exit(0);
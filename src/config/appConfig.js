@@ -95,7 +95,77 @@ const defaults = {
     defaultRiskPerTrade: 1, // Percentage
     maxRiskPerTrade: 5, // Percentage
     maxTradeAmount: 0, // 0 means no limit
-    signalValidityHours: 24
+    signalValidityHours: 24,
+    priceFeed: {
+      provider: '', // memory, csv or empty to disable automatic TP/SL resolution
+      csvPath: path.resolve(process.cwd(), 'data', 'prices.csv'),
+      pollIntervalSeconds: 60
+    },
+    broadcast: {
+      messagesPerSecond: 25, // Telegram allows about 30 messages per second per bot
+      perChatIntervalMs: 1000, // and about one message per second per chat
+      concurrency: 10,
+      maxRetries: 3, // Retries per recipient after an HTTP 429
+      progressIntervalSeconds: 5
+    },
+    // Broker that executes VIP auto-trades (paper, or empty to only record them)
+    broker: {
+      provider: 'paper',
+      paper: {
+        startingBalance: 10000, // Dollars each paper account starts with
+        slippageBps: 2 // Slippage on every simulated fill, in basis points
+      }
+    },
+    // Default auto-trade guardrails; users can change their own, and 0 switches a limit off
+    guardrails: {
+      maxOpenTrades: 5, // Concurrent open auto-trades
+      dailyLossLimit: 0, // Dollars lost in a UTC day before auto-trading pauses until the next day
+      weeklyLossLimit: 0, // Dollars lost in a UTC week before auto-trading pauses until the next week
+      maxAssetExposure: 0, // Dollars in open auto-trades on one asset
+      lossStreakLimit: 3, // Losses in a row that start a cooldown
+      cooldownHours: 4
+    },
+    // Admin backtests replay signals or rules against OHLC candles in dataDir/<ASSET>.csv
+    backtest: {
+      dataDir: path.resolve(process.cwd(), 'data', 'ohlc'),
+      startingBalance: 10000,
+      riskPerTrade: 1 // Percentage of equity risked on each simulated trade
+    },
+    // Trading history and signal exports, sent as one document per page of records
+    export: {
+      pageSize: 5000
+    },
+    // Signal IDs are OPT-YYMMDD-NNN, numbered per UTC day, or OPT-YYMMDD-ASSET-NNN with includeAsset
+    signalIds: {
+      includeAsset: false
+    },
+    // News blackout windows pause auto-trading on the assets they cover; broadcasts warn about every window
+    blackout: {
+      minSeverity: 'LOW' // Lowest severity (LOW, MEDIUM or HIGH) that pauses auto-trading
+    },
+    // Four-eyes mode: new signals wait in PENDING_APPROVAL until a second admin approves them
+    approval: {
+      required: false
+    },
+    // Alerts from charting tools posted to /signals/ingest, signed with HMAC-SHA256 of the body
+    ingest: {
+      secret: '', // Shared secret, or empty to turn the endpoint off
+      sources: {} // Each source's mode: publish immediately, or approve to queue for an admin
+    },
+    // Binary-options signals resolve to WIN, LOSS or DRAW when their expiry runs out
+    binary: {
+      expiryMinutes: [1, 5, 15], // Expiry durations admins can choose from
+      defaultPayoutPercentage: 80 // Payout on a win, as a percentage of the stake
+    },
+    // Assets offered by the admin signal wizard
+    signalAssets: ['EURUSD', 'GBPUSD', 'USDJPY', 'AUDUSD', 'USDCAD', 'XAUUSD', 'BTCUSD', 'ETHUSD', 'US30', 'NAS100'],
+    // Asset classes users can whitelist in their signal filters
+    assetClasses: {
+      forex: ['EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'],
+      crypto: ['BTCUSD', 'ETHUSD', 'LTCUSD', 'XRPUSD', 'BNBUSD', 'SOLUSD'],
+      commodities: ['XAUUSD', 'XAGUSD', 'USOIL', 'UKOIL', 'NATGAS'],
+      indices: ['US30', 'NAS100', 'SPX500', 'GER40', 'UK100', 'JPN225']
+    }
   },
   
   // Follow-up sequence settings
@@ -213,6 +283,45 @@ const loadEnvConfig = () => {
   config.trading.maxRiskPerTrade = parseFloat(process.env.MAX_RISK_PER_TRADE || defaults.trading.maxRiskPerTrade);
   config.trading.maxTradeAmount = parseFloat(process.env.MAX_TRADE_AMOUNT || defaults.trading.maxTradeAmount);
   config.trading.signalValidityHours = parseInt(process.env.SIGNAL_VALIDITY_HOURS || defaults.trading.signalValidityHours, 10);
+  config.trading.priceFeed.provider = process.env.PRICE_FEED_PROVIDER || defaults.trading.priceFeed.provider;
+  config.trading.priceFeed.csvPath = process.env.PRICE_FEED_CSV_PATH || defaults.trading.priceFeed.csvPath;
+  config.trading.priceFeed.pollIntervalSeconds = parseInt(process.env.PRICE_FEED_POLL_SECONDS || defaults.trading.priceFeed.pollIntervalSeconds, 10);
+  config.trading.signalAssets = process.env.SIGNAL_ASSETS ? 
+    process.env.SIGNAL_ASSETS.split(',').map(asset => asset.trim().toUpperCase()).filter(Boolean) : 
+    defaults.trading.signalAssets;
+  config.trading.broadcast.messagesPerSecond = parseInt(process.env.BROADCAST_MESSAGES_PER_SECOND || defaults.trading.broadcast.messagesPerSecond, 10);
+  config.trading.broadcast.perChatIntervalMs = parseInt(process.env.BROADCAST_PER_CHAT_INTERVAL_MS || defaults.trading.broadcast.perChatIntervalMs, 10);
+  config.trading.broadcast.concurrency = parseInt(process.env.BROADCAST_CONCURRENCY || defaults.trading.broadcast.concurrency, 10);
+  config.trading.broadcast.maxRetries = parseInt(process.env.BROADCAST_MAX_RETRIES || defaults.trading.broadcast.maxRetries, 10);
+  config.trading.broadcast.progressIntervalSeconds = parseInt(process.env.BROADCAST_PROGRESS_INTERVAL_SECONDS || defaults.trading.broadcast.progressIntervalSeconds, 10);
+  config.trading.broker.provider = process.env.BROKER_PROVIDER !== undefined ? 
+    process.env.BROKER_PROVIDER : defaults.trading.broker.provider;
+  config.trading.broker.paper.startingBalance = parseFloat(process.env.PAPER_STARTING_BALANCE || defaults.trading.broker.paper.startingBalance);
+  config.trading.broker.paper.slippageBps = parseFloat(process.env.PAPER_SLIPPAGE_BPS || defaults.trading.broker.paper.slippageBps);
+  config.trading.guardrails.maxOpenTrades = parseInt(process.env.AUTO_TRADE_MAX_OPEN_TRADES || defaults.trading.guardrails.maxOpenTrades, 10);
+  config.trading.guardrails.dailyLossLimit = parseFloat(process.env.AUTO_TRADE_DAILY_LOSS_LIMIT || defaults.trading.guardrails.dailyLossLimit);
+  config.trading.guardrails.weeklyLossLimit = parseFloat(process.env.AUTO_TRADE_WEEKLY_LOSS_LIMIT || defaults.trading.guardrails.weeklyLossLimit);
+  config.trading.guardrails.maxAssetExposure = parseFloat(process.env.AUTO_TRADE_MAX_ASSET_EXPOSURE || defaults.trading.guardrails.maxAssetExposure);
+  config.trading.guardrails.lossStreakLimit = parseInt(process.env.AUTO_TRADE_LOSS_STREAK_LIMIT || defaults.trading.guardrails.lossStreakLimit, 10);
+  config.trading.guardrails.cooldownHours = parseFloat(process.env.AUTO_TRADE_COOLDOWN_HOURS || defaults.trading.guardrails.cooldownHours);
+  config.trading.binary.expiryMinutes = process.env.BINARY_EXPIRY_MINUTES ? 
+    process.env.BINARY_EXPIRY_MINUTES.split(',').map(minutes => parseInt(minutes, 10)).filter(minutes => minutes > 0) : 
+    defaults.trading.binary.expiryMinutes;
+  config.trading.binary.defaultPayoutPercentage = parseFloat(process.env.BINARY_DEFAULT_PAYOUT_PERCENTAGE || defaults.trading.binary.defaultPayoutPercentage);
+  config.trading.backtest.dataDir = process.env.BACKTEST_DATA_DIR || defaults.trading.backtest.dataDir;
+  config.trading.backtest.startingBalance = parseFloat(process.env.BACKTEST_STARTING_BALANCE || defaults.trading.backtest.startingBalance);
+  config.trading.backtest.riskPerTrade = parseFloat(process.env.BACKTEST_RISK_PER_TRADE || defaults.trading.backtest.riskPerTrade);
+  config.trading.export.pageSize = parseInt(process.env.EXPORT_PAGE_SIZE || defaults.trading.export.pageSize, 10);
+  config.trading.signalIds.includeAsset = process.env.SIGNAL_ID_INCLUDE_ASSET === 'true';
+  config.trading.approval.required = process.env.SIGNAL_APPROVAL_REQUIRED === 'true';
+  config.trading.blackout.minSeverity = (process.env.BLACKOUT_MIN_SEVERITY || defaults.trading.blackout.minSeverity).toUpperCase();
+  config.trading.ingest.secret = process.env.SIGNAL_INGEST_SECRET || defaults.trading.ingest.secret;
+  config.trading.ingest.sources = process.env.SIGNAL_INGEST_SOURCES ? 
+    Object.fromEntries(process.env.SIGNAL_INGEST_SOURCES.split(',').map(source => {
+      const [name, mode = 'approve'] = source.trim().split(':');
+      return [name.trim(), mode.trim() === 'publish' ? 'publish' : 'approve'];
+    }).filter(([name]) => name)) : 
+    defaults.trading.ingest.sources;
   
   // Follow-up sequence settings
   config.followUp.enabled = process.env.FOLLOW_UP_ENABLED !== 'false';
@@ -34,6 +34,9 @@ if (isTestMode) {
     on: () => {},
     onText: () => {},
     sendMessage: () => Promise.resolve({}),
+    editMessageText: () => Promise.resolve({}),
+    deleteMessage: () => Promise.resolve(true),
+    answerCallbackQuery: () => Promise.resolve(true),
     getMe: () => Promise.resolve({ username: 'test_bot' }),
     processUpdate: () => {},
     setWebHook: () => Promise.resolve(true),
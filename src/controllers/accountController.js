@@ -2,8 +2,13 @@ const { bot, isAdmin } = require('../config/bot');
 const userService = require('../services/userService');
 const verificationService = require('../services/verificationService');
 const tradingService = require('../services/tradingService');
+const signalFilterService = require('../services/signalFilterService');
+const positionSizingService = require('../services/positionSizingService');
+const providerService = require('../services/providerService');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
 const { createInlineKeyboard, createReplyKeyboard } = require('../utils/keyboard');
 const { logger, logUserAction, logError } = require('../utils/logger');
+const { config } = require('../config/appConfig');
 
 /**
  * Handle account command
@@ -50,8 +55,7 @@ const handleAccount = async (msg) => {
         message += `Auto-Trading: ${user.auto_trade_enabled ? '✅ Enabled' : '❌ Disabled'}\n`;
         
         if (user.auto_trade_enabled) {
-          message += `Amount per Trade: $${user.auto_trade_amount}\n` +
-            `Risk Percentage: ${user.auto_trade_risk_percentage}%\n`;
+          message += `${positionSizingService.formatSizingSettings(user)}\n`;
         }
       }
     }
@@ -70,6 +74,8 @@ const handleAccount = async (msg) => {
         buttons.push([{ text: '⭐ Upgrade to VIP', callback_data: 'upgrade_vip' }]);
       }
       
+      buttons.push([{ text: '🎛 Signal Filters', callback_data: 'signal_filters' }]);
+      buttons.push([{ text: '👥 Signal Providers', callback_data: 'signal_providers' }]);
       buttons.push([{ text: '📝 Update Broker UID', callback_data: 'update_broker_uid' }]);
       
       keyboard = createInlineKeyboard(buttons).reply_markup;
@@ -490,9 +496,353 @@ const handleToggleAutoTradeNotifications = async (callbackQuery, enable) => {
   }
 };
 
+/**
+ * Handle filters command
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+const handleSignalFilters = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    logUserAction(telegramId, 'command_filters');
+    
+    // Get user
+    const user = await userService.getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      await bot.sendMessage(
+        chatId,
+        `You don't have an account yet. Please start the bot with /start to register.`
+      );
+      return;
+    }
+    
+    await sendSignalFilters(chatId, user);
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleSignalFilters', error);
+    
+    // Send generic error message
+    await bot.sendMessage(
+      msg.chat.id,
+      'Sorry, there was an error processing your request. Please try again later.'
+    );
+  }
+};
+
+/**
+ * Send the signal filter settings screen
+ * @param {number|string} chatId - Chat ID
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+const sendSignalFilters = async (chatId, user) => {
+  const message = `*🎛 Signal Filters*\n\n` +
+    `${signalFilterService.formatSignalFilters(user.signal_filters)}\n\n` +
+    `Only signals of your tier that match these filters are sent to you. ` +
+    `Signals your filters hide are still listed under 📊 Trading Signals.`;
+  
+  await bot.sendMessage(
+    chatId,
+    message,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: createInlineKeyboard([
+        { text: '🏷 Assets', callback_data: 'filters_assets' },
+        { text: '↕️ Direction', callback_data: 'filters_direction' },
+        { text: '⚠️ Max Risk', callback_data: 'filters_risk' },
+        { text: '🕒 Active Hours', callback_data: 'filters_hours' },
+        { text: '♻️ Reset Filters', callback_data: 'filters_reset' }
+      ], 2).reply_markup
+    }
+  );
+};
+
+/**
+ * Handle signal filter callbacks
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} action - Filter action (assets, direction, direction_BUY, risk, hours, reset...)
+ * @returns {Promise<void>}
+ */
+const handleSignalFilterAction = async (callbackQuery, action) => {
+  try {
+    const chatId = callbackQuery.message.chat.id;
+    const telegramId = callbackQuery.from.id.toString();
+    
+    // Acknowledge callback query
+    await bot.answerCallbackQuery(callbackQuery.id);
+    
+    logUserAction(telegramId, 'callback_signal_filters', { action });
+    
+    const user = await userService.getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      await bot.sendMessage(
+        chatId,
+        `You need to register first. Please use /start to register.`
+      );
+      return;
+    }
+    
+    if (action === 'show') {
+      await sendSignalFilters(chatId, user);
+    } else if (action === 'assets') {
+      const assetClasses = Object.keys(config.trading.assetClasses).join(', ');
+      
+      await bot.sendMessage(
+        chatId,
+        `Send the assets or asset classes you want signals for, separated by commas.\n\n` +
+        `Asset classes: ${assetClasses}\n` +
+        `Example: EURUSD, XAUUSD, crypto\n\n` +
+        `Send "all" to receive signals for every asset.`
+      );
+      
+      userStates.set(telegramId, { state: 'waiting_filter_assets' });
+    } else if (action === 'direction') {
+      await bot.sendMessage(
+        chatId,
+        `Which signals do you want to receive?`,
+        {
+          reply_markup: createInlineKeyboard([
+            { text: '↕️ Buy and sell', callback_data: 'filters_direction_ANY' },
+            { text: '📈 Buy only', callback_data: 'filters_direction_BUY' },
+            { text: '📉 Sell only', callback_data: 'filters_direction_SELL' }
+          ]).reply_markup
+        }
+      );
+    } else if (action.startsWith('direction_')) {
+      const direction = action.replace('direction_', '');
+      const updatedUser = await userService.updateSignalFilters(telegramId, {
+        direction: ['BUY', 'SELL'].includes(direction) ? direction : null
+      });
+      
+      await sendSignalFilters(chatId, updatedUser);
+    } else if (action === 'risk') {
+      await bot.sendMessage(
+        chatId,
+        `Send the maximum recommended risk per trade you want signals for, e.g. 2 for 2%.\n\n` +
+        `Send "any" to remove the limit.`
+      );
+      
+      userStates.set(telegramId, { state: 'waiting_filter_risk' });
+    } else if (action === 'hours') {
+      await bot.sendMessage(
+        chatId,
+        `Send the hours you want to receive signals in, in UTC, e.g. 8-20 or 22-6.\n\n` +
+        `Send "any" to receive signals all day.`
+      );
+      
+      userStates.set(telegramId, { state: 'waiting_filter_hours' });
+    } else if (action === 'reset') {
+      const updatedUser = await userService.updateSignalFilters(telegramId, {
+        assets: [],
+        asset_classes: [],
+        direction: null,
+        max_risk: null,
+        active_hours: null
+      });
+      
+      await sendSignalFilters(chatId, updatedUser);
+    }
+  } catch (error) {
+    logError(callbackQuery.from.id.toString(), 'handleSignalFilterAction', error);
+    
+    // Send generic error message
+    await bot.sendMessage(
+      callbackQuery.message.chat.id,
+      'Sorry, there was an error processing your request. Please try again later.'
+    );
+  }
+};
+
+/**
+ * Process signal filter value message
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<boolean>} - Whether message was processed
+ */
+const processSignalFilterInput = async (msg) => {
+  const telegramId = msg.from.id.toString();
+  const userState = userStates.get(telegramId);
+  
+  if (!userState || !userState.state.startsWith('waiting_filter_')) {
+    return false; // Not waiting for a filter value
+  }
+  
+  try {
+    const chatId = msg.chat.id;
+    const text = msg.text.trim();
+    let filters;
+    
+    if (userState.state === 'waiting_filter_assets') {
+      filters = signalFilterService.parseAssetFilter(text);
+    } else if (userState.state === 'waiting_filter_risk') {
+      filters = { max_risk: signalFilterService.parseMaxRisk(text) };
+    } else {
+      filters = { active_hours: signalFilterService.parseActiveHours(text) };
+    }
+    
+    const user = await userService.updateSignalFilters(telegramId, filters);
+    
+    // Clear user state
+    userStates.delete(telegramId);
+    
+    await sendSignalFilters(chatId, user);
+    
+    return true;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      // Keep waiting so the user can try again
+      await bot.sendMessage(msg.chat.id, `${error.message}. Please try again:`);
+      return true;
+    }
+    
+    logError(telegramId, 'processSignalFilterInput', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      'Sorry, there was an error processing your request. Please try again later.'
+    );
+    
+    // Clear user state
+    userStates.delete(telegramId);
+    
+    return true;
+  }
+};
+
+/**
+ * Handle providers command
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+const handleProviders = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    logUserAction(telegramId, 'command_providers');
+    
+    // Get user
+    const user = await userService.getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      await bot.sendMessage(
+        chatId,
+        `You don't have an account yet. Please start the bot with /start to register.`
+      );
+      return;
+    }
+    
+    await sendProviders(chatId, user);
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleProviders', error);
+    
+    // Send generic error message
+    await bot.sendMessage(
+      msg.chat.id,
+      'Sorry, there was an error processing your request. Please try again later.'
+    );
+  }
+};
+
+/**
+ * Send the signal providers screen, with a follow or unfollow button per provider
+ * @param {number|string} chatId - Chat ID
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+const sendProviders = async (chatId, user) => {
+  const [providers, stats] = await Promise.all([
+    providerService.getProviders(),
+    providerService.getProviderStats()
+  ]);
+  const followed = user.followed_providers || [];
+  
+  if (providers.length === 0) {
+    await bot.sendMessage(chatId, `👥 Signal Providers\n\nThere are no signal providers yet.`);
+    return;
+  }
+  
+  const profiles = providers.map(provider => providerService.formatProviderProfile(
+    provider, stats.find(item => item.provider_id === provider.id), followed.includes(provider.id)));
+  
+  // Profiles hold free text, so they are sent without Markdown
+  await bot.sendMessage(
+    chatId,
+    `👥 Signal Providers\n\n${profiles.join('\n\n')}\n\n` +
+    `You only receive signals from the providers you follow (✅). ` +
+    `Signals from the OPTRIXTRADES team go to everyone.`,
+    {
+      reply_markup: createInlineKeyboard(providers.map(provider => followed.includes(provider.id) ?
+        { text: `➖ Unfollow ${provider.name}`, callback_data: `provider_unfollow:${provider.id}` } :
+        { text: `➕ Follow ${provider.name}`, callback_data: `provider_follow:${provider.id}` })).reply_markup
+    }
+  );
+};
+
+/**
+ * Handle follow and unfollow provider callbacks
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} providerId - Provider ID
+ * @param {boolean} follow - True to follow, false to unfollow
+ * @returns {Promise<void>}
+ */
+const handleProviderFollow = async (callbackQuery, providerId, follow) => {
+  try {
+    const chatId = callbackQuery.message.chat.id;
+    const telegramId = callbackQuery.from.id.toString();
+    
+    // Acknowledge callback query
+    await bot.answerCallbackQuery(callbackQuery.id);
+    
+    const user = follow ?
+      await providerService.followProvider(telegramId, parseInt(providerId, 10)) :
+      await providerService.unfollowProvider(telegramId, parseInt(providerId, 10));
+    
+    await sendProviders(chatId, user);
+  } catch (error) {
+    logError(callbackQuery.from.id.toString(), 'handleProviderFollow', error);
+    
+    await bot.sendMessage(
+      callbackQuery.message.chat.id,
+      error instanceof NotFoundError ?
+        error.message :
+        'Sorry, there was an error processing your request. Please try again later.'
+    );
+  }
+};
+
 // Store user states for multi-step processes
 const userStates = new Map();
 
+// Register signal filter and provider handlers
+bot.onText(/^\/filters$/, handleSignalFilters);
+bot.onText(/^\/providers$/, handleProviders);
+
+bot.on('callback_query', async (callbackQuery) => {
+  const data = callbackQuery.data;
+  
+  if (data === 'signal_filters') {
+    await handleSignalFilterAction(callbackQuery, 'show');
+  } else if (data.startsWith('filters_')) {
+    await handleSignalFilterAction(callbackQuery, data.replace('filters_', ''));
+  } else if (data === 'signal_providers') {
+    await bot.answerCallbackQuery(callbackQuery.id);
+    await handleProviders({ chat: callbackQuery.message.chat, from: callbackQuery.from });
+  } else if (data.startsWith('provider_follow:') || data.startsWith('provider_unfollow:')) {
+    const [action, providerId] = data.split(':');
+    await handleProviderFollow(callbackQuery, providerId, action === 'provider_follow');
+  }
+});
+
+bot.on('message', async (msg) => {
+  if (msg.text && !msg.text.startsWith('/')) {
+    await processSignalFilterInput(msg);
+  }
+});
+
 module.exports = {
   handleAccount,
   handleUpdateBrokerUid,
@@ -501,5 +851,10 @@ module.exports = {
   handleNotifications,
   handleToggleNotifications,
   handleToggleAutoTradeNotifications,
+  handleSignalFilters,
+  handleSignalFilterAction,
+  processSignalFilterInput,
+  handleProviders,
+  handleProviderFollow,
   userStates
 };
\ No newline at end of file
@@ -3,8 +3,13 @@ const userService = require('../services/userService');
 const verificationService = require('../services/verificationService');
 const adminService = require('../services/adminService');
 const analyticsService = require('../services/analyticsService');
+const tradingService = require('../services/tradingService');
+const positionSizingService = require('../services/positionSizingService');
+const providerService = require('../services/providerService');
+const reactionService = require('../services/reactionService');
 const { createInlineKeyboard, createReplyKeyboard } = require('../utils/keyboard');
 const { logger, logUserAction, logAdminAction, logError } = require('../utils/logger');
+const { config } = require('../config/appConfig');
 
 // Store admin states for multi-step operations
 const adminStates = new Map();
@@ -51,6 +56,8 @@ const handleAdmin = async (msg) => {
       { text: '📊 Analytics', callback_data: 'admin_analytics' }
     ], [
       { text: '✅ Verifications', callback_data: 'admin_verifications' }
+    ], [
+      { text: '📈 Signals', callback_data: 'admin_signals' }
     ], [
       { text: '📢 Broadcast', callback_data: 'admin_broadcast' }
     ], [
@@ -188,6 +195,27 @@ const handleAnalyticsReport = async (callbackQuery, reportType) => {
       `Average Profit: ${report.tradingStats.averageProfit}%\n` +
       `Auto-Trading Users: ${report.autoTradingStats.usersEnabled}\n\n`;
     
+    const { binaryStats } = report.tradingStats;
+    
+    if (binaryStats && binaryStats.totalSignals > 0) {
+      message += `*Binary Options*\n` +
+        `Signals: ${binaryStats.totalSignals}\n` +
+        `Results: ${binaryStats.wins}W / ${binaryStats.losses}L / ${binaryStats.draws}D\n` +
+        `Win Rate: ${binaryStats.winRate}%\n` +
+        `Average Return: ${binaryStats.avgReturn}% of stake\n\n`;
+    }
+    
+    const { providerStats } = report.tradingStats;
+    
+    if (providerStats && providerStats.length > 0) {
+      const reactions = await reactionService.getProviderReactionTallies();
+      
+      message += `*By Provider*\n` +
+        providerStats.map(stats => `${stats.name}: ${providerService.formatTrackRecord(stats)}\n` +
+          `Feedback (all time): ${reactionService.formatReactionTally(reactions.get(stats.provider_id))}\n`).join('') +
+        `\n`;
+    }
+    
     // Delete loading message
     await bot.deleteMessage(chatId, loadingMsg.message_id);
     
@@ -1053,8 +1081,7 @@ const processFindUser = async (msg) => {
         message += `Auto-Trading: ${userDetails.user.auto_trade_enabled ? '✅ Enabled' : '❌ Disabled'}\n`;
         
         if (userDetails.user.auto_trade_enabled) {
-          message += `Amount per Trade: $${userDetails.user.auto_trade_amount}\n` +
-            `Risk Percentage: ${userDetails.user.auto_trade_risk_percentage}%\n`;
+          message += `${positionSizingService.formatSizingSettings(userDetails.user)}\n`;
         }
       }
     }
@@ -1078,11 +1105,7 @@ const processFindUser = async (msg) => {
       
       for (const trade of userDetails.trades) {
         const statusText = trade.status === 'active' ? '🔴 ACTIVE' : '🟢 CLOSED';
-        const profitLossText = trade.profit_loss ? 
-          (trade.profit_loss > 0 ? 
-            `✅ PROFIT: +${trade.profit_loss.toFixed(2)}%` : 
-            `❌ LOSS: ${trade.profit_loss.toFixed(2)}%`) : 
-          '';
+        const profitLossText = tradingService.formatTradeResult(trade);
         
         message += `ID: ${trade.signal_id}\n` +
           `Asset: ${trade.asset}\n` +
@@ -1811,6 +1834,369 @@ const handleAdminBack = async (callbackQuery) => {
   }
 };
 
+/**
+ * Handle admin signals callback
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {boolean} refresh - Redraw the signal list in place with the latest member feedback
+ * @returns {Promise<void>}
+ */
+const handleAdminSignals = async (callbackQuery, refresh = false) => {
+  try {
+    const chatId = callbackQuery.message.chat.id;
+    const telegramId = callbackQuery.from.id.toString();
+    
+    // Acknowledge callback query
+    await bot.answerCallbackQuery(callbackQuery.id);
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This action is for administrators only.`
+      );
+      return;
+    }
+    
+    logAdminAction(telegramId, 'callback_admin_signals', { refresh });
+    
+    const activeSignals = await tradingService.getActiveSignals();
+    const tallies = await reactionService.getSignalReactionTallies(activeSignals.map(signal => signal.signal_id));
+    
+    let message = `*Trading Signals*\n\nCreate a signal step by step with the wizard below.\n\n` +
+      `*Active Signals (${activeSignals.length})*\n`;
+    
+    for (const signal of activeSignals) {
+      message += `${signal.signal_id}: ${signal.asset} ${signal.trade_type} @ ${signal.entry_price}` +
+        (signal.provider ? ` by ${signal.provider.name}` : '') + `\n` +
+        `Feedback: ${reactionService.formatReactionTally(tallies.get(signal.signal_id))}\n`;
+    }
+    
+    if (activeSignals.length === 0) {
+      message += `None\n`;
+    }
+    
+    // The time shows when the feedback was counted, and keeps a refresh from being an unchanged edit
+    message += `\nUpdated ${new Date().toISOString().slice(11, 19)} UTC`;
+    
+    // Create keyboard with a Cancel button per active signal
+    const keyboard = createInlineKeyboard([[
+      { text: '➕ New Signal', callback_data: 'sigwiz_start' }
+    ],
+    ...activeSignals.map(signal => [
+      { text: `🚫 Cancel ${signal.signal_id}`, callback_data: `cancel_signal:${signal.signal_id}` }
+    ]), [
+      { text: '🔄 Refresh Feedback', callback_data: 'admin_signals_refresh' }
+    ], [
+      { text: '🔙 Back to Admin', callback_data: 'admin_back' }
+    ]]).reply_markup;
+    
+    if (refresh) {
+      await bot.editMessageText(message, {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: keyboard
+      });
+      return;
+    }
+    
+    await bot.sendMessage(
+      chatId,
+      message,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard
+      }
+    );
+  } catch (error) {
+    logError(callbackQuery.from.id.toString(), 'handleAdminSignals', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      callbackQuery.message.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+// Order of the signal wizard steps
+const SIGNAL_WIZARD_STEPS = ['asset', 'direction', 'entry', 'stop_loss', 'take_profits', 'tier', 'expiry', 'notes', 'preview'];
+
+// Validity windows offered by the signal wizard, in hours
+const SIGNAL_WIZARD_EXPIRY_HOURS = [1, 4, 8, 24, 48];
+
+/**
+ * Handle signal wizard callbacks
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} action - Wizard action (start, asset_<ASSET>, direction_<TYPE>, skip, tier_<TIER>, expiry_<HOURS>, confirm, cancel)
+ * @returns {Promise<void>}
+ */
+const handleSignalWizardCallback = async (callbackQuery, action) => {
+  try {
+    const chatId = callbackQuery.message.chat.id;
+    const telegramId = callbackQuery.from.id.toString();
+    
+    // Acknowledge callback query
+    await bot.answerCallbackQuery(callbackQuery.id);
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This action is for administrators only.`
+      );
+      return;
+    }
+    
+    if (action === 'start') {
+      logAdminAction(telegramId, 'signal_wizard_started');
+      
+      const wizard = { state: 'signal_wizard', step: 'asset', draft: {} };
+      adminStates.set(telegramId, wizard);
+      
+      await sendSignalWizardStep(chatId, wizard);
+      return;
+    }
+    
+    const wizard = adminStates.get(telegramId);
+    
+    // Buttons from an abandoned or finished wizard
+    if (!wizard || wizard.state !== 'signal_wizard') {
+      await bot.sendMessage(
+        chatId,
+        `This signal wizard has expired. Please start again from /admin.`
+      );
+      return;
+    }
+    
+    if (action === 'cancel') {
+      adminStates.delete(telegramId);
+      
+      await bot.sendMessage(chatId, `Signal creation cancelled.`);
+      return;
+    }
+    
+    if (action === 'confirm' && wizard.step === 'preview') {
+      // Clear the state first so a double tap cannot publish the signal twice
+      adminStates.delete(telegramId);
+      
+      const signal = await tradingService.createSignal(wizard.draft, telegramId);
+      
+      await bot.sendMessage(
+        chatId,
+        (signal.status === 'PENDING_APPROVAL' ?
+          `🛂 Signal ${signal.signal_id} submitted. Another admin must approve it before it is sent.\n\n` :
+          `✅ Signal ${signal.signal_id} published.\n\n`) +
+        `${signal.asset} ${signal.trade_type} @ ${signal.entry_price} (${signal.tier})`
+      );
+      return;
+    }
+    
+    // Apply the button to the current step; buttons from earlier steps are ignored
+    const field = action.split('_')[0];
+    const value = action.substring(field.length + 1);
+    
+    if (wizard.step === 'asset' && field === 'asset' && config.trading.signalAssets.includes(value)) {
+      wizard.draft.asset = value;
+    } else if (wizard.step === 'direction' && field === 'direction' && ['BUY', 'SELL'].includes(value)) {
+      wizard.draft.trade_type = value;
+    } else if (wizard.step === 'tier' && field === 'tier' && ['basic', 'premium', 'vip'].includes(value)) {
+      wizard.draft.tier = value;
+    } else if (wizard.step === 'expiry' && field === 'expiry' && SIGNAL_WIZARD_EXPIRY_HOURS.includes(parseInt(value, 10))) {
+      wizard.draft.validity_hours = parseInt(value, 10);
+    } else if (action === 'skip' && ['stop_loss', 'take_profits', 'notes'].includes(wizard.step)) {
+      // Optional step left empty
+    } else {
+      return;
+    }
+    
+    wizard.step = SIGNAL_WIZARD_STEPS[SIGNAL_WIZARD_STEPS.indexOf(wizard.step) + 1];
+    adminStates.set(telegramId, wizard);
+    
+    await sendSignalWizardStep(chatId, wizard);
+  } catch (error) {
+    logError(callbackQuery.from.id.toString(), 'handleSignalWizardCallback', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      callbackQuery.message.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Process typed values for the signal wizard (entry, stop loss, take profits, notes)
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<boolean>} - Whether message was processed
+ */
+const processSignalWizardInput = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if admin is in the signal wizard at a typed step
+    const wizard = adminStates.get(telegramId);
+    
+    if (!wizard || wizard.state !== 'signal_wizard' ||
+      !['entry', 'stop_loss', 'take_profits', 'notes'].includes(wizard.step)) {
+      return false; // Not waiting for a signal value
+    }
+    
+    const text = msg.text.trim();
+    const draft = { ...wizard.draft };
+    
+    if (wizard.step === 'notes') {
+      draft.notes = text;
+    } else {
+      const prices = text.split(/[\s,]+/).filter(Boolean).map(Number);
+      const maxPrices = wizard.step === 'take_profits' ? 3 : 1;
+      
+      if (prices.length === 0 || prices.length > maxPrices || prices.some(price => isNaN(price) || price <= 0)) {
+        await bot.sendMessage(
+          chatId,
+          wizard.step === 'take_profits' ?
+            `Please enter one to three take-profit prices separated by spaces:` :
+            `Please enter a valid price:`
+        );
+        return true;
+      }
+      
+      if (wizard.step === 'entry') {
+        draft.entry_price = prices[0];
+      } else if (wizard.step === 'stop_loss') {
+        draft.stop_loss = prices[0];
+      } else {
+        [draft.take_profit_1, draft.take_profit_2, draft.take_profit_3] = prices;
+      }
+      
+      try {
+        tradingService.validateExitLevels(draft);
+      } catch (validationError) {
+        await bot.sendMessage(chatId, `${validationError.message}. Please try again:`);
+        return true;
+      }
+    }
+    
+    wizard.draft = draft;
+    wizard.step = SIGNAL_WIZARD_STEPS[SIGNAL_WIZARD_STEPS.indexOf(wizard.step) + 1];
+    adminStates.set(telegramId, wizard);
+    
+    await sendSignalWizardStep(chatId, wizard);
+    
+    return true;
+  } catch (error) {
+    logError(msg.from.id.toString(), 'processSignalWizardInput', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+    
+    return true;
+  }
+};
+
+/**
+ * Send the prompt for the current signal wizard step
+ * @param {number|string} chatId - Chat ID
+ * @param {Object} wizard - Wizard state with step and draft
+ * @returns {Promise<void>}
+ */
+const sendSignalWizardStep = async (chatId, wizard) => {
+  const cancelButton = { text: '❌ Cancel', callback_data: 'sigwiz_cancel' };
+  const skipButton = { text: '⏭ Skip', callback_data: 'sigwiz_skip' };
+  let text;
+  let buttons;
+  
+  switch (wizard.step) {
+    case 'asset':
+      text = `Step 1/8 - Select the asset:`;
+      buttons = [
+        ...config.trading.signalAssets.map(asset => ({ text: asset, callback_data: `sigwiz_asset_${asset}` })),
+        cancelButton
+      ];
+      break;
+    case 'direction':
+      text = `Step 2/8 - ${wizard.draft.asset}: select the direction:`;
+      buttons = [
+        { text: '📈 BUY', callback_data: 'sigwiz_direction_BUY' },
+        { text: '📉 SELL', callback_data: 'sigwiz_direction_SELL' },
+        cancelButton
+      ];
+      break;
+    case 'entry':
+      text = `Step 3/8 - Enter the entry price for ${wizard.draft.asset} ${wizard.draft.trade_type}:`;
+      buttons = [cancelButton];
+      break;
+    case 'stop_loss':
+      text = `Step 4/8 - Enter the stop-loss price, or skip:`;
+      buttons = [skipButton, cancelButton];
+      break;
+    case 'take_profits':
+      text = `Step 5/8 - Enter up to three take-profit prices separated by spaces, or skip:`;
+      buttons = [skipButton, cancelButton];
+      break;
+    case 'tier':
+      text = `Step 6/8 - Select the subscription tier that receives this signal:`;
+      buttons = [
+        { text: '🔹 Basic', callback_data: 'sigwiz_tier_basic' },
+        { text: '💎 Premium', callback_data: 'sigwiz_tier_premium' },
+        { text: '⭐ VIP', callback_data: 'sigwiz_tier_vip' },
+        cancelButton
+      ];
+      break;
+    case 'expiry':
+      text = `Step 7/8 - How long is the signal valid?`;
+      buttons = [
+        ...SIGNAL_WIZARD_EXPIRY_HOURS.map(hours => ({ text: `${hours}h`, callback_data: `sigwiz_expiry_${hours}` })),
+        cancelButton
+      ];
+      break;
+    case 'notes':
+      text = `Step 8/8 - Enter notes for the signal, or skip:`;
+      buttons = [skipButton, cancelButton];
+      break;
+    default:
+      text = formatSignalPreview(wizard.draft);
+      buttons = [
+        { text: '✅ Publish Signal', callback_data: 'sigwiz_confirm' },
+        cancelButton
+      ];
+  }
+  
+  // Asset and expiry choices fit side by side, everything else gets its own row
+  const columns = ['asset', 'expiry'].includes(wizard.step) ? 3 : 1;
+  
+  await bot.sendMessage(
+    chatId,
+    text,
+    {
+      reply_markup: createInlineKeyboard(buttons, columns).reply_markup
+    }
+  );
+};
+
+/**
+ * Format the signal wizard preview
+ * @param {Object} draft - Signal draft
+ * @returns {string} - Formatted preview
+ */
+const formatSignalPreview = (draft) => {
+  return `Signal Preview\n\n` +
+    `Asset: ${draft.asset}\n` +
+    `Direction: ${draft.trade_type}\n` +
+    `Entry Price: ${draft.entry_price}\n` +
+    `Stop Loss: ${draft.stop_loss || 'None'}\n` +
+    (tradingService.getTakeProfits(draft).map(tp => `Take Profit ${tp.target}: ${tp.price}\n`).join('') ||
+      `Take Profit: None\n`) +
+    `Tier: ${formatSubscriptionTier(draft.tier)}\n` +
+    `Valid For: ${draft.validity_hours}h\n` +
+    `Notes: ${draft.notes || 'None'}\n\n` +
+    `Publish this signal to eligible users now?`;
+};
+
 /**
  * Format verification status for display
  * @param {string} status - Verification status
@@ -1865,6 +2251,14 @@ bot.on('callback_query', async (callbackQuery) => {
     await handleAdminUsers(callbackQuery);
   } else if (data === 'admin_back') {
     await handleAdminBack(callbackQuery);
+  } else if (data === 'admin_signals_refresh') {
+    await handleAdminSignals(callbackQuery, true);
+  } else if (data === 'admin_signals') {
+    await handleAdminSignals(callbackQuery);
+  } 
+  // Signal wizard callbacks
+  else if (data.startsWith('sigwiz_')) {
+    await handleSignalWizardCallback(callbackQuery, data.replace('sigwiz_', ''));
   } 
   // Analytics callbacks
   else if (data === 'analytics_daily') {
@@ -1936,7 +2330,8 @@ bot.on('message', async (msg) => {
       await processUpdateSubscriptionUser(msg) ||
       await processBanUser(msg) ||
       await processBanReason(msg) ||
-      await processUnbanUser(msg);
+      await processUnbanUser(msg) ||
+      await processSignalWizardInput(msg);
     
     // If message was processed by admin handlers, stop processing
     if (processed) return;
@@ -1963,5 +2358,8 @@ module.exports = {
   handleBanUser,
   handleAdminUnbanUser,
   handleUnbanUser,
-  handleAdminBack
+  handleAdminBack,
+  handleAdminSignals,
+  handleSignalWizardCallback,
+  processSignalWizardInput
 };
\ No newline at end of file
@@ -1,9 +1,24 @@
 const { bot, isAdmin } = require('../config/bot');
 const userService = require('../services/userService');
 const tradingService = require('../services/tradingService');
+const signalFilterService = require('../services/signalFilterService');
+const guardrailService = require('../services/guardrailService');
+const positionSizingService = require('../services/positionSizingService');
+const portfolioService = require('../services/portfolioService');
+const backtestService = require('../services/backtestService');
+const exportService = require('../services/exportService');
+const signalIngestService = require('../services/signalIngestService');
+const blackoutService = require('../services/blackoutService');
+const providerService = require('../services/providerService');
+const reactionService = require('../services/reactionService');
 const { createInlineKeyboard, createReplyKeyboard } = require('../utils/keyboard');
 const { logger, logUserAction, logAdminAction, logError } = require('../utils/logger');
 const { requireSubscriptionTier, requireVerification } = require('../middlewares/subscriptionMiddleware');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+const { downloadFileFromTelegram } = require('../utils/fileUpload');
+
+// Largest blackout calendar CSV accepted from admins
+const MAX_BLACKOUT_CSV_BYTES = 512 * 1024;
 
 /**
  * Handle trading signals command
@@ -35,10 +50,20 @@ const handleTradingSignals = async (msg) => {
       
       for (const signal of activeSignals) {
         message += `ID: ${signal.signal_id}\n` +
+          (signal.provider ? `Provider: ${signal.provider.name}\n` : '') +
           `Asset: ${signal.asset}\n` +
-          `Type: ${signal.trade_type.toUpperCase()}\n` +
+          `Type: ${signal.trade_type.toUpperCase()}` +
+          (signal.signal_type === 'BINARY' ? 
+            ` (Binary ${signal.expiry_minutes}m, ${signal.payout_percentage}% payout)\n` : `\n`) +
           `Entry: ${signal.entry_price}\n` +
-          `Time: ${new Date(signal.entry_time).toLocaleString()}\n\n`;
+          (signal.stop_loss ? `SL: ${signal.stop_loss}\n` : '') +
+          tradingService.getTakeProfits(signal).map(tp => `TP${tp.target}: ${tp.price}\n`).join('') +
+          `Time: ${new Date(signal.entry_time).toLocaleString()}\n` +
+          // Filters only stop the broadcast, hidden signals stay listed here
+          (signalFilterService.matchesSignalFilters(signal, user.signal_filters, new Date(signal.entry_time)) ? 
+            '' : `🔕 Hidden by your /filters\n`) +
+          (providerService.followsSignalProvider(user, signal) ? '' : `🔕 From a provider you don't follow, see /providers\n`) +
+          `\n`;
       }
     } else {
       message += `*🔴 ACTIVE SIGNALS (0)*\n\nNo active signals at the moment.\n\n`;
@@ -48,13 +73,16 @@ const handleTradingSignals = async (msg) => {
       message += `*🟢 RECENT CLOSED SIGNALS*\n\n`;
       
       for (const signal of recentClosedSignals) {
-        const profitLossText = signal.profit_loss > 0 ? 
-          `✅ PROFIT: +${signal.profit_loss.toFixed(2)}%` : 
-          `❌ LOSS: ${signal.profit_loss.toFixed(2)}%`;
+        const profitLossText = signal.outcome ? 
+          tradingService.formatBinaryResult(signal.outcome, signal.profit_loss) : 
+          (signal.profit_loss > 0 ? 
+            `✅ PROFIT: +${signal.profit_loss.toFixed(2)}%` : 
+            `❌ LOSS: ${signal.profit_loss.toFixed(2)}%`);
         
         message += `ID: ${signal.signal_id}\n` +
           `Asset: ${signal.asset}\n` +
-          `Type: ${signal.trade_type.toUpperCase()}\n` +
+          `Type: ${signal.trade_type.toUpperCase()}` +
+          (signal.signal_type === 'BINARY' ? ` (Binary ${signal.expiry_minutes}m)\n` : `\n`) +
           `Entry: ${signal.entry_price}\n` +
           `Exit: ${signal.exit_price}\n` +
           `${profitLossText}\n` +
@@ -134,12 +162,8 @@ const handleTradingHistory = async (callbackQuery) => {
     
     if (tradingHistory.length > 0) {
       for (const trade of tradingHistory) {
-        const statusText = trade.status === 'active' ? '🔴 ACTIVE' : '🟢 CLOSED';
-        const profitLossText = trade.profit_loss ? 
-          (trade.profit_loss > 0 ? 
-            `✅ PROFIT: +${trade.profit_loss.toFixed(2)}%` : 
-            `❌ LOSS: ${trade.profit_loss.toFixed(2)}%`) : 
-          '';
+        const statusText = trade.status === 'OPEN' ? '🔴 ACTIVE' : '🟢 CLOSED';
+        const profitLossText = tradingService.formatTradeResult(trade);
         
         message += `ID: ${trade.signal_id}\n` +
           `Asset: ${trade.asset}\n` +
@@ -151,6 +175,7 @@ const handleTradingHistory = async (callbackQuery) => {
           (profitLossText ? `${profitLossText}\n` : '') +
           `Time: ${new Date(trade.entry_time).toLocaleString()}\n` +
           (trade.auto_traded ? `🤖 Auto-Traded\n` : '') +
+          (!trade.auto_traded && trade.signal_id ? `📓 Journal\n` : '') +
           `\n`;
       }
     } else {
@@ -163,7 +188,8 @@ const handleTradingHistory = async (callbackQuery) => {
       {
         parse_mode: 'Markdown',
         reply_markup: createInlineKeyboard([[
-          { text: '📊 Trading Signals', callback_data: 'view_signals' }
+          { text: '📊 Trading Signals', callback_data: 'view_signals' },
+          { text: '📤 Export', callback_data: 'export_history' }
         ]]).reply_markup
       }
     );
@@ -180,6 +206,333 @@ const handleTradingHistory = async (callbackQuery) => {
   )(msg);
 };
 
+/**
+ * Handle export callback from trading history: offer the export formats and periods
+ * @param {Object} callbackQuery - Telegram callback query
+ * @returns {Promise<void>}
+ */
+const handleExportHistoryMenu = async (callbackQuery) => {
+  const msg = {
+    chat: { id: callbackQuery.message.chat.id },
+    from: { id: callbackQuery.from.id }
+  };
+  
+  return requireVerification()(async (msg) => {
+    try {
+      await bot.answerCallbackQuery(callbackQuery.id);
+      
+      logUserAction(msg.from.id.toString(), 'callback_export_history');
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        `📤 *Export Trading History*\n\n` +
+        `Choose a format and period. For a custom range, use:\n` +
+        `/exporthistory csv from=YYYY-MM-DD to=YYYY-MM-DD`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: createInlineKeyboard([
+            [
+              { text: 'CSV · 30 days', callback_data: 'export_history:csv:30' },
+              { text: 'JSON · 30 days', callback_data: 'export_history:json:30' }
+            ],
+            [
+              { text: 'CSV · All time', callback_data: 'export_history:csv:all' },
+              { text: 'JSON · All time', callback_data: 'export_history:json:all' }
+            ]
+          ]).reply_markup
+        }
+      );
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handleExportHistoryMenu', error);
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        'Sorry, there was an error processing your request. Please try again later.'
+      );
+    }
+  })(msg);
+};
+
+/**
+ * Send the documents of an export, one per page
+ * @param {number} chatId - Chat ID
+ * @param {Object} exportJob - Export from exportService
+ * @returns {Promise<void>}
+ */
+const sendExportDocuments = async (chatId, exportJob) => {
+  const contentTypes = { csv: 'text/csv', json: 'application/json' };
+  
+  for await (const document of exportJob.documents) {
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(document.content),
+      { caption: `Page ${document.page} of ${exportJob.pages} (${document.count} of ${exportJob.total} records)` },
+      { filename: document.filename, contentType: contentTypes[document.filename.split('.').pop()] }
+    );
+  }
+};
+
+/**
+ * Handle export history command: send the user's trades for a date range as CSV or JSON documents
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - [csv|json] [from=YYYY-MM-DD] [to=YYYY-MM-DD] [asset=] [status=] [page=]
+ * @returns {Promise<void>}
+ */
+const handleExportHistory = async (msg, params) => {
+  return (requireVerification()(async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const telegramId = msg.from.id.toString();
+      
+      logUserAction(telegramId, 'command_export_history', { params });
+      
+      const options = exportService.parseExportOptions(params, exportService.TRADE_STATUSES);
+      const user = await userService.getUserByTelegramId(telegramId);
+      const exportJob = await exportService.exportTradingHistory(user.id, options);
+      
+      if (exportJob.total === 0) {
+        await bot.sendMessage(chatId, `You don't have any trades to export for that period.`);
+        return;
+      }
+      
+      await sendExportDocuments(chatId, exportJob);
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handleExportHistory', error);
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        error instanceof ValidationError ? 
+          error.message : 
+          'Sorry, there was an error processing your request. Please try again later.'
+      );
+    }
+  })(msg));
+};
+
+/**
+ * Handle export period callback: export the user's trades of the last N days or all time
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} format - csv or json
+ * @param {string} period - Number of days, or all
+ * @returns {Promise<void>}
+ */
+const handleExportHistoryPeriod = async (callbackQuery, format, period) => {
+  await bot.answerCallbackQuery(callbackQuery.id);
+  
+  const params = [format];
+  
+  if (period !== 'all') {
+    const from = new Date(Date.now() - parseInt(period, 10) * 24 * 60 * 60 * 1000);
+    params.push(`from=${from.toISOString().slice(0, 10)}`);
+  }
+  
+  return handleExportHistory({
+    chat: { id: callbackQuery.message.chat.id },
+    from: { id: callbackQuery.from.id }
+  }, params);
+};
+
+/**
+ * Handle "I took this" callback: start recording a trade the user took on a signal in their journal
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<void>}
+ */
+const handleTookTrade = async (callbackQuery, signalId) => {
+  const msg = {
+    chat: { id: callbackQuery.message.chat.id },
+    from: { id: callbackQuery.from.id }
+  };
+  
+  return requireVerification()(async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const telegramId = msg.from.id.toString();
+      
+      await bot.answerCallbackQuery(callbackQuery.id);
+      
+      logUserAction(telegramId, 'callback_took_trade', { signal_id: signalId });
+      
+      userStates.set(telegramId, { state: 'waiting_journal_entry', signal_id: signalId });
+      
+      await bot.sendMessage(
+        chatId,
+        `📓 Recording your trade on signal ${signalId}.\n\n` +
+        `Please send your entry price and trade size in USD, e.g. 1.0852 250:`
+      );
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handleTookTrade', error);
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        'Sorry, there was an error processing your request. Please try again later.'
+      );
+    }
+  })(msg);
+};
+
+/**
+ * Handle a reaction button on a delivered signal, answered with a notification rather than a message
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} signalId - Signal ID
+ * @param {string} choice - Reaction choice (up, down or late)
+ * @returns {Promise<void>}
+ */
+const handleSignalReaction = async (callbackQuery, signalId, choice) => {
+  const telegramId = callbackQuery.from.id.toString();
+  
+  try {
+    const reaction = await reactionService.recordReaction(telegramId, signalId, choice);
+    
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: reaction ?
+        `Thanks for your feedback on ${signalId}: ${reactionService.REACTION_LABELS[reaction]}` :
+        `Your feedback on ${signalId} was removed`
+    });
+  } catch (error) {
+    logError(telegramId, 'handleSignalReaction', error);
+    
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: error instanceof NotFoundError ?
+        error.message :
+        'Sorry, there was an error processing your request. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Handle journal outcome callback: close a journal trade at the signal's exit or the user's outcome,
+ * or ask for the user's own exit price
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} tradeId - Trade ID
+ * @param {string} choice - signal, price, or a binary outcome (WIN, LOSS, DRAW)
+ * @returns {Promise<void>}
+ */
+const handleJournalClose = async (callbackQuery, tradeId, choice) => {
+  const msg = {
+    chat: { id: callbackQuery.message.chat.id },
+    from: { id: callbackQuery.from.id }
+  };
+  
+  return requireVerification()(async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const telegramId = msg.from.id.toString();
+      
+      await bot.answerCallbackQuery(callbackQuery.id);
+      
+      logUserAction(telegramId, 'callback_journal_close', { trade_id: tradeId, choice });
+      
+      if (choice === 'price') {
+        userStates.set(telegramId, { state: 'waiting_journal_exit', trade_id: tradeId });
+        await bot.sendMessage(chatId, `Please send the price you closed your trade at:`);
+        return;
+      }
+      
+      const trade = await tradingService.closeJournalTrade(telegramId, parseInt(tradeId, 10), 
+        choice === 'signal' ? { at_signal_exit: true } : { outcome: choice });
+      await sendJournalTradeClosed(chatId, trade);
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handleJournalClose', error);
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        error instanceof ValidationError ? 
+          error.message : 
+          'Sorry, there was an error processing your request. Please try again later.'
+      );
+    }
+  })(msg);
+};
+
+/**
+ * Send the confirmation for a closed journal trade
+ * @param {number} chatId - Chat ID
+ * @param {Object} trade - Closed journal trade
+ * @returns {Promise<void>}
+ */
+const sendJournalTradeClosed = async (chatId, trade) => {
+  await bot.sendMessage(
+    chatId,
+    `📓 *Trade journal updated*\n\n` +
+    `Signal: ${trade.signal_id}\n` +
+    `Asset: ${trade.asset}\n` +
+    `Entry: ${trade.entry_price}\n` +
+    (trade.exit_price ? `Exit: ${trade.exit_price}\n` : '') +
+    `Amount: $${trade.trade_amount}\n\n` +
+    `${tradingService.formatTradeResult(trade)}`,
+    { parse_mode: 'Markdown' }
+  );
+};
+
+/**
+ * Process journal input: the entry and size of a trade the user took, or their exit price
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<boolean>} - Whether message was processed
+ */
+const processJournalInput = async (msg) => {
+  const telegramId = msg.from.id.toString();
+  const userState = userStates.get(telegramId);
+  
+  if (!userState || !['waiting_journal_entry', 'waiting_journal_exit'].includes(userState.state)) {
+    return false;
+  }
+  
+  try {
+    const chatId = msg.chat.id;
+    const values = msg.text.trim().replace(/\$/g, '').split(/[\s,]+/).map(parseFloat);
+    const expected = userState.state === 'waiting_journal_entry' ? 2 : 1;
+    
+    // Invalid input keeps the user in the same step so they can try again
+    if (values.length !== expected || values.some(value => isNaN(value) || value <= 0)) {
+      await bot.sendMessage(
+        chatId,
+        expected === 2 ? 
+          `Please send your entry price and trade size in USD, e.g. 1.0852 250:` : 
+          `Please send the price you closed your trade at:`
+      );
+      return true;
+    }
+    
+    if (userState.state === 'waiting_journal_entry') {
+      const trade = await tradingService.recordJournalTrade(telegramId, userState.signal_id, {
+        entry_price: values[0],
+        trade_amount: values[1]
+      });
+      
+      userStates.delete(telegramId);
+      
+      await bot.sendMessage(
+        chatId,
+        `✅ Your ${trade.trade_type} ${trade.asset} trade at ${trade.entry_price} for $${trade.trade_amount} is in your journal.\n\n` +
+        `We'll ask how it went when signal ${trade.signal_id} closes.`
+      );
+    } else {
+      const trade = await tradingService.closeJournalTrade(telegramId, parseInt(userState.trade_id, 10), {
+        exit_price: values[0]
+      });
+      
+      userStates.delete(telegramId);
+      await sendJournalTradeClosed(chatId, trade);
+    }
+    
+    return true;
+  } catch (error) {
+    logError(telegramId, 'processJournalInput', error);
+    
+    userStates.delete(telegramId);
+    
+    await bot.sendMessage(
+      msg.chat.id,
+      error instanceof ValidationError ? 
+        error.message : 
+        'Sorry, there was an error processing your request. Please try again later.'
+    );
+    
+    return true;
+  }
+};
+
 /**
  * Handle auto-trading settings callback
  * @param {Object} callbackQuery - Telegram callback query
@@ -213,8 +566,10 @@ const handleAutoTradeSettings = async (callbackQuery) => {
     let message = `*Auto-Trading Settings*\n\n` +
       `Status: ${statusText}\n` +
       (user.auto_trade_enabled ? 
-        `Amount per Trade: $${user.auto_trade_amount}\n` +
-        `Risk Percentage: ${user.auto_trade_risk_percentage}%\n\n` : 
+        `${positionSizingService.formatSizingSettings(user)}\n` +
+        `Change it with /sizing, preview a signal with /positionsize <signal_id>\n\n` +
+        `*Guardrails*\n${guardrailService.formatGuardrails(user)}\n` +
+        `Change them with /guardrails\n\n` : 
         '\n') +
       `Auto-trading automatically executes trades based on our signals using your predefined settings.\n\n` +
       `What would you like to do?`;
@@ -439,7 +794,7 @@ const processAutoTradeRisk = async (msg) => {
       }
       
       // Enable auto-trading
-      await tradingService.enableAutoTrading(telegramId, {
+      const user = await tradingService.enableAutoTrading(telegramId, {
         amount: userState.amount,
         risk_percentage: riskPercentage
       });
@@ -451,10 +806,9 @@ const processAutoTradeRisk = async (msg) => {
       await bot.sendMessage(
         chatId,
         `✅ Auto-trading has been enabled!\n\n` +
-        `Amount per Trade: $${userState.amount}\n` +
-        `Risk Percentage: ${riskPercentage}%\n\n` +
+        `${positionSizingService.formatSizingSettings(user)}\n\n` +
         `You will now automatically receive trades based on our signals.\n\n` +
-        `You can update your settings or disable auto-trading at any time.`,
+        `Use /sizing to change how your trades are sized, or disable auto-trading at any time.`,
         {
           reply_markup: createReplyKeyboard([
             ['📊 Trading Signals', '💰 My Account'],
@@ -482,88 +836,316 @@ const processAutoTradeRisk = async (msg) => {
 };
 
 /**
- * Handle create signal command (admin only)
+ * Handle guardrails command: show or change the user's auto-trade guardrails
  * @param {Object} msg - Telegram message object
- * @param {Array} params - Command parameters
+ * @param {Array} params - key=value settings, or "reset"
  * @returns {Promise<void>}
  */
-const handleCreateSignal = async (msg, params) => {
-  try {
-    const chatId = msg.chat.id;
-    const telegramId = msg.from.id.toString();
-    
-    // Check if user is admin
-    if (!isAdmin(telegramId)) {
-      await bot.sendMessage(
-        chatId,
-        `Unauthorized. This command is for administrators only.`
-      );
-      return;
-    }
-    
-    // Check parameters
-    if (!params || params.length < 3) {
+const handleGuardrails = async (msg, params) => {
+  return (requireVerification()(requireSubscriptionTier(['vip'])(async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const telegramId = msg.from.id.toString();
+      
+      logUserAction(telegramId, 'command_guardrails', { params });
+      
+      let user = await userService.getUserByTelegramId(telegramId);
+      
+      if (params.length === 1 && params[0].toLowerCase() === 'reset') {
+        user = await userService.updateAutoTradeGuardrails(telegramId, null);
+      } else if (params.length > 0) {
+        user = await userService.updateAutoTradeGuardrails(telegramId, guardrailService.parseGuardrails(params));
+      }
+      
       await bot.sendMessage(
         chatId,
-        `Invalid parameters. Usage: /signal <asset> <type> <entry_price> [risk_percentage] [notes]`
+        `*Auto-Trade Guardrails*\n\n` +
+        `${guardrailService.formatGuardrails(user)}\n\n` +
+        `Trades that would break a guardrail are skipped and you are told why.\n\n` +
+        `Change them with /guardrails max_open=<n> daily_loss=<$> weekly_loss=<$> exposure=<$> losses=<n> cooldown=<hours> ` +
+        `(0 switches a limit off), or /guardrails reset for the defaults.`,
+        { parse_mode: 'Markdown' }
       );
-      return;
-    }
-    
-    const asset = params[0].toUpperCase();
-    const type = params[1].toLowerCase();
-    const entryPrice = parseFloat(params[2]);
-    const riskPercentage = params.length > 3 ? parseFloat(params[3]) : 1;
-    const notes = params.length > 4 ? params.slice(4).join(' ') : '';
-    
-    if (!['buy', 'sell'].includes(type) || isNaN(entryPrice) || isNaN(riskPercentage)) {
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handleGuardrails', error);
+      
       await bot.sendMessage(
-        chatId,
-        `Invalid parameters. Type must be 'buy' or 'sell', and prices must be valid numbers.`
+        msg.chat.id,
+        error instanceof ValidationError ? 
+          error.message : 
+          'Sorry, there was an error processing your request. Please try again later.'
       );
-      return;
     }
-    
-    // Create signal
-    const signal = await tradingService.createSignal({
-      asset,
-      trade_type: type,
-      entry_price: entryPrice,
-      risk_percentage: riskPercentage,
-      notes
-    }, telegramId);
-    
-    await bot.sendMessage(
-      chatId,
-      `Signal created successfully!\n\n` +
-      `ID: ${signal.signal_id}\n` +
-      `Asset: ${signal.asset}\n` +
-      `Type: ${signal.trade_type.toUpperCase()}\n` +
-      `Entry Price: ${signal.entry_price}\n` +
-      `Risk Percentage: ${signal.risk_percentage}%`
-    );
-  } catch (error) {
-    logError(msg.from.id.toString(), 'handleCreateSignal', error);
-    
-    // Send error message
-    await bot.sendMessage(
-      msg.chat.id,
-      `Error: ${error.message}`
-    );
-  }
+  }))(msg));
 };
 
 /**
- * Handle close signal command (admin only)
+ * Handle sizing command: show or change how the user's auto-trades are sized
  * @param {Object} msg - Telegram message object
- * @param {Array} params - Command parameters
+ * @param {Array} params - Sizing mode and its amount or percentage
  * @returns {Promise<void>}
  */
-const handleCloseSignal = async (msg, params) => {
-  try {
-    const chatId = msg.chat.id;
-    const telegramId = msg.from.id.toString();
-    
+const handleSizing = async (msg, params) => {
+  return (requireVerification()(requireSubscriptionTier(['vip'])(async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const telegramId = msg.from.id.toString();
+      
+      logUserAction(telegramId, 'command_sizing', { params });
+      
+      let user = await userService.getUserByTelegramId(telegramId);
+      
+      if (params.length > 0) {
+        user = await userService.updatePositionSizing(telegramId, positionSizingService.parseSizingSettings(params));
+      }
+      
+      await bot.sendMessage(
+        chatId,
+        `*Position Sizing*\n\n` +
+        `${positionSizingService.formatSizingSettings(user)}\n\n` +
+        `Change it with /sizing fixed <amount>, /sizing balance <percentage> or /sizing risk <percentage>.\n` +
+        `Preview the size for a signal with /positionsize <signal_id>.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handleSizing', error);
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        error instanceof ValidationError ? 
+          error.message : 
+          'Sorry, there was an error processing your request. Please try again later.'
+      );
+    }
+  }))(msg));
+};
+
+/**
+ * Handle position size command: preview the position the user's sizing settings take in a signal
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handlePositionSize = async (msg, params) => {
+  return (requireVerification()(async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const telegramId = msg.from.id.toString();
+      
+      if (!params || params.length !== 1) {
+        await bot.sendMessage(chatId, `Usage: /positionsize <signal_id>`);
+        return;
+      }
+      
+      logUserAction(telegramId, 'command_position_size', { signal_id: params[0] });
+      
+      const preview = await tradingService.previewPositionSize(telegramId, params[0]);
+      
+      if (!preview) {
+        await bot.sendMessage(chatId, `Signal ${params[0]} not found.`);
+        return;
+      }
+      
+      const { signal, user, size } = preview;
+      
+      await bot.sendMessage(
+        chatId,
+        `*Position Size for ${signal.signal_id}*\n\n` +
+        `Asset: ${signal.asset}\n` +
+        `Type: ${signal.trade_type}\n` +
+        `Entry Price: ${signal.entry_price}\n` +
+        `Stop Loss: ${signal.stop_loss || 'Not set'}\n\n` +
+        `${positionSizingService.formatSizingSettings(user)}\n\n` +
+        `${positionSizingService.formatPositionSize(size)}`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handlePositionSize', error);
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        'Sorry, there was an error processing your request. Please try again later.'
+      );
+    }
+  })(msg));
+};
+
+/**
+ * Handle portfolio command: show the user's virtual portfolio, or record a manual adjustment
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Nothing, or "adjust <amount> [note]"
+ * @returns {Promise<void>}
+ */
+const handlePortfolio = async (msg, params) => {
+  return (requireVerification()(async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const telegramId = msg.from.id.toString();
+      
+      logUserAction(telegramId, 'command_portfolio', { params });
+      
+      const user = await userService.getUserByTelegramId(telegramId);
+      
+      if (params.length > 0) {
+        if (params[0].toLowerCase() !== 'adjust' || params.length < 2) {
+          await bot.sendMessage(chatId, `Usage: /portfolio, or /portfolio adjust <amount> [note] to record a deposit or withdrawal`);
+          return;
+        }
+        
+        await portfolioService.recordAdjustment(user, parseFloat(params[1].replace('$', '')), params.slice(2).join(' '));
+      }
+      
+      const portfolio = await portfolioService.getPortfolio(user);
+      
+      await bot.sendMessage(
+        chatId,
+        `*Your Portfolio*\n\n` +
+        `${portfolioService.formatPortfolio(portfolio)}\n\n` +
+        `Record a deposit or withdrawal with /portfolio adjust <amount> [note].`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logError(msg.from.id.toString(), 'handlePortfolio', error);
+      
+      await bot.sendMessage(
+        msg.chat.id,
+        error instanceof ValidationError ? 
+          error.message : 
+          'Sorry, there was an error processing your request. Please try again later.'
+      );
+    }
+  })(msg));
+};
+
+/**
+ * Handle create signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handleCreateSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    // Exit levels, validity and binary options are passed as sl=<price> tp1=<price> exp=<hours> ... anywhere in the command
+    const exitLevels = {};
+    let publishAt = null;
+    let expiryMinutes = null;
+    let provider = null;
+    const positionalParams = (params || []).filter(param => {
+      const match = param.match(/^(sl|tp[1-3]|exp|at|bin|payout|by)=(.+)$/i);
+      const key = match ? match[1].toLowerCase() : null;
+      
+      if (key === 'by') {
+        // by=<handle> attributes the signal to another provider than the one linked to the admin
+        provider = match[2];
+      } else if (key === 'at') {
+        publishAt = tradingService.parsePublishTime(match[2]);
+      } else if (key === 'bin') {
+        // bin=5m makes a binary-options signal expiring after 5 minutes
+        expiryMinutes = /^\d+m?$/i.test(match[2]) ? parseInt(match[2], 10) : NaN;
+      } else if (match) {
+        exitLevels[match[1].toLowerCase()] = parseFloat(match[2]);
+      }
+      
+      return !match;
+    });
+    
+    // Check parameters
+    if (positionalParams.length < 3) {
+      await bot.sendMessage(
+        chatId,
+        `Invalid parameters. Usage: /signal <asset> <type> <entry_price> [risk_percentage] [sl=<price>] [tp1=<price>] [tp2=<price>] [tp3=<price>] [exp=<hours>] [at=<HH:MM|YYYY-MM-DDTHH:MM>] [bin=<minutes>m] [payout=<percentage>] [by=<provider>] [notes]`
+      );
+      return;
+    }
+    
+    const asset = positionalParams[0].toUpperCase();
+    const type = positionalParams[1].toLowerCase();
+    const entryPrice = parseFloat(positionalParams[2]);
+    const riskPercentage = positionalParams.length > 3 ? parseFloat(positionalParams[3]) : 1;
+    const notes = positionalParams.length > 4 ? positionalParams.slice(4).join(' ') : '';
+    
+    if (!['buy', 'sell'].includes(type) || isNaN(entryPrice) || isNaN(riskPercentage) ||
+      Object.values(exitLevels).some(price => isNaN(price)) || Number.isNaN(expiryMinutes)) {
+      await bot.sendMessage(
+        chatId,
+        `Invalid parameters. Type must be 'buy' or 'sell', and prices must be valid numbers.`
+      );
+      return;
+    }
+    
+    // Create signal
+    const signal = await tradingService.createSignal({
+      asset,
+      signal_type: expiryMinutes ? 'BINARY' : 'STANDARD',
+      expiry_minutes: expiryMinutes,
+      payout_percentage: exitLevels.payout,
+      trade_type: type,
+      entry_price: entryPrice,
+      stop_loss: exitLevels.sl,
+      take_profit_1: exitLevels.tp1,
+      take_profit_2: exitLevels.tp2,
+      take_profit_3: exitLevels.tp3,
+      validity_hours: exitLevels.exp,
+      risk_percentage: riskPercentage,
+      publish_at: publishAt,
+      provider,
+      notes
+    }, telegramId);
+    
+    await bot.sendMessage(
+      chatId,
+      (signal.status === 'PENDING_APPROVAL' ? 
+        `Signal submitted for approval! Another admin must approve it before it is ` +
+          (publishAt ? `scheduled for ${formatPublishTime(signal.publish_at)}.\n\n` : `sent.\n\n`) : 
+        publishAt ? 
+          `Signal scheduled for ${formatPublishTime(signal.publish_at)}!\n\n` : 
+          `Signal created successfully!\n\n`) +
+      `ID: ${signal.signal_id}\n` +
+      (signal.provider ? `Provider: ${signal.provider.name}\n` : '') +
+      `Asset: ${signal.asset}\n` +
+      `Type: ${signal.trade_type.toUpperCase()}\n` +
+      `Entry Price: ${signal.entry_price}\n` +
+      (signal.stop_loss ? `Stop Loss: ${signal.stop_loss}\n` : '') +
+      tradingService.getTakeProfits(signal).map(tp => `Take Profit ${tp.target}: ${tp.price}\n`).join('') +
+      (signal.signal_type === 'BINARY' ? 
+        `Binary Expiry: ${signal.expiry_minutes}m\nPayout: ${signal.payout_percentage}%\n` : '') +
+      `Risk Percentage: ${signal.risk_percentage}%\n` +
+      `Expires: ${new Date(signal.expires_at).toLocaleString()}`
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleCreateSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle close signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handleCloseSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
     // Check if user is admin
     if (!isAdmin(telegramId)) {
       await bot.sendMessage(
@@ -577,14 +1159,18 @@ const handleCloseSignal = async (msg, params) => {
     if (!params || params.length < 2) {
       await bot.sendMessage(
         chatId,
-        `Invalid parameters. Usage: /close <signal_id> <exit_price> [notes]`
+        `Invalid parameters. Usage: /close <signal_id> <exit_price> [tp1|tp2|tp3] [notes]`
       );
       return;
     }
     
     const signalId = params[0];
     const exitPrice = parseFloat(params[1]);
-    const notes = params.length > 2 ? params.slice(2).join(' ') : '';
+    
+    // An optional tpN parameter closes only the share of the position for that target
+    const targetMatch = params.length > 2 ? params[2].match(/^tp([1-3])$/i) : null;
+    const target = targetMatch ? parseInt(targetMatch[1], 10) : null;
+    const notes = params.slice(targetMatch ? 3 : 2).join(' ');
     
     if (isNaN(exitPrice)) {
       await bot.sendMessage(
@@ -597,12 +1183,25 @@ const handleCloseSignal = async (msg, params) => {
     // Close signal
     const signal = await tradingService.closeSignal(signalId, {
       exit_price: exitPrice,
+      target,
       notes
     }, telegramId);
     
-    const profitLossText = signal.profit_loss > 0 ? 
-      `✅ PROFIT: +${signal.profit_loss.toFixed(2)}%` : 
-      `❌ LOSS: ${signal.profit_loss.toFixed(2)}%`;
+    if (signal.status === 'ACTIVE') {
+      await bot.sendMessage(
+        chatId,
+        `Take-profit ${target} closed for signal ${signal.signal_id}.\n\n` +
+        `Exit Price: ${exitPrice}\n` +
+        `Remaining Position: ${signal.remaining_percentage.toFixed(0)}%`
+      );
+      return;
+    }
+    
+    const profitLossText = signal.outcome ? 
+      tradingService.formatBinaryResult(signal.outcome, signal.profit_loss) : 
+      (signal.profit_loss > 0 ? 
+        `✅ PROFIT: +${signal.profit_loss.toFixed(2)}%` : 
+        `❌ LOSS: ${signal.profit_loss.toFixed(2)}%`);
     
     await bot.sendMessage(
       chatId,
@@ -625,8 +1224,1056 @@ const handleCloseSignal = async (msg, params) => {
   }
 };
 
-// Store user states for multi-step processes
-const userStates = new Map();
+/**
+ * Handle amend signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handleAmendSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    // Check parameters
+    if (!params || params.length < 2) {
+      await bot.sendMessage(
+        chatId,
+        `Invalid parameters. Usage: /amend <signal_id> [sl=<price>] [tp1=<price>] [tp2=<price>] [tp3=<price>] [notes]`
+      );
+      return;
+    }
+    
+    const signalId = params[0];
+    const changes = {};
+    const noteParams = [];
+    
+    for (const param of params.slice(1)) {
+      const match = param.match(/^(sl|tp[1-3])=(.+)$/i);
+      
+      if (!match) {
+        noteParams.push(param);
+        continue;
+      }
+      
+      const price = parseFloat(match[2]);
+      
+      if (isNaN(price)) {
+        await bot.sendMessage(
+          chatId,
+          `Invalid price for ${match[1]}. Please enter a valid number.`
+        );
+        return;
+      }
+      
+      const level = match[1].toLowerCase();
+      changes[level === 'sl' ? 'stop_loss' : `take_profit_${level.slice(2)}`] = price;
+    }
+    
+    if (noteParams.length > 0) {
+      changes.notes = noteParams.join(' ');
+    }
+    
+    const result = await tradingService.amendSignal(signalId, changes, telegramId);
+    
+    await bot.sendMessage(
+      chatId,
+      `Signal ${result.signal.signal_id} amended.\n\n` +
+      `Messages edited: ${result.editedCount}\n` +
+      `Messages that could not be edited: ${result.failedCount}`
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleAmendSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle retract signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handleRetractSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    // Check parameters
+    if (!params || params.length < 1) {
+      await bot.sendMessage(
+        chatId,
+        `Invalid parameters. Usage: /retract <signal_id>`
+      );
+      return;
+    }
+    
+    const result = await tradingService.retractSignal(params[0], telegramId);
+    
+    await bot.sendMessage(
+      chatId,
+      `Signal ${result.signal.signal_id} retracted.\n\n` +
+      `Messages deleted: ${result.deletedCount}\n` +
+      `Messages that could not be deleted: ${result.failedCount}`
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleRetractSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Cancel a signal and report back to the admin
+ * @param {number} chatId - Chat ID
+ * @param {string} telegramId - Admin's Telegram ID
+ * @param {string} signalId - Signal ID
+ * @param {string} reason - Reason shown to members
+ * @returns {Promise<void>}
+ */
+const cancelSignal = async (chatId, telegramId, signalId, reason = '') => {
+  const result = await tradingService.cancelSignal(signalId, reason, telegramId);
+  
+  await bot.sendMessage(
+    chatId,
+    `🚫 Signal ${result.signal.signal_id} cancelled.\n\n` +
+    `Unfilled auto-trades voided: ${result.voidedCount}\n` +
+    `Filled auto-trades closed: ${result.unwoundCount}\n` +
+    `Cancellation notices queued: ${result.notifiedCount}`
+  );
+};
+
+/**
+ * Handle cancel signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Signal ID followed by an optional reason
+ * @returns {Promise<void>}
+ */
+const handleCancelSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    if (params.length < 1) {
+      await bot.sendMessage(chatId, `Usage: /cancelsignal <signal_id> [reason]`);
+      return;
+    }
+    
+    await cancelSignal(chatId, telegramId, params[0], params.slice(1).join(' '));
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleCancelSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle the Cancel button on the admin signal list (admin only)
+ * The first tap asks for confirmation, as the notice goes out to members straight away.
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} signalId - Signal ID
+ * @param {boolean} confirmed - Whether the admin has confirmed the cancellation
+ * @returns {Promise<void>}
+ */
+const handleCancelSignalButton = async (callbackQuery, signalId, confirmed) => {
+  const chatId = callbackQuery.message.chat.id;
+  const telegramId = callbackQuery.from.id.toString();
+  
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id);
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    if (!confirmed) {
+      await bot.sendMessage(
+        chatId,
+        `Cancel signal ${signalId}?\n\n` +
+        `Members it was sent to will be told it is cancelled and its auto-trades will be settled. ` +
+        `To include a reason, use /cancelsignal ${signalId} <reason> instead.`,
+        createInlineKeyboard([[
+          { text: '🚫 Yes, cancel it', callback_data: `cancel_signal_confirm:${signalId}` },
+          { text: '🔙 Back to Signals', callback_data: 'admin_signals' }
+        ]])
+      );
+      return;
+    }
+    
+    await cancelSignal(chatId, telegramId, signalId);
+  } catch (error) {
+    logError(telegramId, 'handleCancelSignalButton', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      chatId,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle scheduled signals command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+const handleScheduledSignals = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    const signals = await tradingService.getScheduledSignals();
+    
+    if (signals.length === 0) {
+      await bot.sendMessage(chatId, `There are no scheduled signals.`);
+      return;
+    }
+    
+    let message = `Scheduled Signals (${signals.length})\n\n`;
+    
+    for (const signal of signals) {
+      message += `ID: ${signal.signal_id}\n` +
+        `${signal.asset} ${signal.trade_type.toUpperCase()} @ ${signal.entry_price}\n` +
+        `Tier: ${signal.tier}\n` +
+        `Publish At: ${formatPublishTime(signal.publish_at)}\n\n`;
+    }
+    
+    message += `Use /reschedule <signal_id> <time> or /unschedule <signal_id> to change them.`;
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleScheduledSignals', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle reschedule signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handleRescheduleSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    // Check parameters
+    if (!params || params.length < 2) {
+      await bot.sendMessage(
+        chatId,
+        `Invalid parameters. Usage: /reschedule <signal_id> <HH:MM|YYYY-MM-DDTHH:MM>`
+      );
+      return;
+    }
+    
+    const publishAt = tradingService.parsePublishTime(params[1]);
+    const signal = await tradingService.rescheduleSignal(params[0], publishAt, telegramId);
+    
+    await bot.sendMessage(
+      chatId,
+      `Signal ${signal.signal_id} rescheduled for ${formatPublishTime(signal.publish_at)}.`
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleRescheduleSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle cancel scheduled signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handleUnscheduleSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    // Check parameters
+    if (!params || params.length < 1) {
+      await bot.sendMessage(
+        chatId,
+        `Invalid parameters. Usage: /unschedule <signal_id>`
+      );
+      return;
+    }
+    
+    const signal = await tradingService.cancelScheduledSignal(params[0], telegramId);
+    
+    await bot.sendMessage(
+      chatId,
+      `Scheduled signal ${signal.signal_id} cancelled. It will not be published.`
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleUnscheduleSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle backtest command (admin only): replay past signals or a rule against OHLC candles
+ * and send the report as a document
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Command parameters
+ * @returns {Promise<void>}
+ */
+const handleBacktest = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    const { from, to, ...definition } = backtestService.parseBacktestCommand(params);
+    const candleSource = backtestService.loadCandles(definition.asset);
+    
+    if (definition.mode === 'signals') {
+      definition.signals = await backtestService.getSignalTrades(definition.asset, from, to);
+      
+      if (definition.signals.length === 0) {
+        await bot.sendMessage(chatId, `There are no ${definition.asset} signals to replay.`);
+        return;
+      }
+    }
+    
+    const result = backtestService.runBacktest(definition, candleSource.candles);
+    
+    logAdminAction(telegramId, 'backtest', { 
+      asset: definition.asset,
+      mode: definition.mode,
+      trades: result.stats.total_trades
+    });
+    
+    await bot.sendMessage(chatId, backtestService.formatBacktestSummary(definition, result), { parse_mode: 'Markdown' });
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(backtestService.buildReport(definition, candleSource, result)),
+      { caption: `Replay offline with: node backtest.js <report.json> ${candleSource.file}` },
+      { filename: `backtest-${definition.asset}-${new Date().toISOString().slice(0, 10)}.json`, contentType: 'application/json' }
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleBacktest', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle export signals command (admin only): send signals for a date range as CSV or JSON documents
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - [csv|json] [from=YYYY-MM-DD] [to=YYYY-MM-DD] [asset=] [status=] [page=]
+ * @returns {Promise<void>}
+ */
+const handleExportSignals = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    const options = exportService.parseExportOptions(params, exportService.SIGNAL_STATUSES);
+    const exportJob = await exportService.exportSignals(options);
+    
+    logAdminAction(telegramId, 'export_signals', { 
+      params,
+      records: exportJob.total
+    });
+    
+    if (exportJob.total === 0) {
+      await bot.sendMessage(chatId, `There are no signals to export for that filter.`);
+      return;
+    }
+    
+    await sendExportDocuments(chatId, exportJob);
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleExportSignals', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle pending signals command (admin only): list signals waiting for a second admin's approval
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+const handlePendingSignals = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    const signals = await tradingService.getPendingApprovalSignals();
+    
+    if (signals.length === 0) {
+      await bot.sendMessage(chatId, `There are no signals waiting for approval.`);
+      return;
+    }
+    
+    let message = `Signals Awaiting Approval (${signals.length})\n\n`;
+    
+    for (const signal of signals) {
+      message += `ID: ${signal.signal_id}\n` +
+        `${signal.asset} ${signal.trade_type.toUpperCase()} @ ${signal.entry_price}\n` +
+        `Tier: ${signal.tier}\n` +
+        `Submitted By: ${signal.created_by || 'signal alert'}\n` +
+        (signal.publish_at ? `Publish At: ${formatPublishTime(signal.publish_at)}\n` : '') +
+        `\n`;
+    }
+    
+    message += `Use /approvesignal <signal_id> or /rejectsignal <signal_id> [reason] to review them.`;
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handlePendingSignals', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Approve or reject a signal waiting for approval and report back to the reviewing admin
+ * @param {number} chatId - Chat ID
+ * @param {string} telegramId - Reviewing admin's Telegram ID
+ * @param {string} signalId - Signal ID
+ * @param {string} decision - approve or reject
+ * @param {string} reason - Reason for a rejection
+ * @returns {Promise<void>}
+ */
+const reviewSignal = async (chatId, telegramId, signalId, decision, reason = '') => {
+  if (decision === 'approve') {
+    const signal = await tradingService.approveSignal(signalId, telegramId);
+    
+    await bot.sendMessage(
+      chatId,
+      signal.status === 'SCHEDULED' ?
+        `✅ Signal ${signalId} approved and scheduled for ${formatPublishTime(signal.publish_at)}.` :
+        `✅ Signal ${signalId} approved and published.`
+    );
+    return;
+  }
+  
+  await tradingService.rejectSignal(signalId, telegramId, reason);
+  
+  await bot.sendMessage(chatId, `❌ Signal ${signalId} rejected. It will not be sent.`);
+};
+
+/**
+ * Handle approve signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Signal ID
+ * @returns {Promise<void>}
+ */
+const handleApproveSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    if (params.length !== 1) {
+      await bot.sendMessage(chatId, `Usage: /approvesignal <signal_id>`);
+      return;
+    }
+    
+    await reviewSignal(chatId, telegramId, params[0], 'approve');
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleApproveSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle reject signal command (admin only)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Signal ID followed by an optional reason
+ * @returns {Promise<void>}
+ */
+const handleRejectSignal = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    if (params.length < 1) {
+      await bot.sendMessage(chatId, `Usage: /rejectsignal <signal_id> [reason]`);
+      return;
+    }
+    
+    await reviewSignal(chatId, telegramId, params[0], 'reject', params.slice(1).join(' '));
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleRejectSignal', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle Approve or Reject on a signal waiting for approval (admin only)
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} signalId - Signal ID
+ * @param {string} decision - approve or reject
+ * @returns {Promise<void>}
+ */
+const handleSignalReview = async (callbackQuery, signalId, decision) => {
+  const chatId = callbackQuery.message.chat.id;
+  const telegramId = callbackQuery.from.id.toString();
+  
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id);
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    await reviewSignal(chatId, telegramId, signalId, decision);
+  } catch (error) {
+    logError(telegramId, 'handleSignalReview', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      chatId,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle approvals command (admin only): show who submitted, approved or rejected a signal
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Signal ID
+ * @returns {Promise<void>}
+ */
+const handleSignalApprovals = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    if (params.length !== 1) {
+      await bot.sendMessage(chatId, `Usage: /approvals <signal_id>`);
+      return;
+    }
+    
+    const approvals = await tradingService.getSignalApprovalTrail(params[0]);
+    
+    await bot.sendMessage(
+      chatId,
+      approvals.length > 0 ?
+        `Approval Trail: ${params[0]}\n\n${tradingService.formatApprovalTrail(approvals)}` :
+        `Signal ${params[0]} has no approval trail.`
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleSignalApprovals', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle Approve or Reject on a queued signal alert (admin only)
+ * @param {Object} callbackQuery - Telegram callback query
+ * @param {string} alertId - Signal alert ID
+ * @param {string} decision - approve or reject
+ * @returns {Promise<void>}
+ */
+const handleSignalAlertReview = async (callbackQuery, alertId, decision) => {
+  const chatId = callbackQuery.message.chat.id;
+  const telegramId = callbackQuery.from.id.toString();
+  
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id);
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    if (decision === 'approve') {
+      const { signal } = await signalIngestService.approveAlert(parseInt(alertId, 10), telegramId);
+      
+      await bot.sendMessage(
+        chatId,
+        signal.status === 'PENDING_APPROVAL' ?
+          `✅ Alert #${alertId} approved as signal ${signal.signal_id}, which now needs a second admin's approval.` :
+          `✅ Alert #${alertId} approved and published as signal ${signal.signal_id}.`
+      );
+    } else {
+      await signalIngestService.rejectAlert(parseInt(alertId, 10), telegramId);
+      
+      await bot.sendMessage(chatId, `❌ Alert #${alertId} rejected.`);
+    }
+  } catch (error) {
+    logError(telegramId, 'handleSignalAlertReview', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      chatId,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle blackout command (admin only): list, add or remove news blackout windows
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Nothing to list, add <start> <end> <symbols> <severity> [title] or remove <id>
+ * @returns {Promise<void>}
+ */
+const handleBlackout = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    const action = (params[0] || 'list').toLowerCase();
+    
+    if (action === 'add') {
+      const blackout = await blackoutService.addBlackout(blackoutService.parseBlackoutCommand(params.slice(1)), telegramId);
+      
+      await bot.sendMessage(chatId, `✅ Blackout #${blackout.id} added.\n\n${blackoutService.formatBlackout(blackout)}`);
+      return;
+    }
+    
+    if (action === 'remove') {
+      if (params.length !== 2) {
+        await bot.sendMessage(chatId, `Usage: /blackout remove <id>`);
+        return;
+      }
+      
+      await blackoutService.removeBlackout(parseInt(params[1], 10), telegramId);
+      
+      await bot.sendMessage(chatId, `🗑 Blackout #${params[1]} removed.`);
+      return;
+    }
+    
+    const blackouts = await blackoutService.getUpcomingBlackouts();
+    let message = `News Blackouts (${blackouts.length})\n\n`;
+    
+    for (const blackout of blackouts) {
+      message += `#${blackout.id} ${blackoutService.formatBlackout(blackout)}\n`;
+    }
+    
+    message += (blackouts.length === 0 ? `No blackouts scheduled.\n` : '') +
+      `\nAdd one with /blackout add <start> <end|30m> <USD,EUR|XAUUSD> <low|medium|high> [title], ` +
+      `remove one with /blackout remove <id>, or send a CSV with start,end,symbols,severity,title columns ` +
+      `captioned /blackout. Times are in UTC.`;
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleBlackout', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle a blackout calendar CSV sent with a /blackout caption (admin only)
+ * @param {Object} msg - Telegram message object with the document
+ * @returns {Promise<void>}
+ */
+const handleBlackoutUpload = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    if (msg.document.file_size > MAX_BLACKOUT_CSV_BYTES) {
+      await bot.sendMessage(chatId, `The blackout CSV must be smaller than ${MAX_BLACKOUT_CSV_BYTES / 1024} KB.`);
+      return;
+    }
+    
+    const file = await bot.getFile(msg.document.file_id);
+    const content = (await downloadFileFromTelegram(bot, file.file_path)).toString('utf8');
+    const { created, errors } = await blackoutService.importBlackoutCsv(content, telegramId);
+    
+    await bot.sendMessage(
+      chatId,
+      `✅ Imported ${created.length} blackout${created.length === 1 ? '' : 's'}.` +
+      (errors.length > 0 ?
+        `\n\nSkipped ${errors.length} row${errors.length === 1 ? '' : 's'}:\n` +
+          errors.slice(0, 10).map(error => `Line ${error.line}: ${error.message}`).join('\n') :
+        '')
+    );
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleBlackoutUpload', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Handle provider command (admin only): list signal providers or manage their profiles
+ * @param {Object} msg - Telegram message object
+ * @param {Array} params - Nothing to list, or add|name|bio|link|retire|restore <handle> [value]
+ * @returns {Promise<void>}
+ */
+const handleProvider = async (msg, params) => {
+  try {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id.toString();
+    
+    // Check if user is admin
+    if (!isAdmin(telegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `Unauthorized. This command is for administrators only.`
+      );
+      return;
+    }
+    
+    const action = (params[0] || 'list').toLowerCase();
+    const handle = params[1];
+    const value = params.slice(2).join(' ');
+    
+    if (action !== 'list') {
+      const changes = {
+        name: { name: value },
+        bio: { bio: value },
+        link: { telegram_id: ['none', ''].includes(value.toLowerCase()) ? null : value },
+        retire: { active: false },
+        restore: { active: true }
+      }[action];
+      
+      // An empty bio clears it, everything else needs a value
+      const needsValue = ['add', 'name', 'link'].includes(action);
+      
+      if (!handle || (action !== 'add' && !changes) || (needsValue && !value)) {
+        await bot.sendMessage(
+          chatId,
+          `Usage: /provider add <handle> <name>, /provider name|bio <handle> <text>, ` +
+          `/provider link <handle> <admin telegram id|none>, /provider retire|restore <handle>`
+        );
+        return;
+      }
+      
+      const provider = action === 'add' ?
+        await providerService.createProvider({ handle, name: value }, telegramId) :
+        await providerService.updateProvider(handle, changes, telegramId);
+      
+      await bot.sendMessage(
+        chatId,
+        `✅ Provider ${provider.handle} ${action === 'add' ? 'added' : 'updated'}.\n\n` +
+        `${provider.name}${provider.active ? '' : ' (retired)'}\n` +
+        (provider.bio ? `${provider.bio}\n` : '') +
+        `Linked admin: ${provider.telegram_id || 'none'}` +
+        (action === 'add' ? `\n\nUsers receive its signals once they follow it with /providers.` : '')
+      );
+      return;
+    }
+    
+    const [providers, stats, reactions] = await Promise.all([
+      providerService.getProviders(false),
+      providerService.getProviderStats(),
+      reactionService.getProviderReactionTallies()
+    ]);
+    let message = `Signal Providers (${providers.length})\n\n`;
+    
+    for (const provider of providers) {
+      const followers = await providerService.countFollowers(provider.id);
+      
+      message += `${provider.name} (${provider.handle})${provider.active ? '' : ' - retired'}\n` +
+        `Linked admin: ${provider.telegram_id || 'none'}, followers: ${followers}\n` +
+        `Track record: ${providerService.formatTrackRecord(stats.find(item => item.provider_id === provider.id))}\n` +
+        `Member feedback: ${reactionService.formatReactionTally(reactions.get(provider.id))}\n\n`;
+    }
+    
+    message += (providers.length === 0 ? `No providers yet.\n\n` : '') +
+      `Signals from an admin linked to a provider, or sent with by=<handle>, only go to the provider's followers. ` +
+      `Manage providers with /provider add|name|bio|link|retire|restore <handle> [value].`;
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    logError(msg.from.id.toString(), 'handleProvider', error);
+    
+    // Send error message
+    await bot.sendMessage(
+      msg.chat.id,
+      `Error: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Format a publish time for admins, in UTC like the times they enter
+ * @param {Date} date - Publish time
+ * @returns {string} - Formatted time
+ */
+const formatPublishTime = (date) => {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+/**
+ * Split the text after a command into whitespace-separated parameters
+ * @param {Array} match - Result of the command regex
+ * @returns {Array<string>} - Command parameters
+ */
+const parseCommandParams = (match) => {
+  return match && match[1] ? match[1].trim().split(/\s+/) : [];
+};
+
+// Store user states for multi-step processes
+const userStates = new Map();
+
+// Register auto-trade commands
+bot.onText(/^\/guardrails(?:\s+([\s\S]+))?$/, (msg, match) => handleGuardrails(msg, parseCommandParams(match)));
+bot.onText(/^\/sizing(?:\s+([\s\S]+))?$/, (msg, match) => handleSizing(msg, parseCommandParams(match)));
+bot.onText(/^\/positionsize(?:\s+([\s\S]+))?$/, (msg, match) => handlePositionSize(msg, parseCommandParams(match)));
+bot.onText(/^\/portfolio(?:\s+([\s\S]+))?$/, (msg, match) => handlePortfolio(msg, parseCommandParams(match)));
+bot.onText(/^\/exporthistory(?:\s+([\s\S]+))?$/, (msg, match) => handleExportHistory(msg, parseCommandParams(match)));
+
+// Register admin signal commands
+bot.onText(/^\/signal(?:\s+([\s\S]+))?$/, (msg, match) => handleCreateSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/close(?:\s+([\s\S]+))?$/, (msg, match) => handleCloseSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/amend(?:\s+([\s\S]+))?$/, (msg, match) => handleAmendSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/retract(?:\s+([\s\S]+))?$/, (msg, match) => handleRetractSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/cancelsignal(?:\s+([\s\S]+))?$/, (msg, match) => handleCancelSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/scheduled$/, handleScheduledSignals);
+bot.onText(/^\/reschedule(?:\s+([\s\S]+))?$/, (msg, match) => handleRescheduleSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/unschedule(?:\s+([\s\S]+))?$/, (msg, match) => handleUnscheduleSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/backtest(?:\s+([\s\S]+))?$/, (msg, match) => handleBacktest(msg, parseCommandParams(match)));
+bot.onText(/^\/exportsignals(?:\s+([\s\S]+))?$/, (msg, match) => handleExportSignals(msg, parseCommandParams(match)));
+bot.onText(/^\/pendingsignals$/, handlePendingSignals);
+bot.onText(/^\/approvesignal(?:\s+([\s\S]+))?$/, (msg, match) => handleApproveSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/rejectsignal(?:\s+([\s\S]+))?$/, (msg, match) => handleRejectSignal(msg, parseCommandParams(match)));
+bot.onText(/^\/approvals(?:\s+([\s\S]+))?$/, (msg, match) => handleSignalApprovals(msg, parseCommandParams(match)));
+bot.onText(/^\/blackout(?:\s+([\s\S]+))?$/, (msg, match) => handleBlackout(msg, parseCommandParams(match)));
+bot.onText(/^\/provider(?:\s+([\s\S]+))?$/, (msg, match) => handleProvider(msg, parseCommandParams(match)));
+
+bot.on('callback_query', async (callbackQuery) => {
+  const data = callbackQuery.data;
+  
+  if (data === 'trading_history') {
+    await handleTradingHistory(callbackQuery);
+  } else if (data.startsWith('signal_approve:') || data.startsWith('signal_reject:')) {
+    const [action, signalId] = data.split(':');
+    await handleSignalReview(callbackQuery, signalId, action.replace('signal_', ''));
+  } else if (data.startsWith('alert_approve:') || data.startsWith('alert_reject:')) {
+    const [action, alertId] = data.split(':');
+    await handleSignalAlertReview(callbackQuery, alertId, action.replace('alert_', ''));
+  } else if (data.startsWith('cancel_signal:') || data.startsWith('cancel_signal_confirm:')) {
+    const [action, signalId] = data.split(':');
+    await handleCancelSignalButton(callbackQuery, signalId, action === 'cancel_signal_confirm');
+  } else if (data === 'export_history') {
+    await handleExportHistoryMenu(callbackQuery);
+  } else if (data.startsWith('export_history:')) {
+    const [, format, period] = data.split(':');
+    await handleExportHistoryPeriod(callbackQuery, format, period);
+  } else if (data.startsWith('took_trade:')) {
+    await handleTookTrade(callbackQuery, data.replace('took_trade:', ''));
+  } else if (data.startsWith('signal_react:')) {
+    const [, signalId, choice] = data.split(':');
+    await handleSignalReaction(callbackQuery, signalId, choice);
+  } else if (data.startsWith('journal_close:')) {
+    const [, tradeId, choice] = data.split(':');
+    await handleJournalClose(callbackQuery, tradeId, choice);
+  }
+});
+
+bot.on('message', async (msg) => {
+  if (msg.text && !msg.text.startsWith('/')) {
+    await processJournalInput(msg);
+  }
+});
+
+// Captions don't trigger commands, so blackout calendar uploads are picked out here
+bot.on('document', async (msg) => {
+  if (/^\/blackout\b/.test(msg.caption || '')) {
+    await handleBlackoutUpload(msg);
+  }
+});
 
 module.exports = {
   handleTradingSignals,
@@ -636,7 +2283,34 @@ module.exports = {
   handleDisableAutoTrade,
   processAutoTradeAmount,
   processAutoTradeRisk,
+  handleGuardrails,
+  handleSizing,
+  handlePositionSize,
+  handlePortfolio,
+  handleExportHistory,
+  handleTookTrade,
+  handleSignalReaction,
+  handleJournalClose,
+  processJournalInput,
   handleCreateSignal,
   handleCloseSignal,
+  handleAmendSignal,
+  handleRetractSignal,
+  handleCancelSignal,
+  handleCancelSignalButton,
+  handleScheduledSignals,
+  handleRescheduleSignal,
+  handleUnscheduleSignal,
+  handleBacktest,
+  handleExportSignals,
+  handleSignalAlertReview,
+  handlePendingSignals,
+  handleApproveSignal,
+  handleRejectSignal,
+  handleSignalReview,
+  handleSignalApprovals,
+  handleBlackout,
+  handleBlackoutUpload,
+  handleProvider,
   userStates
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+/**
+ * Database configuration for sequelize-cli migrations
+ * Mirrors the connection settings in src/config/database.js
+ */
+const baseConfig = {
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME,
+  username: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  dialect: 'postgres'
+};
+
+module.exports = {
+  development: baseConfig,
+  test: baseConfig,
+  production: {
+    ...baseConfig,
+    dialectOptions: {
+      ssl: {
+        require: true,
+        rejectUnauthorized: false
+      }
+    }
+  }
+};
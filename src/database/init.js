@@ -1,5 +1,5 @@
 const { sequelize } = require('../config/database');
-const { User, Verification, FollowUp, Trading } = require('../models');
+const { User, Verification, FollowUp, Signal, Trading, SignalDelivery } = require('../models');
 
 /**
  * Initialize database by syncing all models
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Move system signals out of trading_history into a dedicated signals table.
+ * Signals were previously stored as trading_history rows with user_id = NULL.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    // The table may already exist if sequelize.sync() ran before this migration
+    if (!tables.includes('signals')) {
+      await queryInterface.createTable('signals', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        signal_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          unique: true
+        },
+        trade_type: {
+          type: Sequelize.ENUM('BUY', 'SELL'),
+          allowNull: false
+        },
+        asset: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        entry_price: {
+          type: Sequelize.FLOAT,
+          allowNull: false
+        },
+        exit_price: {
+          type: Sequelize.FLOAT,
+          allowNull: true
+        },
+        risk_percentage: {
+          type: Sequelize.FLOAT,
+          allowNull: false,
+          defaultValue: 1
+        },
+        profit_loss: {
+          type: Sequelize.FLOAT,
+          allowNull: true
+        },
+        tier: {
+          type: Sequelize.ENUM('basic', 'premium', 'vip'),
+          allowNull: false,
+          defaultValue: 'premium'
+        },
+        status: {
+          type: Sequelize.ENUM('ACTIVE', 'CLOSED', 'CANCELLED'),
+          allowNull: false,
+          defaultValue: 'ACTIVE'
+        },
+        created_by: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        entry_time: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn('NOW')
+        },
+        exit_time: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+    }
+    
+    // Copy existing system signals, normalising the legacy lowercase status values
+    await queryInterface.sequelize.query(`
+      INSERT INTO signals (
+        signal_id, trade_type, asset, entry_price, exit_price, risk_percentage,
+        profit_loss, tier, status, entry_time, exit_time, notes, created_at, updated_at
+      )
+      SELECT
+        signal_id,
+        UPPER(trade_type::text)::"enum_signals_trade_type",
+        asset,
+        entry_price,
+        exit_price,
+        risk_percentage,
+        profit_loss,
+        tier::text::"enum_signals_tier",
+        (CASE UPPER(status::text)
+          WHEN 'ACTIVE' THEN 'ACTIVE'
+          WHEN 'OPEN' THEN 'ACTIVE'
+          WHEN 'CLOSED' THEN 'CLOSED'
+          ELSE 'CANCELLED'
+        END)::"enum_signals_status",
+        entry_time,
+        exit_time,
+        notes,
+        created_at,
+        updated_at
+      FROM trading_history
+      WHERE user_id IS NULL AND signal_id IS NOT NULL
+      ON CONFLICT (signal_id) DO NOTHING
+    `);
+    
+    await queryInterface.sequelize.query(
+      'DELETE FROM trading_history WHERE user_id IS NULL'
+    );
+    
+    await queryInterface.addIndex('trading_history', ['signal_id'], {
+      name: 'trading_history_signal_id'
+    });
+  },
+  
+  // Migrated signal rows are not copied back: trading_history.user_id is NOT NULL
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('trading_history', 'trading_history_signal_id');
+    await queryInterface.dropTable('signals');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signals_trade_type"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signals_tier"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signals_status"');
+  }
+};
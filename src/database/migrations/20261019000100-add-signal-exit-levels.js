@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Add stop-loss, take-profit targets and partial close tracking to signals.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = await queryInterface.describeTable('signals');
+    
+    const newColumns = {
+      stop_loss: { type: Sequelize.FLOAT, allowNull: true },
+      take_profit_1: { type: Sequelize.FLOAT, allowNull: true },
+      take_profit_2: { type: Sequelize.FLOAT, allowNull: true },
+      take_profit_3: { type: Sequelize.FLOAT, allowNull: true },
+      remaining_percentage: { type: Sequelize.FLOAT, allowNull: false, defaultValue: 100 },
+      partial_closes: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] }
+    };
+    
+    for (const [name, definition] of Object.entries(newColumns)) {
+      if (!columns[name]) {
+        await queryInterface.addColumn('signals', name, definition);
+      }
+    }
+    
+    // Signals closed before this migration have no open remainder
+    await queryInterface.sequelize.query(
+      "UPDATE signals SET remaining_percentage = 0 WHERE status <> 'ACTIVE'"
+    );
+  },
+  
+  down: async (queryInterface) => {
+    for (const name of ['stop_loss', 'take_profit_1', 'take_profit_2', 'take_profit_3', 'remaining_percentage', 'partial_closes']) {
+      await queryInterface.removeColumn('signals', name);
+    }
+  }
+};
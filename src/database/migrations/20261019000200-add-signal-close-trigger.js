@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Record which level (manual, stop_loss, take_profit_N) closed a signal.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = await queryInterface.describeTable('signals');
+    
+    if (!columns.close_trigger) {
+      await queryInterface.addColumn('signals', 'close_trigger', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('signals', 'close_trigger');
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Add the EXPIRED signal status and a per-signal expiry time.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_signals_status" ADD VALUE IF NOT EXISTS 'EXPIRED'`
+    );
+    
+    const columns = await queryInterface.describeTable('signals');
+    
+    if (!columns.expires_at) {
+      await queryInterface.addColumn('signals', 'expires_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+  },
+  
+  // Postgres cannot drop a value from an enum type, so EXPIRED is left in place
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('signals', 'expires_at');
+  }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Record every per-recipient delivery of a signal so it can be edited or retracted later.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    if (tables.includes('signal_deliveries')) {
+      return;
+    }
+    
+    await queryInterface.createTable('signal_deliveries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      signal_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      chat_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      message_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('SENT', 'FAILED', 'EDITED', 'DELETED'),
+        allowNull: false,
+        defaultValue: 'SENT'
+      },
+      error_code: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    
+    await queryInterface.addIndex('signal_deliveries', ['signal_id']);
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('signal_deliveries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signal_deliveries_status"');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Add per-user signal filters (assets, direction, risk and active hours).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = await queryInterface.describeTable('users');
+    
+    if (!columns.signal_filters) {
+      await queryInterface.addColumn('users', 'signal_filters', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('users', 'signal_filters');
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Add the SCHEDULED signal status and the time a scheduled signal is published.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_signals_status" ADD VALUE IF NOT EXISTS 'SCHEDULED'`
+    );
+    
+    const columns = await queryInterface.describeTable('signals');
+    
+    if (!columns.publish_at) {
+      await queryInterface.addColumn('signals', 'publish_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+  },
+  
+  // Postgres cannot drop a value from an enum type, so SCHEDULED is left in place
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('signals', 'publish_at');
+  }
+};
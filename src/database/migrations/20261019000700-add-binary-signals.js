@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Add binary-options signals: an expiry duration and payout, resolving to WIN, LOSS or DRAW.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const signalColumns = await queryInterface.describeTable('signals');
+    
+    if (!signalColumns.signal_type) {
+      await queryInterface.addColumn('signals', 'signal_type', {
+        type: Sequelize.ENUM('STANDARD', 'BINARY'),
+        allowNull: false,
+        defaultValue: 'STANDARD'
+      });
+    }
+    
+    if (!signalColumns.expiry_minutes) {
+      await queryInterface.addColumn('signals', 'expiry_minutes', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+    
+    if (!signalColumns.payout_percentage) {
+      await queryInterface.addColumn('signals', 'payout_percentage', {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      });
+    }
+    
+    if (!signalColumns.outcome) {
+      await queryInterface.addColumn('signals', 'outcome', {
+        type: Sequelize.ENUM('WIN', 'LOSS', 'DRAW'),
+        allowNull: true
+      });
+    }
+    
+    const tradingColumns = await queryInterface.describeTable('trading_history');
+    
+    if (!tradingColumns.outcome) {
+      await queryInterface.addColumn('trading_history', 'outcome', {
+        type: Sequelize.ENUM('WIN', 'LOSS', 'DRAW'),
+        allowNull: true
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('trading_history', 'outcome');
+    await queryInterface.removeColumn('signals', 'outcome');
+    await queryInterface.removeColumn('signals', 'payout_percentage');
+    await queryInterface.removeColumn('signals', 'expiry_minutes');
+    await queryInterface.removeColumn('signals', 'signal_type');
+    
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_trading_history_outcome"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signals_outcome"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signals_signal_type"');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Record which broker executed an auto-trade and the broker's order ID.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = await queryInterface.describeTable('trading_history');
+    
+    if (!columns.broker) {
+      await queryInterface.addColumn('trading_history', 'broker', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+    }
+    
+    if (!columns.broker_order_id) {
+      await queryInterface.addColumn('trading_history', 'broker_order_id', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('trading_history', 'broker_order_id');
+    await queryInterface.removeColumn('trading_history', 'broker');
+  }
+};
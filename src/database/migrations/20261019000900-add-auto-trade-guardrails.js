@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Add per-user auto-trade guardrails and the time a loss limit pauses auto-trading until.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = await queryInterface.describeTable('users');
+    
+    if (!columns.auto_trade_guardrails) {
+      await queryInterface.addColumn('users', 'auto_trade_guardrails', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      });
+    }
+    
+    if (!columns.auto_trade_paused_until) {
+      await queryInterface.addColumn('users', 'auto_trade_paused_until', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('users', 'auto_trade_paused_until');
+    await queryInterface.removeColumn('users', 'auto_trade_guardrails');
+  }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Add position sizing settings: a fixed amount per trade, a share of the balance, or a risk percentage.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = await queryInterface.describeTable('users');
+    
+    if (!columns.auto_trade_amount) {
+      await queryInterface.addColumn('users', 'auto_trade_amount', {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      });
+    }
+    
+    if (!columns.position_sizing_mode) {
+      await queryInterface.addColumn('users', 'position_sizing_mode', {
+        type: Sequelize.ENUM('fixed', 'balance', 'risk'),
+        allowNull: false,
+        defaultValue: 'fixed'
+      });
+    }
+    
+    if (!columns.position_size_percentage) {
+      await queryInterface.addColumn('users', 'position_size_percentage', {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('users', 'position_size_percentage');
+    await queryInterface.removeColumn('users', 'position_sizing_mode');
+    await queryInterface.removeColumn('users', 'auto_trade_amount');
+    
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_position_sizing_mode"');
+  }
+};
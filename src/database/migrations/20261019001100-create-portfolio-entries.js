@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Keep a ledger of each user's virtual balance: their deposit, realised P/L of closed trades and manual adjustments.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    if (tables.includes('portfolio_entries')) {
+      return;
+    }
+    
+    await queryInterface.createTable('portfolio_entries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      type: {
+        type: Sequelize.ENUM('DEPOSIT', 'REALISED_PL', 'ADJUSTMENT'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      trade_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    
+    await queryInterface.addIndex('portfolio_entries', ['user_id', 'occurred_at']);
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('portfolio_entries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_portfolio_entries_type"');
+  }
+};
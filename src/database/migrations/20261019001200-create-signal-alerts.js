@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Record alerts posted to /signals/ingest, to drop duplicates and queue alerts for admin approval.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    if (tables.includes('signal_alerts')) {
+      return;
+    }
+    
+    await queryInterface.createTable('signal_alerts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      source: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      dedup_key: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('PENDING', 'PUBLISHED', 'REJECTED'),
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      signal_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    
+    await queryInterface.addIndex('signal_alerts', ['source', 'dedup_key'], { unique: true });
+    await queryInterface.addIndex('signal_alerts', ['status']);
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('signal_alerts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signal_alerts_status"');
+  }
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Add the PENDING_APPROVAL signal status and the trail of who submitted, approved or rejected each signal.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_signals_status" ADD VALUE IF NOT EXISTS 'PENDING_APPROVAL'`
+    );
+    
+    const tables = await queryInterface.showAllTables();
+    
+    if (tables.includes('signal_approvals')) {
+      return;
+    }
+    
+    await queryInterface.createTable('signal_approvals', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      signal_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      admin_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.ENUM('SUBMITTED', 'APPROVED', 'REJECTED'),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    
+    await queryInterface.addIndex('signal_approvals', ['signal_id']);
+  },
+  
+  // Postgres cannot drop a value from an enum type, so PENDING_APPROVAL is left in place
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('signal_approvals');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signal_approvals_action"');
+  }
+};
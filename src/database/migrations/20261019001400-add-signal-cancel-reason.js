@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Record why an admin cancelled a signal.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = await queryInterface.describeTable('signals');
+    
+    if (!columns.cancel_reason) {
+      await queryInterface.addColumn('signals', 'cancel_reason', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('signals', 'cancel_reason');
+  }
+};
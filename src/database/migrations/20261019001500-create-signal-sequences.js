@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Number signal IDs from a per-day counter instead of a random suffix.
+ * Existing signals keep their IDs; signals.signal_id stays unique across both formats.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    if (tables.includes('signal_sequences')) {
+      return;
+    }
+    
+    await queryInterface.createTable('signal_sequences', {
+      day: {
+        type: Sequelize.STRING(6),
+        primaryKey: true
+      },
+      last_value: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('signal_sequences');
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Calendar of news windows during which auto-trading is paused on the affected assets.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    if (tables.includes('news_blackouts')) {
+      return;
+    }
+    
+    await queryInterface.createTable('news_blackouts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: ''
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ends_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      symbols: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      severity: {
+        type: Sequelize.ENUM('LOW', 'MEDIUM', 'HIGH'),
+        allowNull: false,
+        defaultValue: 'HIGH'
+      },
+      created_by: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    
+    await queryInterface.addIndex('news_blackouts', ['starts_at', 'ends_at']);
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('news_blackouts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_news_blackouts_severity"');
+  }
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Signal providers (analysts), the provider of each signal and the providers each user follows.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    if (!tables.includes('signal_providers')) {
+      await queryInterface.createTable('signal_providers', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        handle: {
+          type: Sequelize.STRING(32),
+          allowNull: false,
+          unique: true
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        bio: {
+          type: Sequelize.TEXT,
+          allowNull: false,
+          defaultValue: ''
+        },
+        telegram_id: {
+          type: Sequelize.STRING,
+          allowNull: true,
+          unique: true
+        },
+        active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_by: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+    }
+    
+    const signalColumns = await queryInterface.describeTable('signals');
+    
+    if (!signalColumns.provider_id) {
+      await queryInterface.addColumn('signals', 'provider_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+      await queryInterface.addIndex('signals', ['provider_id']);
+    }
+    
+    const userColumns = await queryInterface.describeTable('users');
+    
+    if (!userColumns.followed_providers) {
+      await queryInterface.addColumn('users', 'followed_providers', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      });
+    }
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('users', 'followed_providers');
+    await queryInterface.removeColumn('signals', 'provider_id');
+    await queryInterface.dropTable('signal_providers');
+  }
+};
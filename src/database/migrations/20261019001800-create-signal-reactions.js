@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Members' 👍 / 👎 / too late reactions to delivered signals, one per member and signal.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    
+    if (tables.includes('signal_reactions')) {
+      return;
+    }
+    
+    await queryInterface.createTable('signal_reactions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      signal_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      provider_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      reaction: {
+        type: Sequelize.ENUM('UP', 'DOWN', 'TOO_LATE'),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    
+    await queryInterface.addIndex('signal_reactions', ['signal_id', 'user_id'], { unique: true });
+    await queryInterface.addIndex('signal_reactions', ['provider_id']);
+  },
+  
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('signal_reactions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_signal_reactions_reaction"');
+  }
+};
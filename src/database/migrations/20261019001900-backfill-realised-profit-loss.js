@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Record the realised P/L of trades closed before the portfolio ledger existed, as
+ * portfolioService.recordRealisedProfitLoss does for trades closed since.
+ */
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`
+      INSERT INTO portfolio_entries (user_id, type, amount, trade_id, description, occurred_at, created_at, updated_at)
+      SELECT user_id, 'REALISED_PL', profit_loss, id,
+        trade_type || ' ' || asset || COALESCE(' (' || signal_id || ')', ''),
+        COALESCE(exit_time, updated_at), NOW(), NOW()
+      FROM trading_history
+      WHERE status = 'CLOSED' AND profit_loss IS NOT NULL
+      ON CONFLICT (trade_id) DO NOTHING
+    `);
+  },
+  
+  down: async () => {
+    // Backfilled entries can't be told apart from entries recorded as trades closed
+  }
+};
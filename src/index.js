@@ -3,6 +3,9 @@ const { bot } = require('./config/bot');
 const { initDatabase } = require('./database/init');
 const { initializeScheduledJobs } = require('./jobs');
 const { logger } = require('./utils/logger');
+const { config } = require('./config/appConfig');
+const { initQueueService, registerProcessor, TRADING_SIGNAL_QUEUE, SIGNAL_DELIVERY_QUEUE } = require('./services/queueService');
+const tradingService = require('./services/tradingService');
 
 // Load bot extensions
 require('./utils/botExtensions');
@@ -47,6 +50,29 @@ async function initializeBot() {
       logger.warn('Scheduled jobs initialization error - continuing without jobs:', jobsError.message);
     }
     
+    // Start the rate-limited signal delivery, scheduled publishing and binary resolution workers
+    try {
+      initQueueService();
+      registerProcessor(
+        SIGNAL_DELIVERY_QUEUE,
+        'process-signal',
+        tradingService.processSignalDeliveryJob,
+        config.trading.broadcast.concurrency
+      );
+      registerProcessor(
+        TRADING_SIGNAL_QUEUE,
+        'publish-signal',
+        (job) => tradingService.publishScheduledSignal(job.data.signal_id)
+      );
+      registerProcessor(
+        TRADING_SIGNAL_QUEUE,
+        'resolve-binary-signal',
+        tradingService.processBinaryResolutionJob
+      );
+    } catch (queueError) {
+      logger.warn('Signal delivery queue initialization error - signals will be delivered in-process:', queueError.message);
+    }
+    
     // Start the bot (only start polling if not using webhook)
     if (!useWebhook) {
       bot.startPolling();
@@ -3,6 +3,9 @@ const Redis = require('ioredis');
 const { logger, logError } = require('../utils/logger');
 const followUpService = require('../services/followUpService');
 const analyticsService = require('../services/analyticsService');
+const tradingService = require('../services/tradingService');
+const { getPriceFeed } = require('../services/priceFeeds');
+const { config } = require('../config/appConfig');
 
 // Parse Redis connection options
 let redisConfig;
@@ -109,6 +112,17 @@ const analyticsQueue = new Queue('analytics-queue', {
   }
 });
 
+const signalMonitorQueue = new Queue('signal-monitor-queue', { 
+  redis: { 
+    client: redisClient 
+  },
+  defaultJobOptions: {
+    attempts: 1,
+    removeOnComplete: true,
+    removeOnFail: false
+  }
+});
+
 // Process follow-up queue
 followUpQueue.process(async (job) => {
   try {
@@ -157,6 +171,32 @@ analyticsQueue.process(async (job) => {
   }
 });
 
+// Process signal monitor queue
+signalMonitorQueue.process(async (job) => {
+  try {
+    const { type } = job.data;
+    
+    if (type === 'check_signal_levels') {
+      const priceFeed = getPriceFeed();
+      
+      if (!priceFeed) {
+        return { success: true, closes: 0 };
+      }
+      
+      const closes = await tradingService.resolveSignalLevels(priceFeed);
+      return { success: true, closes };
+    } else if (type === 'expire_signals') {
+      const expired = await tradingService.expireSignals(getPriceFeed());
+      return { success: true, expired };
+    } else {
+      throw new Error(`Unknown signal monitor job type: ${type}`);
+    }
+  } catch (error) {
+    logError('system', 'signalMonitorQueue.process', error);
+    throw error;
+  }
+});
+
 // Handle queue events
 followUpQueue.on('completed', (job, result) => {
   logger.info(`Follow-up job ${job.id} completed`, { result });
@@ -174,6 +214,10 @@ analyticsQueue.on('failed', (job, error) => {
   logError('system', 'analyticsQueue.failed', error, { jobId: job.id, jobData: job.data });
 });
 
+signalMonitorQueue.on('failed', (job, error) => {
+  logError('system', 'signalMonitorQueue.failed', error, { jobId: job.id, jobData: job.data });
+});
+
 /**
  * Schedule a follow-up job
  * @param {number} followUpId - Follow-up ID
@@ -266,6 +310,61 @@ const scheduleAnalyticsReport = async (reportType) => {
   }
 };
 
+/**
+ * Schedule polling of the price feed for stop-loss and take-profit hits
+ * @param {number} intervalSeconds - Interval in seconds
+ * @returns {Promise<Object|null>} - Scheduled job, or null if no price feed is configured
+ */
+const scheduleSignalLevelCheckJob = async (intervalSeconds = config.trading.priceFeed.pollIntervalSeconds) => {
+  try {
+    if (!config.trading.priceFeed.provider) {
+      logger.info('No price feed configured - automatic TP/SL resolution is disabled');
+      return null;
+    }
+    
+    const job = await signalMonitorQueue.add(
+      { type: 'check_signal_levels', data: {} },
+      { 
+        repeat: { 
+          every: intervalSeconds * 1000 
+        }
+      }
+    );
+    
+    logger.info(`Scheduled signal level check job to run every ${intervalSeconds} seconds`);
+    
+    return job;
+  } catch (error) {
+    logError('system', 'scheduleSignalLevelCheckJob', error);
+    throw error;
+  }
+};
+
+/**
+ * Schedule expiry of signals past their validity window
+ * @param {number} intervalMinutes - Interval in minutes
+ * @returns {Promise<Object>} - Scheduled job
+ */
+const scheduleSignalExpiryJob = async (intervalMinutes = 5) => {
+  try {
+    const job = await signalMonitorQueue.add(
+      { type: 'expire_signals', data: {} },
+      { 
+        repeat: { 
+          every: intervalMinutes * 60 * 1000 
+        }
+      }
+    );
+    
+    logger.info(`Scheduled signal expiry job to run every ${intervalMinutes} minutes`);
+    
+    return job;
+  } catch (error) {
+    logError('system', 'scheduleSignalExpiryJob', error);
+    throw error;
+  }
+};
+
 /**
  * Initialize all scheduled jobs
  * @returns {Promise<boolean>} - True if jobs were initialized successfully
@@ -291,6 +390,8 @@ const initializeScheduledJobs = async () => {
       await analyticsQueue.removeRepeatable({ jobId: 'generate_daily_report' });
       await analyticsQueue.removeRepeatable({ jobId: 'generate_weekly_report' });
       await analyticsQueue.removeRepeatable({ jobId: 'generate_monthly_report' });
+      await signalMonitorQueue.removeRepeatable({ jobId: 'check_signal_levels' });
+      await signalMonitorQueue.removeRepeatable({ jobId: 'expire_signals' });
     } catch (clearError) {
       logger.warn('Error clearing existing jobs, continuing with initialization:', clearError.message);
     }
@@ -300,7 +401,9 @@ const initializeScheduledJobs = async () => {
       schedulePendingFollowUpsJob(15), // Check pending follow-ups every 15 minutes
       scheduleAnalyticsReport('daily'),
       scheduleAnalyticsReport('weekly'),
-      scheduleAnalyticsReport('monthly')
+      scheduleAnalyticsReport('monthly'),
+      scheduleSignalLevelCheckJob(),
+      scheduleSignalExpiryJob(5) // Expire stale signals every 5 minutes
     ]);
     
     // Check results
@@ -324,8 +427,11 @@ const initializeScheduledJobs = async () => {
 module.exports = {
   followUpQueue,
   analyticsQueue,
+  signalMonitorQueue,
   scheduleFollowUpJob,
   schedulePendingFollowUpsJob,
   scheduleAnalyticsReport,
+  scheduleSignalLevelCheckJob,
+  scheduleSignalExpiryJob,
   initializeScheduledJobs
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const NewsBlackout = sequelize.define('NewsBlackout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: ''
+  },
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ends_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  symbols: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [] // Currencies such as USD, covering every asset quoted in them, or assets such as XAUUSD
+  },
+  severity: {
+    type: DataTypes.ENUM('LOW', 'MEDIUM', 'HIGH'),
+    allowNull: false,
+    defaultValue: 'HIGH'
+  },
+  created_by: {
+    type: DataTypes.STRING,
+    allowNull: true // Admin's Telegram ID
+  }
+}, {
+  tableName: 'news_blackouts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['starts_at', 'ends_at'] }
+  ]
+});
+
+module.exports = NewsBlackout;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Trading = require('./Trading');
+
+const PortfolioEntry = sequelize.define('PortfolioEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('DEPOSIT', 'REALISED_PL', 'ADJUSTMENT'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.FLOAT,
+    allowNull: false // Signed balance movement in dollars
+  },
+  trade_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Closed trade of a REALISED_PL entry
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  occurred_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'portfolio_entries',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'occurred_at'] }
+  ]
+});
+
+// Define association
+PortfolioEntry.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(PortfolioEntry, { foreignKey: 'user_id' });
+PortfolioEntry.belongsTo(Trading, { foreignKey: 'trade_id', constraints: false });
+
+module.exports = PortfolioEntry;
@@ -0,0 +1,136 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Signal = sequelize.define('Signal', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  signal_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  signal_type: {
+    type: DataTypes.ENUM('STANDARD', 'BINARY'),
+    allowNull: false,
+    defaultValue: 'STANDARD'
+  },
+  trade_type: {
+    type: DataTypes.ENUM('BUY', 'SELL'),
+    allowNull: false
+  },
+  asset: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entry_price: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  stop_loss: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  take_profit_1: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  take_profit_2: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  take_profit_3: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  exit_price: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  risk_percentage: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 1
+  },
+  profit_loss: {
+    type: DataTypes.FLOAT,
+    allowNull: true // For binary signals, the return on the stake: the payout, -100 or 0
+  },
+  expiry_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Binary signals only
+  },
+  payout_percentage: {
+    type: DataTypes.FLOAT,
+    allowNull: true // Binary signals only, paid on the stake for a WIN
+  },
+  outcome: {
+    type: DataTypes.ENUM('WIN', 'LOSS', 'DRAW'),
+    allowNull: true // Set when a binary signal resolves
+  },
+  remaining_percentage: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 100 // Share of the position still open after partial closes
+  },
+  close_trigger: {
+    type: DataTypes.STRING,
+    allowNull: true // manual, stop_loss, take_profit_N, expiry, retracted or cancelled
+  },
+  cancel_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true // Reason given by the admin who cancelled the signal
+  },
+  partial_closes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [] // [{ target, trigger, exit_price, percentage, profit_loss, time }]
+  },
+  tier: {
+    type: DataTypes.ENUM('basic', 'premium', 'vip'),
+    allowNull: false,
+    defaultValue: 'premium'
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING_APPROVAL', 'SCHEDULED', 'ACTIVE', 'CLOSED', 'CANCELLED', 'EXPIRED'),
+    allowNull: false,
+    defaultValue: 'ACTIVE'
+  },
+  created_by: {
+    type: DataTypes.STRING,
+    allowNull: true // Admin's Telegram ID, null for signals migrated from trading_history
+  },
+  provider_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Signal provider, null for signals from the admins at large, which go to everyone
+  },
+  entry_time: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  publish_at: {
+    type: DataTypes.DATE,
+    allowNull: true // Set for signals created as SCHEDULED
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true // Falls back to entry_time + trading.signalValidityHours when null
+  },
+  exit_time: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'signals',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = Signal;
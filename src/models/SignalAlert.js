@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Signal = require('./Signal');
+
+const SignalAlert = sequelize.define('SignalAlert', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  source: {
+    type: DataTypes.STRING,
+    allowNull: false // Source named in the alert, e.g. tradingview
+  },
+  dedup_key: {
+    type: DataTypes.STRING,
+    allowNull: false // The alert's alert_id, or the SHA-256 of its body
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false // Signal data parsed from the alert
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'PUBLISHED', 'REJECTED'),
+    allowNull: false,
+    defaultValue: 'PENDING'
+  },
+  signal_id: {
+    type: DataTypes.STRING,
+    allowNull: true // Signal created from the alert once published
+  },
+  reviewed_by: {
+    type: DataTypes.STRING,
+    allowNull: true // Admin who approved or rejected a queued alert
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'signal_alerts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['source', 'dedup_key'] },
+    { fields: ['status'] }
+  ]
+});
+
+// Define association
+SignalAlert.belongsTo(Signal, { foreignKey: 'signal_id', targetKey: 'signal_id', constraints: false });
+
+module.exports = SignalAlert;
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Signal = require('./Signal');
+
+const SignalApproval = sequelize.define('SignalApproval', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  signal_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  admin_id: {
+    type: DataTypes.STRING,
+    allowNull: true // Admin's Telegram ID, null for signals submitted from an alert
+  },
+  action: {
+    type: DataTypes.ENUM('SUBMITTED', 'APPROVED', 'REJECTED'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'signal_approvals',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['signal_id'] }
+  ]
+});
+
+// Define association
+SignalApproval.belongsTo(Signal, { foreignKey: 'signal_id', targetKey: 'signal_id', constraints: false });
+Signal.hasMany(SignalApproval, { foreignKey: 'signal_id', sourceKey: 'signal_id', constraints: false });
+
+module.exports = SignalApproval;
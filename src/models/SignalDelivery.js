@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Signal = require('./Signal');
+
+const SignalDelivery = sequelize.define('SignalDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  signal_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  chat_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  message_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Null when the message could not be sent
+  },
+  status: {
+    type: DataTypes.ENUM('SENT', 'FAILED', 'EDITED', 'DELETED'),
+    allowNull: false,
+    defaultValue: 'SENT'
+  },
+  error_code: {
+    type: DataTypes.STRING,
+    allowNull: true // Telegram error_code (e.g. 403) of the last failed send, edit or delete
+  }
+}, {
+  tableName: 'signal_deliveries',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['signal_id'] }
+  ]
+});
+
+// Define association
+SignalDelivery.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(SignalDelivery, { foreignKey: 'user_id' });
+SignalDelivery.belongsTo(Signal, { foreignKey: 'signal_id', targetKey: 'signal_id', constraints: false });
+Signal.hasMany(SignalDelivery, { foreignKey: 'signal_id', sourceKey: 'signal_id', constraints: false });
+
+module.exports = SignalDelivery;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Signal = require('./Signal');
+
+const SignalProvider = sequelize.define('SignalProvider', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  handle: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true // Short lowercase name used in commands, e.g. /signal ... by=alex
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  bio: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: ''
+  },
+  telegram_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true // Admin whose signals are attributed to the provider unless they pick another one
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.STRING,
+    allowNull: true // Admin's Telegram ID
+  }
+}, {
+  tableName: 'signal_providers',
+  timestamps: true,
+  underscored: true
+});
+
+// Define association
+Signal.belongsTo(SignalProvider, { foreignKey: 'provider_id', as: 'provider', constraints: false });
+SignalProvider.hasMany(Signal, { foreignKey: 'provider_id', constraints: false });
+
+module.exports = SignalProvider;
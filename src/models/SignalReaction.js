@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Signal = require('./Signal');
+
+const SignalReaction = sequelize.define('SignalReaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  signal_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  provider_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Copied from the signal so reactions add up per provider
+  },
+  reaction: {
+    type: DataTypes.ENUM('UP', 'DOWN', 'TOO_LATE'),
+    allowNull: false
+  }
+}, {
+  tableName: 'signal_reactions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['signal_id', 'user_id'] },
+    { fields: ['provider_id'] }
+  ]
+});
+
+// Define association
+SignalReaction.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(SignalReaction, { foreignKey: 'user_id' });
+SignalReaction.belongsTo(Signal, { foreignKey: 'signal_id', targetKey: 'signal_id', constraints: false });
+Signal.hasMany(SignalReaction, { foreignKey: 'signal_id', sourceKey: 'signal_id', constraints: false });
+
+module.exports = SignalReaction;
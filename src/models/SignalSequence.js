@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SignalSequence = sequelize.define('SignalSequence', {
+  day: {
+    type: DataTypes.STRING(6),
+    primaryKey: true // UTC day as YYMMDD
+  },
+  last_value: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0 // Number of the last signal ID handed out that day
+  }
+}, {
+  tableName: 'signal_sequences',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = SignalSequence;
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const User = require('./User');
+const Signal = require('./Signal');
 
 const Trading = sequelize.define('Trading', {
   id: {
@@ -56,6 +57,10 @@ const Trading = sequelize.define('Trading', {
     type: DataTypes.FLOAT,
     allowNull: true
   },
+  outcome: {
+    type: DataTypes.ENUM('WIN', 'LOSS', 'DRAW'),
+    allowNull: true // Set for trades on binary signals
+  },
   tier: {
     type: DataTypes.ENUM('basic', 'premium', 'vip'),
     allowNull: false,
@@ -75,6 +80,14 @@ const Trading = sequelize.define('Trading', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  broker: {
+    type: DataTypes.STRING,
+    allowNull: true // Broker that executed the trade, null if it was only recorded
+  },
+  broker_order_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   auto_traded: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
@@ -93,5 +106,7 @@ const Trading = sequelize.define('Trading', {
 // Define association
 Trading.belongsTo(User, { foreignKey: 'user_id' });
 User.hasMany(Trading, { foreignKey: 'user_id' });
+Trading.belongsTo(Signal, { foreignKey: 'signal_id', targetKey: 'signal_id', constraints: false });
+Signal.hasMany(Trading, { foreignKey: 'signal_id', sourceKey: 'signal_id', constraints: false });
 
 module.exports = Trading;
\ No newline at end of file
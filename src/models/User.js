@@ -66,6 +66,19 @@ const User = sequelize.define('User', {
     type: DataTypes.FLOAT,
     allowNull: true
   },
+  auto_trade_amount: {
+    type: DataTypes.FLOAT,
+    allowNull: true // Amount per trade for the fixed sizing mode
+  },
+  position_sizing_mode: {
+    type: DataTypes.ENUM('fixed', 'balance', 'risk'),
+    allowNull: false,
+    defaultValue: 'fixed' // fixed amount, % of balance, or risk_per_trade % of balance lost at the stop-loss
+  },
+  position_size_percentage: {
+    type: DataTypes.FLOAT,
+    allowNull: true // Share of the balance per trade for the balance sizing mode
+  },
   in_premium_channel: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
@@ -85,6 +98,25 @@ const User = sequelize.define('User', {
     type: DataTypes.INTEGER,
     allowNull: false,
     defaultValue: 0
+  },
+  signal_filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {} // { assets, asset_classes, direction, max_risk, active_hours: { start, end } }
+  },
+  followed_providers: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [] // IDs of the signal providers whose signals the user receives
+  },
+  auto_trade_guardrails: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {} // Overrides of trading.guardrails: { max_open_trades, daily_loss_limit, weekly_loss_limit, max_asset_exposure, loss_streak_limit, cooldown_hours }
+  },
+  auto_trade_paused_until: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when a loss limit pauses auto-trading
   }
 }, {
   tableName: 'users',
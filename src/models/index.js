@@ -1,11 +1,29 @@
 const User = require('./User');
 const Verification = require('./Verification');
 const FollowUp = require('./FollowUp');
+const Signal = require('./Signal');
 const Trading = require('./Trading');
+const SignalDelivery = require('./SignalDelivery');
+const PortfolioEntry = require('./PortfolioEntry');
+const SignalAlert = require('./SignalAlert');
+const SignalApproval = require('./SignalApproval');
+const SignalSequence = require('./SignalSequence');
+const NewsBlackout = require('./NewsBlackout');
+const SignalProvider = require('./SignalProvider');
+const SignalReaction = require('./SignalReaction');
 
 module.exports = {
   User,
   Verification,
   FollowUp,
-  Trading
+  Signal,
+  Trading,
+  SignalDelivery,
+  PortfolioEntry,
+  SignalAlert,
+  SignalApproval,
+  SignalSequence,
+  NewsBlackout,
+  SignalProvider,
+  SignalReaction
 };
\ No newline at end of file
@@ -10,6 +10,8 @@ const bodyParser = require('body-parser');
 const { bot } = require('./config/bot');
 const { config } = require('./config/appConfig');
 const { logger } = require('./utils/logger');
+const { AppError } = require('./utils/errorHandler');
+const signalIngestService = require('./services/signalIngestService');
 
 // Telegram IP ranges for webhook security
 // These are the IP ranges that Telegram uses for webhook requests
@@ -68,8 +70,12 @@ const validateTelegramWebhook = (req, res, next) => {
 // Create Express app
 const app = express();
 
-// Parse JSON bodies
-app.use(bodyParser.json());
+// Parse JSON bodies, keeping the raw body for signature checks
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Health check endpoint with detailed status
 app.get('/health', async (req, res) => {
@@ -114,6 +120,46 @@ app.post('/telegram-webhook', validateTelegramWebhook, (req, res) => {
   res.sendStatus(200);
 });
 
+// Signal alerts from charting tools, signed with an HMAC-SHA256 of the body in X-Signature-256
+app.post('/signals/ingest', async (req, res) => {
+  // The endpoint is off until a shared secret is configured
+  if (!config.trading.ingest.secret) {
+    return res.status(404).send('Not Found');
+  }
+  
+  if (!signalIngestService.verifySignature(req.rawBody, req.headers['x-signature-256'])) {
+    logger.warn('Signal alert rejected: Invalid signature');
+    return res.status(401).json({ success: false, error: { message: 'Invalid signature', code: 'AUTHENTICATION_ERROR' } });
+  }
+  
+  try {
+    const result = await signalIngestService.ingestAlert(req.body, req.rawBody);
+    const statusCodes = { published: 201, queued: 202, duplicate: 200 };
+    
+    res.status(statusCodes[result.status]).json({
+      success: true,
+      status: result.status,
+      alert_id: result.alert ? result.alert.id : null,
+      signal_id: result.signal ? result.signal.signal_id : (result.alert ? result.alert.signal_id : null),
+      signal_status: result.signal ? result.signal.status : null
+    });
+  } catch (error) {
+    const isAppError = error instanceof AppError;
+    
+    if (!isAppError) {
+      logger.error('Signal alert error:', error);
+    }
+    
+    res.status(isAppError ? error.statusCode : 500).json({
+      success: false,
+      error: {
+        message: isAppError ? error.message : 'An unexpected error occurred',
+        code: isAppError ? error.errorCode : 'INTERNAL_ERROR'
+      }
+    });
+  }
+});
+
 // Get port from environment variable or use default
 const PORT = process.env.PORT || 8080;
 
@@ -147,6 +193,7 @@ try {
     
     logger.info(`Webhook endpoint: ${baseUrl}/telegram-webhook`);
     logger.info(`Health check endpoint: ${baseUrl}/health`);
+    logger.info(`Signal ingest endpoint: ${baseUrl}/signals/ingest`);
     logger.info(`Root endpoint: ${baseUrl}/`);
   });
   
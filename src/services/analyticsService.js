@@ -1,6 +1,7 @@
-const { User, Trading, FollowUp } = require('../models');
+const { User, Signal, Trading, FollowUp } = require('../models');
 const { Sequelize, Op } = require('sequelize');
 const { logger, logError } = require('../utils/logger');
+const providerService = require('./providerService');
 
 /**
  * Get user registration statistics
@@ -249,9 +250,7 @@ const getFollowUpConversionStats = async (whereClause = {}) => {
 const getTradingStats = async (options = {}) => {
   try {
     const { startDate, endDate } = options;
-    const whereClause = {
-      user_id: null // System signals only
-    };
+    const whereClause = {};
     
     if (startDate && endDate) {
       whereClause.entry_time = {
@@ -268,23 +267,25 @@ const getTradingStats = async (options = {}) => {
     }
     
     // Total signals
-    const totalSignals = await Trading.count({
+    const totalSignals = await Signal.count({
       where: whereClause
     });
     
-    // Closed signals
-    const closedSignals = await Trading.count({
+    // Closed signals (binary signals are counted separately, by outcome)
+    const closedSignals = await Signal.count({
       where: {
         ...whereClause,
-        status: 'closed'
+        signal_type: 'STANDARD',
+        status: 'CLOSED'
       }
     });
     
     // Profitable signals
-    const profitableSignals = await Trading.count({
+    const profitableSignals = await Signal.count({
       where: {
         ...whereClause,
-        status: 'closed',
+        signal_type: 'STANDARD',
+        status: 'CLOSED',
         profit_loss: { [Op.gt]: 0 }
       }
     });
@@ -293,18 +294,19 @@ const getTradingStats = async (options = {}) => {
     const winRate = closedSignals > 0 ? (profitableSignals / closedSignals) * 100 : 0;
     
     // Average profit/loss
-    const avgProfitLoss = await Trading.findOne({
+    const avgProfitLoss = await Signal.findOne({
       attributes: [
         [Sequelize.fn('avg', Sequelize.col('profit_loss')), 'avg_profit_loss']
       ],
       where: {
         ...whereClause,
-        status: 'closed'
+        signal_type: 'STANDARD',
+        status: 'CLOSED'
       }
     });
     
     // Signals by asset
-    const signalsByAsset = await Trading.findAll({
+    const signalsByAsset = await Signal.findAll({
       attributes: [
         'asset',
         [Sequelize.fn('count', Sequelize.col('id')), 'count']
@@ -314,9 +316,15 @@ const getTradingStats = async (options = {}) => {
       order: [[Sequelize.fn('count', Sequelize.col('id')), 'DESC']]
     });
     
+    // Binary-options statistics
+    const binaryStats = await getBinaryStats(whereClause);
+    
     // Auto-trading statistics
     const autoTradingStats = await getAutoTradingStats(whereClause);
     
+    // Signal statistics by provider
+    const providerStats = await providerService.getProviderStats(whereClause);
+    
     return {
       totalSignals,
       closedSignals,
@@ -327,7 +335,9 @@ const getTradingStats = async (options = {}) => {
         asset: item.asset,
         count: parseInt(item.getDataValue('count'))
       })),
-      autoTradingStats
+      binaryStats,
+      autoTradingStats,
+      providerStats
     };
   } catch (error) {
     logError('system', 'getTradingStats', error);
@@ -335,6 +345,64 @@ const getTradingStats = async (options = {}) => {
   }
 };
 
+/**
+ * Get binary-options signal statistics
+ * @param {Object} whereClause - Additional where conditions
+ * @returns {Promise<Object>} - Binary signal statistics
+ */
+const getBinaryStats = async (whereClause = {}) => {
+  try {
+    const totalSignals = await Signal.count({
+      where: {
+        ...whereClause,
+        signal_type: 'BINARY'
+      }
+    });
+    
+    // Resolved signals by outcome, with their average return on the stake
+    const outcomes = await Signal.findAll({
+      attributes: [
+        'outcome',
+        [Sequelize.fn('count', Sequelize.col('id')), 'count'],
+        [Sequelize.fn('sum', Sequelize.col('profit_loss')), 'total_return']
+      ],
+      where: {
+        ...whereClause,
+        signal_type: 'BINARY',
+        outcome: { [Op.not]: null }
+      },
+      group: ['outcome']
+    });
+    
+    const counts = { WIN: 0, LOSS: 0, DRAW: 0 };
+    let totalReturn = 0;
+    
+    for (const item of outcomes) {
+      counts[item.outcome] = parseInt(item.getDataValue('count'));
+      totalReturn += parseFloat(item.getDataValue('total_return')) || 0;
+    }
+    
+    const resolvedSignals = counts.WIN + counts.LOSS + counts.DRAW;
+    
+    // A draw refunds the stake, so it counts as neither a win nor a loss
+    const decidedSignals = counts.WIN + counts.LOSS;
+    const winRate = decidedSignals > 0 ? (counts.WIN / decidedSignals) * 100 : 0;
+    
+    return {
+      totalSignals,
+      resolvedSignals,
+      wins: counts.WIN,
+      losses: counts.LOSS,
+      draws: counts.DRAW,
+      winRate: winRate.toFixed(2),
+      avgReturn: resolvedSignals > 0 ? (totalReturn / resolvedSignals).toFixed(2) : 0
+    };
+  } catch (error) {
+    logError('system', 'getBinaryStats', error);
+    throw error;
+  }
+};
+
 /**
  * Get auto-trading statistics
  * @param {Object} whereClause - Additional where conditions
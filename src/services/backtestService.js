@@ -0,0 +1,470 @@
+/**
+ * Backtest Service for OPTRIXTRADES
+ * Replays past signals or a simple rule against OHLC candles from CSV files
+ *
+ * A backtest depends only on its definition and its candles, so the report it produces can be
+ * replayed offline with backtest.js to get the same result.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { config } = require('../config/appConfig');
+const { getStopDistance } = require('./positionSizingService');
+const { ValidationError } = require('../utils/errorHandler');
+
+// Characters of the equity curve sparkline, lowest to highest
+const SPARKLINE = '▁▂▃▄▅▆▇█';
+
+/**
+ * Parse a candle timestamp: an ISO date or an epoch time in seconds or milliseconds
+ * @param {string} value - Timestamp column
+ * @returns {Date} - Time, invalid if the timestamp can't be read
+ */
+const parseCandleTime = (value) => {
+  if (!/^\d+(\.\d+)?$/.test(value || '')) {
+    return new Date(value);
+  }
+
+  // Epoch seconds stay below 1e11 until the year 5138, while epoch milliseconds pass it in 1973
+  const epoch = parseFloat(value);
+
+  return new Date(epoch < 1e11 ? epoch * 1000 : epoch);
+};
+
+/**
+ * Parse OHLC candles from CSV content with a `timestamp,open,high,low,close` header
+ * Rows that can't be read are skipped.
+ * @param {string} content - CSV content
+ * @returns {Array<Object>} - Candles as { time, open, high, low, close } ordered by time
+ * @throws {ValidationError} - If the header is missing a column or no row can be read
+ */
+const parseCandles = (content) => {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const header = (lines.shift() || '').split(',').map(column => column.trim().toLowerCase());
+  const indexes = ['timestamp', 'open', 'high', 'low', 'close'].map(column => header.indexOf(column));
+
+  if (indexes.includes(-1)) {
+    throw new ValidationError('Candle CSV must have timestamp, open, high, low and close columns');
+  }
+
+  const candles = [];
+
+  for (const line of lines) {
+    const columns = line.split(',').map(column => column.trim());
+    const [time, open, high, low, close] = indexes.map(index => columns[index]);
+    const candle = {
+      time: parseCandleTime(time),
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close)
+    };
+
+    if (isNaN(candle.time.getTime()) || [candle.open, candle.high, candle.low, candle.close].some(isNaN)) {
+      continue;
+    }
+
+    candles.push(candle);
+  }
+
+  if (candles.length === 0) {
+    throw new ValidationError('Candle CSV has no rows with a valid timestamp and open, high, low and close prices');
+  }
+
+  return candles.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Load the candles of an asset from trading.backtest.dataDir/<ASSET>.csv
+ * @param {string} asset - Asset symbol
+ * @param {string} dataDir - Directory of candle files
+ * @returns {Object} - { candles, file, sha256 } with the SHA-256 of the file for the report
+ */
+const loadCandles = (asset, dataDir = config.trading.backtest.dataDir) => {
+  const file = path.join(dataDir, `${asset.toUpperCase()}.csv`);
+
+  if (!fs.existsSync(file)) {
+    throw new ValidationError(`No candle file for ${asset.toUpperCase()}. Add ${file}`);
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+
+  return {
+    candles: parseCandles(content),
+    file: path.basename(file),
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+};
+
+/**
+ * Replay one trade against candles
+ * A candle that reaches both the stop-loss and the take-profit counts as a stop-loss, and a trade
+ * still open at its expiry exits at the open of the first candle at or after it.
+ * @param {Object} trade - { entry_time, trade_type, entry_price, stop_loss, take_profit, expires_at, signal_type, payout_percentage }
+ * @param {Array<Object>} candles - Candles ordered by time
+ * @returns {Object|null} - { exit_time, exit_price, trigger, profit_loss, outcome }, or null if no candle covers the entry
+ */
+const simulateTrade = (trade, candles) => {
+  const entryTime = new Date(trade.entry_time);
+  const expiresAt = trade.expires_at ? new Date(trade.expires_at) : null;
+  const isBuy = trade.trade_type === 'BUY';
+  const start = candles.findIndex(candle => candle.time >= entryTime);
+
+  if (start === -1) {
+    return null;
+  }
+
+  const exit = (candle, price, trigger) => {
+    if (trade.signal_type === 'BINARY') {
+      const outcome = price === trade.entry_price ? 'DRAW' : (price > trade.entry_price) === isBuy ? 'WIN' : 'LOSS';
+
+      return {
+        exit_time: candle.time,
+        exit_price: price,
+        trigger,
+        outcome,
+        profit_loss: outcome === 'WIN' ? trade.payout_percentage : outcome === 'LOSS' ? -100 : 0
+      };
+    }
+
+    return {
+      exit_time: candle.time,
+      exit_price: price,
+      trigger,
+      outcome: null,
+      profit_loss: (price - trade.entry_price) / trade.entry_price * 100 * (isBuy ? 1 : -1)
+    };
+  };
+
+  for (let i = start; i < candles.length; i++) {
+    const candle = candles[i];
+
+    if (expiresAt && candle.time >= expiresAt) {
+      return exit(candle, candle.open, 'expiry');
+    }
+
+    // Binary options only settle at expiry
+    if (trade.signal_type === 'BINARY') {
+      continue;
+    }
+
+    const stopHit = trade.stop_loss && (isBuy ? candle.low <= trade.stop_loss : candle.high >= trade.stop_loss);
+    const targetHit = trade.take_profit && (isBuy ? candle.high >= trade.take_profit : candle.low <= trade.take_profit);
+
+    if (stopHit) {
+      return exit(candle, trade.stop_loss, 'stop_loss');
+    }
+
+    if (targetHit) {
+      return exit(candle, trade.take_profit, 'take_profit');
+    }
+  }
+
+  // Still open when the data runs out; a binary option cannot settle before its expiry
+  const last = candles[candles.length - 1];
+  return trade.signal_type === 'BINARY' ? null : exit(last, last.close, 'end_of_data');
+};
+
+/**
+ * Build the trades a rule takes on candles
+ * The rule enters at the open of a candle whenever it is flat, every `interval` candles.
+ * @param {Object} rule - { direction, stop_loss_pct, take_profit_pct, expiry_hours, interval }
+ * @param {Array<Object>} candles - Candles ordered by time
+ * @returns {Array<Object>} - Trades with their results
+ */
+const buildRuleTrades = (rule, candles) => {
+  const trades = [];
+  let flatFrom = null;
+
+  for (let i = 0; i < candles.length; i += rule.interval || 1) {
+    const candle = candles[i];
+
+    if (flatFrom && candle.time <= flatFrom) {
+      continue;
+    }
+
+    const isBuy = rule.direction === 'BUY';
+    const offset = (pct, sign) => pct ? candle.open * (1 + sign * pct / 100) : null;
+    const trade = {
+      entry_time: candle.time,
+      trade_type: rule.direction,
+      entry_price: candle.open,
+      stop_loss: offset(rule.stop_loss_pct, isBuy ? -1 : 1),
+      take_profit: offset(rule.take_profit_pct, isBuy ? 1 : -1),
+      expires_at: rule.expiry_hours ? new Date(candle.time.getTime() + rule.expiry_hours * 60 * 60 * 1000) : null
+    };
+    const result = simulateTrade(trade, candles);
+
+    if (!result || result.trigger === 'end_of_data') {
+      break;
+    }
+
+    trades.push({ ...trade, ...result });
+    flatFrom = result.exit_time;
+  }
+
+  return trades;
+};
+
+/**
+ * Get the past signals of an asset as trades to replay
+ * @param {string} asset - Asset symbol
+ * @param {Date|null} from - Earliest entry time
+ * @param {Date|null} to - Latest entry time
+ * @returns {Promise<Array<Object>>} - Trades with the signal's first take-profit as their target
+ */
+const getSignalTrades = async (asset, from = null, to = null) => {
+  // Required here so offline replays with backtest.js never load the models or connect to the database
+  const { Signal } = require('../models');
+  const where = {
+    asset: asset.toUpperCase(),
+    status: { [Op.in]: ['ACTIVE', 'CLOSED', 'EXPIRED'] }
+  };
+
+  if (from || to) {
+    where.entry_time = {
+      ...(from ? { [Op.gte]: from } : {}),
+      ...(to ? { [Op.lte]: to } : {})
+    };
+  }
+
+  const signals = await Signal.findAll({ where, order: [['entry_time', 'ASC']] });
+  const validityMs = config.trading.signalValidityHours * 60 * 60 * 1000;
+
+  return signals.map(signal => ({
+    signal_id: signal.signal_id,
+    signal_type: signal.signal_type,
+    entry_time: new Date(signal.entry_time).toISOString(),
+    trade_type: signal.trade_type,
+    entry_price: signal.entry_price,
+    stop_loss: signal.stop_loss,
+    take_profit: signal.take_profit_1,
+    payout_percentage: signal.payout_percentage,
+    expires_at: new Date(signal.expires_at || new Date(signal.entry_time).getTime() + validityMs).toISOString()
+  }));
+};
+
+/**
+ * Run a backtest
+ * Each trade risks definition.risk_per_trade percent of the equity at the time, sized to its
+ * stop-loss like a risk-mode auto-trade.
+ * @param {Object} definition - { mode: 'rule' | 'signals', asset, rule, signals, starting_balance, risk_per_trade }
+ * @param {Array<Object>} candles - Candles ordered by time
+ * @returns {Object} - { trades, equity_curve, stats }
+ */
+const runBacktest = (definition, candles) => {
+  const trades = definition.mode === 'rule' ?
+    buildRuleTrades(definition.rule, candles) :
+    definition.signals
+      .map(signal => ({ ...signal, ...simulateTrade(signal, candles) }))
+      .filter(trade => trade.exit_time);
+
+  let equity = definition.starting_balance;
+  const equityCurve = [{ time: candles.length > 0 ? candles[0].time : null, equity }];
+
+  for (const trade of trades) {
+    const amount = equity * definition.risk_per_trade / 100 / (getStopDistance(trade) || 1);
+
+    trade.amount = Math.round(amount * 100) / 100;
+    trade.profit_loss_amount = Math.round(amount * trade.profit_loss) / 100;
+    equity = Math.round((equity + trade.profit_loss_amount) * 100) / 100;
+    equityCurve.push({ time: trade.exit_time, equity });
+  }
+
+  return {
+    trades,
+    equity_curve: equityCurve,
+    stats: calculateStats(trades, equityCurve, definition.starting_balance)
+  };
+};
+
+/**
+ * Calculate the statistics of a backtest
+ * @param {Array<Object>} trades - Simulated trades
+ * @param {Array<Object>} equityCurve - Equity after each trade
+ * @param {number} startingBalance - Starting balance
+ * @returns {Object} - Win rate, expectancy, maximum drawdown and returns
+ */
+const calculateStats = (trades, equityCurve, startingBalance) => {
+  const wins = trades.filter(trade => trade.profit_loss > 0).length;
+  const losses = trades.filter(trade => trade.profit_loss < 0).length;
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+  let peak = startingBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercentage = 0;
+
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+
+    if (peak - point.equity > maxDrawdown) {
+      maxDrawdown = peak - point.equity;
+      maxDrawdownPercentage = maxDrawdown / peak * 100;
+    }
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    total_trades: trades.length,
+    wins,
+    losses,
+    draws: trades.length - wins - losses,
+    win_rate: wins + losses > 0 ? round(wins / (wins + losses) * 100) : 0,
+    // Average result per trade, in dollars and as a share of the equity risked
+    expectancy: trades.length > 0 ? round(trades.reduce((sum, trade) => sum + trade.profit_loss_amount, 0) / trades.length) : 0,
+    expectancy_percentage: trades.length > 0 ? round(trades.reduce((sum, trade) => sum + trade.profit_loss, 0) / trades.length) : 0,
+    max_drawdown: round(maxDrawdown),
+    max_drawdown_percentage: round(maxDrawdownPercentage),
+    final_equity: finalEquity,
+    total_return_percentage: round((finalEquity - startingBalance) / startingBalance * 100)
+  };
+};
+
+/**
+ * Parse a /backtest command into a backtest definition
+ * Replaying signals leaves definition.signals to be filled in from getSignalTrades.
+ * @param {Array<string>} params - <asset> signals [from=<date>] [to=<date>], or <asset> <buy|sell> [sl=<%>] [tp=<%>] [exp=<hours>] [every=<candles>],
+ * both with optional risk=<%> and balance=<$>
+ * @returns {Object} - Backtest definition, with from and to for signal replays
+ */
+const parseBacktestCommand = (params) => {
+  const [asset, mode, ...options] = params;
+
+  if (!asset || !mode || !['signals', 'buy', 'sell'].includes(mode.toLowerCase())) {
+    throw new ValidationError('Usage: /backtest <asset> signals [from=YYYY-MM-DD] [to=YYYY-MM-DD], or ' +
+      '/backtest <asset> <buy|sell> [sl=<%>] [tp=<%>] [exp=<hours>] [every=<candles>]; both take [risk=<%>] [balance=<$>]');
+  }
+
+  const settings = {};
+
+  for (const option of options) {
+    const match = option.match(/^(sl|tp|exp|every|risk|balance|from|to)=(.+)$/i);
+
+    if (!match) {
+      throw new ValidationError(`Unknown backtest option "${option}"`);
+    }
+
+    const key = match[1].toLowerCase();
+
+    if (key === 'from' || key === 'to') {
+      settings[key] = new Date(`${match[2]}T00:00:00Z`);
+
+      if (isNaN(settings[key].getTime())) {
+        throw new ValidationError(`Invalid date "${match[2]}". Use YYYY-MM-DD`);
+      }
+    } else {
+      settings[key] = parseFloat(match[2].replace(/[$%h]/gi, ''));
+
+      if (isNaN(settings[key]) || settings[key] <= 0) {
+        throw new ValidationError(`${key} must be a positive number`);
+      }
+    }
+  }
+
+  const definition = {
+    mode: mode.toLowerCase() === 'signals' ? 'signals' : 'rule',
+    asset: asset.toUpperCase(),
+    starting_balance: settings.balance || config.trading.backtest.startingBalance,
+    risk_per_trade: settings.risk || config.trading.backtest.riskPerTrade
+  };
+
+  if (definition.mode === 'signals') {
+    // The whole day given as to= is included
+    return {
+      ...definition,
+      from: settings.from || null,
+      to: settings.to ? new Date(settings.to.getTime() + 24 * 60 * 60 * 1000 - 1) : null
+    };
+  }
+
+  if (!settings.sl && !settings.tp && !settings.exp) {
+    throw new ValidationError('A rule needs at least one of sl=, tp= or exp= to exit its trades');
+  }
+
+  return {
+    ...definition,
+    rule: {
+      direction: mode.toUpperCase(),
+      stop_loss_pct: settings.sl || null,
+      take_profit_pct: settings.tp || null,
+      expiry_hours: settings.exp || null,
+      interval: settings.every ? Math.round(settings.every) : 1
+    }
+  };
+};
+
+/**
+ * Build the JSON report of a backtest, with everything needed to replay it offline
+ * @param {Object} definition - Backtest definition
+ * @param {Object} candleSource - { file, sha256 } of the candles used
+ * @param {Object} result - Result from runBacktest
+ * @returns {string} - JSON report
+ */
+const buildReport = (definition, candleSource, result) => {
+  return JSON.stringify({
+    definition,
+    candles: { file: candleSource.file, sha256: candleSource.sha256 },
+    stats: result.stats,
+    trades: result.trades,
+    equity_curve: result.equity_curve
+  }, null, 2);
+};
+
+/**
+ * Draw an equity curve as a one-line sparkline
+ * @param {Array<Object>} equityCurve - Equity after each trade
+ * @param {number} width - Maximum number of characters
+ * @returns {string} - Sparkline
+ */
+const formatSparkline = (equityCurve, width = 30) => {
+  const values = equityCurve.map(point => point.equity);
+  const step = Math.max(1, Math.ceil(values.length / width));
+  const sampled = values.filter((value, index) => index % step === 0 || index === values.length - 1);
+  const min = Math.min(...sampled);
+  const range = Math.max(...sampled) - min;
+
+  return sampled.map(value =>
+    SPARKLINE[range > 0 ? Math.round((value - min) / range * (SPARKLINE.length - 1)) : 0]).join('');
+};
+
+/**
+ * Format the summary of a backtest for display
+ * @param {Object} definition - Backtest definition
+ * @param {Object} result - Result from runBacktest
+ * @returns {string} - Formatted summary
+ */
+const formatBacktestSummary = (definition, result) => {
+  const { stats } = result;
+  const rule = definition.rule;
+
+  return `*Backtest: ${definition.asset}*\n\n` +
+    (definition.mode === 'rule' ?
+      `Rule: ${rule.direction}` +
+        (rule.stop_loss_pct ? ` SL ${rule.stop_loss_pct}%` : '') +
+        (rule.take_profit_pct ? ` TP ${rule.take_profit_pct}%` : '') +
+        (rule.expiry_hours ? ` expiry ${rule.expiry_hours}h` : '') +
+        (rule.interval > 1 ? ` every ${rule.interval} candles` : '') + `\n` :
+      `Signals replayed: ${definition.signals.length}\n`) +
+    `Risk per Trade: ${definition.risk_per_trade}% of $${definition.starting_balance}\n\n` +
+    `Trades: ${stats.total_trades} (${stats.wins}W / ${stats.losses}L / ${stats.draws}D)\n` +
+    `Win Rate: ${stats.win_rate}%\n` +
+    `Expectancy: $${stats.expectancy} (${stats.expectancy_percentage}%) per trade\n` +
+    `Max Drawdown: $${stats.max_drawdown} (${stats.max_drawdown_percentage}%)\n` +
+    `Final Equity: $${stats.final_equity} (${stats.total_return_percentage > 0 ? '+' : ''}${stats.total_return_percentage}%)\n` +
+    `Equity: ${formatSparkline(result.equity_curve)}`;
+};
+
+module.exports = {
+  parseCandles,
+  loadCandles,
+  simulateTrade,
+  buildRuleTrades,
+  getSignalTrades,
+  runBacktest,
+  parseBacktestCommand,
+  buildReport,
+  formatSparkline,
+  formatBacktestSummary
+};
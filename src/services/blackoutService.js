@@ -0,0 +1,290 @@
+/**
+ * Blackout Service for OPTRIXTRADES
+ * Calendar of news windows during which auto-trading is paused on the affected assets
+ *
+ * Each window lists currencies or assets: a currency such as USD covers every asset quoted in it
+ * (EURUSD, XAUUSD, ...), an asset such as XAUUSD only covers itself. Auto-trading is paused during
+ * windows of at least trading.blackout.minSeverity, and signal broadcasts warn about any window
+ * that falls within the signal's validity.
+ */
+
+const { Op } = require('sequelize');
+const { NewsBlackout } = require('../models');
+const { config } = require('../config/appConfig');
+const { normalizeAsset } = require('./signalFilterService');
+const { logAdminAction } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Columns a blackout CSV must start with; anything after severity is the title
+const CSV_COLUMNS = ['start', 'end', 'symbols', 'severity'];
+
+/**
+ * Parse a blackout time given as an ISO date, in UTC unless a zone is given
+ * @param {string} value - Time, e.g. 2026-10-20T12:30
+ * @returns {Date} - Time
+ */
+const parseBlackoutTime = (value) => {
+  const text = String(value || '').trim();
+  const hasZone = /(z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const time = new Date(text.includes('T') && !hasZone ? `${text}Z` : text);
+
+  if (!text || isNaN(time.getTime())) {
+    throw new ValidationError(`Invalid time "${text}". Use YYYY-MM-DDTHH:MM (UTC)`);
+  }
+
+  return time;
+};
+
+/**
+ * Parse the end of a blackout, either as a time or as a duration after its start such as 30m or 2h
+ * @param {string} value - End time or duration
+ * @param {Date} start - Start of the blackout
+ * @returns {Date} - End time
+ */
+const parseBlackoutEnd = (value, start) => {
+  const duration = String(value || '').trim().match(/^(\d+)([mh])$/i);
+
+  if (duration) {
+    const minutes = parseInt(duration[1], 10) * (duration[2].toLowerCase() === 'h' ? 60 : 1);
+    return new Date(start.getTime() + minutes * 60 * 1000);
+  }
+
+  return parseBlackoutTime(value);
+};
+
+/**
+ * Build a blackout from its fields, as given on the command line or in a CSV row
+ * @param {Object} fields - { start, end, symbols, severity, title } as text
+ * @returns {Object} - Blackout values
+ * @throws {ValidationError} - If a field is invalid
+ */
+const buildBlackout = ({ start, end, symbols, severity, title = '' }) => {
+  const startsAt = parseBlackoutTime(start);
+  const endsAt = parseBlackoutEnd(end, startsAt);
+  const symbolList = [...new Set(String(symbols || '').toUpperCase().split(/[\s,;|/]+/).filter(Boolean))];
+  const level = String(severity || '').trim().toUpperCase();
+
+  if (endsAt <= startsAt) {
+    throw new ValidationError('The end of a blackout must be after its start');
+  }
+
+  if (symbolList.length === 0 || symbolList.some(symbol => !/^[A-Z0-9]+$/.test(symbol))) {
+    throw new ValidationError('List the affected currencies or assets, e.g. USD or EUR;GBP or XAUUSD');
+  }
+
+  if (!SEVERITIES.includes(level)) {
+    throw new ValidationError('Severity must be low, medium or high');
+  }
+
+  return {
+    title: String(title).trim().slice(0, 255),
+    starts_at: startsAt,
+    ends_at: endsAt,
+    symbols: symbolList,
+    severity: level
+  };
+};
+
+/**
+ * Parse the parameters of /blackout add
+ * @param {Array<string>} params - Start, end or duration, symbols, severity and an optional title
+ * @returns {Object} - Blackout values
+ */
+const parseBlackoutCommand = (params) => {
+  if (params.length < 4) {
+    throw new ValidationError('Usage: /blackout add <start> <end|30m> <USD,EUR|XAUUSD> <low|medium|high> [title]');
+  }
+
+  const [start, end, symbols, severity, ...title] = params;
+
+  return buildBlackout({ start, end, symbols, severity, title: title.join(' ') });
+};
+
+/**
+ * Add a blackout to the calendar
+ * @param {Object} values - Blackout values from buildBlackout
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Created blackout
+ */
+const addBlackout = async (values, adminTelegramId) => {
+  const blackout = await NewsBlackout.create({ ...values, created_by: adminTelegramId });
+
+  logAdminAction(adminTelegramId, 'blackout_added', {
+    blackout_id: blackout.id,
+    symbols: blackout.symbols,
+    severity: blackout.severity,
+    starts_at: blackout.starts_at,
+    ends_at: blackout.ends_at
+  });
+
+  return blackout;
+};
+
+/**
+ * Import blackouts from CSV content with a `start,end,symbols,severity,title` header
+ * Symbols within a row are separated by ; or spaces. Valid rows are added even if others are not.
+ * @param {string} content - CSV content
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - { created, errors } where errors are { line, message }
+ */
+const importBlackoutCsv = async (content, adminTelegramId) => {
+  const lines = String(content).split(/\r?\n/);
+  const header = (lines[0] || '').split(',').map(column => column.trim().toLowerCase());
+
+  if (CSV_COLUMNS.some((column, index) => header[index] !== column)) {
+    throw new ValidationError('Blackout CSV must start with a start,end,symbols,severity,title header');
+  }
+
+  const created = [];
+  const errors = [];
+
+  for (let index = 1; index < lines.length; index++) {
+    if (!lines[index].trim()) {
+      continue;
+    }
+
+    const [start, end, symbols, severity, ...rest] = lines[index].split(',');
+    // Titles may contain commas, and may be quoted because of them
+    const title = rest.join(',').trim().replace(/^"(.*)"$/, '$1');
+
+    try {
+      created.push(await addBlackout(buildBlackout({ start, end, symbols, severity, title }), adminTelegramId));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+
+      errors.push({ line: index + 1, message: error.message });
+    }
+  }
+
+  return { created, errors };
+};
+
+/**
+ * Remove a blackout from the calendar
+ * @param {number} blackoutId - Blackout ID
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<void>}
+ */
+const removeBlackout = async (blackoutId, adminTelegramId) => {
+  const removed = await NewsBlackout.destroy({ where: { id: blackoutId } });
+
+  if (removed === 0) {
+    throw new NotFoundError(`Blackout #${blackoutId} not found`);
+  }
+
+  logAdminAction(adminTelegramId, 'blackout_removed', { blackout_id: blackoutId });
+};
+
+/**
+ * Get the blackouts that have not ended yet, soonest first
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<Object>>} - Blackouts
+ */
+const getUpcomingBlackouts = async (now = new Date()) => {
+  return NewsBlackout.findAll({
+    where: { ends_at: { [Op.gt]: now } },
+    order: [['starts_at', 'ASC']]
+  });
+};
+
+/**
+ * Check whether a blackout covers an asset
+ * @param {Object} blackout - Blackout
+ * @param {string} asset - Asset symbol
+ * @returns {boolean} - Whether the asset is affected
+ */
+const coversAsset = (blackout, asset) => {
+  // XAU/USD and xauusd are both covered by an XAUUSD blackout
+  const symbol = normalizeAsset(String(asset));
+
+  return blackout.symbols.map(normalizeAsset).some(code =>
+    symbol === code || (code.length === 3 && symbol.includes(code)));
+};
+
+/**
+ * Get the blackouts covering an asset at any time between two moments
+ * @param {string} asset - Asset symbol
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {string} minSeverity - Lowest severity to include
+ * @returns {Promise<Array<Object>>} - Blackouts, soonest first
+ */
+const getBlackouts = async (asset, from = new Date(), to = from, minSeverity = 'LOW') => {
+  const blackouts = await NewsBlackout.findAll({
+    where: {
+      starts_at: { [Op.lte]: to },
+      ends_at: { [Op.gt]: from },
+      severity: { [Op.in]: SEVERITIES.slice(SEVERITIES.indexOf(minSeverity)) }
+    },
+    order: [['starts_at', 'ASC']]
+  });
+
+  return blackouts.filter(blackout => coversAsset(blackout, asset));
+};
+
+/**
+ * Get the blackout that pauses auto-trading on an asset right now, if any
+ * @param {string} asset - Asset symbol
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Blackout, or null if auto-trading may go ahead
+ */
+const getAutoTradeBlackout = async (asset, now = new Date()) => {
+  const minSeverity = SEVERITIES.includes(config.trading.blackout.minSeverity) ? config.trading.blackout.minSeverity : 'LOW';
+  const [blackout] = await getBlackouts(asset, now, now, minSeverity);
+
+  return blackout || null;
+};
+
+/**
+ * Format a blackout time for display, in UTC
+ * @param {Date} date - Time
+ * @returns {string} - Formatted time
+ */
+const formatBlackoutTime = (date) => {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+/**
+ * Format a blackout on one line
+ * @param {Object} blackout - Blackout
+ * @returns {string} - Formatted blackout
+ */
+const formatBlackout = (blackout) => {
+  return `${blackout.severity} ${blackout.symbols.join(', ')}` +
+    (blackout.title ? ` - ${blackout.title}` : '') +
+    `: ${formatBlackoutTime(blackout.starts_at)} to ${formatBlackoutTime(blackout.ends_at)}`;
+};
+
+/**
+ * Format the warning added to a signal broadcast during or ahead of news
+ * @param {Array<Object>} blackouts - Blackouts covering the signal
+ * @returns {string} - Warning, or an empty string if there are none
+ */
+const formatBlackoutWarning = (blackouts) => {
+  if (blackouts.length === 0) {
+    return '';
+  }
+
+  return `⚠️ NEWS BLACKOUT ⚠️\n` +
+    blackouts.map(blackout => `${formatBlackout(blackout)}\n`).join('') +
+    `Expect sharp moves and wide spreads around the release.`;
+};
+
+module.exports = {
+  SEVERITIES,
+  buildBlackout,
+  parseBlackoutCommand,
+  addBlackout,
+  importBlackoutCsv,
+  removeBlackout,
+  getUpcomingBlackouts,
+  coversAsset,
+  getBlackouts,
+  getAutoTradeBlackout,
+  formatBlackout,
+  formatBlackoutWarning
+};
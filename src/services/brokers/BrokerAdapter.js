@@ -0,0 +1,63 @@
+/**
+ * Broker adapter interface for OPTRIXTRADES
+ * Every broker adapter extends this class; auto-trading only talks to brokers through it
+ */
+
+/**
+ * Base broker adapter class
+ */
+class BrokerAdapter {
+  /**
+   * Constructor for BrokerAdapter
+   * @param {string} name - Name of the broker for logging and trade records
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Open a position at market
+   * @param {string} accountId - Broker account of the user (their Telegram ID)
+   * @param {Object} order - Order details
+   * @param {string} order.asset - Asset symbol
+   * @param {string} order.side - BUY or SELL
+   * @param {number} order.amount - Amount to invest in dollars
+   * @param {number} order.price - Reference price, e.g. the signal's entry price
+   * @param {number} [order.payout_percentage] - Payout on a win, for binary options
+   * @returns {Promise<Object>} - Filled order as { order_id, asset, side, amount, quantity, fill_price }
+   */
+  async placeOrder(accountId, order) {
+    throw new Error(`placeOrder() is not implemented by the ${this.name} broker`);
+  }
+
+  /**
+   * Close an open position at market
+   * @param {string} accountId - Broker account of the user
+   * @param {string} orderId - ID of the order that opened the position
+   * @param {number|null} price - Reference exit price, or null to close flat at the entry fill
+   * @returns {Promise<Object>} - Closed position as { order_id, fill_price, profit_loss, profit_loss_percentage, outcome }
+   */
+  async closeOrder(accountId, orderId, price) {
+    throw new Error(`closeOrder() is not implemented by the ${this.name} broker`);
+  }
+
+  /**
+   * Get the cash balance of an account
+   * @param {string} accountId - Broker account of the user
+   * @returns {Promise<number>} - Balance in dollars, excluding open positions
+   */
+  async getBalance(accountId) {
+    throw new Error(`getBalance() is not implemented by the ${this.name} broker`);
+  }
+
+  /**
+   * Get the open positions of an account
+   * @param {string} accountId - Broker account of the user
+   * @returns {Promise<Array<Object>>} - Open positions, as returned by placeOrder()
+   */
+  async getPositions(accountId) {
+    throw new Error(`getPositions() is not implemented by the ${this.name} broker`);
+  }
+}
+
+module.exports = BrokerAdapter;
@@ -0,0 +1,162 @@
+/**
+ * Paper-trading broker for OPTRIXTRADES
+ * Simulates fills in memory with a fixed slippage so auto-trading can be exercised without real money.
+ * Fills are deterministic: the same orders at the same prices always give the same results.
+ */
+
+const BrokerAdapter = require('./BrokerAdapter');
+const { ValidationError, NotFoundError } = require('../../utils/errorHandler');
+
+/**
+ * Broker that fills every order against the reference price, moved against the trader by the slippage
+ */
+class PaperTradingBroker extends BrokerAdapter {
+  /**
+   * Constructor for PaperTradingBroker
+   * @param {Object} options - Simulation options
+   * @param {number} options.startingBalance - Balance each account starts with, in dollars
+   * @param {number} options.slippageBps - Slippage on every fill, in basis points
+   */
+  constructor({ startingBalance, slippageBps }) {
+    super('paper');
+    this.startingBalance = startingBalance;
+    this.slippageBps = slippageBps;
+    this.accounts = new Map();
+    this.nextOrderId = 1;
+  }
+
+  /**
+   * Get an account, opening it with the starting balance on first use
+   * @param {string} accountId - Account ID
+   * @returns {Object} - Account as { balance, positions }
+   */
+  getAccount(accountId) {
+    const id = accountId.toString();
+    
+    if (!this.accounts.has(id)) {
+      this.accounts.set(id, { balance: this.startingBalance, positions: new Map() });
+    }
+    
+    return this.accounts.get(id);
+  }
+
+  /**
+   * Apply slippage to a price
+   * @param {number} price - Reference price
+   * @param {boolean} buying - True if the fill buys the asset
+   * @returns {number} - Fill price, higher when buying and lower when selling
+   */
+  applySlippage(price, buying) {
+    const slippage = this.slippageBps / 10000;
+    return price * (buying ? 1 + slippage : 1 - slippage);
+  }
+
+  /**
+   * Open a position at market
+   * @param {string} accountId - Account ID
+   * @param {Object} order - Order details
+   * @returns {Promise<Object>} - Filled order
+   */
+  async placeOrder(accountId, { asset, side, amount, price, payout_percentage }) {
+    const account = this.getAccount(accountId);
+    const stake = parseFloat(amount);
+    
+    if (!(stake > 0)) {
+      throw new ValidationError('Order amount must be greater than zero');
+    }
+    
+    if (stake > account.balance) {
+      throw new ValidationError(`Insufficient paper balance: $${account.balance.toFixed(2)} available`);
+    }
+    
+    const isBinary = payout_percentage !== undefined && payout_percentage !== null;
+    
+    // Binary options are struck at the quoted price, so only spot fills slip
+    const fillPrice = isBinary ? price : this.applySlippage(price, side.toUpperCase() === 'BUY');
+    
+    const position = {
+      order_id: `PAPER-${(this.nextOrderId++).toString().padStart(6, '0')}`,
+      asset: asset.toUpperCase(),
+      side: side.toUpperCase(),
+      amount: stake,
+      quantity: stake / fillPrice,
+      fill_price: fillPrice,
+      payout_percentage: isBinary ? payout_percentage : null
+    };
+    
+    account.balance -= stake;
+    account.positions.set(position.order_id, position);
+    
+    return { ...position };
+  }
+
+  /**
+   * Close an open position at market
+   * @param {string} accountId - Account ID
+   * @param {string} orderId - Order ID
+   * @param {number|null} price - Reference exit price, or null to close flat
+   * @returns {Promise<Object>} - Closed position
+   */
+  async closeOrder(accountId, orderId, price) {
+    const account = this.getAccount(accountId);
+    const position = account.positions.get(orderId);
+    
+    if (!position) {
+      throw new NotFoundError(`Paper position ${orderId} not found`);
+    }
+    
+    const isBuy = position.side === 'BUY';
+    let fillPrice = position.fill_price;
+    let profitLoss = 0;
+    let outcome = null;
+    
+    if (position.payout_percentage !== null) {
+      if (price !== null) {
+        fillPrice = price;
+        outcome = price === position.fill_price ? 'DRAW' : 
+          ((isBuy ? price > position.fill_price : price < position.fill_price) ? 'WIN' : 'LOSS');
+      } else {
+        outcome = 'DRAW';
+      }
+      
+      profitLoss = { WIN: position.amount * position.payout_percentage / 100, LOSS: -position.amount, DRAW: 0 }[outcome];
+    } else if (price !== null) {
+      // Closing a buy sells the asset and closing a sell buys it back
+      fillPrice = this.applySlippage(price, !isBuy);
+      profitLoss = (isBuy ? fillPrice - position.fill_price : position.fill_price - fillPrice) * position.quantity;
+    }
+    
+    profitLoss = Math.round(profitLoss * 100) / 100;
+    
+    account.balance += position.amount + profitLoss;
+    account.positions.delete(orderId);
+    
+    return {
+      order_id: orderId,
+      fill_price: fillPrice,
+      profit_loss: profitLoss,
+      profit_loss_percentage: (profitLoss / position.amount) * 100,
+      outcome
+    };
+  }
+
+  /**
+   * Get the cash balance of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<number>} - Balance in dollars
+   */
+  async getBalance(accountId) {
+    return this.getAccount(accountId).balance;
+  }
+
+  /**
+   * Get the open positions of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<Object>>} - Open positions
+   */
+  async getPositions(accountId) {
+    return [...this.getAccount(accountId).positions.values()].map(position => ({ ...position }));
+  }
+}
+
+module.exports = PaperTradingBroker;
@@ -0,0 +1,62 @@
+/**
+ * Broker registry for OPTRIXTRADES
+ * Creates the broker selected by appConfig.trading.broker
+ */
+
+const { config } = require('../../config/appConfig');
+const { logger } = require('../../utils/logger');
+const BrokerAdapter = require('./BrokerAdapter');
+const PaperTradingBroker = require('./PaperTradingBroker');
+
+let broker = null;
+
+/**
+ * Create a broker adapter
+ * @param {Object} options - Broker options
+ * @param {string} options.provider - Provider name (paper)
+ * @param {Object} options.paper - Options for the paper provider
+ * @returns {BrokerAdapter|null} - Broker, or null if auto-trades are only recorded
+ */
+const createBroker = (options = config.trading.broker) => {
+  switch (options.provider) {
+    case 'paper':
+      return new PaperTradingBroker(options.paper);
+    case '':
+    case undefined:
+      return null;
+    default:
+      throw new Error(`Unknown broker provider: ${options.provider}`);
+  }
+};
+
+/**
+ * Get the configured broker, creating it on first use
+ * @returns {BrokerAdapter|null} - Broker or null if disabled
+ */
+const getBroker = () => {
+  if (!broker) {
+    broker = createBroker();
+    
+    if (broker) {
+      logger.info(`Using ${broker.name} broker for auto-trading`);
+    }
+  }
+  
+  return broker;
+};
+
+/**
+ * Replace the active broker
+ * @param {BrokerAdapter|null} adapter - Broker to use
+ */
+const setBroker = (adapter) => {
+  broker = adapter;
+};
+
+module.exports = {
+  BrokerAdapter,
+  PaperTradingBroker,
+  createBroker,
+  getBroker,
+  setBroker
+};
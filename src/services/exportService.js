@@ -0,0 +1,288 @@
+/**
+ * Export Service for OPTRIXTRADES
+ * Exports trading history and signals as CSV or JSON documents
+ *
+ * Records are read in batches and split into pages of trading.export.pageSize records, so a large
+ * history is never held in memory at once and each page fits in one Telegram document.
+ */
+
+const { Op } = require('sequelize');
+const { Signal, Trading } = require('../models');
+const { config } = require('../config/appConfig');
+const { ValidationError } = require('../utils/errorHandler');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Statuses exports can be filtered on
+const TRADE_STATUSES = Trading.rawAttributes.status.values;
+const SIGNAL_STATUSES = Signal.rawAttributes.status.values;
+
+// Records read from the database at a time
+const BATCH_SIZE = 500;
+
+// Columns exported for each kind of record, in order
+const TRADE_COLUMNS = [
+  'id', 'signal_id', 'asset', 'trade_type', 'entry_price', 'exit_price', 'quantity', 'trade_amount',
+  'risk_percentage', 'profit_loss', 'profit_loss_percentage', 'outcome', 'status', 'auto_traded',
+  'broker', 'entry_time', 'exit_time', 'notes'
+];
+const SIGNAL_COLUMNS = [
+  'signal_id', 'signal_type', 'trade_type', 'asset', 'entry_price', 'stop_loss', 'take_profit_1',
+  'take_profit_2', 'take_profit_3', 'exit_price', 'profit_loss', 'outcome', 'tier', 'status',
+  'close_trigger', 'created_by', 'entry_time', 'exit_time'
+];
+
+/**
+ * Parse export options such as "csv from=2026-10-01 to=2026-10-19 page=2"
+ * @param {Array<string>} params - Format followed by key=value options
+ * @param {Array<string>} statuses - Statuses that can be filtered on
+ * @returns {Object} - { format, from, to, asset, status, page }
+ */
+const parseExportOptions = (params, statuses = []) => {
+  const options = { format: 'csv', from: null, to: null, asset: null, status: null, page: null };
+
+  for (const param of params) {
+    const match = param.match(/^(from|to|asset|status|page)=(.+)$/i);
+
+    if (EXPORT_FORMATS.includes(param.toLowerCase())) {
+      options.format = param.toLowerCase();
+    } else if (!match) {
+      throw new ValidationError(`Unknown export option "${param}". Use csv or json, from=YYYY-MM-DD, to=YYYY-MM-DD, asset=, status= and page=`);
+    } else {
+      const key = match[1].toLowerCase();
+      const value = match[2];
+
+      if (key === 'from' || key === 'to') {
+        options[key] = new Date(`${value}T00:00:00Z`);
+
+        if (isNaN(options[key].getTime())) {
+          throw new ValidationError(`Invalid date "${value}". Use YYYY-MM-DD`);
+        }
+      } else if (key === 'page') {
+        options.page = parseInt(value, 10);
+
+        if (isNaN(options.page) || options.page < 1) {
+          throw new ValidationError('page must be a positive number');
+        }
+      } else if (key === 'status') {
+        options.status = value.toUpperCase();
+
+        if (!statuses.includes(options.status)) {
+          throw new ValidationError(`status must be one of ${statuses.join(', ')}`);
+        }
+      } else {
+        options.asset = value.toUpperCase();
+      }
+    }
+  }
+
+  // The whole day given as to= is included
+  if (options.to) {
+    options.to = new Date(options.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  if (options.from && options.to && options.from > options.to) {
+    throw new ValidationError('from= must be before to=');
+  }
+
+  return options;
+};
+
+/**
+ * Build the query of an export from its options
+ * @param {Object} base - Conditions every exported record meets
+ * @param {Object} options - Options from parseExportOptions
+ * @returns {Object} - Where clause
+ */
+const buildWhere = (base, options) => {
+  const where = { ...base };
+
+  if (options.from || options.to) {
+    where.entry_time = {
+      ...(options.from ? { [Op.gte]: options.from } : {}),
+      ...(options.to ? { [Op.lte]: options.to } : {})
+    };
+  }
+
+  if (options.asset) {
+    where.asset = options.asset;
+  }
+
+  if (options.status) {
+    where.status = options.status;
+  }
+
+  return where;
+};
+
+/**
+ * Read records in batches, in ID order
+ * @param {Object} model - Sequelize model
+ * @param {Object} where - Where clause
+ * @param {number} offset - Records to skip
+ * @param {number} limit - Maximum number of records
+ * @returns {AsyncGenerator<Object>} - Records
+ */
+const streamRecords = async function* (model, where, offset, limit) {
+  let lastId = 0;
+  let remaining = limit;
+
+  while (remaining > 0) {
+    const batch = await model.findAll({
+      where: { ...where, id: { [Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      // Only the first batch skips, later ones continue from the last ID read
+      offset: lastId === 0 ? offset : 0,
+      limit: Math.min(BATCH_SIZE, remaining)
+    });
+
+    yield* batch;
+
+    if (batch.length < Math.min(BATCH_SIZE, remaining)) {
+      return;
+    }
+
+    lastId = batch[batch.length - 1].id;
+    remaining -= batch.length;
+  }
+};
+
+/**
+ * Get the exported value of a column
+ * @param {Object} record - Record
+ * @param {string} column - Column name
+ * @returns {*} - Value, with dates as ISO strings and missing values as null
+ */
+const getValue = (record, column) => {
+  const value = record[column];
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return value === undefined ? null : value;
+};
+
+/**
+ * Format a value as a CSV field
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula.
+ * @param {*} value - Value
+ * @returns {string} - CSV field
+ */
+const toCsvField = (value) => {
+  if (value === null) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a page of records as a document
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} columns - Columns to export
+ * @param {string} format - csv or json
+ * @returns {string} - Document content
+ */
+const formatPage = (records, columns, format) => {
+  if (format === 'json') {
+    return JSON.stringify(records.map(record =>
+      Object.fromEntries(columns.map(column => [column, getValue(record, column)]))), null, 2);
+  }
+
+  return [
+    columns.join(','),
+    ...records.map(record => columns.map(column => toCsvField(getValue(record, column))).join(','))
+  ].join('\n') + '\n';
+};
+
+/**
+ * Export records matching options as pages of documents
+ * @param {Object} model - Sequelize model
+ * @param {Object} base - Conditions every exported record meets
+ * @param {Array<string>} columns - Columns to export
+ * @param {Object} options - Options from parseExportOptions
+ * @param {string} name - Start of each document's file name
+ * @returns {Promise<Object>} - { total, pages, documents } where documents yields { filename, content, page, count }
+ */
+const exportRecords = async (model, base, columns, options, name) => {
+  const where = buildWhere(base, options);
+  const pageSize = config.trading.export.pageSize;
+  const total = await model.count({ where });
+  const pages = Math.ceil(total / pageSize);
+
+  if (options.page && options.page > Math.max(pages, 1)) {
+    throw new ValidationError(`There ${pages === 1 ? 'is only 1 page' : `are only ${pages} pages`} to export`);
+  }
+
+  const firstPage = options.page || 1;
+  const lastPage = options.page || pages;
+  const range = options.from || options.to ?
+    `-${options.from ? options.from.toISOString().slice(0, 10) : 'start'}-to-${options.to ? options.to.toISOString().slice(0, 10) : 'now'}` :
+    '';
+
+  const documents = async function* () {
+    let page = firstPage;
+    let records = [];
+
+    const toDocument = () => ({
+      filename: `${name}${range}-page-${page}.${options.format}`,
+      content: formatPage(records, columns, options.format),
+      page,
+      count: records.length
+    });
+
+    for await (const record of streamRecords(model, where, (firstPage - 1) * pageSize, (lastPage - firstPage + 1) * pageSize)) {
+      records.push(record);
+
+      if (records.length === pageSize) {
+        yield toDocument();
+        page++;
+        records = [];
+      }
+    }
+
+    if (records.length > 0) {
+      yield toDocument();
+    }
+  };
+
+  return { total, pages, documents: documents() };
+};
+
+/**
+ * Export a user's trading history
+ * @param {number} userId - User's ID
+ * @param {Object} options - Options from parseExportOptions
+ * @returns {Promise<Object>} - { total, pages, documents }
+ */
+const exportTradingHistory = async (userId, options) => {
+  return exportRecords(Trading, { user_id: userId }, TRADE_COLUMNS, options, 'trading-history');
+};
+
+/**
+ * Export signals
+ * @param {Object} options - Options from parseExportOptions
+ * @returns {Promise<Object>} - { total, pages, documents }
+ */
+const exportSignals = async (options) => {
+  return exportRecords(Signal, {}, SIGNAL_COLUMNS, options, 'signals');
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  TRADE_STATUSES,
+  SIGNAL_STATUSES,
+  TRADE_COLUMNS,
+  SIGNAL_COLUMNS,
+  parseExportOptions,
+  formatPage,
+  exportTradingHistory,
+  exportSignals
+};
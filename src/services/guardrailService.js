@@ -0,0 +1,220 @@
+/**
+ * Auto-Trade Guardrail Service for OPTRIXTRADES
+ * Per-user limits that processAutoTrading checks before it opens a trade
+ */
+
+const { Op } = require('sequelize');
+const { Trading } = require('../models');
+const { config } = require('../config/appConfig');
+const { logUserAction } = require('../utils/logger');
+const { ValidationError } = require('../utils/errorHandler');
+
+// Guardrail settings users can change, with the command keyword for each
+const GUARDRAIL_KEYS = {
+  max_open: 'max_open_trades',
+  daily_loss: 'daily_loss_limit',
+  weekly_loss: 'weekly_loss_limit',
+  exposure: 'max_asset_exposure',
+  losses: 'loss_streak_limit',
+  cooldown: 'cooldown_hours'
+};
+
+/**
+ * Get the guardrails that apply to a user: their own settings over the configured defaults
+ * @param {Object} user - User object
+ * @returns {Object} - Guardrails; a limit of 0 is switched off
+ */
+const getGuardrails = (user) => {
+  const defaults = config.trading.guardrails;
+  
+  return {
+    max_open_trades: defaults.maxOpenTrades,
+    daily_loss_limit: defaults.dailyLossLimit,
+    weekly_loss_limit: defaults.weeklyLossLimit,
+    max_asset_exposure: defaults.maxAssetExposure,
+    loss_streak_limit: defaults.lossStreakLimit,
+    cooldown_hours: defaults.cooldownHours,
+    ...(user.auto_trade_guardrails || {})
+  };
+};
+
+/**
+ * Get the start of the UTC day or week (weeks start on Monday) containing a time
+ * @param {string} period - day or week
+ * @param {Date} now - Time inside the period
+ * @returns {Date} - Start of the period
+ */
+const getPeriodStart = (period, now = new Date()) => {
+  const start = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+  
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  
+  return start;
+};
+
+/**
+ * Get the end of the UTC day or week containing a time
+ * @param {string} period - day or week
+ * @param {Date} now - Time inside the period
+ * @returns {Date} - Start of the next period
+ */
+const getPeriodEnd = (period, now = new Date()) => {
+  const end = getPeriodStart(period, now);
+  end.setUTCDate(end.getUTCDate() + (period === 'week' ? 7 : 1));
+  return end;
+};
+
+/**
+ * Check a new auto-trade against a user's guardrails
+ * A loss limit that has been reached also pauses the user's auto-trading until the period ends.
+ * @param {Object} user - User about to receive an auto-trade
+ * @param {Object} signal - Signal being auto-traded
+ * @param {number} amount - Amount of the new trade in dollars
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Why the trade must be skipped as { reason, message }, or null if it may go ahead
+ */
+const checkAutoTradeGuardrails = async (user, signal, amount, now = new Date()) => {
+  const guardrails = getGuardrails(user);
+  const autoTrades = { user_id: user.id, auto_traded: true };
+  
+  if (user.auto_trade_paused_until && new Date(user.auto_trade_paused_until) > now) {
+    return {
+      reason: 'paused',
+      message: `Auto-trading is paused until ${formatTime(user.auto_trade_paused_until)} after reaching your loss limit`
+    };
+  }
+  
+  if (guardrails.loss_streak_limit > 0 && guardrails.cooldown_hours > 0) {
+    const recentTrades = await Trading.findAll({
+      where: { ...autoTrades, status: 'CLOSED', profit_loss: { [Op.not]: null } },
+      order: [['exit_time', 'DESC']],
+      limit: guardrails.loss_streak_limit
+    });
+    
+    const onLosingStreak = recentTrades.length === guardrails.loss_streak_limit &&
+      recentTrades.every(trade => trade.profit_loss < 0);
+    const cooldownEnd = onLosingStreak ? 
+      new Date(new Date(recentTrades[0].exit_time).getTime() + guardrails.cooldown_hours * 60 * 60 * 1000) : null;
+    
+    if (cooldownEnd && cooldownEnd > now) {
+      return {
+        reason: 'loss_cooldown',
+        message: `Cooling down after ${guardrails.loss_streak_limit} losses in a row until ${formatTime(cooldownEnd)}`
+      };
+    }
+  }
+  
+  for (const [period, limit] of [['day', guardrails.daily_loss_limit], ['week', guardrails.weekly_loss_limit]]) {
+    if (!(limit > 0)) {
+      continue;
+    }
+    
+    const profitLoss = await Trading.sum('profit_loss', {
+      where: { ...autoTrades, status: 'CLOSED', exit_time: { [Op.gte]: getPeriodStart(period, now) } }
+    }) || 0;
+    
+    if (profitLoss <= -limit) {
+      const pausedUntil = getPeriodEnd(period, now);
+      await user.update({ auto_trade_paused_until: pausedUntil });
+      logUserAction(user.telegram_id, 'auto_trade_paused', { period, limit, profit_loss: profitLoss, paused_until: pausedUntil });
+      
+      return {
+        reason: `${period === 'day' ? 'daily' : 'weekly'}_loss_limit`,
+        message: `Your ${period === 'day' ? 'daily' : 'weekly'} loss limit of $${limit} has been reached. ` +
+          `Auto-trading is paused until ${formatTime(pausedUntil)}`
+      };
+    }
+  }
+  
+  if (guardrails.max_open_trades > 0) {
+    const openTrades = await Trading.count({ where: { ...autoTrades, status: 'OPEN' } });
+    
+    if (openTrades >= guardrails.max_open_trades) {
+      return {
+        reason: 'max_open_trades',
+        message: `You already have ${openTrades} open auto-trades (limit ${guardrails.max_open_trades})`
+      };
+    }
+  }
+  
+  if (guardrails.max_asset_exposure > 0) {
+    const exposure = await Trading.sum('trade_amount', {
+      where: { ...autoTrades, status: 'OPEN', asset: signal.asset }
+    }) || 0;
+    
+    if (exposure + amount > guardrails.max_asset_exposure) {
+      return {
+        reason: 'asset_exposure',
+        message: `This trade would take your ${signal.asset} exposure to $${exposure + amount} ` +
+          `(limit $${guardrails.max_asset_exposure})`
+      };
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Parse guardrail settings such as "max_open=3 daily_loss=100 cooldown=4"
+ * @param {Array<string>} params - key=value settings
+ * @returns {Object} - Guardrail changes
+ */
+const parseGuardrails = (params) => {
+  const changes = {};
+  
+  for (const param of params) {
+    const match = param.match(/^([a-z_]+)=(\d+(?:\.\d+)?)$/i);
+    const key = match ? GUARDRAIL_KEYS[match[1].toLowerCase()] : null;
+    
+    if (!key) {
+      throw new ValidationError(`Unknown guardrail setting "${param}". Use ${Object.keys(GUARDRAIL_KEYS).map(name => `${name}=<n>`).join(' ')}`);
+    }
+    
+    changes[key] = parseFloat(match[2]);
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    throw new ValidationError('Please enter at least one guardrail setting');
+  }
+  
+  return changes;
+};
+
+/**
+ * Format a user's guardrails for display
+ * @param {Object} user - User object
+ * @returns {string} - Formatted guardrails
+ */
+const formatGuardrails = (user) => {
+  const guardrails = getGuardrails(user);
+  const limit = (value, text) => value > 0 ? text : 'Off';
+  
+  return `Max Open Trades: ${limit(guardrails.max_open_trades, guardrails.max_open_trades)}\n` +
+    `Daily Loss Limit: ${limit(guardrails.daily_loss_limit, `$${guardrails.daily_loss_limit}`)}\n` +
+    `Weekly Loss Limit: ${limit(guardrails.weekly_loss_limit, `$${guardrails.weekly_loss_limit}`)}\n` +
+    `Max Exposure per Asset: ${limit(guardrails.max_asset_exposure, `$${guardrails.max_asset_exposure}`)}\n` +
+    `Cooldown: ${limit(guardrails.loss_streak_limit * guardrails.cooldown_hours, 
+      `${guardrails.cooldown_hours}h after ${guardrails.loss_streak_limit} losses in a row`)}` +
+    (user.auto_trade_paused_until && new Date(user.auto_trade_paused_until) > new Date() ? 
+      `\n⏸ Paused until ${formatTime(user.auto_trade_paused_until)}` : '');
+};
+
+/**
+ * Format a time for guardrail messages
+ * @param {Date} date - Time
+ * @returns {string} - Time in UTC
+ */
+const formatTime = (date) => {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+module.exports = {
+  getGuardrails,
+  getPeriodStart,
+  checkAutoTradeGuardrails,
+  parseGuardrails,
+  formatGuardrails
+};
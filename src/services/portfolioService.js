@@ -0,0 +1,235 @@
+/**
+ * Portfolio Service for OPTRIXTRADES
+ * Virtual ledger of each user's balance: their starting deposit, realised P/L of closed trades
+ * and manual adjustments
+ */
+
+const { Op } = require('sequelize');
+const { PortfolioEntry, Signal, Trading } = require('../models');
+const { getPriceFeed } = require('./priceFeeds');
+const { logUserAction } = require('../utils/logger');
+const { ValidationError } = require('../utils/errorHandler');
+
+// Days the equity trend is shown over
+const TREND_PERIODS = [7, 30];
+
+/**
+ * Format a signed dollar amount
+ * @param {number} amount - Amount in dollars
+ * @returns {string} - Formatted amount, e.g. +$12.50 or -$3.00
+ */
+const formatDollars = (amount) => {
+  return `${amount < 0 ? '-' : '+'}$${Math.abs(amount).toFixed(2)}`;
+};
+
+/**
+ * Record a user's deposit as the opening ledger entry, once
+ * @param {Object} user - User object
+ * @returns {Promise<Object|null>} - Deposit entry, or null if the user has no deposit
+ */
+const ensureOpeningDeposit = async (user) => {
+  const existing = await PortfolioEntry.findOne({ where: { user_id: user.id, type: 'DEPOSIT' } });
+
+  if (existing || !user.deposit_amount) {
+    return existing;
+  }
+
+  return PortfolioEntry.create({
+    user_id: user.id,
+    type: 'DEPOSIT',
+    amount: user.deposit_amount,
+    description: 'Starting deposit',
+    occurred_at: user.createdAt || new Date()
+  });
+};
+
+/**
+ * Record the realised P/L of a closed trade
+ * A trade is only recorded once, however many times this is called for it.
+ * @param {Object} trade - Closed trade
+ * @returns {Promise<Object|null>} - Ledger entry, or null if the trade has no result
+ */
+const recordRealisedProfitLoss = async (trade) => {
+  if (trade.profit_loss === null || trade.profit_loss === undefined) {
+    return null;
+  }
+
+  const [entry] = await PortfolioEntry.findOrCreate({
+    where: { trade_id: trade.id },
+    defaults: {
+      user_id: trade.user_id,
+      type: 'REALISED_PL',
+      amount: trade.profit_loss,
+      description: `${trade.trade_type} ${trade.asset}${trade.signal_id ? ` (${trade.signal_id})` : ''}`,
+      occurred_at: trade.exit_time || new Date()
+    }
+  });
+
+  return entry;
+};
+
+/**
+ * Record a manual adjustment such as a deposit or withdrawal
+ * @param {Object} user - User object
+ * @param {number} amount - Signed amount in dollars
+ * @param {string} description - Reason for the adjustment
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const recordAdjustment = async (user, amount, description = '') => {
+  if (isNaN(amount) || amount === 0) {
+    throw new ValidationError('The adjustment must be a non-zero amount, e.g. 250 or -100');
+  }
+
+  const entry = await PortfolioEntry.create({
+    user_id: user.id,
+    type: 'ADJUSTMENT',
+    amount,
+    description: description || 'Manual adjustment'
+  });
+
+  logUserAction(user.telegram_id, 'portfolio_adjusted', { amount, description });
+
+  return entry;
+};
+
+/**
+ * Get a user's ledger balance
+ * @param {number} userId - User's ID
+ * @param {Object} options - Filters
+ * @param {Date} options.before - Only count entries before this time
+ * @param {string} options.type - Only count entries of this type
+ * @returns {Promise<number>} - Balance in dollars
+ */
+const getLedgerBalance = async (userId, { before = null, type = null } = {}) => {
+  const where = { user_id: userId };
+
+  if (before) {
+    where.occurred_at = { [Op.lt]: before };
+  }
+
+  if (type) {
+    where.type = type;
+  }
+
+  return (await PortfolioEntry.sum('amount', { where })) || 0;
+};
+
+/**
+ * Get the unrealised P/L of an open trade at a price
+ * @param {Object} trade - Open trade, with its Signal when it follows one
+ * @param {number|null} price - Current price of the trade's asset
+ * @returns {number|null} - P/L in dollars, or null if it cannot be valued
+ */
+const getUnrealisedProfitLoss = (trade, price) => {
+  // Binary options are only worth something at expiry
+  if (price === null || price === undefined || trade.Signal?.signal_type === 'BINARY' ||
+    !trade.trade_amount || !trade.entry_price) {
+    return null;
+  }
+
+  const move = (price - trade.entry_price) / trade.entry_price * (trade.trade_type === 'SELL' ? -1 : 1);
+
+  return Math.round(trade.trade_amount * move * 100) / 100;
+};
+
+/**
+ * Get a user's portfolio: equity, open positions, realised and unrealised P/L and the equity trend
+ * Past equity for the trend is the ledger balance at the time, as open positions were not valued then.
+ * @param {Object} user - User object
+ * @param {Object|null} priceFeed - Price feed used to value open positions
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Portfolio
+ */
+const getPortfolio = async (user, priceFeed = getPriceFeed(), now = new Date()) => {
+  await ensureOpeningDeposit(user);
+
+  const balance = await getLedgerBalance(user.id);
+  const realised = await getLedgerBalance(user.id, { type: 'REALISED_PL' });
+
+  const openTrades = await Trading.findAll({
+    where: { user_id: user.id, status: 'OPEN' },
+    include: [{ model: Signal, attributes: ['signal_type'], required: false }],
+    order: [['entry_time', 'ASC']]
+  });
+
+  const prices = priceFeed && openTrades.length > 0 ?
+    await priceFeed.getPrices([...new Set(openTrades.map(trade => trade.asset))]) :
+    {};
+
+  const positions = openTrades.map(trade => ({
+    trade,
+    price: prices[trade.asset] ?? null,
+    unrealised: getUnrealisedProfitLoss(trade, prices[trade.asset] ?? null)
+  }));
+
+  const unrealised = positions.reduce((sum, position) => sum + (position.unrealised || 0), 0);
+  const equity = balance + unrealised;
+
+  const trends = [];
+
+  for (const days of TREND_PERIODS) {
+    const startEquity = await getLedgerBalance(user.id, { before: new Date(now.getTime() - days * 24 * 60 * 60 * 1000) });
+
+    trends.push({
+      days,
+      start_equity: startEquity,
+      change: equity - startEquity,
+      change_percentage: startEquity > 0 ? (equity - startEquity) / startEquity * 100 : null
+    });
+  }
+
+  return {
+    balance,
+    equity,
+    realised,
+    unrealised,
+    positions,
+    trends
+  };
+};
+
+/**
+ * Format a portfolio for display
+ * @param {Object} portfolio - Portfolio from getPortfolio
+ * @returns {string} - Formatted portfolio
+ */
+const formatPortfolio = (portfolio) => {
+  let message = `Equity: $${portfolio.equity.toFixed(2)}\n` +
+    `Balance: $${portfolio.balance.toFixed(2)}\n` +
+    `Realised P/L: ${formatDollars(portfolio.realised)}\n` +
+    `Unrealised P/L: ${formatDollars(portfolio.unrealised)}\n\n` +
+    `*Trend*\n`;
+
+  for (const trend of portfolio.trends) {
+    message += `${trend.days} days: ${formatDollars(trend.change)}` +
+      (trend.change_percentage !== null ?
+        ` (${trend.change_percentage > 0 ? '+' : ''}${trend.change_percentage.toFixed(2)}%)` :
+        '') +
+      `\n`;
+  }
+
+  message += `\n*Open Positions (${portfolio.positions.length})*\n`;
+
+  if (portfolio.positions.length === 0) {
+    message += `None\n`;
+  }
+
+  for (const { trade, price, unrealised } of portfolio.positions) {
+    message += `${trade.trade_type} ${trade.asset} $${trade.trade_amount} @ ${trade.entry_price}` +
+      (unrealised !== null ? ` → ${price}: ${formatDollars(unrealised)}` : '') +
+      `\n`;
+  }
+
+  return message.trim();
+};
+
+module.exports = {
+  ensureOpeningDeposit,
+  recordRealisedProfitLoss,
+  recordAdjustment,
+  getLedgerBalance,
+  getUnrealisedProfitLoss,
+  getPortfolio,
+  formatPortfolio,
+  formatDollars
+};
@@ -0,0 +1,187 @@
+/**
+ * Position Sizing Service for OPTRIXTRADES
+ * Works out how much a user should put into a signal from their sizing mode and balance
+ */
+
+const { config } = require('../config/appConfig');
+const { getBroker } = require('./brokers');
+const { ValidationError } = require('../utils/errorHandler');
+
+// Sizing modes users can choose, with the label shown for each
+const SIZING_MODES = {
+  fixed: 'Fixed amount',
+  balance: '% of balance',
+  risk: '% risked to stop-loss'
+};
+
+/**
+ * Get the balance a user's position sizes are based on
+ * The broker's account balance when a broker is configured, otherwise the user's deposit.
+ * @param {Object} user - User object
+ * @param {Object|null} broker - Broker adapter
+ * @returns {Promise<number>} - Balance in dollars
+ */
+const getTrackedBalance = async (user, broker = getBroker()) => {
+  if (broker) {
+    return broker.getBalance(user.telegram_id);
+  }
+
+  return user.deposit_amount || 0;
+};
+
+/**
+ * Get the share of a position lost if a signal fails
+ * @param {Object} signal - Signal object
+ * @returns {number|null} - Fraction of the amount at risk, or null if the signal has no stop-loss
+ */
+const getStopDistance = (signal) => {
+  // A losing binary option loses the whole stake
+  if (signal.signal_type === 'BINARY') {
+    return 1;
+  }
+
+  if (!signal.stop_loss) {
+    return null;
+  }
+
+  return Math.abs(signal.entry_price - signal.stop_loss) / signal.entry_price;
+};
+
+/**
+ * Calculate the position size for a user and signal
+ * Positions are capped so the loss at the stop-loss stays within trading.maxRiskPerTrade of the
+ * balance, and by the user's and the platform's maximum trade amount.
+ * @param {Object} user - User object
+ * @param {Object} signal - Signal object
+ * @param {number} balance - User's tracked balance
+ * @returns {Object} - { mode, balance, amount, quantity, risk_amount, risk_percentage, capped_by }
+ */
+const calculatePositionSize = (user, signal, balance) => {
+  const mode = user.position_sizing_mode || 'fixed';
+  const stopDistance = getStopDistance(signal);
+  const maxRisk = config.trading.maxRiskPerTrade;
+  let amount;
+  let cappedBy = null;
+
+  if (mode === 'balance') {
+    amount = balance * (user.position_size_percentage || 0) / 100;
+  } else if (mode === 'risk') {
+    const riskPercentage = Math.min(user.risk_per_trade || config.trading.defaultRiskPerTrade, maxRisk);
+
+    // Without a stop-loss the whole amount is treated as at risk
+    amount = balance * riskPercentage / 100 / (stopDistance || 1);
+  } else {
+    amount = user.auto_trade_amount || 0;
+  }
+
+  const caps = [
+    ['max_risk', stopDistance && balance > 0 ? balance * maxRisk / 100 / stopDistance : 0],
+    ['max_trade_amount', user.max_trade_amount || 0],
+    ['platform_max', config.trading.maxTradeAmount || 0]
+  ];
+
+  for (const [cap, limit] of caps) {
+    if (limit > 0 && amount > limit) {
+      amount = limit;
+      cappedBy = cap;
+    }
+  }
+
+  amount = Math.max(0, Math.floor(amount * 100) / 100);
+  const riskAmount = stopDistance ? Math.round(amount * stopDistance * 100) / 100 : null;
+
+  return {
+    mode,
+    balance,
+    amount,
+    quantity: amount > 0 ? amount / parseFloat(signal.entry_price) : 0,
+    risk_amount: riskAmount,
+    risk_percentage: riskAmount !== null && balance > 0 ? Math.round(riskAmount / balance * 10000) / 100 : null,
+    capped_by: cappedBy
+  };
+};
+
+/**
+ * Parse sizing settings such as "fixed 100", "balance 5" or "risk 1"
+ * @param {Array<string>} params - Mode followed by its amount or percentage
+ * @returns {Object} - User fields to update
+ */
+const parseSizingSettings = (params) => {
+  const mode = (params[0] || '').toLowerCase();
+  const value = parseFloat((params[1] || '').replace(/[$%]/g, ''));
+
+  if (!SIZING_MODES[mode] || params.length !== 2) {
+    throw new ValidationError('Usage: /sizing fixed <amount>, /sizing balance <percentage> or /sizing risk <percentage>');
+  }
+
+  if (mode === 'fixed') {
+    if (isNaN(value) || value < 10) {
+      throw new ValidationError('The fixed amount must be at least $10');
+    }
+
+    return { position_sizing_mode: mode, auto_trade_amount: value };
+  }
+
+  if (mode === 'balance') {
+    if (isNaN(value) || value <= 0 || value > 100) {
+      throw new ValidationError('The balance percentage must be between 0 and 100');
+    }
+
+    return { position_sizing_mode: mode, position_size_percentage: value };
+  }
+
+  if (isNaN(value) || value <= 0 || value > config.trading.maxRiskPerTrade) {
+    throw new ValidationError(`The risk percentage must be between 0 and ${config.trading.maxRiskPerTrade}`);
+  }
+
+  return { position_sizing_mode: mode, risk_per_trade: value };
+};
+
+/**
+ * Format a user's sizing settings for display
+ * @param {Object} user - User object
+ * @returns {string} - Formatted settings
+ */
+const formatSizingSettings = (user) => {
+  const mode = user.position_sizing_mode || 'fixed';
+  const setting = {
+    fixed: `$${user.auto_trade_amount || 0} per trade`,
+    balance: `${user.position_size_percentage || 0}% of balance per trade`,
+    risk: `${user.risk_per_trade || config.trading.defaultRiskPerTrade}% of balance risked to the stop-loss`
+  }[mode];
+
+  return `Sizing: ${SIZING_MODES[mode]} (${setting})\n` +
+    `Max Trade Amount: ${user.max_trade_amount ? `$${user.max_trade_amount}` : 'Not set'}\n` +
+    `Max Risk per Trade: ${config.trading.maxRiskPerTrade}%`;
+};
+
+/**
+ * Format a calculated position size for display
+ * @param {Object} size - Position size from calculatePositionSize
+ * @returns {string} - Formatted position size
+ */
+const formatPositionSize = (size) => {
+  const capLabels = {
+    max_risk: `the ${config.trading.maxRiskPerTrade}% maximum risk per trade`,
+    max_trade_amount: 'your maximum trade amount',
+    platform_max: 'the platform maximum trade amount'
+  };
+
+  return `Balance: $${size.balance.toFixed(2)}\n` +
+    `Amount: $${size.amount.toFixed(2)}\n` +
+    `Quantity: ${parseFloat(size.quantity.toFixed(6))}\n` +
+    `Risk: ${size.risk_amount !== null ?
+      `$${size.risk_amount.toFixed(2)}${size.risk_percentage !== null ? ` (${size.risk_percentage}% of balance)` : ''}` :
+      'No stop-loss'}` +
+    (size.capped_by ? `\nCapped by ${capLabels[size.capped_by]}` : '');
+};
+
+module.exports = {
+  SIZING_MODES,
+  getTrackedBalance,
+  getStopDistance,
+  calculatePositionSize,
+  parseSizingSettings,
+  formatSizingSettings,
+  formatPositionSize
+};
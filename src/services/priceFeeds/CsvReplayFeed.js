@@ -0,0 +1,92 @@
+/**
+ * CSV replay price feed for OPTRIXTRADES
+ * Replays recorded ticks from a CSV file with a `timestamp,asset,price` header
+ */
+
+const fs = require('fs');
+const PriceFeed = require('./PriceFeed');
+
+/**
+ * Price feed that returns the next recorded tick for an asset on every call
+ */
+class CsvReplayFeed extends PriceFeed {
+  /**
+   * Constructor for CsvReplayFeed
+   * @param {string} filePath - Path to the CSV file
+   */
+  constructor(filePath) {
+    super('csv');
+    this.filePath = filePath;
+    this.ticks = CsvReplayFeed.parse(fs.readFileSync(filePath, 'utf8'));
+    this.cursors = new Map();
+  }
+
+  /**
+   * Parse CSV content into ticks grouped by asset and ordered by time
+   * @param {string} content - CSV content
+   * @returns {Map<string, Array<Object>>} - Ticks as { time, price } per asset
+   */
+  static parse(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const header = lines.shift().split(',').map(column => column.trim().toLowerCase());
+    const timeIndex = header.indexOf('timestamp');
+    const assetIndex = header.indexOf('asset');
+    const priceIndex = header.indexOf('price');
+    
+    if (timeIndex === -1 || assetIndex === -1 || priceIndex === -1) {
+      throw new Error('Price CSV must have timestamp, asset and price columns');
+    }
+    
+    const ticks = new Map();
+    
+    for (const line of lines) {
+      const columns = line.split(',').map(column => column.trim());
+      const asset = columns[assetIndex].toUpperCase();
+      const price = parseFloat(columns[priceIndex]);
+      
+      if (isNaN(price)) {
+        continue;
+      }
+      
+      if (!ticks.has(asset)) {
+        ticks.set(asset, []);
+      }
+      
+      ticks.get(asset).push({ time: new Date(columns[timeIndex]), price });
+    }
+    
+    for (const assetTicks of ticks.values()) {
+      assetTicks.sort((a, b) => a.time - b.time);
+    }
+    
+    return ticks;
+  }
+
+  /**
+   * Get the next recorded price for an asset; the last tick repeats once the file is exhausted
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<number|null>} - Price or null if the file has no ticks for the asset
+   */
+  async getPrice(asset) {
+    const key = asset.toUpperCase();
+    const assetTicks = this.ticks.get(key);
+    
+    if (!assetTicks || assetTicks.length === 0) {
+      return null;
+    }
+    
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, Math.min(cursor + 1, assetTicks.length - 1));
+    
+    return assetTicks[cursor].price;
+  }
+
+  /**
+   * Restart the replay from the first tick of every asset
+   */
+  reset() {
+    this.cursors.clear();
+  }
+}
+
+module.exports = CsvReplayFeed;
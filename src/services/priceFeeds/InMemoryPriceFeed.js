@@ -0,0 +1,45 @@
+/**
+ * In-memory price feed for OPTRIXTRADES
+ * Prices are set directly, which makes the feed useful for tests and manual checks
+ */
+
+const PriceFeed = require('./PriceFeed');
+
+/**
+ * Price feed backed by an in-memory map
+ */
+class InMemoryPriceFeed extends PriceFeed {
+  /**
+   * Constructor for InMemoryPriceFeed
+   * @param {Object} prices - Initial map of asset to price
+   */
+  constructor(prices = {}) {
+    super('memory');
+    this.prices = new Map();
+    
+    for (const [asset, price] of Object.entries(prices)) {
+      this.setPrice(asset, price);
+    }
+  }
+
+  /**
+   * Set the current price for an asset
+   * @param {string} asset - Asset symbol
+   * @param {number} price - Price
+   */
+  setPrice(asset, price) {
+    this.prices.set(asset.toUpperCase(), parseFloat(price));
+  }
+
+  /**
+   * Get the latest price for an asset
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<number|null>} - Latest price or null
+   */
+  async getPrice(asset) {
+    const price = this.prices.get(asset.toUpperCase());
+    return price === undefined ? null : price;
+  }
+}
+
+module.exports = InMemoryPriceFeed;
@@ -0,0 +1,43 @@
+/**
+ * Price Feed interface for OPTRIXTRADES
+ * Every price feed adapter extends this class and implements getPrice()
+ */
+
+/**
+ * Base price feed class
+ */
+class PriceFeed {
+  /**
+   * Constructor for PriceFeed
+   * @param {string} name - Name of the feed for logging
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Get the latest price for an asset
+   * @param {string} asset - Asset symbol (e.g., EURUSD)
+   * @returns {Promise<number|null>} - Latest price, or null if the feed has no price for the asset
+   */
+  async getPrice(asset) {
+    throw new Error(`getPrice() is not implemented by the ${this.name} price feed`);
+  }
+
+  /**
+   * Get the latest prices for several assets
+   * @param {Array<string>} assets - Asset symbols
+   * @returns {Promise<Object>} - Map of asset to price (null when unavailable)
+   */
+  async getPrices(assets) {
+    const prices = {};
+    
+    for (const asset of assets) {
+      prices[asset] = await this.getPrice(asset);
+    }
+    
+    return prices;
+  }
+}
+
+module.exports = PriceFeed;
@@ -0,0 +1,66 @@
+/**
+ * Price feed registry for OPTRIXTRADES
+ * Creates the price feed selected by appConfig.trading.priceFeed
+ */
+
+const { config } = require('../../config/appConfig');
+const { logger } = require('../../utils/logger');
+const PriceFeed = require('./PriceFeed');
+const InMemoryPriceFeed = require('./InMemoryPriceFeed');
+const CsvReplayFeed = require('./CsvReplayFeed');
+
+let priceFeed = null;
+
+/**
+ * Create a price feed
+ * @param {Object} options - Price feed options
+ * @param {string} options.provider - Provider name (memory, csv)
+ * @param {string} options.csvPath - CSV file for the csv provider
+ * @returns {PriceFeed|null} - Price feed, or null if no provider is configured
+ */
+const createPriceFeed = (options = config.trading.priceFeed) => {
+  switch (options.provider) {
+    case 'memory':
+      return new InMemoryPriceFeed();
+    case 'csv':
+      return new CsvReplayFeed(options.csvPath);
+    case '':
+    case undefined:
+      return null;
+    default:
+      throw new Error(`Unknown price feed provider: ${options.provider}`);
+  }
+};
+
+/**
+ * Get the configured price feed, creating it on first use
+ * @returns {PriceFeed|null} - Price feed or null if disabled
+ */
+const getPriceFeed = () => {
+  if (!priceFeed) {
+    priceFeed = createPriceFeed();
+    
+    if (priceFeed) {
+      logger.info(`Using ${priceFeed.name} price feed`);
+    }
+  }
+  
+  return priceFeed;
+};
+
+/**
+ * Replace the active price feed
+ * @param {PriceFeed|null} feed - Price feed to use
+ */
+const setPriceFeed = (feed) => {
+  priceFeed = feed;
+};
+
+module.exports = {
+  PriceFeed,
+  InMemoryPriceFeed,
+  CsvReplayFeed,
+  createPriceFeed,
+  getPriceFeed,
+  setPriceFeed
+};
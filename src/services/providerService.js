@@ -0,0 +1,340 @@
+/**
+ * Provider Service for OPTRIXTRADES
+ * Signal providers (the analysts behind the signals), who follows them and their track records
+ *
+ * A signal from a provider only goes to the users who follow that provider. Signals without a
+ * provider come from the admins at large and go to every user of their tier as before.
+ */
+
+const { Op, Sequelize } = require('sequelize');
+const { SignalProvider, Signal, User } = require('../models');
+const userService = require('./userService');
+const { logAdminAction, logUserAction } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+// Handles are typed in commands such as /signal ... by=alex
+const HANDLE_PATTERN = /^[a-z0-9-]{2,32}$/;
+
+/**
+ * Normalize a provider handle
+ * @param {string} handle - Handle as typed
+ * @returns {string} - Lowercase handle
+ */
+const normalizeHandle = (handle) => String(handle || '').trim().toLowerCase();
+
+/**
+ * Check a provider's display name and bio
+ * @param {Object} values - { name, bio }, either may be missing
+ * @throws {ValidationError} - If a value is invalid
+ */
+const validateProfile = ({ name, bio }) => {
+  if (name !== undefined && !/^[\p{L}\p{N} .'-]{2,64}$/u.test(name)) {
+    throw new ValidationError('Provider names are 2 to 64 letters, digits, spaces, dots, dashes or apostrophes');
+  }
+
+  if (bio !== undefined && bio.length > 1000) {
+    throw new ValidationError('Provider bios are limited to 1000 characters');
+  }
+};
+
+/**
+ * Get a provider by its handle
+ * @param {string} handle - Provider handle
+ * @returns {Promise<Object>} - Provider
+ * @throws {NotFoundError} - If there is no such provider
+ */
+const getProvider = async (handle) => {
+  const provider = await SignalProvider.findOne({ where: { handle: normalizeHandle(handle) } });
+
+  if (!provider) {
+    throw new NotFoundError(`Provider "${handle}" not found`);
+  }
+
+  return provider;
+};
+
+/**
+ * Get the signal providers, by name
+ * @param {boolean} activeOnly - Leave out retired providers
+ * @returns {Promise<Array<Object>>} - Providers
+ */
+const getProviders = async (activeOnly = true) => {
+  return SignalProvider.findAll({
+    where: activeOnly ? { active: true } : {},
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * Add a signal provider
+ * @param {Object} values - { handle, name, bio }
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Created provider
+ */
+const createProvider = async ({ handle, name, bio = '' }, adminTelegramId) => {
+  const providerHandle = normalizeHandle(handle);
+
+  if (!HANDLE_PATTERN.test(providerHandle)) {
+    throw new ValidationError('Provider handles are 2 to 32 lowercase letters, digits or dashes');
+  }
+
+  validateProfile({ name, bio });
+
+  if (await SignalProvider.findOne({ where: { handle: providerHandle } })) {
+    throw new ValidationError(`Provider handle "${providerHandle}" is already taken`);
+  }
+
+  const provider = await SignalProvider.create({
+    handle: providerHandle,
+    name,
+    bio,
+    created_by: adminTelegramId
+  });
+
+  logAdminAction(adminTelegramId, 'provider_created', { provider_id: provider.id, handle: provider.handle });
+
+  return provider;
+};
+
+/**
+ * Update a signal provider's profile, linked admin or status
+ * @param {string} handle - Provider handle
+ * @param {Object} changes - Any of { name, bio, telegram_id, active }
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Updated provider
+ */
+const updateProvider = async (handle, changes, adminTelegramId) => {
+  const provider = await getProvider(handle);
+
+  validateProfile(changes);
+
+  if (changes.telegram_id) {
+    const linked = await SignalProvider.findOne({ where: { telegram_id: changes.telegram_id } });
+
+    if (linked && linked.id !== provider.id) {
+      throw new ValidationError(`Telegram ID ${changes.telegram_id} is already linked to provider "${linked.handle}"`);
+    }
+  }
+
+  await provider.update(changes);
+
+  logAdminAction(adminTelegramId, 'provider_updated', { provider_id: provider.id, handle: provider.handle, changes });
+
+  return provider;
+};
+
+/**
+ * Work out which provider a new signal comes from
+ * An explicit handle wins; otherwise the signal belongs to the provider linked to the admin creating it, if any.
+ * @param {string|null} handle - Provider handle given with the signal
+ * @param {string|null} adminTelegramId - Admin creating the signal, null for a signal from an alert
+ * @returns {Promise<Object|null>} - Provider, or null for a signal from the admins at large
+ */
+const resolveSignalProvider = async (handle, adminTelegramId) => {
+  if (handle) {
+    const provider = await getProvider(handle);
+
+    if (!provider.active) {
+      throw new ValidationError(`Provider "${provider.handle}" is retired`);
+    }
+
+    return provider;
+  }
+
+  if (!adminTelegramId) {
+    return null;
+  }
+
+  return SignalProvider.findOne({ where: { telegram_id: adminTelegramId.toString(), active: true } });
+};
+
+/**
+ * Check whether a user receives a signal given the providers they follow
+ * @param {Object} user - User
+ * @param {Object} signal - Signal
+ * @returns {boolean} - True for signals without a provider or from a provider the user follows
+ */
+const followsSignalProvider = (user, signal) => {
+  return !signal.provider_id || (user.followed_providers || []).includes(signal.provider_id);
+};
+
+/**
+ * Follow or unfollow a provider
+ * @param {string} telegramId - User's Telegram ID
+ * @param {number} providerId - Provider ID
+ * @param {boolean} follow - True to follow, false to unfollow
+ * @returns {Promise<Object>} - Updated user
+ */
+const setFollowing = async (telegramId, providerId, follow) => {
+  const user = await userService.getUserByTelegramId(telegramId);
+
+  if (!user) {
+    throw new NotFoundError(`User with Telegram ID ${telegramId} not found`);
+  }
+
+  const provider = await SignalProvider.findByPk(providerId);
+
+  if (!provider || (follow && !provider.active)) {
+    throw new NotFoundError('This provider is no longer available');
+  }
+
+  const followed = (user.followed_providers || []).filter(id => id !== provider.id);
+
+  // Reassign the whole array so Sequelize picks up the JSONB change
+  await user.update({ followed_providers: follow ? [...followed, provider.id] : followed });
+  logUserAction(telegramId, follow ? 'provider_followed' : 'provider_unfollowed', { provider_id: provider.id });
+
+  return user;
+};
+
+/**
+ * Follow a provider
+ * @param {string} telegramId - User's Telegram ID
+ * @param {number} providerId - Provider ID
+ * @returns {Promise<Object>} - Updated user
+ */
+const followProvider = (telegramId, providerId) => setFollowing(telegramId, providerId, true);
+
+/**
+ * Unfollow a provider
+ * @param {string} telegramId - User's Telegram ID
+ * @param {number} providerId - Provider ID
+ * @returns {Promise<Object>} - Updated user
+ */
+const unfollowProvider = (telegramId, providerId) => setFollowing(telegramId, providerId, false);
+
+/**
+ * Count the users following a provider
+ * @param {number} providerId - Provider ID
+ * @returns {Promise<number>} - Followers
+ */
+const countFollowers = async (providerId) => {
+  return User.count({ where: { followed_providers: { [Op.contains]: [providerId] } } });
+};
+
+/**
+ * Get signal statistics broken down by provider
+ * Signals without a provider are reported under a null provider_id as "Admins".
+ * @param {Object} whereClause - Additional where conditions on signals
+ * @returns {Promise<Array<Object>>} - Statistics per provider, busiest first
+ */
+const getProviderStats = async (whereClause = {}) => {
+  const [rows, providers] = await Promise.all([
+    Signal.findAll({
+      attributes: [
+        'provider_id',
+        'signal_type',
+        'status',
+        'outcome',
+        [Sequelize.fn('count', Sequelize.col('id')), 'count'],
+        [Sequelize.fn('sum', Sequelize.literal('CASE WHEN profit_loss > 0 THEN 1 ELSE 0 END')), 'profitable'],
+        [Sequelize.fn('sum', Sequelize.col('profit_loss')), 'total_profit_loss']
+      ],
+      where: whereClause,
+      group: ['provider_id', 'signal_type', 'status', 'outcome']
+    }),
+    SignalProvider.findAll()
+  ]);
+
+  const stats = new Map();
+
+  for (const row of rows) {
+    const providerId = row.provider_id || null;
+
+    if (!stats.has(providerId)) {
+      const provider = providers.find(item => item.id === providerId);
+
+      stats.set(providerId, {
+        provider_id: providerId,
+        handle: provider ? provider.handle : null,
+        name: provider ? provider.name : 'Admins',
+        totalSignals: 0,
+        closedSignals: 0,
+        profitableSignals: 0,
+        totalProfitLoss: 0,
+        binary: { WIN: 0, LOSS: 0, DRAW: 0 }
+      });
+    }
+
+    const entry = stats.get(providerId);
+    const count = parseInt(row.getDataValue('count'), 10);
+
+    entry.totalSignals += count;
+
+    // Standard signals are judged on their closed P/L, binary ones on their outcome, as in getTradingStats
+    if (row.signal_type === 'STANDARD' && row.status === 'CLOSED') {
+      entry.closedSignals += count;
+      entry.profitableSignals += parseInt(row.getDataValue('profitable'), 10) || 0;
+      entry.totalProfitLoss += parseFloat(row.getDataValue('total_profit_loss')) || 0;
+    } else if (row.signal_type === 'BINARY' && row.outcome) {
+      entry.binary[row.outcome] += count;
+    }
+  }
+
+  return [...stats.values()]
+    .map(({ totalProfitLoss, binary, ...entry }) => {
+      const decided = binary.WIN + binary.LOSS;
+
+      return {
+        ...entry,
+        winRate: entry.closedSignals > 0 ? (entry.profitableSignals / entry.closedSignals * 100).toFixed(2) : '0.00',
+        avgProfitLoss: entry.closedSignals > 0 ? (totalProfitLoss / entry.closedSignals).toFixed(2) : '0.00',
+        binaryWins: binary.WIN,
+        binaryLosses: binary.LOSS,
+        binaryDraws: binary.DRAW,
+        binaryWinRate: decided > 0 ? (binary.WIN / decided * 100).toFixed(2) : '0.00'
+      };
+    })
+    .sort((a, b) => b.totalSignals - a.totalSignals);
+};
+
+/**
+ * Format a provider's track record on one line
+ * @param {Object|undefined} stats - Provider's entry from getProviderStats
+ * @returns {string} - Track record
+ */
+const formatTrackRecord = (stats) => {
+  if (!stats || stats.totalSignals === 0) {
+    return 'No signals yet';
+  }
+
+  const parts = [`${stats.totalSignals} signals`];
+
+  if (stats.closedSignals > 0) {
+    parts.push(`${stats.winRate}% of ${stats.closedSignals} closed in profit, avg ${stats.avgProfitLoss}%`);
+  }
+
+  if (stats.binaryWins + stats.binaryLosses + stats.binaryDraws > 0) {
+    parts.push(`binary ${stats.binaryWins}W / ${stats.binaryLosses}L / ${stats.binaryDraws}D`);
+  }
+
+  return parts.join(', ');
+};
+
+/**
+ * Format a provider's profile
+ * @param {Object} provider - Provider
+ * @param {Object|undefined} stats - Provider's entry from getProviderStats
+ * @param {boolean} following - Whether the reader follows the provider
+ * @returns {string} - Profile
+ */
+const formatProviderProfile = (provider, stats, following = false) => {
+  return `${following ? '✅' : '➕'} ${provider.name} (${provider.handle})\n` +
+    (provider.bio ? `${provider.bio}\n` : '') +
+    `Track record: ${formatTrackRecord(stats)}`;
+};
+
+module.exports = {
+  getProvider,
+  getProviders,
+  createProvider,
+  updateProvider,
+  resolveSignalProvider,
+  followsSignalProvider,
+  followProvider,
+  unfollowProvider,
+  countFollowers,
+  getProviderStats,
+  formatTrackRecord,
+  formatProviderProfile
+};
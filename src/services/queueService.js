@@ -7,6 +7,7 @@ const Bull = require('bull');
 const { logger } = require('../utils/logger');
 const { ServiceUnavailableError } = require('../utils/errorHandler');
 const { redisClient } = require('../config/redis');
+const { config } = require('../config/appConfig');
 
 // Parse Redis connection options
 let redisOptions;
@@ -56,6 +57,7 @@ if (process.env.REDIS_HOST && process.env.REDIS_HOST.startsWith('redis://')) {
 const VERIFICATION_QUEUE = 'verification-processing';
 const NOTIFICATION_QUEUE = 'notifications';
 const TRADING_SIGNAL_QUEUE = 'trading-signals';
+const SIGNAL_DELIVERY_QUEUE = 'signal-deliveries';
 const ANALYTICS_QUEUE = 'analytics-processing';
 
 // Create queues
@@ -63,6 +65,15 @@ const queues = {
   [VERIFICATION_QUEUE]: new Bull(VERIFICATION_QUEUE, { redis: redisOptions }),
   [NOTIFICATION_QUEUE]: new Bull(NOTIFICATION_QUEUE, { redis: redisOptions }),
   [TRADING_SIGNAL_QUEUE]: new Bull(TRADING_SIGNAL_QUEUE, { redis: redisOptions }),
+  // Deliveries have their own queue so the send limit doesn't hold up publishing or resolving signals
+  [SIGNAL_DELIVERY_QUEUE]: new Bull(SIGNAL_DELIVERY_QUEUE, {
+    redis: redisOptions,
+    // Keep signal fan-out under Telegram's global bot limit across all workers
+    limiter: {
+      max: config.trading.broadcast.messagesPerSecond,
+      duration: 1000
+    }
+  }),
   [ANALYTICS_QUEUE]: new Bull(ANALYTICS_QUEUE, { redis: redisOptions })
 };
 
@@ -188,6 +199,145 @@ const addTradingSignalJob = async (signalData, options = {}) => {
   }
 };
 
+/**
+ * Add one job per signal recipient to the signal delivery queue
+ * @param {Array<Object>} deliveries - Delivery data, one entry per recipient
+ * @param {Object} options - Job options
+ * @returns {Promise<Array<Bull.Job>>} - The created jobs
+ */
+const addTradingSignalJobs = async (deliveries, options = {}) => {
+  try {
+    const defaultOptions = {
+      attempts: 1, // 429 retries are handled by the worker using Telegram's retry_after
+      removeOnComplete: true,
+      priority: 1 // High priority for trading signals
+    };
+    
+    const jobs = await queues[SIGNAL_DELIVERY_QUEUE].addBulk(deliveries.map(data => ({
+      name: 'process-signal',
+      data,
+      opts: { ...defaultOptions, ...options }
+    })));
+    
+    logger.info('Added trading signal delivery jobs to queue', {
+      count: jobs.length,
+      signalId: deliveries[0] && deliveries[0].signal_id
+    });
+    
+    return jobs;
+  } catch (error) {
+    logger.error('Failed to add trading signal delivery jobs to queue', {
+      error: error.message,
+      count: deliveries.length
+    });
+    throw new ServiceUnavailableError('Unable to queue trading signal delivery');
+  }
+};
+
+/**
+ * Schedule a delayed job that publishes a scheduled trading signal
+ * @param {string} signalId - Signal ID
+ * @param {Date} publishAt - Publish time
+ * @returns {Promise<Bull.Job>} - The created job
+ */
+const scheduleSignalPublishJob = async (signalId, publishAt) => {
+  try {
+    const job = await queues[TRADING_SIGNAL_QUEUE].add(
+      'publish-signal',
+      { signal_id: signalId },
+      {
+        jobId: `publish-${signalId}`, // Lets the job be found again to reschedule or cancel it
+        delay: Math.max(0, publishAt.getTime() - Date.now()),
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 5000 // 5 seconds
+        },
+        removeOnComplete: true
+      }
+    );
+    
+    logger.info('Scheduled trading signal publish job', {
+      jobId: job.id,
+      signalId,
+      publishAt
+    });
+    
+    return job;
+  } catch (error) {
+    logger.error('Failed to schedule trading signal publish job', {
+      error: error.message,
+      signalId
+    });
+    throw new ServiceUnavailableError('Unable to schedule trading signal');
+  }
+};
+
+/**
+ * Remove the pending publish job of a scheduled trading signal
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<boolean>} - True if a pending job was removed
+ */
+const removeSignalPublishJob = async (signalId) => {
+  try {
+    const job = await queues[TRADING_SIGNAL_QUEUE].getJob(`publish-${signalId}`);
+    
+    if (!job) {
+      return false;
+    }
+    
+    await job.remove();
+    logger.info('Removed trading signal publish job', { signalId });
+    
+    return true;
+  } catch (error) {
+    logger.error('Failed to remove trading signal publish job', {
+      error: error.message,
+      signalId
+    });
+    throw new ServiceUnavailableError('Unable to update scheduled trading signal');
+  }
+};
+
+/**
+ * Schedule the resolution of a binary signal at its expiry
+ * @param {string} signalId - Signal ID
+ * @param {Date} expiresAt - Expiry time
+ * @returns {Promise<Bull.Job>} - The created job
+ */
+const scheduleBinaryResolutionJob = async (signalId, expiresAt) => {
+  try {
+    const job = await queues[TRADING_SIGNAL_QUEUE].add(
+      'resolve-binary-signal',
+      { signal_id: signalId },
+      {
+        jobId: `resolve-${signalId}`,
+        delay: Math.max(0, new Date(expiresAt).getTime() - Date.now()),
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 5000 // 5 seconds
+        },
+        removeOnComplete: true
+      }
+    );
+    
+    logger.info('Scheduled binary signal resolution job', {
+      jobId: job.id,
+      signalId,
+      expiresAt
+    });
+    
+    return job;
+  } catch (error) {
+    logger.error('Failed to schedule binary signal resolution job', {
+      error: error.message,
+      signalId
+    });
+    throw new ServiceUnavailableError('Unable to schedule binary signal resolution');
+  }
+};
+
 /**
  * Add a job to the analytics processing queue
  * @param {Object} analyticsData - Analytics data to process
@@ -284,21 +434,32 @@ const getQueueStats = async (queueName) => {
   }
 };
 
+// Queues whose job events are already being logged
+const monitoredQueues = new Set();
+
 /**
  * Register a processor function for a specific queue and job type
  * @param {string} queueName - Name of the queue
  * @param {string} jobType - Type of job to process
  * @param {Function} processor - Job processor function
+ * @param {number} concurrency - Number of jobs processed in parallel
  */
-const registerProcessor = (queueName, jobType, processor) => {
+const registerProcessor = (queueName, jobType, processor, concurrency = 1) => {
   if (!queues[queueName]) {
     logger.error(`Queue ${queueName} does not exist`);
     return;
   }
   
-  queues[queueName].process(jobType, processor);
+  queues[queueName].process(jobType, concurrency, processor);
   
-  // Set up event listeners for the queue
+  logger.info(`Registered processor for ${jobType} jobs in ${queueName} queue`);
+  
+  // Set up event listeners for the queue, once even if it has several job types
+  if (monitoredQueues.has(queueName)) {
+    return;
+  }
+  
+  monitoredQueues.add(queueName);
   const queue = queues[queueName];
   
   queue.on('completed', (job) => {
@@ -322,8 +483,6 @@ const registerProcessor = (queueName, jobType, processor) => {
       data: job.data
     });
   });
-  
-  logger.info(`Registered processor for ${jobType} jobs in ${queueName} queue`);
 };
 
 /**
@@ -365,12 +524,17 @@ module.exports = {
   VERIFICATION_QUEUE,
   NOTIFICATION_QUEUE,
   TRADING_SIGNAL_QUEUE,
+  SIGNAL_DELIVERY_QUEUE,
   ANALYTICS_QUEUE,
   
   // Queue operations
   addVerificationJob,
   addNotificationJob,
   addTradingSignalJob,
+  addTradingSignalJobs,
+  scheduleSignalPublishJob,
+  removeSignalPublishJob,
+  scheduleBinaryResolutionJob,
   addAnalyticsJob,
   getQueueStats,
   registerProcessor,
@@ -0,0 +1,169 @@
+/**
+ * Reaction Service for OPTRIXTRADES
+ * Members' 👍 / 👎 / too late feedback on delivered signals, tallied per signal and per provider
+ *
+ * Each member has at most one reaction per signal: pressing another button changes it and pressing
+ * the same button again takes it back.
+ */
+
+const { Op, Sequelize, UniqueConstraintError } = require('sequelize');
+const { Signal, SignalReaction } = require('../models');
+const userService = require('./userService');
+const { logUserAction } = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/errorHandler');
+
+// Reaction button choices, as used in callback data, and the reaction stored for each
+const REACTIONS = {
+  up: 'UP',
+  down: 'DOWN',
+  late: 'TOO_LATE'
+};
+
+const REACTION_LABELS = {
+  UP: '👍',
+  DOWN: '👎',
+  TOO_LATE: '⏰ Too late'
+};
+
+/**
+ * Build the row of reaction buttons added to a signal message
+ * @param {string} signalId - Signal ID
+ * @returns {Array<Object>} - Buttons, as one keyboard row
+ */
+const buildReactionButtons = (signalId) => {
+  return Object.entries(REACTIONS).map(([choice, reaction]) => ({
+    text: REACTION_LABELS[reaction],
+    callback_data: `signal_react:${signalId}:${choice}`
+  }));
+};
+
+/**
+ * Record, change or take back a member's reaction to a signal
+ * @param {string} telegramId - Member's Telegram ID
+ * @param {string} signalId - Signal ID
+ * @param {string} choice - Button choice (up, down or late)
+ * @returns {Promise<string|null>} - Reaction now recorded, or null if it was taken back
+ */
+const recordReaction = async (telegramId, signalId, choice) => {
+  const reaction = REACTIONS[choice];
+
+  if (!reaction) {
+    throw new ValidationError(`Unknown reaction "${choice}"`);
+  }
+
+  const [user, signal] = await Promise.all([
+    userService.getUserByTelegramId(telegramId),
+    Signal.findOne({ where: { signal_id: signalId } })
+  ]);
+
+  if (!user || !signal) {
+    throw new NotFoundError('This signal is no longer available');
+  }
+
+  const where = { signal_id: signal.signal_id, user_id: user.id };
+  const existing = await SignalReaction.findOne({ where });
+
+  if (existing && existing.reaction === reaction) {
+    await existing.destroy();
+    logUserAction(telegramId, 'signal_reaction_removed', { signal_id: signal.signal_id, reaction });
+    return null;
+  }
+
+  if (existing) {
+    await existing.update({ reaction });
+  } else {
+    try {
+      await SignalReaction.create({ ...where, provider_id: signal.provider_id || null, reaction });
+    } catch (error) {
+      // A double tap may have recorded a reaction in between
+      if (!(error instanceof UniqueConstraintError)) {
+        throw error;
+      }
+
+      await SignalReaction.update({ reaction }, { where });
+    }
+  }
+
+  logUserAction(telegramId, 'signal_reaction', { signal_id: signal.signal_id, reaction });
+
+  return reaction;
+};
+
+/**
+ * Count reactions grouped by a column
+ * @param {string} column - signal_id or provider_id
+ * @param {Object} where - Where conditions
+ * @returns {Promise<Map>} - Tally ({ UP, DOWN, TOO_LATE }) per column value
+ */
+const countReactions = async (column, where = {}) => {
+  const rows = await SignalReaction.findAll({
+    attributes: [
+      column,
+      'reaction',
+      [Sequelize.fn('count', Sequelize.col('id')), 'count']
+    ],
+    where,
+    group: [column, 'reaction']
+  });
+
+  const tallies = new Map();
+
+  for (const row of rows) {
+    const key = row[column] === undefined ? null : row[column];
+
+    if (!tallies.has(key)) {
+      tallies.set(key, { UP: 0, DOWN: 0, TOO_LATE: 0 });
+    }
+
+    tallies.get(key)[row.reaction] = parseInt(row.getDataValue('count'), 10);
+  }
+
+  return tallies;
+};
+
+/**
+ * Get the reaction tallies of signals
+ * @param {Array<string>} signalIds - Signal IDs
+ * @returns {Promise<Map>} - Tally per signal ID, signals without reactions are left out
+ */
+const getSignalReactionTallies = async (signalIds) => {
+  if (signalIds.length === 0) {
+    return new Map();
+  }
+
+  return countReactions('signal_id', { signal_id: { [Op.in]: signalIds } });
+};
+
+/**
+ * Get the reaction tallies of every provider
+ * @returns {Promise<Map>} - Tally per provider ID, with null for signals from the admins at large
+ */
+const getProviderReactionTallies = async () => {
+  return countReactions('provider_id');
+};
+
+/**
+ * Format a reaction tally on one line
+ * @param {Object|undefined} tally - { UP, DOWN, TOO_LATE }
+ * @returns {string} - Formatted tally
+ */
+const formatReactionTally = (tally) => {
+  const total = tally ? tally.UP + tally.DOWN + tally.TOO_LATE : 0;
+
+  if (total === 0) {
+    return 'No feedback yet';
+  }
+
+  return `👍 ${tally.UP} · 👎 ${tally.DOWN} · ⏰ ${tally.TOO_LATE} ` +
+    `(${Math.round(tally.UP / total * 100)}% positive of ${total})`;
+};
+
+module.exports = {
+  REACTIONS,
+  REACTION_LABELS,
+  buildReactionButtons,
+  recordReaction,
+  getSignalReactionTallies,
+  getProviderReactionTallies,
+  formatReactionTally
+};
@@ -0,0 +1,195 @@
+/**
+ * Signal Filter Service for OPTRIXTRADES
+ * Per-user preferences that narrow down which signals of their tier a user receives
+ */
+
+const { config } = require('../config/appConfig');
+const { ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Normalize an asset symbol so that "eur/usd" and "EURUSD" match
+ * @param {string} asset - Asset symbol
+ * @returns {string} - Normalized symbol
+ */
+const normalizeAsset = (asset) => asset.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Get the asset class of an asset
+ * @param {string} asset - Asset symbol
+ * @returns {string} - Asset class from config.trading.assetClasses, or 'other'
+ */
+const getAssetClass = (asset) => {
+  const symbol = normalizeAsset(asset);
+
+  for (const [assetClass, assets] of Object.entries(config.trading.assetClasses)) {
+    if (assets.includes(symbol)) {
+      return assetClass;
+    }
+  }
+
+  return 'other';
+};
+
+/**
+ * Check whether a time falls inside a user's active hours
+ * @param {Object|null} activeHours - Active hours as { start, end } in UTC hours
+ * @param {Date} date - Time to check
+ * @returns {boolean} - True if there are no active hours or the time is inside them
+ */
+const isWithinActiveHours = (activeHours, date = new Date()) => {
+  if (!activeHours) {
+    return true;
+  }
+
+  const hour = date.getUTCHours();
+  const { start, end } = activeHours;
+
+  // Windows such as 22-6 wrap around midnight
+  return start < end ?
+    hour >= start && hour < end :
+    hour >= start || hour < end;
+};
+
+/**
+ * Check whether a signal passes a user's signal filters
+ * @param {Object} signal - Signal object
+ * @param {Object} filters - User's signal filters
+ * @param {Date} now - Current time, used for active hours
+ * @returns {boolean} - True if the user should receive the signal
+ */
+const matchesSignalFilters = (signal, filters = {}, now = new Date()) => {
+  const assets = filters.assets || [];
+  const assetClasses = filters.asset_classes || [];
+
+  // Whitelisted assets and asset classes add up; an empty whitelist allows everything
+  if (assets.length > 0 || assetClasses.length > 0) {
+    const allowed = assets.includes(normalizeAsset(signal.asset)) ||
+      assetClasses.includes(getAssetClass(signal.asset));
+
+    if (!allowed) {
+      return false;
+    }
+  }
+
+  if (filters.direction && filters.direction !== signal.trade_type.toUpperCase()) {
+    return false;
+  }
+
+  if (filters.max_risk && signal.risk_percentage > filters.max_risk) {
+    return false;
+  }
+
+  return isWithinActiveHours(filters.active_hours, now);
+};
+
+/**
+ * Parse an asset whitelist such as "EURUSD, crypto, XAU/USD"
+ * @param {string} text - Assets and asset classes separated by commas or spaces, or "all"
+ * @returns {Object} - { assets, asset_classes }
+ */
+const parseAssetFilter = (text) => {
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+
+  if (tokens.length === 0) {
+    throw new ValidationError('Please enter at least one asset or asset class');
+  }
+
+  if (tokens.length === 1 && tokens[0].toLowerCase() === 'all') {
+    return { assets: [], asset_classes: [] };
+  }
+
+  const assets = [];
+  const assetClasses = [];
+
+  for (const token of tokens) {
+    const assetClass = token.toLowerCase();
+
+    if (config.trading.assetClasses[assetClass]) {
+      assetClasses.push(assetClass);
+    } else {
+      assets.push(normalizeAsset(token));
+    }
+  }
+
+  return {
+    assets: [...new Set(assets)],
+    asset_classes: [...new Set(assetClasses)]
+  };
+};
+
+/**
+ * Parse a maximum recommended risk such as "2" or "2%"
+ * @param {string} text - Risk percentage, or "any"
+ * @returns {number|null} - Maximum risk, or null for no limit
+ */
+const parseMaxRisk = (text) => {
+  const value = text.trim().replace('%', '');
+
+  if (value.toLowerCase() === 'any') {
+    return null;
+  }
+
+  const maxRisk = parseFloat(value);
+
+  if (isNaN(maxRisk) || maxRisk <= 0 || maxRisk > 100) {
+    throw new ValidationError('Maximum risk must be a percentage between 0 and 100');
+  }
+
+  return maxRisk;
+};
+
+/**
+ * Parse active hours such as "8-20" or "22:00-06:00" (UTC)
+ * @param {string} text - Hour range, or "any"
+ * @returns {Object|null} - { start, end }, or null for all day
+ */
+const parseActiveHours = (text) => {
+  const value = text.trim().toLowerCase();
+
+  if (value === 'any') {
+    return null;
+  }
+
+  const match = value.match(/^(\d{1,2})(?::00)?\s*-\s*(\d{1,2})(?::00)?$/);
+
+  if (!match) {
+    throw new ValidationError('Active hours must look like 8-20 or 22:00-06:00');
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = parseInt(match[2], 10) % 24;
+
+  if (start > 23 || parseInt(match[2], 10) > 24 || start === end) {
+    throw new ValidationError('Active hours must be two different hours between 0 and 24');
+  }
+
+  return { start, end };
+};
+
+/**
+ * Format a user's signal filters for display
+ * @param {Object} filters - User's signal filters
+ * @returns {string} - Formatted filters
+ */
+const formatSignalFilters = (filters = {}) => {
+  const assets = [...(filters.assets || []), ...(filters.asset_classes || [])];
+  const pad = (hour) => hour.toString().padStart(2, '0');
+
+  return `Assets: ${assets.length > 0 ? assets.join(', ') : 'All'}\n` +
+    `Direction: ${filters.direction ? `${filters.direction} only` : 'Buy and sell'}\n` +
+    `Max Risk: ${filters.max_risk ? `${filters.max_risk}%` : 'Any'}\n` +
+    `Active Hours: ${filters.active_hours ?
+      `${pad(filters.active_hours.start)}:00-${pad(filters.active_hours.end)}:00 UTC` :
+      'All day'}`;
+};
+
+module.exports = {
+  normalizeAsset,
+  getAssetClass,
+  isWithinActiveHours,
+  matchesSignalFilters,
+  parseAssetFilter,
+  parseMaxRisk,
+  parseActiveHours,
+  formatSignalFilters
+};
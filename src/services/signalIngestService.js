@@ -0,0 +1,310 @@
+/**
+ * Signal Ingest Service for OPTRIXTRADES
+ * Turns alerts posted by charting tools to /signals/ingest into signals
+ *
+ * Alerts are signed with an HMAC-SHA256 of the request body using trading.ingest.secret. Each source
+ * in trading.ingest.sources either publishes its alerts immediately or queues them for an admin to
+ * approve, and an alert is only ever turned into a signal once.
+ */
+
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { SignalAlert } = require('../models');
+const { bot, adminIds } = require('../config/bot');
+const { config } = require('../config/appConfig');
+const { createInlineKeyboard } = require('../utils/keyboard');
+const { logger, logError, logAdminAction } = require('../utils/logger');
+const { ValidationError, AuthorizationError } = require('../utils/errorHandler');
+const tradingService = require('./tradingService');
+
+/**
+ * Check the signature of an alert
+ * @param {Buffer|string} rawBody - Request body as received
+ * @param {string} signature - Hex HMAC-SHA256 of the body, optionally prefixed with sha256=
+ * @param {string} secret - Shared secret
+ * @returns {boolean} - Whether the signature is valid
+ */
+const verifySignature = (rawBody, signature, secret = config.trading.ingest.secret) => {
+  if (!secret || !signature || !rawBody) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+  const received = Buffer.from(signature.replace(/^sha256=/, '').toLowerCase());
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Get how a source's alerts are handled
+ * @param {string} source - Source named in the alert
+ * @returns {string} - publish or approve
+ * @throws {AuthorizationError} - If the source is not configured
+ */
+const getSourceMode = (source) => {
+  const { sources } = config.trading.ingest;
+  const mode = source && Object.prototype.hasOwnProperty.call(sources, source) ? sources[source] : null;
+
+  if (!mode) {
+    throw new AuthorizationError(`Unknown alert source "${source || ''}"`);
+  }
+
+  return mode;
+};
+
+/**
+ * Parse an optional positive number from an alert
+ * @param {*} value - Value from the alert
+ * @param {string} field - Field name for the error message
+ * @returns {number|null} - Number, or null if not given
+ */
+const parsePositiveNumber = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const number = parseFloat(value);
+
+  if (isNaN(number) || number <= 0) {
+    throw new ValidationError(`${field} must be a positive number`);
+  }
+
+  return number;
+};
+
+/**
+ * Parse an alert into signal data for tradingService.createSignal
+ * TradingView-style names are accepted too: ticker, action, price, sl, tp, tp1-tp3 and comment.
+ * @param {Object} payload - Alert payload
+ * @returns {Object} - Signal data
+ * @throws {ValidationError} - If the alert is not a valid signal
+ */
+const normalizeAlert = (payload) => {
+  // Exchange prefixes such as FX:EURUSD are dropped
+  const asset = String(payload.asset || payload.ticker || '').split(':').pop().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const tradeType = String(payload.trade_type || payload.action || '').toUpperCase();
+  const signalType = String(payload.signal_type || 'STANDARD').toUpperCase();
+  const tier = String(payload.tier || 'premium').toLowerCase();
+
+  if (!asset) {
+    throw new ValidationError('asset is required');
+  }
+
+  if (!['BUY', 'SELL'].includes(tradeType)) {
+    throw new ValidationError('trade_type must be buy or sell');
+  }
+
+  if (!['STANDARD', 'BINARY'].includes(signalType)) {
+    throw new ValidationError('signal_type must be standard or binary');
+  }
+
+  if (!['basic', 'premium', 'vip'].includes(tier)) {
+    throw new ValidationError('tier must be basic, premium or vip');
+  }
+
+  const signalData = {
+    asset,
+    trade_type: tradeType,
+    signal_type: signalType,
+    entry_price: parsePositiveNumber(payload.entry_price ?? payload.price, 'entry_price'),
+    stop_loss: parsePositiveNumber(payload.stop_loss ?? payload.sl, 'stop_loss'),
+    take_profit_1: parsePositiveNumber(payload.take_profit_1 ?? payload.tp1 ?? payload.tp, 'take_profit_1'),
+    take_profit_2: parsePositiveNumber(payload.take_profit_2 ?? payload.tp2, 'take_profit_2'),
+    take_profit_3: parsePositiveNumber(payload.take_profit_3 ?? payload.tp3, 'take_profit_3'),
+    tier,
+    validity_hours: parsePositiveNumber(payload.validity_hours, 'validity_hours'),
+    expiry_minutes: signalType === 'BINARY' ? parseInt(payload.expiry_minutes, 10) : null,
+    payout_percentage: parsePositiveNumber(payload.payout_percentage, 'payout_percentage'),
+    notes: String(payload.notes || payload.comment || '').slice(0, 500)
+  };
+
+  if (signalData.entry_price === null) {
+    throw new ValidationError('entry_price is required');
+  }
+
+  // Drop levels that weren't given so createSignal applies its own defaults
+  for (const key of Object.keys(signalData)) {
+    if (signalData[key] === null) {
+      delete signalData[key];
+    }
+  }
+
+  try {
+    if (signalType === 'BINARY') {
+      tradingService.validateBinarySignal(signalData);
+    } else {
+      tradingService.validateExitLevels(signalData);
+    }
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  return signalData;
+};
+
+/**
+ * Format a queued alert for admins to review
+ * @param {Object} alert - Signal alert
+ * @returns {string} - Formatted alert
+ */
+const formatAlertForReview = (alert) => {
+  const data = alert.payload;
+  const takeProfits = tradingService.getTakeProfits(data).map(tp => tp.price);
+
+  return `📥 SIGNAL ALERT #${alert.id} FROM ${alert.source.toUpperCase()}\n\n` +
+    `Asset: ${data.asset}\n` +
+    `Type: ${data.trade_type}${data.signal_type === 'BINARY' ? ` (binary, ${data.expiry_minutes}m)` : ''}\n` +
+    `Entry: ${data.entry_price}\n` +
+    (data.stop_loss ? `Stop Loss: ${data.stop_loss}\n` : '') +
+    (takeProfits.length > 0 ? `Take Profit: ${takeProfits.join(' / ')}\n` : '') +
+    `Tier: ${data.tier}\n` +
+    (data.notes ? `Notes: ${data.notes}\n` : '') +
+    `\nApprove to publish it to members now.`;
+};
+
+/**
+ * Send a queued alert to every admin with Approve and Reject buttons
+ * @param {Object} alert - Signal alert
+ * @returns {Promise<void>}
+ */
+const notifyAdmins = async (alert) => {
+  for (const adminId of adminIds) {
+    try {
+      await bot.sendMessage(adminId, formatAlertForReview(alert), {
+        reply_markup: createInlineKeyboard([[
+          { text: '✅ Approve', callback_data: `alert_approve:${alert.id}` },
+          { text: '❌ Reject', callback_data: `alert_reject:${alert.id}` }
+        ]]).reply_markup
+      });
+    } catch (error) {
+      logError(adminId, 'notifyAdmins', error);
+    }
+  }
+};
+
+/**
+ * Ingest an alert: publish it as a signal or queue it for approval, depending on its source
+ * @param {Object} payload - Alert payload, with its source
+ * @param {Buffer|string} rawBody - Request body as received, used to recognise repeats of alerts without an alert_id
+ * @returns {Promise<Object>} - { status: 'published' | 'queued' | 'duplicate', alert, signal }
+ */
+const ingestAlert = async (payload, rawBody) => {
+  const source = String(payload.source || '');
+  const mode = getSourceMode(source);
+  const signalData = normalizeAlert(payload);
+  const dedupKey = payload.alert_id ?
+    String(payload.alert_id) :
+    crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  let alert;
+
+  try {
+    alert = await SignalAlert.create({ source, dedup_key: dedupKey, payload: signalData });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      logger.info(`Ignored duplicate alert ${dedupKey} from ${source}`);
+      return { status: 'duplicate', alert: await SignalAlert.findOne({ where: { source, dedup_key: dedupKey } }) };
+    }
+
+    throw error;
+  }
+
+  if (mode === 'approve') {
+    logger.info(`Queued alert ${alert.id} from ${source} for approval`);
+    await notifyAdmins(alert);
+    return { status: 'queued', alert };
+  }
+
+  let signal;
+
+  try {
+    signal = await tradingService.createSignal(signalData, null);
+  } catch (error) {
+    // Let the source retry an alert that could not be published, unless its signal was already created
+    if (error.signal) {
+      await alert.update({ status: 'PUBLISHED', signal_id: error.signal.signal_id });
+    } else {
+      await alert.destroy();
+    }
+
+    throw error;
+  }
+
+  await alert.update({ status: 'PUBLISHED', signal_id: signal.signal_id });
+  logger.info(`Published alert ${alert.id} from ${source} as signal ${signal.signal_id}`);
+
+  return { status: 'published', alert, signal };
+};
+
+/**
+ * Approve a queued alert and publish it as a signal
+ * @param {number} alertId - Signal alert ID
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - { alert, signal }
+ */
+const approveAlert = async (alertId, adminTelegramId) => {
+  // Claim the alert first so two admins approving at once can't publish it twice
+  const [claimed] = await SignalAlert.update(
+    { status: 'PUBLISHED', reviewed_by: adminTelegramId, reviewed_at: new Date() },
+    { where: { id: alertId, status: 'PENDING' } }
+  );
+
+  if (claimed === 0) {
+    throw new ValidationError(`Alert #${alertId} is not waiting for approval`);
+  }
+
+  const alert = await SignalAlert.findByPk(alertId);
+  let signal;
+
+  try {
+    signal = await tradingService.createSignal(alert.payload, adminTelegramId);
+  } catch (error) {
+    // Only put the alert back for approval if approving it again won't create a second signal
+    if (error.signal) {
+      await alert.update({ signal_id: error.signal.signal_id });
+    } else {
+      await alert.update({ status: 'PENDING', reviewed_by: null, reviewed_at: null });
+    }
+
+    throw error;
+  }
+
+  await alert.update({ signal_id: signal.signal_id });
+
+  logAdminAction(adminTelegramId, 'signal_alert_approved', {
+    alert_id: alert.id,
+    source: alert.source,
+    signal_id: signal.signal_id
+  });
+
+  return { alert, signal };
+};
+
+/**
+ * Reject a queued alert
+ * @param {number} alertId - Signal alert ID
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<void>}
+ */
+const rejectAlert = async (alertId, adminTelegramId) => {
+  const [rejected] = await SignalAlert.update(
+    { status: 'REJECTED', reviewed_by: adminTelegramId, reviewed_at: new Date() },
+    { where: { id: alertId, status: 'PENDING' } }
+  );
+
+  if (rejected === 0) {
+    throw new ValidationError(`Alert #${alertId} is not waiting for approval`);
+  }
+
+  logAdminAction(adminTelegramId, 'signal_alert_rejected', { alert_id: alertId });
+};
+
+module.exports = {
+  verifySignature,
+  getSourceMode,
+  normalizeAlert,
+  formatAlertForReview,
+  ingestAlert,
+  approveAlert,
+  rejectAlert
+};
@@ -1,218 +1,2066 @@
-const { Trading, User } = require('../models');
-const { bot } = require('../config/bot');
+const { Op, QueryTypes, UniqueConstraintError } = require('sequelize');
+const { Signal, SignalApproval, SignalDelivery, SignalProvider, SignalSequence, Trading, User } = require('../models');
+const { bot, adminIds } = require('../config/bot');
 const { createInlineKeyboard } = require('../utils/keyboard');
 const { logger, logUserAction, logError, logAdminAction } = require('../utils/logger');
+const { config } = require('../config/appConfig');
 const userService = require('./userService');
+const queueService = require('./queueService');
+const guardrailService = require('./guardrailService');
+const positionSizingService = require('./positionSizingService');
+const portfolioService = require('./portfolioService');
+const blackoutService = require('./blackoutService');
+const providerService = require('./providerService');
+const reactionService = require('./reactionService');
+const { matchesSignalFilters } = require('./signalFilterService');
+const { getPriceFeed } = require('./priceFeeds');
+const { getBroker } = require('./brokers');
+const { createTelegramRateLimiter } = require('../utils/telegramRateLimiter');
+const { ValidationError } = require('../utils/errorHandler');
+
+// Shared by every signal delivery sent from this process
+const deliveryRateLimiter = createTelegramRateLimiter(bot, config.trading.broadcast);
+
+// Signal IDs tried before giving up when they are already taken
+const SIGNAL_ID_ATTEMPTS = 5;
 
 /**
  * Create a new trading signal
  * @param {Object} signalData - Signal data
- * @param {string} adminTelegramId - Admin's Telegram ID
+ * @param {string|null} adminTelegramId - Admin's Telegram ID, or null for a signal published straight from an alert
  * @returns {Promise<Object>} - Created signal
+ * @throws {Error} - With the stored signal as error.signal if it failed after the signal was created
  */
 const createSignal = async (signalData, adminTelegramId) => {
+  let createdSignal = null;
+  
   try {
     // Validate signal data
     if (!signalData.asset || !signalData.trade_type || !signalData.entry_price) {
       throw new Error('Missing required signal data');
     }
     
+    const isBinary = (signalData.signal_type || '').toUpperCase() === 'BINARY';
+    
+    if (isBinary) {
+      validateBinarySignal(signalData);
+    } else {
+      validateExitLevels(signalData);
+    }
+    
+    const publishAt = signalData.publish_at ? new Date(signalData.publish_at) : null;
+    
+    if (publishAt && !(publishAt.getTime() > Date.now())) {
+      throw new Error('Publish time must be in the future');
+    }
+    
+    // Scheduled signals enter the market, and start their validity window, when published
+    const entryTime = publishAt || new Date();
+    const needsApproval = config.trading.approval.required;
+    const provider = await providerService.resolveSignalProvider(signalData.provider, adminTelegramId);
+    
     // Create signal record
     const signal = {
-      user_id: null, // System signal
-      signal_id: generateSignalId(),
-      trade_type: signalData.trade_type,
+      signal_type: isBinary ? 'BINARY' : 'STANDARD',
+      trade_type: signalData.trade_type.toUpperCase(),
       asset: signalData.asset,
       entry_price: signalData.entry_price,
-      exit_price: null,
-      quantity: null,
+      stop_loss: signalData.stop_loss || null,
+      take_profit_1: signalData.take_profit_1 || null,
+      take_profit_2: signalData.take_profit_2 || null,
+      take_profit_3: signalData.take_profit_3 || null,
       risk_percentage: signalData.risk_percentage || 1,
-      trade_amount: null,
-      profit_loss: null,
       tier: signalData.tier || 'premium', // Default to premium if not specified
-      status: 'active',
-      entry_time: new Date(),
-      exit_time: null,
-      auto_traded: false,
+      status: needsApproval ? 'PENDING_APPROVAL' : (publishAt ? 'SCHEDULED' : 'ACTIVE'),
+      created_by: adminTelegramId,
+      provider_id: provider ? provider.id : null,
+      entry_time: entryTime,
+      publish_at: publishAt,
+      // A binary signal's validity window is its expiry duration
+      expires_at: isBinary ? 
+        new Date(entryTime.getTime() + signalData.expiry_minutes * 60 * 1000) : 
+        calculateExpiryTime(entryTime, signalData.validity_hours),
+      expiry_minutes: isBinary ? signalData.expiry_minutes : null,
+      payout_percentage: isBinary ? 
+        (signalData.payout_percentage || config.trading.binary.defaultPayoutPercentage) : null,
       notes: signalData.notes || ''
     };
     
-    const createdSignal = await Trading.create(signal);
+    createdSignal = await createSignalRecord(signal);
+    
+    // Attach the provider as an include would, for the approval request and the admin's confirmation
+    createdSignal.provider = provider;
+    
+    // Nothing is scheduled or sent until another admin approves the signal
+    if (needsApproval) {
+      await submitSignalForApproval(createdSignal, adminTelegramId);
+      return createdSignal;
+    }
+    
+    if (publishAt) {
+      try {
+        await queueService.scheduleSignalPublishJob(createdSignal.signal_id, publishAt);
+      } catch (error) {
+        // A scheduled signal without its publish job would never go out
+        await createdSignal.destroy();
+        createdSignal = null;
+        throw error;
+      }
+      
+      logAdminAction(adminTelegramId, 'signal_scheduled', { 
+        signal_id: createdSignal.signal_id,
+        asset: createdSignal.asset,
+        trade_type: createdSignal.trade_type,
+        publish_at: publishAt
+      });
+      
+      return createdSignal;
+    }
+    
+    logAdminAction(adminTelegramId, 'signal_created', { 
+      signal_id: createdSignal.signal_id,
+      asset: createdSignal.asset,
+      trade_type: createdSignal.trade_type
+    });
+    
+    // Broadcast signal to verified users
+    await broadcastSignal(createdSignal);
+    
+    // Process auto-trading for eligible users
+    await processAutoTrading(createdSignal);
+    
+    await scheduleBinaryResolution(createdSignal);
+    
+    return createdSignal;
+  } catch (error) {
+    logError(adminTelegramId, 'createSignal', error);
+    
+    // Lets callers tell a failed broadcast of a stored signal from a signal that was never created
+    if (createdSignal) {
+      error.signal = createdSignal;
+    }
+    
+    throw error;
+  }
+};
+
+/**
+ * Record a new signal as waiting for approval and ask the other admins to review it
+ * @param {Object} signal - Signal in PENDING_APPROVAL
+ * @param {string|null} adminTelegramId - Admin who created the signal, or null for a signal from an alert
+ * @returns {Promise<void>}
+ */
+const submitSignalForApproval = async (signal, adminTelegramId) => {
+  await SignalApproval.create({
+    signal_id: signal.signal_id,
+    admin_id: adminTelegramId,
+    action: 'SUBMITTED'
+  });
+  
+  logAdminAction(adminTelegramId, 'signal_submitted_for_approval', { 
+    signal_id: signal.signal_id,
+    asset: signal.asset,
+    trade_type: signal.trade_type
+  });
+  
+  const reviewers = adminIds.filter(adminId => adminId !== (adminTelegramId || '').toString());
+  
+  if (reviewers.length === 0) {
+    logger.warn(`Signal ${signal.signal_id} needs approval but there is no other admin to approve it`);
+  }
+  
+  for (const adminId of reviewers) {
+    try {
+      await bot.sendMessage(
+        adminId,
+        `🛂 *SIGNAL AWAITING APPROVAL*\n\n` +
+        `Submitted by: ${adminTelegramId || 'signal alert'}\n` +
+        (signal.publish_at ? `Publish At: ${new Date(signal.publish_at).toISOString().replace('T', ' ').substring(0, 16)} UTC\n` : '') +
+        `\n${formatSignalMessage(signal)}`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: createInlineKeyboard([[
+            { text: '✅ Approve', callback_data: `signal_approve:${signal.signal_id}` },
+            { text: '❌ Reject', callback_data: `signal_reject:${signal.signal_id}` }
+          ]]).reply_markup
+        }
+      );
+    } catch (error) {
+      logError(adminId, 'submitSignalForApproval', error);
+    }
+  }
+};
+
+/**
+ * Approve a signal waiting for approval, then publish it or schedule it for its publish time
+ * @param {string} signalId - Signal ID
+ * @param {string} adminTelegramId - Approving admin's Telegram ID, who must not be the signal's creator
+ * @returns {Promise<Object>} - Approved signal
+ */
+const approveSignal = async (signalId, adminTelegramId) => {
+  try {
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'PENDING_APPROVAL' }
+    });
+    
+    if (!signal) {
+      throw new ValidationError(`Signal ${signalId} is not waiting for approval`);
+    }
+    
+    if (signal.created_by && signal.created_by === adminTelegramId.toString()) {
+      throw new ValidationError('A signal must be approved by a different admin than the one who created it');
+    }
+    
+    // A signal whose publish time passed while it waited goes out now
+    const now = new Date();
+    const publishAt = signal.publish_at && new Date(signal.publish_at) > now ? new Date(signal.publish_at) : null;
+    const entryTime = publishAt || now;
+    const validityMs = new Date(signal.expires_at).getTime() - new Date(signal.entry_time).getTime();
+    
+    // Claim the signal first so two admins approving at once cannot broadcast it twice
+    const [claimed] = await Signal.update({
+      status: publishAt ? 'SCHEDULED' : 'ACTIVE',
+      entry_time: entryTime,
+      expires_at: new Date(entryTime.getTime() + validityMs)
+    }, {
+      where: { signal_id: signalId, status: 'PENDING_APPROVAL' }
+    });
+    
+    if (claimed === 0) {
+      throw new ValidationError(`Signal ${signalId} is not waiting for approval`);
+    }
+    
+    const approvedSignal = await signal.reload();
+    
+    if (publishAt) {
+      try {
+        await queueService.scheduleSignalPublishJob(signalId, publishAt);
+      } catch (error) {
+        // A scheduled signal without its publish job would never go out
+        await approvedSignal.update({ status: 'PENDING_APPROVAL' });
+        throw error;
+      }
+    }
+    
+    await SignalApproval.create({
+      signal_id: signalId,
+      admin_id: adminTelegramId,
+      action: 'APPROVED'
+    });
+    
+    logAdminAction(adminTelegramId, 'signal_approved', { 
+      signal_id: signalId,
+      created_by: signal.created_by,
+      publish_at: publishAt
+    });
+    
+    if (signal.created_by) {
+      await bot.sendMessage(
+        signal.created_by,
+        `✅ Signal ${signalId} was approved by ${adminTelegramId} and ` +
+        (publishAt ? `will be published at ${publishAt.toISOString().replace('T', ' ').substring(0, 16)} UTC.` : `has been published.`)
+      );
+    }
+    
+    if (publishAt) {
+      return approvedSignal;
+    }
+    
+    // Broadcast signal to verified users
+    await broadcastSignal(approvedSignal, adminTelegramId);
+    
+    // Process auto-trading for eligible users
+    await processAutoTrading(approvedSignal);
+    
+    await scheduleBinaryResolution(approvedSignal);
+    
+    return approvedSignal;
+  } catch (error) {
+    logError(adminTelegramId, 'approveSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Reject a signal waiting for approval, so it is never sent
+ * @param {string} signalId - Signal ID
+ * @param {string} adminTelegramId - Rejecting admin's Telegram ID
+ * @param {string} reason - Reason given to the signal's creator
+ * @returns {Promise<Object>} - Rejected signal
+ */
+const rejectSignal = async (signalId, adminTelegramId, reason = '') => {
+  try {
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'PENDING_APPROVAL' }
+    });
+    
+    if (!signal) {
+      throw new ValidationError(`Signal ${signalId} is not waiting for approval`);
+    }
+    
+    const [rejected] = await Signal.update(
+      { status: 'CANCELLED' },
+      { where: { signal_id: signalId, status: 'PENDING_APPROVAL' } }
+    );
+    
+    // Approved or rejected by another admin in the meantime
+    if (rejected === 0) {
+      throw new ValidationError(`Signal ${signalId} is not waiting for approval`);
+    }
+    
+    await SignalApproval.create({
+      signal_id: signalId,
+      admin_id: adminTelegramId,
+      action: 'REJECTED',
+      reason: reason || null
+    });
+    
+    logAdminAction(adminTelegramId, 'signal_rejected', { 
+      signal_id: signalId,
+      created_by: signal.created_by,
+      reason
+    });
+    
+    if (signal.created_by && signal.created_by !== adminTelegramId.toString()) {
+      await bot.sendMessage(
+        signal.created_by,
+        `❌ Signal ${signalId} was rejected by ${adminTelegramId}` +
+        (reason ? `.\n\nReason: ${reason}` : '.')
+      );
+    }
+    
+    return signal.reload();
+  } catch (error) {
+    logError(adminTelegramId, 'rejectSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Get signals waiting for approval
+ * @returns {Promise<Array>} - Signals in PENDING_APPROVAL with their approval trail, oldest first
+ */
+const getPendingApprovalSignals = async () => {
+  try {
+    return await Signal.findAll({
+      where: { status: 'PENDING_APPROVAL' },
+      include: [{ model: SignalApproval, required: false }],
+      order: [['createdAt', 'ASC']]
+    });
+  } catch (error) {
+    logError('system', 'getPendingApprovalSignals', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the approval trail of a signal
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<Array>} - Submissions, approvals and rejections, oldest first
+ */
+const getSignalApprovalTrail = async (signalId) => {
+  return SignalApproval.findAll({
+    where: { signal_id: signalId },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Format an approval trail for display
+ * @param {Array} approvals - Approval records
+ * @returns {string} - One line per record
+ */
+const formatApprovalTrail = (approvals) => {
+  const labels = { SUBMITTED: '🛂 Submitted', APPROVED: '✅ Approved', REJECTED: '❌ Rejected' };
+  
+  return approvals.map(approval => 
+    `${labels[approval.action]} by ${approval.admin_id || 'signal alert'} ` +
+    `at ${new Date(approval.createdAt).toISOString().replace('T', ' ').substring(0, 16)} UTC` +
+    (approval.reason ? ` (${approval.reason})` : '')
+  ).join('\n');
+};
+
+/**
+ * Publish a scheduled signal once its publish time has come
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<Object|null>} - Published signal, or null if it is no longer scheduled or not due
+ */
+const publishScheduledSignal = async (signalId) => {
+  try {
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'SCHEDULED' }
+    });
+    
+    // Cancelled, already published, or rescheduled to a later time
+    if (!signal || new Date(signal.publish_at).getTime() > Date.now() + 1000) {
+      return null;
+    }
+    
+    // Keep the validity window the admin chose, counted from the actual publish time
+    const now = new Date();
+    const validityMs = new Date(signal.expires_at).getTime() - new Date(signal.entry_time).getTime();
+    
+    // Claim the signal so a cancel or reschedule made meanwhile wins over this job
+    const [claimed] = await Signal.update({
+      status: 'ACTIVE',
+      entry_time: now,
+      expires_at: new Date(now.getTime() + validityMs)
+    }, {
+      where: { id: signal.id, status: 'SCHEDULED', publish_at: signal.publish_at }
+    });
+    
+    if (claimed === 0) {
+      return null;
+    }
+    
+    const publishedSignal = await signal.reload();
+    
+    logAdminAction(publishedSignal.created_by, 'signal_published', { 
+      signal_id: publishedSignal.signal_id,
+      publish_at: publishedSignal.publish_at
+    });
+    
+    // Broadcast signal to verified users
+    await broadcastSignal(publishedSignal);
+    
+    // Process auto-trading for eligible users
+    await processAutoTrading(publishedSignal);
+    
+    await scheduleBinaryResolution(publishedSignal);
+    
+    return publishedSignal;
+  } catch (error) {
+    logError('system', 'publishScheduledSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a scheduled signal to a new publish time
+ * @param {string} signalId - Signal ID
+ * @param {Date} publishAt - New publish time
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Updated signal
+ */
+const rescheduleSignal = async (signalId, publishAt, adminTelegramId) => {
+  try {
+    if (!(publishAt.getTime() > Date.now())) {
+      throw new Error('Publish time must be in the future');
+    }
+    
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'SCHEDULED' }
+    });
+    
+    if (!signal) {
+      throw new Error(`Scheduled signal with ID ${signalId} not found`);
+    }
+    
+    const validityMs = new Date(signal.expires_at).getTime() - new Date(signal.entry_time).getTime();
+    
+    // Claim the signal first so it can't be moved once its publish job has started
+    const [claimed] = await Signal.update({
+      publish_at: publishAt,
+      entry_time: publishAt,
+      expires_at: new Date(publishAt.getTime() + validityMs)
+    }, {
+      where: { id: signal.id, status: 'SCHEDULED' }
+    });
+    
+    if (claimed === 0) {
+      throw new Error(`Scheduled signal with ID ${signalId} not found`);
+    }
+    
+    const updatedSignal = await signal.reload();
+    
+    await queueService.removeSignalPublishJob(signalId);
+    await queueService.scheduleSignalPublishJob(signalId, publishAt);
+    
+    logAdminAction(adminTelegramId, 'signal_rescheduled', { 
+      signal_id: signalId,
+      publish_at: publishAt
+    });
+    
+    return updatedSignal;
+  } catch (error) {
+    logError(adminTelegramId, 'rescheduleSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a scheduled signal before it is published
+ * @param {string} signalId - Signal ID
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Cancelled signal
+ */
+const cancelScheduledSignal = async (signalId, adminTelegramId) => {
+  try {
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'SCHEDULED' }
+    });
+    
+    if (!signal) {
+      throw new Error(`Scheduled signal with ID ${signalId} not found`);
+    }
+    
+    // Claim the signal first so a signal its publish job has just sent out is never cancelled silently
+    const [claimed] = await Signal.update({ status: 'CANCELLED' }, {
+      where: { id: signal.id, status: 'SCHEDULED' }
+    });
+    
+    if (claimed === 0) {
+      throw new Error(`Scheduled signal with ID ${signalId} not found`);
+    }
+    
+    const cancelledSignal = await signal.reload();
+    
+    // The publish job would find nothing to publish anyway, but there is no point keeping it
+    await queueService.removeSignalPublishJob(signalId);
+    
+    logAdminAction(adminTelegramId, 'scheduled_signal_cancelled', { signal_id: signalId });
+    
+    return cancelledSignal;
+  } catch (error) {
+    logError(adminTelegramId, 'cancelScheduledSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Get signals waiting to be published
+ * @returns {Promise<Array>} - Scheduled signals, soonest first
+ */
+const getScheduledSignals = async () => {
+  try {
+    return await Signal.findAll({
+      where: { status: 'SCHEDULED' },
+      order: [['publish_at', 'ASC']]
+    });
+  } catch (error) {
+    logError('system', 'getScheduledSignals', error);
+    throw error;
+  }
+};
+
+/**
+ * Parse a publish time given as HH:MM (next occurrence) or an ISO date, in UTC unless a zone is given
+ * @param {string} value - Publish time, e.g. 08:00 or 2026-10-20T08:00
+ * @param {Date} now - Current time
+ * @returns {Date} - Publish time
+ */
+const parsePublishTime = (value, now = new Date()) => {
+  const timeMatch = value.match(/^(\d{1,2}):(\d{2})$/);
+  let publishAt;
+  
+  if (timeMatch) {
+    const hours = parseInt(timeMatch[1], 10);
+    const minutes = parseInt(timeMatch[2], 10);
+    
+    publishAt = new Date(now);
+    publishAt.setUTCHours(hours, minutes, 0, 0);
+    
+    if (hours > 23 || minutes > 59) {
+      publishAt = new Date(NaN);
+    } else if (publishAt <= now) {
+      publishAt.setUTCDate(publishAt.getUTCDate() + 1);
+    }
+  } else {
+    // Dates without a zone designator are read as UTC rather than server time
+    const hasZone = /(z|[+-]\d{2}:?\d{2})$/i.test(value);
+    publishAt = new Date(value.includes('T') && !hasZone ? `${value}Z` : value);
+  }
+  
+  if (isNaN(publishAt.getTime())) {
+    throw new Error(`Invalid publish time "${value}". Use HH:MM or YYYY-MM-DDTHH:MM (UTC)`);
+  }
+  
+  return publishAt;
+};
+
+/**
+ * Apply a close to an active signal unless another close changed it since it was read
+ * @param {Object} signal - Signal as read
+ * @param {Object} values - Values to update
+ * @returns {Promise<Object|null>} - Updated signal, or null if another close got there first
+ */
+const claimActiveSignal = async (signal, values) => {
+  // The price feed, the expiry sweep and /close can all reach the same signal at once
+  const [claimed] = await Signal.update(values, {
+    where: { id: signal.id, status: 'ACTIVE', remaining_percentage: signal.remaining_percentage }
+  });
+  
+  if (claimed === 0) {
+    return null;
+  }
+  
+  return signal.reload();
+};
+
+/**
+ * Close a trading signal, fully or at one of its take-profit targets
+ * @param {string} signalId - Signal ID
+ * @param {Object} closeData - Close data
+ * @param {number} closeData.exit_price - Exit price
+ * @param {number} [closeData.target] - Take-profit target (1-3) for a partial close
+ * @param {string} [closeData.trigger] - Level that caused the close (manual, stop_loss, take_profit_N)
+ * @param {string} [closeData.notes] - Close notes
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Updated signal
+ */
+const closeSignal = async (signalId, closeData, adminTelegramId) => {
+  try {
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'ACTIVE' }
+    });
+    
+    if (!signal) {
+      throw new Error(`Active signal with ID ${signalId} not found`);
+    }
+    
+    // A binary signal is closed by resolving it at the given expiry price
+    if (signal.signal_type === 'BINARY') {
+      if (closeData.target) {
+        throw new Error(`Binary signal ${signalId} has no take-profit targets`);
+      }
+      
+      const resolvedSignal = await resolveBinarySignal(signal, closeData.exit_price, adminTelegramId, closeData.notes);
+      
+      if (!resolvedSignal) {
+        throw new Error(`Binary signal ${signalId} was resolved by another update at the same time`);
+      }
+      
+      return resolvedSignal;
+    }
+    
+    const partialCloses = [...(signal.partial_closes || [])];
+    const target = closeData.target ? parseInt(closeData.target, 10) : null;
+    const trigger = closeData.trigger || (target ? `take_profit_${target}` : 'manual');
+    let percentage = signal.remaining_percentage;
+    
+    if (target) {
+      const takeProfits = getTakeProfits(signal);
+      
+      if (!takeProfits.some(tp => tp.target === target)) {
+        throw new Error(`Signal ${signalId} has no take-profit ${target}`);
+      }
+      
+      if (partialCloses.some(close => close.target === target)) {
+        throw new Error(`Take-profit ${target} of signal ${signalId} is already closed`);
+      }
+      
+      // Each take-profit closes an equal share; the last open target closes the remainder
+      const openTargets = takeProfits.filter(tp => 
+        !partialCloses.some(close => close.target === tp.target));
+      
+      if (openTargets.length > 1) {
+        percentage = Math.min(100 / takeProfits.length, signal.remaining_percentage);
+      }
+    }
+    
+    partialCloses.push({
+      target,
+      trigger,
+      exit_price: closeData.exit_price,
+      percentage,
+      profit_loss: calculateProfitLoss(signal.trade_type, signal.entry_price, closeData.exit_price),
+      time: new Date()
+    });
+    
+    // Treat floating point leftovers as a fully closed position
+    const remaining = signal.remaining_percentage - percentage;
+    const remainingPercentage = remaining > 0.0001 ? remaining : 0;
+    
+    const updateData = {
+      partial_closes: partialCloses,
+      remaining_percentage: remainingPercentage,
+      notes: signal.notes + '\n' + (closeData.notes || '')
+    };
+    
+    if (remainingPercentage === 0) {
+      updateData.status = 'CLOSED';
+      updateData.exit_price = closeData.exit_price;
+      updateData.exit_time = new Date();
+      updateData.close_trigger = trigger;
+      updateData.profit_loss = calculateBlendedProfitLoss(partialCloses);
+    }
+    
+    const updatedSignal = await claimActiveSignal(signal, updateData);
+    
+    if (!updatedSignal) {
+      throw new Error(`Signal ${signalId} was closed by another update at the same time, please try again`);
+    }
+    
+    logAdminAction(adminTelegramId, remainingPercentage === 0 ? 'signal_closed' : 'signal_partially_closed', { 
+      signal_id: updatedSignal.signal_id,
+      target,
+      trigger,
+      remaining_percentage: remainingPercentage,
+      profit_loss: updatedSignal.profit_loss
+    });
+    
+    if (remainingPercentage === 0) {
+      await closeLinkedTrades(updatedSignal, closeData.exit_price);
+    }
+    
+    // Broadcast signal close to verified users
+    await broadcastSignalClose(updatedSignal, adminTelegramId);
+    
+    return updatedSignal;
+  } catch (error) {
+    logError(adminTelegramId, 'closeSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Expire active signals whose validity window has passed
+ * @param {PriceFeed|null} priceFeed - Price feed used for the exit price, if configured
+ * @returns {Promise<number>} - Number of signals expired
+ */
+const expireSignals = async (priceFeed = null) => {
+  try {
+    const now = new Date();
+    const defaultCutoff = new Date(now.getTime() - config.trading.signalValidityHours * 60 * 60 * 1000);
+    
+    // Signals created before expires_at existed fall back to the global validity window
+    const signals = await Signal.findAll({
+      where: {
+        status: 'ACTIVE',
+        [Op.or]: [
+          { expires_at: { [Op.lte]: now } },
+          { expires_at: null, entry_time: { [Op.lte]: defaultCutoff } }
+        ]
+      }
+    });
+    
+    let expiredCount = 0;
+    
+    for (const signal of signals) {
+      try {
+        const exitPrice = priceFeed ? await priceFeed.getPrice(signal.asset) : null;
+        
+        // Binary signals always resolve to an outcome; without a price they wait for the admin's /close
+        if (signal.signal_type === 'BINARY') {
+          if (exitPrice !== null) {
+            if (await resolveBinarySignal(signal, exitPrice)) {
+              expiredCount++;
+            }
+          }
+          
+          continue;
+        }
+        
+        if (await expireSignal(signal, exitPrice)) {
+          expiredCount++;
+        }
+      } catch (err) {
+        logError('system', 'expireSignals', err);
+      }
+    }
+    
+    if (expiredCount > 0) {
+      logger.info(`Expired ${expiredCount} signals past their validity window`);
+    }
+    
+    return expiredCount;
+  } catch (error) {
+    logError('system', 'expireSignals', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a signal to EXPIRED, close its auto-trades and notify its recipients
+ * @param {Object} signal - Active signal
+ * @param {number|null} exitPrice - Market price at expiry, or null if unknown
+ * @returns {Promise<Object|null>} - Updated signal, or null if it was closed meanwhile
+ */
+const expireSignal = async (signal, exitPrice) => {
+  const partialCloses = [...(signal.partial_closes || [])];
+  
+  if (exitPrice !== null) {
+    partialCloses.push({
+      target: null,
+      trigger: 'expiry',
+      exit_price: exitPrice,
+      percentage: signal.remaining_percentage,
+      profit_loss: calculateProfitLoss(signal.trade_type, signal.entry_price, exitPrice),
+      time: new Date()
+    });
+  }
+  
+  const updatedSignal = await claimActiveSignal(signal, {
+    status: 'EXPIRED',
+    exit_price: exitPrice,
+    exit_time: new Date(),
+    close_trigger: 'expiry',
+    partial_closes: partialCloses,
+    remaining_percentage: 0,
+    // Without a price only the targets already hit have a result
+    profit_loss: partialCloses.length > 0 ? calculateBlendedProfitLoss(partialCloses) : null
+  });
+  
+  if (!updatedSignal) {
+    return null;
+  }
+  
+  logAdminAction('system', 'signal_expired', { 
+    signal_id: updatedSignal.signal_id,
+    exit_price: exitPrice
+  });
+  
+  await closeLinkedTrades(updatedSignal, exitPrice);
+  await broadcastSignalClose(updatedSignal);
+  
+  return updatedSignal;
+};
+
+/**
+ * Close the open user trades created from a signal at the signal's exit and tell each user their result
+ * @param {Object} signal - Parent signal
+ * @param {number|null} exitPrice - Exit price, or null if unknown
+ * @returns {Promise<number>} - Number of trades closed
+ */
+const closeLinkedTrades = async (signal, exitPrice) => {
+  const linkedTrades = await Trading.findAll({
+    where: { signal_id: signal.signal_id, status: 'OPEN' },
+    include: [{ model: User, attributes: ['telegram_id'] }]
+  });
+  
+  // Journal trades were placed by the users themselves, so they are asked for their own outcome
+  const trades = linkedTrades.filter(trade => trade.auto_traded);
+  await requestJournalOutcomes(signal, linkedTrades.filter(trade => !trade.auto_traded));
+  
+  for (const trade of trades) {
+    const fill = await closeBrokerPosition(trade, exitPrice);
+    
+    // Trades executed at a broker take the broker's fill, even without a signal price, unless they
+    // followed the signal's partial closes; recorded trades follow the signal
+    if (fill && !followsPartialCloses(signal, exitPrice)) {
+      await trade.update({
+        status: 'CLOSED',
+        exit_price: fill.fill_price,
+        exit_time: new Date(),
+        outcome: fill.outcome,
+        profit_loss: fill.profit_loss,
+        profit_loss_percentage: fill.profit_loss_percentage
+      });
+    } else {
+      const percentage = calculateTradeReturn(signal, trade, exitPrice);
+      
+      await trade.update({
+        status: 'CLOSED',
+        exit_price: fill ? fill.fill_price : exitPrice,
+        exit_time: new Date(),
+        outcome: signal.signal_type === 'BINARY' ? signal.outcome : null,
+        profit_loss: percentage !== null ? calculateTradeProfitLoss(trade.trade_amount, percentage) : null,
+        profit_loss_percentage: percentage
+      });
+    }
+    
+    await portfolioService.recordRealisedProfitLoss(trade);
+  }
+  
+  await notifyTradeResults(trades, trade => formatTradeResultMessage(signal, trade));
+  
+  return trades.length;
+};
+
+/**
+ * Ask users who journaled a trade on a closed signal how their trade ended
+ * @param {Object} signal - Closed signal
+ * @param {Array<Object>} trades - Open journal trades with their User
+ * @returns {Promise<void>}
+ */
+const requestJournalOutcomes = async (signal, trades) => {
+  await Promise.all(trades.filter(trade => trade.User).map(async (trade) => {
+    try {
+      await deliveryRateLimiter.sendMessage(trade.User.telegram_id, formatJournalOutcomePrompt(signal, trade), {
+        parse_mode: 'Markdown',
+        ...buildJournalOutcomeKeyboard(signal, trade)
+      });
+    } catch (err) {
+      logError(trade.User.telegram_id, 'requestJournalOutcomes', err);
+    }
+  }));
+};
+
+/**
+ * Format the message asking a user for the outcome of a journal trade
+ * @param {Object} signal - Closed signal
+ * @param {Object} trade - Open journal trade
+ * @returns {string} - Formatted message
+ */
+const formatJournalOutcomePrompt = (signal, trade) => {
+  return `📓 *HOW DID YOUR TRADE GO?*\n\n` +
+    `Signal ${signal.signal_id} ${signal.status === 'CANCELLED' ? 'was cancelled' : 'has closed'}` +
+    (signal.signal_type === 'BINARY' && signal.outcome ? ` with a ${signal.outcome}.\n\n` : 
+      (signal.exit_price !== null && signal.exit_price !== undefined ? ` at ${signal.exit_price}.\n\n` : `.\n\n`)) +
+    `Your trade: ${trade.trade_type} ${trade.asset} at ${trade.entry_price}, $${trade.trade_amount}\n\n` +
+    `Record your outcome to keep your trade journal up to date.`;
+};
+
+/**
+ * Build the buttons a user answers a journal outcome prompt with
+ * @param {Object} signal - Closed signal
+ * @param {Object} trade - Open journal trade
+ * @returns {Object} - Message options with the keyboard
+ */
+const buildJournalOutcomeKeyboard = (signal, trade) => {
+  if (signal.signal_type === 'BINARY') {
+    return createInlineKeyboard(['WIN', 'LOSS', 'DRAW'].map(outcome => 
+      ({ text: outcome, callback_data: `journal_close:${trade.id}:${outcome}` })), 3);
+  }
+  
+  return createInlineKeyboard([
+    ...(signal.exit_price !== null && signal.exit_price !== undefined ? 
+      [{ text: `✅ Closed at ${signal.exit_price}`, callback_data: `journal_close:${trade.id}:signal` }] : []),
+    { text: '✍️ Enter my exit price', callback_data: `journal_close:${trade.id}:price` }
+  ]);
+};
+
+/**
+ * Record a trade a user took on a signal themselves in their trade journal
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} signalId - Signal ID
+ * @param {Object} tradeData - The user's own entry_price and trade_amount
+ * @returns {Promise<Object>} - Created trade
+ */
+const recordJournalTrade = async (telegramId, signalId, tradeData) => {
+  try {
+    const user = await userService.getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      throw new Error(`User with Telegram ID ${telegramId} not found`);
+    }
+    
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'ACTIVE' }
+    });
+    
+    if (!signal) {
+      throw new ValidationError(`Signal ${signalId} is no longer active`);
+    }
+    
+    const { entry_price: entryPrice, trade_amount: tradeAmount } = tradeData;
+    
+    if (isNaN(entryPrice) || entryPrice <= 0 || isNaN(tradeAmount) || tradeAmount <= 0) {
+      throw new ValidationError('Please send your entry price and trade size, e.g. 1.0852 250');
+    }
+    
+    const existing = await Trading.findOne({
+      where: { user_id: user.id, signal_id: signalId, auto_traded: false }
+    });
+    
+    if (existing) {
+      throw new ValidationError(`You already recorded a trade on signal ${signalId}`);
+    }
+    
+    const trade = await Trading.create({
+      user_id: user.id,
+      signal_id: signal.signal_id,
+      trade_type: signal.trade_type,
+      asset: signal.asset,
+      entry_price: entryPrice,
+      exit_price: null,
+      quantity: tradeAmount / entryPrice,
+      risk_percentage: signal.risk_percentage,
+      trade_amount: tradeAmount,
+      profit_loss: null,
+      tier: signal.tier,
+      status: 'OPEN',
+      entry_time: new Date(),
+      auto_traded: false,
+      notes: `Taken from signal ${signal.signal_id}`
+    });
+    
+    logUserAction(telegramId, 'journal_trade_recorded', { 
+      signal_id: signal.signal_id,
+      trade_id: trade.id,
+      entry_price: entryPrice,
+      trade_amount: tradeAmount
+    });
+    
+    return trade;
+  } catch (error) {
+    logError(telegramId, 'recordJournalTrade', error);
+    throw error;
+  }
+};
+
+/**
+ * Close a journal trade with the outcome the user reported
+ * @param {string} telegramId - User's Telegram ID
+ * @param {number} tradeId - Trade ID
+ * @param {Object} result - exit_price or at_signal_exit for a standard trade, or outcome (WIN, LOSS, DRAW) for a binary one
+ * @returns {Promise<Object>} - Closed trade
+ */
+const closeJournalTrade = async (telegramId, tradeId, result) => {
+  try {
+    const user = await userService.getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      throw new Error(`User with Telegram ID ${telegramId} not found`);
+    }
+    
+    const trade = await Trading.findOne({
+      where: { id: tradeId, user_id: user.id, status: 'OPEN', auto_traded: false },
+      include: [{ model: Signal, required: false }]
+    });
+    
+    if (!trade) {
+      throw new ValidationError('This trade is already closed');
+    }
+    
+    let percentage;
+    let exitPrice = null;
+    
+    if (trade.Signal && trade.Signal.signal_type === 'BINARY') {
+      if (!['WIN', 'LOSS', 'DRAW'].includes(result.outcome)) {
+        throw new ValidationError('Please choose WIN, LOSS or DRAW');
+      }
+      
+      percentage = calculateBinaryReturn(result.outcome, trade.Signal.payout_percentage);
+    } else {
+      exitPrice = result.at_signal_exit && trade.Signal ? trade.Signal.exit_price : result.exit_price;
+      
+      if (!(exitPrice > 0)) {
+        throw new ValidationError('Please send a valid exit price');
+      }
+      
+      percentage = calculateProfitLoss(trade.trade_type, trade.entry_price, exitPrice);
+    }
+    
+    await trade.update({
+      status: 'CLOSED',
+      exit_price: exitPrice,
+      exit_time: new Date(),
+      outcome: result.outcome || null,
+      profit_loss: calculateTradeProfitLoss(trade.trade_amount, percentage),
+      profit_loss_percentage: percentage
+    });
+    
+    await portfolioService.recordRealisedProfitLoss(trade);
+    
+    logUserAction(telegramId, 'journal_trade_closed', { 
+      trade_id: trade.id,
+      signal_id: trade.signal_id,
+      exit_price: exitPrice,
+      outcome: trade.outcome,
+      profit_loss: trade.profit_loss
+    });
+    
+    return trade;
+  } catch (error) {
+    logError(telegramId, 'closeJournalTrade', error);
+    throw error;
+  }
+};
+
+/**
+ * Void the open auto-trades created from a signal that was cancelled and tell each user
+ * Journal trades are left open, as the users placed them themselves.
+ * @param {Object} signal - Cancelled signal
+ * @returns {Promise<number>} - Number of trades cancelled
+ */
+const cancelLinkedTrades = async (signal) => {
+  const trades = await Trading.findAll({
+    where: { signal_id: signal.signal_id, status: 'OPEN', auto_traded: true },
+    include: [{ model: User, attributes: ['telegram_id'] }]
+  });
+  
+  for (const trade of trades) {
+    await closeBrokerPosition(trade, null);
+    
+    await trade.update({
+      status: 'CANCELLED',
+      exit_time: new Date(),
+      profit_loss: 0,
+      profit_loss_percentage: 0
+    });
+  }
+  
+  await notifyTradeResults(trades, trade => 
+    `🚫 *TRADE CANCELLED*\n\n` +
+    `Signal: ${signal.signal_id}\n` +
+    `Asset: ${trade.asset}\n` +
+    `Type: ${trade.trade_type}\n` +
+    `Amount: $${trade.trade_amount}\n\n` +
+    `The signal was cancelled, so your trade has been voided with no profit or loss.`);
+  
+  return trades.length;
+};
+
+/**
+ * Close the broker position behind a user trade
+ * @param {Object} trade - User trade with its User included
+ * @param {number|null} price - Reference exit price, or null to close flat
+ * @returns {Promise<Object|null>} - Broker fill, or null if the trade has no open broker order
+ */
+const closeBrokerPosition = async (trade, price) => {
+  const broker = getBroker();
+  
+  if (!trade.broker_order_id || !trade.User || !broker || broker.name !== trade.broker) {
+    return null;
+  }
+  
+  try {
+    return await broker.closeOrder(trade.User.telegram_id, trade.broker_order_id, price);
+  } catch (err) {
+    logError(trade.User.telegram_id, 'closeBrokerPosition', err);
+    return null;
+  }
+};
+
+/**
+ * Send each trade's owner a personal message about their trade
+ * @param {Array<Object>} trades - Trades with their User included
+ * @param {Function} formatMessage - Builds the message for a trade
+ * @returns {Promise<void>}
+ */
+const notifyTradeResults = async (trades, formatMessage) => {
+  await Promise.all(trades.filter(trade => trade.User).map(async (trade) => {
+    try {
+      await deliveryRateLimiter.sendMessage(trade.User.telegram_id, formatMessage(trade), { parse_mode: 'Markdown' });
+    } catch (err) {
+      logError(trade.User.telegram_id, 'notifyTradeResults', err);
+    }
+  }));
+};
+
+/**
+ * Check whether a closed signal's result comes from take-profit targets hit before its final close
+ * Trades on such a signal share its blended result instead of their own exit.
+ * @param {Object} signal - Closed signal
+ * @param {number|null} exitPrice - Final exit price, or null if unknown
+ * @returns {boolean} - Whether trades follow the signal's partial closes
+ */
+const followsPartialCloses = (signal, exitPrice) => {
+  const partialCloses = signal.partial_closes || [];
+  
+  if (signal.profit_loss === null || signal.profit_loss === undefined) {
+    return false;
+  }
+  
+  // A signal expiring without a price only has the results of the targets already hit
+  return partialCloses.length > 1 || (partialCloses.length > 0 && (exitPrice === null || exitPrice === undefined));
+};
+
+/**
+ * Calculate a user trade's return when its signal closes
+ * @param {Object} signal - Closed signal
+ * @param {Object} trade - User trade
+ * @param {number|null} exitPrice - Exit price, or null if unknown
+ * @returns {number|null} - Profit/loss percentage, or null if unknown
+ */
+const calculateTradeReturn = (signal, trade, exitPrice) => {
+  // Binary trades share the signal's return on the stake
+  if (signal.signal_type === 'BINARY') {
+    return signal.profit_loss;
+  }
+  
+  // Trades follow the signal's partial closes, so they get its blended result
+  if (followsPartialCloses(signal, exitPrice)) {
+    return signal.profit_loss;
+  }
+  
+  if (exitPrice === null || exitPrice === undefined) {
+    return null;
+  }
+  
+  return calculateProfitLoss(trade.trade_type, trade.entry_price, exitPrice);
+};
+
+/**
+ * Calculate the dollar profit/loss of a trade
+ * @param {number} tradeAmount - Trade amount in dollars
+ * @param {number} percentage - Profit/loss percentage
+ * @returns {number} - Profit/loss in dollars, rounded to cents
+ */
+const calculateTradeProfitLoss = (tradeAmount, percentage) => {
+  return Math.round(tradeAmount * percentage) / 100;
+};
+
+/**
+ * Format a user's personal trade result message
+ * @param {Object} signal - Closed signal
+ * @param {Object} trade - Closed user trade
+ * @returns {string} - Formatted message
+ */
+const formatTradeResultMessage = (signal, trade) => {
+  return `📊 *YOUR TRADE RESULT*\n\n` +
+    `Signal: ${signal.signal_id}\n` +
+    `Asset: ${trade.asset}\n` +
+    `Type: ${trade.trade_type}\n` +
+    `Entry Price: ${trade.entry_price}\n` +
+    (trade.exit_price !== null ? `Exit Price: ${trade.exit_price}\n` : '') +
+    `Amount: $${trade.trade_amount}\n\n` +
+    (formatTradeResult(trade) || 
+      `The signal expired with no exit price available, so no profit or loss was recorded.`);
+};
+
+/**
+ * Format the profit/loss of a closed user trade for display
+ * @param {Object} trade - User trade
+ * @returns {string} - Formatted result, or an empty string if the trade has none
+ */
+const formatTradeResult = (trade) => {
+  if (trade.profit_loss_percentage === null || trade.profit_loss_percentage === undefined) {
+    return '';
+  }
+  
+  if (trade.outcome) {
+    return `${formatBinaryResult(trade.outcome, trade.profit_loss_percentage)} (${portfolioService.formatDollars(trade.profit_loss)})`;
+  }
+  
+  return `${trade.profit_loss >= 0 ? '✅ PROFIT' : '❌ LOSS'}: ${portfolioService.formatDollars(trade.profit_loss)} ` +
+    `(${trade.profit_loss_percentage > 0 ? '+' : ''}${trade.profit_loss_percentage.toFixed(2)}%)`;
+};
+
+/**
+ * Resolve a binary signal to WIN, LOSS or DRAW at its expiry price
+ * @param {Object} signal - Active binary signal
+ * @param {number} expiryPrice - Market price at expiry
+ * @param {string} adminTelegramId - Admin's Telegram ID, or 'system' for automatic resolution
+ * @param {string} [notes] - Close notes
+ * @returns {Promise<Object|null>} - Resolved signal, or null if it was resolved meanwhile
+ */
+const resolveBinarySignal = async (signal, expiryPrice, adminTelegramId = 'system', notes = '') => {
+  const outcome = getBinaryOutcome(signal.trade_type, signal.entry_price, expiryPrice);
+  
+  const updatedSignal = await claimActiveSignal(signal, {
+    status: 'CLOSED',
+    outcome,
+    exit_price: expiryPrice,
+    exit_time: new Date(),
+    close_trigger: 'expiry',
+    remaining_percentage: 0,
+    profit_loss: calculateBinaryReturn(outcome, signal.payout_percentage),
+    notes: notes ? signal.notes + '\n' + notes : signal.notes
+  });
+  
+  if (!updatedSignal) {
+    return null;
+  }
+  
+  logAdminAction(adminTelegramId, 'binary_signal_resolved', { 
+    signal_id: updatedSignal.signal_id,
+    expiry_price: expiryPrice,
+    outcome
+  });
+  
+  await closeLinkedTrades(updatedSignal, expiryPrice);
+  await broadcastSignalClose(updatedSignal, adminTelegramId === 'system' ? null : adminTelegramId);
+  
+  return updatedSignal;
+};
+
+/**
+ * Schedule the resolution of a binary signal that has just gone out
+ * @param {Object} signal - Published signal
+ * @returns {Promise<void>}
+ */
+const scheduleBinaryResolution = async (signal) => {
+  if (signal.signal_type !== 'BINARY') {
+    return;
+  }
+  
+  try {
+    await queueService.scheduleBinaryResolutionJob(signal.signal_id, signal.expires_at);
+  } catch (error) {
+    // The expiry sweep still resolves the signal, only later than its exact expiry
+    logError('system', 'scheduleBinaryResolution', error);
+  }
+};
+
+/**
+ * Process a binary signal resolution job from the trading signal queue
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} - Resolution outcome
+ */
+const processBinaryResolutionJob = async (job) => {
+  const signal = await Signal.findOne({
+    where: { signal_id: job.data.signal_id, signal_type: 'BINARY', status: 'ACTIVE' }
+  });
+  
+  // Already resolved by hand, or retracted
+  if (!signal) {
+    return { success: true, outcome: 'skipped' };
+  }
+  
+  const priceFeed = getPriceFeed();
+  const expiryPrice = priceFeed ? await priceFeed.getPrice(signal.asset) : null;
+  
+  if (expiryPrice === null) {
+    if (signal.created_by) {
+      await bot.sendMessage(
+        signal.created_by,
+        `⌛ Binary signal ${signal.signal_id} has expired but no ${signal.asset} price is available.\n\n` +
+        `Resolve it with /close ${signal.signal_id} <expiry_price>`
+      );
+    }
+    
+    return { success: true, outcome: 'awaiting_price' };
+  }
+  
+  const resolvedSignal = await resolveBinarySignal(signal, expiryPrice);
+  
+  // The expiry sweep or an admin's /close resolved it first
+  if (!resolvedSignal) {
+    return { success: true, outcome: 'skipped' };
+  }
+  
+  return { success: true, outcome: resolvedSignal.outcome };
+};
+
+/**
+ * Find the stop-loss or take-profit level crossed by a price
+ * @param {Object} signal - Active signal
+ * @param {number} price - Current market price
+ * @returns {Object|null} - Crossed level as { trigger, target, price }, or null
+ */
+const findTriggeredLevel = (signal, price) => {
+  const isBuy = signal.trade_type.toUpperCase() === 'BUY';
+  
+  // The stop loss is checked first so an ambiguous tick is resolved conservatively
+  if (signal.stop_loss && (isBuy ? price <= signal.stop_loss : price >= signal.stop_loss)) {
+    return { trigger: 'stop_loss', target: null, price: signal.stop_loss };
+  }
+  
+  const closedTargets = (signal.partial_closes || []).map(close => close.target);
+  const nextTarget = getTakeProfits(signal).find(tp => !closedTargets.includes(tp.target));
+  
+  if (nextTarget && (isBuy ? price >= nextTarget.price : price <= nextTarget.price)) {
+    return { trigger: `take_profit_${nextTarget.target}`, target: nextTarget.target, price: nextTarget.price };
+  }
+  
+  return null;
+};
+
+/**
+ * Close active signals whose stop loss or take profit has been crossed
+ * @param {PriceFeed} priceFeed - Price feed to read current prices from
+ * @returns {Promise<number>} - Number of closes (full or partial) performed
+ */
+const resolveSignalLevels = async (priceFeed) => {
+  try {
+    const signals = await Signal.findAll({
+      where: {
+        status: 'ACTIVE',
+        [Op.or]: [
+          { stop_loss: { [Op.ne]: null } },
+          { take_profit_1: { [Op.ne]: null } }
+        ]
+      }
+    });
+    
+    let closeCount = 0;
+    
+    for (let signal of signals) {
+      try {
+        const price = await priceFeed.getPrice(signal.asset);
+        
+        if (price === null) {
+          continue;
+        }
+        
+        // A single tick can cross several take-profit targets at once
+        let level = findTriggeredLevel(signal, price);
+        
+        while (level) {
+          signal = await closeSignal(signal.signal_id, {
+            exit_price: level.price,
+            target: level.target,
+            trigger: level.trigger,
+            notes: `Auto-closed: ${formatCloseTrigger(level.trigger)} reached (market price ${price})`
+          }, 'system');
+          closeCount++;
+          
+          level = signal.status === 'ACTIVE' ? findTriggeredLevel(signal, price) : null;
+        }
+      } catch (err) {
+        logError('system', 'resolveSignalLevels', err);
+      }
+    }
+    
+    if (closeCount > 0) {
+      logger.info(`Price feed ${priceFeed.name} resolved ${closeCount} signal levels`);
+    }
+    
+    return closeCount;
+  } catch (error) {
+    logError('system', 'resolveSignalLevels', error);
+    throw error;
+  }
+};
+
+/**
+ * Broadcast signal to verified users based on their subscription tier
+ * @param {Object} signal - Signal object
+ * @param {string} [adminTelegramId] - Admin to report delivery progress to
+ * @returns {Promise<number>} - Number of users the signal was queued for
+ */
+const broadcastSignal = async (signal, adminTelegramId = signal.created_by) => {
+  try {
+    // Get all verified users
+    const users = await userService.getVerifiedUsers();
+    const tierUsers = filterUsersByTier(users, signal.tier);
+    
+    // A provider's signals only go to its followers, and users' own signal filters narrow the audience further
+    const followerUsers = tierUsers.filter(user => providerService.followsSignalProvider(user, signal));
+    const eligibleUsers = followerUsers.filter(user => matchesSignalFilters(signal, user.signal_filters));
+    
+    logger.info(`Broadcasting signal ${signal.signal_id} to ${eligibleUsers.length} eligible users ` +
+      `(${tierUsers.length - followerUsers.length} not following its provider, ` +
+      `${followerUsers.length - eligibleUsers.length} hidden by their filters)`);
+    
+    await queueSignalDeliveries(signal, 'signal', eligibleUsers, adminTelegramId, null, 
+      await getBlackoutWarning(signal));
+    
+    return eligibleUsers.length;
+  } catch (error) {
+    logError('system', 'broadcastSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the warning about news blackouts covering an asset while a signal is valid
+ * @param {Object} signal - Signal object
+ * @returns {Promise<string>} - Warning, or an empty string if no blackout falls in the signal's validity
+ */
+const getBlackoutWarning = async (signal) => {
+  const blackouts = await blackoutService.getBlackouts(signal.asset, signal.entry_time, signal.expires_at || signal.entry_time);
+  return blackoutService.formatBlackoutWarning(blackouts);
+};
+
+/**
+ * Filter users down to those whose subscription tier covers a signal tier
+ * @param {Array} users - Verified users
+ * @param {string} tier - Signal tier
+ * @returns {Array} - Eligible users
+ */
+const filterUsersByTier = (users, tier) => {
+  if (tier === 'basic') {
+    // Basic signals go to all verified users with basic tier or higher
+    return users.filter(user => 
+      ['basic', 'premium', 'vip'].includes(user.subscription_tier));
+  } else if (tier === 'premium') {
+    // Premium signals go to premium and VIP users
+    return users.filter(user => 
+      ['premium', 'vip'].includes(user.subscription_tier));
+  } else if (tier === 'vip') {
+    // VIP signals only go to VIP users
+    return users.filter(user => 
+      user.subscription_tier === 'vip');
+  }
+  
+  return [];
+};
+
+/**
+ * Queue one delivery job per recipient on the trading signal queue
+ * @param {Object} signal - Signal object
+ * @param {string} type - Delivery type (signal, signal_close or signal_cancel)
+ * @param {Array} users - Recipients
+ * @param {string|null} adminTelegramId - Admin to report delivery progress to
+ * @param {string|null} text - Pre-rendered message, used for close and cancel notifications
+ * @param {string} warning - News blackout warning added to signal messages
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+const queueSignalDeliveries = async (signal, type, users, adminTelegramId, text = null, warning = '') => {
+  if (users.length === 0) {
+    return 0;
+  }
+  
+  const batch = await startBroadcastProgress(signal, type, users.length, adminTelegramId);
+  
+  const deliveries = users.map(user => ({
+    type,
+    signal_id: signal.signal_id,
+    user_id: user.id,
+    chat_id: user.telegram_id.toString(),
+    subscription_tier: user.subscription_tier,
+    text,
+    warning,
+    batch
+  }));
+  
+  try {
+    await queueService.addTradingSignalJobs(deliveries);
+  } catch (error) {
+    // Without the queue the fan-out still goes out, just from this process
+    logger.warn(`Signal queue unavailable, delivering ${signal.signal_id} in-process: ${error.message}`);
+    
+    for (const delivery of deliveries) {
+      await deliverSignalMessage(delivery);
+    }
+  }
+  
+  return deliveries.length;
+};
+
+/**
+ * Process a delivery job from the trading signal queue
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} - Delivery outcome
+ */
+const processSignalDeliveryJob = async (job) => {
+  const outcome = await deliverSignalMessage(job.data);
+  return { success: true, outcome };
+};
+
+/**
+ * Send a queued signal, signal close or signal cancel message to one recipient
+ * @param {Object} delivery - Delivery job data
+ * @returns {Promise<string>} - Outcome (sent, failed or skipped)
+ */
+const deliverSignalMessage = async (delivery) => {
+  const user = {
+    id: delivery.user_id,
+    telegram_id: delivery.chat_id,
+    subscription_tier: delivery.subscription_tier
+  };
+  let signal = null;
+  let outcome = 'sent';
+  
+  try {
+    if (delivery.type === 'signal_close' || delivery.type === 'signal_cancel') {
+      // Close and cancel messages are rendered when queued, as each one reports a specific (partial) close or cancellation
+      await deliveryRateLimiter.sendMessage(delivery.chat_id, delivery.text);
+    } else {
+      // Signal messages are rendered at send time so amendments made mid fan-out go out too
+      signal = await Signal.findOne({ 
+        where: { signal_id: delivery.signal_id },
+        include: [{ model: SignalProvider, as: 'provider' }]
+      });
+      
+      // A binary signal is worthless once it has resolved
+      if (!signal || signal.status === 'CANCELLED' || 
+          (signal.signal_type === 'BINARY' && signal.status !== 'ACTIVE')) {
+        outcome = 'skipped';
+      } else {
+        const sentMessage = await deliveryRateLimiter.sendMessage(
+          delivery.chat_id, formatSignalMessage(signal, delivery.warning), buildSignalKeyboard(signal, user));
+        await recordDelivery(signal, user, { message_id: sentMessage.message_id, status: 'SENT' });
+      }
+    }
+  } catch (err) {
+    logError(delivery.chat_id, 'deliverSignalMessage', err);
+    outcome = 'failed';
+    
+    if (signal) {
+      await recordDelivery(signal, user, { status: 'FAILED', error_code: getTelegramErrorCode(err) });
+    }
+  }
+  
+  await reportBroadcastProgress(delivery.signal_id, delivery.batch, outcome);
+  
+  return outcome;
+};
+
+// Running delivery counts per batch, kept by the process running the delivery workers
+const broadcastProgress = new Map();
+
+/**
+ * Start tracking a fan-out and post the initial progress message to the admin
+ * @param {Object} signal - Signal object
+ * @param {string} type - Delivery type (signal, signal_close or signal_cancel)
+ * @param {number} total - Number of recipients
+ * @param {string|null} adminTelegramId - Admin to report to, if any
+ * @returns {Promise<Object>} - Batch info carried by every delivery job
+ */
+const startBroadcastProgress = async (signal, type, total, adminTelegramId) => {
+  const batch = {
+    id: `${type}:${signal.signal_id}:${Date.now()}`,
+    type,
+    total,
+    admin_id: null,
+    progress_message_id: null
+  };
+  
+  // System closes (price feed, expiry) have no admin to report to
+  if (!adminTelegramId || adminTelegramId === 'system') {
+    return batch;
+  }
+  
+  try {
+    const progressMessage = await bot.sendMessage(
+      adminTelegramId,
+      formatBroadcastProgress(signal.signal_id, batch, { sent: 0, failed: 0, skipped: 0 }),
+      { parse_mode: 'Markdown' }
+    );
+    
+    batch.admin_id = adminTelegramId.toString();
+    batch.progress_message_id = progressMessage.message_id;
+  } catch (err) {
+    logError(adminTelegramId, 'startBroadcastProgress', err);
+  }
+  
+  return batch;
+};
+
+/**
+ * Count a delivery outcome and refresh the admin's progress message
+ * @param {string} signalId - Signal ID
+ * @param {Object} batch - Batch info from the delivery job
+ * @param {string} outcome - Delivery outcome (sent, failed or skipped)
+ * @returns {Promise<void>}
+ */
+const reportBroadcastProgress = async (signalId, batch, outcome) => {
+  if (!batch) {
+    return;
+  }
+  
+  if (!broadcastProgress.has(batch.id)) {
+    broadcastProgress.set(batch.id, { sent: 0, failed: 0, skipped: 0, lastReportAt: Date.now() });
+  }
+  
+  const progress = broadcastProgress.get(batch.id);
+  progress[outcome]++;
+  
+  const done = progress.sent + progress.failed + progress.skipped >= batch.total;
+  
+  if (done) {
+    broadcastProgress.delete(batch.id);
+    logger.info(`Delivered ${batch.type} ${signalId}: ${progress.sent} sent, ${progress.failed} failed, ${progress.skipped} skipped`);
+  }
+  
+  const intervalMs = config.trading.broadcast.progressIntervalSeconds * 1000;
+  
+  if (!batch.progress_message_id || (!done && Date.now() - progress.lastReportAt < intervalMs)) {
+    return;
+  }
+  
+  progress.lastReportAt = Date.now();
+  
+  try {
+    await bot.editMessageText(formatBroadcastProgress(signalId, batch, progress, done), {
+      chat_id: batch.admin_id,
+      message_id: batch.progress_message_id,
+      parse_mode: 'Markdown'
+    });
+  } catch (err) {
+    logError(batch.admin_id, 'reportBroadcastProgress', err);
+  }
+};
+
+/**
+ * Format the delivery progress message shown to the posting admin
+ * @param {string} signalId - Signal ID
+ * @param {Object} batch - Batch info
+ * @param {Object} progress - Delivery counts
+ * @param {boolean} done - Whether every delivery has been attempted
+ * @returns {string} - Formatted message
+ */
+const formatBroadcastProgress = (signalId, batch, progress, done = false) => {
+  const what = { signal_close: 'Close update', signal_cancel: 'Cancellation' }[batch.type] || 'Signal';
+  const processed = progress.sent + progress.failed + progress.skipped;
+  
+  let message = done ? 
+    `✅ *DELIVERY COMPLETE*\n\n` : 
+    `📤 *DELIVERING ${what.toUpperCase()}*\n\n`;
+  
+  message += `${what}: ${signalId}\n`;
+  message += `Progress: ${processed}/${batch.total}\n`;
+  message += `Sent: ${progress.sent}\n`;
+  message += `Failed: ${progress.failed}`;
+  
+  if (progress.skipped > 0) {
+    message += `\nSkipped (retracted): ${progress.skipped}`;
+  }
+  
+  return message;
+};
+
+/**
+ * Build the inline keyboard sent with a signal to a user
+ * @param {Object} signal - Signal object
+ * @param {Object} user - Recipient
+ * @returns {Object} - Message options with the keyboard, if any
+ */
+const buildSignalKeyboard = (signal, user) => {
+  const buttons = [{ text: '✅ I took this', callback_data: `took_trade:${signal.signal_id}` }];
+  
+  // Auto-trade button for VIP users
+  if (user.subscription_tier === 'vip') {
+    buttons.push({ text: '🤖 Auto-Trade This Signal', callback_data: `auto_trade:${signal.signal_id}` });
+  }
+  
+  // Feedback buttons share the last row
+  return createInlineKeyboard([...buttons, reactionService.buildReactionButtons(signal.signal_id)]);
+};
+
+/**
+ * Record the delivery of a signal to a user
+ * @param {Object} signal - Signal object
+ * @param {Object} user - Recipient
+ * @param {Object} deliveryData - Delivery data (message_id, status, error_code)
+ * @returns {Promise<Object|null>} - Delivery record, or null if it could not be stored
+ */
+const recordDelivery = async (signal, user, deliveryData) => {
+  try {
+    return await SignalDelivery.create({
+      signal_id: signal.signal_id,
+      user_id: user.id,
+      chat_id: user.telegram_id.toString(),
+      ...deliveryData
+    });
+  } catch (err) {
+    // A missing delivery record must not stop the broadcast
+    logError(user.telegram_id, 'recordDelivery', err);
+    return null;
+  }
+};
+
+/**
+ * Extract the Telegram error code from a failed Bot API call
+ * @param {Error} error - Error thrown by the Bot API client
+ * @returns {string} - Telegram error_code, or the client error code
+ */
+const getTelegramErrorCode = (error) => {
+  const code = error.response?.body?.error_code || error.code || 'UNKNOWN';
+  return code.toString();
+};
+
+/**
+ * Get the deliveries of a signal whose message is still in the recipient's chat
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<Array>} - Deliveries with their users
+ */
+const getLiveDeliveries = async (signalId) => {
+  return await SignalDelivery.findAll({
+    where: {
+      signal_id: signalId,
+      status: { [Op.in]: ['SENT', 'EDITED'] }
+    },
+    include: [User]
+  });
+};
+
+/**
+ * Get the users a signal was delivered to, once each
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<Array>} - Users whose delivered message is still in their chat
+ */
+const getSignalRecipients = async (signalId) => {
+  // A user can have more than one delivery of the same signal, e.g. after a retried job
+  const recipients = new Map();
+  
+  for (const delivery of await getLiveDeliveries(signalId)) {
+    if (delivery.User) {
+      recipients.set(delivery.User.id, delivery.User);
+    }
+  }
+  
+  return [...recipients.values()];
+};
+
+/**
+ * Amend an active signal and edit every delivered message in place
+ * @param {string} signalId - Signal ID
+ * @param {Object} changes - New stop_loss, take_profit_N or notes values
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Amended signal with edited and failed message counts
+ */
+const amendSignal = async (signalId, changes, adminTelegramId) => {
+  try {
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'ACTIVE' },
+      include: [{ model: SignalProvider, as: 'provider' }]
+    });
+    
+    if (!signal) {
+      throw new Error(`Active signal with ID ${signalId} not found`);
+    }
+    
+    const updateData = {};
+    
+    for (const field of ['stop_loss', 'take_profit_1', 'take_profit_2', 'take_profit_3', 'notes']) {
+      if (changes[field] !== undefined) {
+        updateData[field] = changes[field];
+      }
+    }
+    
+    if (Object.keys(updateData).length === 0) {
+      throw new Error('No changes to amend');
+    }
+    
+    if (signal.signal_type === 'BINARY' && Object.keys(updateData).some(field => field !== 'notes')) {
+      throw new Error('Binary signals have no stop loss or take profit to amend');
+    }
+    
+    validateExitLevels({
+      trade_type: signal.trade_type,
+      entry_price: signal.entry_price,
+      stop_loss: signal.stop_loss,
+      take_profit_1: signal.take_profit_1,
+      take_profit_2: signal.take_profit_2,
+      take_profit_3: signal.take_profit_3,
+      ...updateData
+    });
+    
+    const amendedSignal = await signal.update(updateData);
+    
+    logAdminAction(adminTelegramId, 'signal_amended', { 
+      signal_id: amendedSignal.signal_id,
+      changes: updateData
+    });
+    
+    const message = `✏️ *SIGNAL AMENDED*\n\n` + formatSignalMessage(amendedSignal, await getBlackoutWarning(amendedSignal));
+    const deliveries = await getLiveDeliveries(signalId);
+    let editedCount = 0;
+    let failedCount = 0;
+    
+    for (const delivery of deliveries) {
+      try {
+        await bot.editMessageText(message, {
+          chat_id: delivery.chat_id,
+          message_id: delivery.message_id,
+          ...buildSignalKeyboard(amendedSignal, delivery.User)
+        });
+        await delivery.update({ status: 'EDITED', error_code: null });
+        editedCount++;
+      } catch (err) {
+        logError(delivery.chat_id, 'amendSignal', err);
+        await delivery.update({ error_code: getTelegramErrorCode(err) });
+        failedCount++;
+      }
+    }
+    
+    logger.info(`Edited ${editedCount} of ${deliveries.length} messages for amended signal ${signalId}`);
+    
+    return { signal: amendedSignal, editedCount, failedCount };
+  } catch (error) {
+    logError(adminTelegramId, 'amendSignal', error);
+    throw error;
+  }
+};
+
+/**
+ * Retract an active signal: cancel it, void its auto-trades and delete every delivered message
+ * @param {string} signalId - Signal ID
+ * @param {string} adminTelegramId - Admin's Telegram ID
+ * @returns {Promise<Object>} - Retracted signal with deleted and failed message counts
+ */
+const retractSignal = async (signalId, adminTelegramId) => {
+  try {
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'ACTIVE' }
+    });
+    
+    if (!signal) {
+      throw new Error(`Active signal with ID ${signalId} not found`);
+    }
+    
+    // Claim the signal first so a signal closed or expired meanwhile keeps its settled trades and messages
+    const [retracted] = await Signal.update(
+      {
+        status: 'CANCELLED',
+        exit_time: new Date(),
+        close_trigger: 'retracted'
+      },
+      { where: { id: signal.id, status: 'ACTIVE' } }
+    );
+    
+    if (retracted === 0) {
+      throw new Error(`Active signal with ID ${signalId} not found`);
+    }
+    
+    const retractedSignal = await signal.reload();
     
-    logAdminAction(adminTelegramId, 'signal_created', { 
-      signal_id: createdSignal.signal_id,
-      asset: createdSignal.asset,
-      trade_type: createdSignal.trade_type
+    await cancelLinkedTrades(retractedSignal);
+    
+    logAdminAction(adminTelegramId, 'signal_retracted', { 
+      signal_id: retractedSignal.signal_id
     });
     
-    // Broadcast signal to verified users
-    await broadcastSignal(createdSignal);
+    const deliveries = await getLiveDeliveries(signalId);
+    let deletedCount = 0;
+    let failedCount = 0;
     
-    // Process auto-trading for eligible users
-    await processAutoTrading(createdSignal);
+    for (const delivery of deliveries) {
+      try {
+        await bot.deleteMessage(delivery.chat_id, delivery.message_id);
+        await delivery.update({ status: 'DELETED', error_code: null });
+        deletedCount++;
+      } catch (err) {
+        // Telegram only lets bots delete messages younger than 48 hours
+        logError(delivery.chat_id, 'retractSignal', err);
+        await delivery.update({ error_code: getTelegramErrorCode(err) });
+        failedCount++;
+      }
+    }
     
-    return createdSignal;
+    logger.info(`Deleted ${deletedCount} of ${deliveries.length} messages for retracted signal ${signalId}`);
+    
+    return { signal: retractedSignal, deletedCount, failedCount };
   } catch (error) {
-    logError(adminTelegramId, 'createSignal', error);
+    logError(adminTelegramId, 'retractSignal', error);
     throw error;
   }
 };
 
 /**
- * Close a trading signal
+ * Cancel an active signal: settle its auto-trades and send a cancellation notice to everyone it was delivered to
+ * Unlike a retraction, the delivered messages stay in place so members can see what was cancelled.
  * @param {string} signalId - Signal ID
- * @param {Object} closeData - Close data
+ * @param {string} reason - Reason shown to members, if any
  * @param {string} adminTelegramId - Admin's Telegram ID
- * @returns {Promise<Object>} - Updated signal
+ * @returns {Promise<Object>} - Cancelled signal with voided, unwound and notified counts
  */
-const closeSignal = async (signalId, closeData, adminTelegramId) => {
+const cancelSignal = async (signalId, reason, adminTelegramId) => {
   try {
-    const signal = await Trading.findOne({
-      where: { signal_id: signalId, status: 'active' }
+    const signal = await Signal.findOne({
+      where: { signal_id: signalId, status: 'ACTIVE' }
     });
     
     if (!signal) {
       throw new Error(`Active signal with ID ${signalId} not found`);
     }
     
-    // Update signal
-    const updatedSignal = await signal.update({
-      exit_price: closeData.exit_price,
-      status: 'closed',
-      exit_time: new Date(),
-      profit_loss: calculateProfitLoss(
-        signal.trade_type,
-        signal.entry_price,
-        closeData.exit_price
-      ),
-      notes: signal.notes + '\n' + (closeData.notes || '')
-    });
+    // Claim the signal first so two admins cancelling at once don't notify members twice
+    const [cancelled] = await Signal.update(
+      {
+        status: 'CANCELLED',
+        exit_time: new Date(),
+        close_trigger: 'cancelled',
+        cancel_reason: reason || null
+      },
+      { where: { id: signal.id, status: 'ACTIVE' } }
+    );
     
-    logAdminAction(adminTelegramId, 'signal_closed', { 
-      signal_id: updatedSignal.signal_id,
-      profit_loss: updatedSignal.profit_loss
+    if (cancelled === 0) {
+      throw new Error(`Active signal with ID ${signalId} not found`);
+    }
+    
+    const cancelledSignal = await signal.reload();
+    const { voidedCount, unwoundCount } = await unwindLinkedTrades(cancelledSignal);
+    
+    logAdminAction(adminTelegramId, 'signal_cancelled', {
+      signal_id: cancelledSignal.signal_id,
+      reason: cancelledSignal.cancel_reason,
+      voided_trades: voidedCount,
+      unwound_trades: unwoundCount
     });
     
-    // Broadcast signal close to verified users
-    await broadcastSignalClose(updatedSignal);
+    const recipients = await getSignalRecipients(signalId);
     
-    return updatedSignal;
+    const notifiedCount = await queueSignalDeliveries(cancelledSignal, 'signal_cancel', recipients, adminTelegramId,
+      formatSignalCancelMessage(cancelledSignal));
+    
+    return { signal: cancelledSignal, voidedCount, unwoundCount, notifiedCount };
   } catch (error) {
-    logError(adminTelegramId, 'closeSignal', error);
+    logError(adminTelegramId, 'cancelSignal', error);
     throw error;
   }
 };
 
 /**
- * Broadcast signal to verified users based on their subscription tier
- * @param {Object} signal - Signal object
- * @returns {Promise<number>} - Number of users notified
+ * Settle the open auto-trades of a cancelled signal and tell each user
+ * Trades never filled at a broker are voided; positions a broker filled are closed at the current price.
+ * Users who journaled a trade are asked for their own outcome, as they placed it themselves.
+ * @param {Object} signal - Cancelled signal
+ * @returns {Promise<Object>} - { voidedCount, unwoundCount }
  */
-const broadcastSignal = async (signal) => {
-  try {
-    // Get all verified users
-    const users = await userService.getVerifiedUsers();
-    
-    // Filter users based on signal tier and user subscription tier
-    let eligibleUsers = [];
-    
-    if (signal.tier === 'basic') {
-      // Basic signals go to all verified users with basic tier or higher
-      eligibleUsers = users.filter(user => 
-        ['basic', 'premium', 'vip'].includes(user.subscription_tier));
-    } else if (signal.tier === 'premium') {
-      // Premium signals go to premium and VIP users
-      eligibleUsers = users.filter(user => 
-        ['premium', 'vip'].includes(user.subscription_tier));
-    } else if (signal.tier === 'vip') {
-      // VIP signals only go to VIP users
-      eligibleUsers = users.filter(user => 
-        user.subscription_tier === 'vip');
-    }
-    
-    logger.info(`Broadcasting signal ${signal.signal_id} to ${eligibleUsers.length} eligible users`);
-    
-    let notifiedCount = 0;
+const unwindLinkedTrades = async (signal) => {
+  const linkedTrades = await Trading.findAll({
+    where: { signal_id: signal.signal_id, status: 'OPEN' },
+    include: [{ model: User, attributes: ['telegram_id'] }]
+  });
+  
+  const trades = linkedTrades.filter(trade => trade.auto_traded);
+  await requestJournalOutcomes(signal, linkedTrades.filter(trade => !trade.auto_traded));
+  
+  const unfilled = trades.filter(trade => !trade.broker_order_id);
+  const filled = trades.filter(trade => trade.broker_order_id);
+  
+  for (const trade of unfilled) {
+    await trade.update({
+      status: 'CANCELLED',
+      exit_time: new Date(),
+      profit_loss: 0,
+      profit_loss_percentage: 0
+    });
+  }
+  
+  const priceFeed = filled.length > 0 ? getPriceFeed() : null;
+  const price = priceFeed ? await priceFeed.getPrice(signal.asset) : null;
+  
+  for (const trade of filled) {
+    const fill = await closeBrokerPosition(trade, price);
     
-    for (const user of eligibleUsers) {
-      try {
-        // Create signal message
-        const message = formatSignalMessage(signal);
-        
-        // Create keyboard with auto-trade button if eligible
-        const keyboard = user.subscription_tier === 'vip' ? 
-          createInlineKeyboard([[
-            { text: '🤖 Auto-Trade This Signal', callback_data: `auto_trade:${signal.signal_id}` }
-          ]]) : {};
-        
-        // Send message
-        await bot.sendMessage(user.telegram_id, message, keyboard);
-        notifiedCount++;
-        
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (err) {
-        logError(user.telegram_id, 'broadcastSignal', err);
-      }
-    }
+    await trade.update({
+      status: 'CLOSED',
+      exit_price: fill ? fill.fill_price : trade.entry_price,
+      exit_time: new Date(),
+      outcome: fill ? fill.outcome : null,
+      profit_loss: fill ? fill.profit_loss : 0,
+      profit_loss_percentage: fill ? fill.profit_loss_percentage : 0
+    });
     
-    logger.info(`Successfully notified ${notifiedCount} users about signal ${signal.signal_id}`);
-    return notifiedCount;
-  } catch (error) {
-    logError('system', 'broadcastSignal', error);
-    throw error;
+    await portfolioService.recordRealisedProfitLoss(trade);
   }
+  
+  const reason = signal.cancel_reason ? `Reason: ${signal.cancel_reason}\n\n` : '\n';
+  
+  await notifyTradeResults(unfilled, trade =>
+    `🚫 *TRADE CANCELLED*\n\n` +
+    `Signal: ${signal.signal_id}\n` +
+    `Asset: ${trade.asset}\n` +
+    `Type: ${trade.trade_type}\n` +
+    `Amount: $${trade.trade_amount}\n` +
+    reason +
+    `The signal was cancelled before your trade was filled, so it has been voided with no profit or loss.`);
+  
+  await notifyTradeResults(filled, trade =>
+    `🚫 *TRADE CLOSED EARLY*\n\n` +
+    `Signal: ${signal.signal_id}\n` +
+    `Asset: ${trade.asset}\n` +
+    `Type: ${trade.trade_type}\n` +
+    `Entry Price: ${trade.entry_price}\n` +
+    `Exit Price: ${trade.exit_price}\n` +
+    `Amount: $${trade.trade_amount}\n` +
+    reason +
+    `The signal was cancelled, so your position was closed at the current price.\n\n` +
+    formatTradeResult(trade));
+  
+  return { voidedCount: unfilled.length, unwoundCount: filled.length };
+};
+
+/**
+ * Format the notice sent to members when a signal is cancelled
+ * @param {Object} signal - Cancelled signal
+ * @returns {string} - Formatted message
+ */
+const formatSignalCancelMessage = (signal) => {
+  return `🚫 *SIGNAL CANCELLED* 🚫\n\n` +
+    `Signal ID: ${signal.signal_id}\n` +
+    `Asset: ${signal.asset}\n` +
+    `Type: ${signal.trade_type}\n` +
+    `Entry: ${signal.entry_price}\n\n` +
+    (signal.cancel_reason ? `Reason: ${signal.cancel_reason}\n\n` : '') +
+    `Do not open new trades on this signal. Auto-trades that were not filled have been voided.`;
 };
 
 /**
- * Broadcast signal close to verified users based on their subscription tier
+ * Broadcast signal close to the users the signal was delivered to
  * @param {Object} signal - Signal object
- * @returns {Promise<number>} - Number of users notified
+ * @param {string} [adminTelegramId] - Admin to report delivery progress to
+ * @returns {Promise<number>} - Number of users the close was queued for
  */
-const broadcastSignalClose = async (signal) => {
+const broadcastSignalClose = async (signal, adminTelegramId = null) => {
   try {
-    // Get all verified users
-    const users = await userService.getVerifiedUsers();
-    
-    // Filter users based on signal tier and user subscription tier
-    let eligibleUsers = [];
-    
-    if (signal.tier === 'basic') {
-      // Basic signals go to all verified users with basic tier or higher
-      eligibleUsers = users.filter(user => 
-        ['basic', 'premium', 'vip'].includes(user.subscription_tier));
-    } else if (signal.tier === 'premium') {
-      // Premium signals go to premium and VIP users
-      eligibleUsers = users.filter(user => 
-        ['premium', 'vip'].includes(user.subscription_tier));
-    } else if (signal.tier === 'vip') {
-      // VIP signals only go to VIP users
-      eligibleUsers = users.filter(user => 
-        user.subscription_tier === 'vip');
-    }
-    
-    logger.info(`Broadcasting signal close ${signal.signal_id} to ${eligibleUsers.length} eligible users`);
+    // Only the recipients of the signal hear about its close, whatever their tier, filters or follows are now
+    const users = await getSignalRecipients(signal.signal_id);
     
-    let notifiedCount = 0;
+    logger.info(`Broadcasting signal close ${signal.signal_id} to ${users.length} recipients`);
     
-    for (const user of eligibleUsers) {
-      try {
-        // Create signal close message
-        const message = formatSignalCloseMessage(signal);
-        
-        // Send message
-        await bot.sendMessage(user.telegram_id, message);
-        notifiedCount++;
-        
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (err) {
-        logError(user.telegram_id, 'broadcastSignalClose', err);
-      }
-    }
+    await queueSignalDeliveries(signal, 'signal_close', users, adminTelegramId, 
+      formatSignalCloseMessage(signal));
     
-    logger.info(`Successfully notified ${notifiedCount} users about signal close ${signal.signal_id}`);
-    return notifiedCount;
+    return users.length;
   } catch (error) {
     logError('system', 'broadcastSignalClose', error);
     throw error;
@@ -226,62 +2074,101 @@ const broadcastSignalClose = async (signal) => {
  */
 const processAutoTrading = async (signal) => {
   try {
-    // Get all VIP users with auto-trading enabled
-    const users = await User.findAll({
+    // Get all VIP users with auto-trading enabled, leaving out those who don't follow the signal's provider
+    const users = (await User.findAll({
       where: {
         verification_status: 'verified',
         subscription_tier: 'vip',
         auto_trade_enabled: true
       }
-    });
+    })).filter(user => providerService.followsSignalProvider(user, signal));
     
     logger.info(`Processing auto-trading for signal ${signal.signal_id} for ${users.length} eligible users`);
     
+    const broker = getBroker();
+    const blackout = users.length > 0 ? await blackoutService.getAutoTradeBlackout(signal.asset) : null;
+    // Notices go out through the shared rate limiter while the next users' trades are placed
+    const notices = [];
     let autoTradeCount = 0;
     
     for (const user of users) {
       try {
+        if (blackout) {
+          notices.push(reportSkippedAutoTrade(user, signal, {
+            reason: 'news_blackout',
+            message: `Auto-trading on ${signal.asset} is paused for news: ${blackoutService.formatBlackout(blackout)}`,
+            hint: 'Auto-trading resumes once the blackout ends.'
+          }));
+          continue;
+        }
+        
+        const balance = await positionSizingService.getTrackedBalance(user, broker);
+        const size = positionSizingService.calculatePositionSize(user, signal, balance);
+        const skip = size.amount > 0 ? 
+          await guardrailService.checkAutoTradeGuardrails(user, signal, size.amount) : 
+          { reason: 'position_size', message: `Your position size for a $${balance.toFixed(2)} balance comes to $0` };
+        
+        if (skip) {
+          notices.push(reportSkippedAutoTrade(user, signal, skip));
+          continue;
+        }
+        
+        // Without a broker the trade is only recorded at the signal's entry price
+        const order = broker ? await broker.placeOrder(user.telegram_id, {
+          asset: signal.asset,
+          side: signal.trade_type,
+          amount: size.amount,
+          price: signal.entry_price,
+          payout_percentage: signal.signal_type === 'BINARY' ? signal.payout_percentage : undefined
+        }) : null;
+        
         // Create user-specific trade record
         const userTrade = await Trading.create({
           user_id: user.id,
           signal_id: signal.signal_id,
           trade_type: signal.trade_type,
           asset: signal.asset,
-          entry_price: signal.entry_price,
+          entry_price: order ? order.fill_price : signal.entry_price,
           exit_price: null,
-          quantity: calculateQuantity(user.auto_trade_amount, signal.entry_price),
-          risk_percentage: user.auto_trade_risk_percentage || signal.risk_percentage,
-          trade_amount: user.auto_trade_amount,
+          quantity: order ? order.quantity : size.quantity,
+          risk_percentage: size.risk_percentage !== null ? size.risk_percentage : signal.risk_percentage,
+          trade_amount: size.amount,
           profit_loss: null,
-          status: 'active',
+          tier: signal.tier,
+          status: 'OPEN',
           entry_time: new Date(),
           exit_time: null,
+          broker: broker ? broker.name : null,
+          broker_order_id: order ? order.order_id : null,
           auto_traded: true,
           notes: `Auto-traded from signal ${signal.signal_id}`
         });
         
         // Notify user about auto-trade
-        await bot.sendMessage(
-          user.telegram_id,
-          `🤖 *AUTO-TRADE EXECUTED*\n\nSignal: ${signal.signal_id}\nAsset: ${signal.asset}\nType: ${signal.trade_type}\nEntry Price: ${signal.entry_price}\nAmount: $${user.auto_trade_amount}\n\nYour trade has been automatically executed based on your settings.`,
-          { parse_mode: 'Markdown' }
-        );
+        notices.push(sendAutoTradeNotice(
+          user,
+          `🤖 *AUTO-TRADE EXECUTED*\n\nSignal: ${signal.signal_id}\nAsset: ${signal.asset}\nType: ${signal.trade_type}\nEntry Price: ${order ? order.fill_price : signal.entry_price}\nAmount: $${size.amount}\n` +
+          (order ? `Order: ${order.order_id} (${broker.name})\n` : '') +
+          `\nYour trade has been automatically executed based on your settings.`
+        ));
         
         logUserAction(user.telegram_id, 'auto_trade_executed', { 
           signal_id: signal.signal_id,
           trade_id: userTrade.id,
-          amount: user.auto_trade_amount
+          amount: size.amount,
+          sizing_mode: size.mode,
+          capped_by: size.capped_by,
+          broker_order_id: userTrade.broker_order_id
         });
         
         autoTradeCount++;
-        
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
       } catch (err) {
         logError(user.telegram_id, 'processAutoTrading', err);
       }
     }
     
+    await Promise.all(notices);
+    
     logger.info(`Successfully created ${autoTradeCount} auto-trades for signal ${signal.signal_id}`);
     return autoTradeCount;
   } catch (error) {
@@ -290,6 +2177,41 @@ const processAutoTrading = async (signal) => {
   }
 };
 
+/**
+ * Log an auto-trade a guardrail or news blackout stopped and tell the user why
+ * @param {Object} user - User whose trade was skipped
+ * @param {Object} signal - Signal that was not traded
+ * @param {Object} skip - Skip reason as { reason, message }, with an optional hint replacing the /guardrails one
+ * @returns {Promise<void>}
+ */
+const reportSkippedAutoTrade = async (user, signal, skip) => {
+  logUserAction(user.telegram_id, 'auto_trade_skipped', { 
+    signal_id: signal.signal_id,
+    reason: skip.reason,
+    details: skip.message
+  });
+  
+  await sendAutoTradeNotice(
+    user,
+    `⏸ *AUTO-TRADE SKIPPED*\n\nSignal: ${signal.signal_id}\nAsset: ${signal.asset}\nType: ${signal.trade_type}\n\n` +
+    `${skip.message}.\n\n${skip.hint || 'Use /guardrails to review your limits.'}`
+  );
+};
+
+/**
+ * Send a user a notice about their auto-trade, paced with the signal deliveries
+ * @param {Object} user - User to notify
+ * @param {string} text - Notice text
+ * @returns {Promise<void>}
+ */
+const sendAutoTradeNotice = async (user, text) => {
+  try {
+    await deliveryRateLimiter.sendMessage(user.telegram_id, text, { parse_mode: 'Markdown' });
+  } catch (err) {
+    logError(user.telegram_id, 'sendAutoTradeNotice', err);
+  }
+};
+
 /**
  * Enable auto-trading for user
  * @param {string} telegramId - User's Telegram ID
@@ -309,11 +2231,14 @@ const enableAutoTrading = async (telegramId, settings) => {
       throw new Error('Auto-trading is only available for VIP users');
     }
     
-    // Update user settings
+    // The amount only sizes trades in fixed mode, so a mode chosen with /sizing is kept
+    await userService.updatePositionSizing(telegramId, {
+      auto_trade_amount: settings.amount
+    });
+    // The risk percentage is the risk per trade used in risk mode
     const updatedUser = await userService.updateAutoTradeSettings(
       telegramId,
       true,
-      settings.amount,
       settings.risk_percentage
     );
     
@@ -329,6 +2254,36 @@ const enableAutoTrading = async (telegramId, settings) => {
   }
 };
 
+/**
+ * Preview the position a user's sizing settings would take in a signal
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<Object|null>} - { signal, user, size } with the size from positionSizingService.calculatePositionSize, or null if there is no such signal
+ */
+const previewPositionSize = async (telegramId, signalId) => {
+  try {
+    const user = await userService.getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      throw new Error(`User with Telegram ID ${telegramId} not found`);
+    }
+    
+    const signal = await Signal.findOne({ where: { signal_id: signalId } });
+    
+    // Scheduled and unapproved signals are not public yet
+    if (!signal || ['SCHEDULED', 'PENDING_APPROVAL'].includes(signal.status)) {
+      return null;
+    }
+    
+    const balance = await positionSizingService.getTrackedBalance(user);
+    
+    return { signal, user, size: positionSizingService.calculatePositionSize(user, signal, balance) };
+  } catch (error) {
+    logError(telegramId, 'previewPositionSize', error);
+    throw error;
+  }
+};
+
 /**
  * Disable auto-trading for user
  * @param {string} telegramId - User's Telegram ID
@@ -384,11 +2339,9 @@ const getUserTradingHistory = async (telegramId, limit = 10) => {
  */
 const getActiveSignals = async () => {
   try {
-    return await Trading.findAll({
-      where: { 
-        user_id: null, // System signals
-        status: 'active'
-      },
+    return await Signal.findAll({
+      where: { status: 'ACTIVE' },
+      include: [{ model: SignalProvider, as: 'provider' }],
       order: [['entry_time', 'DESC']]
     });
   } catch (error) {
@@ -404,11 +2357,8 @@ const getActiveSignals = async () => {
  */
 const getRecentClosedSignals = async (limit = 10) => {
   try {
-    return await Trading.findAll({
-      where: { 
-        user_id: null, // System signals
-        status: 'closed'
-      },
+    return await Signal.findAll({
+      where: { status: 'CLOSED' },
       order: [['exit_time', 'DESC']],
       limit
     });
@@ -421,54 +2371,363 @@ const getRecentClosedSignals = async (limit = 10) => {
 /**
  * Format signal message
  * @param {Object} signal - Signal object
+ * @param {string} warning - News blackout warning, if any
  * @returns {string} - Formatted message
  */
-const formatSignalMessage = (signal) => {
+const formatSignalMessage = (signal, warning = '') => {
+  if (signal.signal_type === 'BINARY') {
+    return formatBinarySignalMessage(signal, warning);
+  }
+  
   return `🚨 *NEW TRADING SIGNAL* 🚨\n\n` +
     `Signal ID: ${signal.signal_id}\n` +
+    (signal.provider ? `Provider: ${signal.provider.name}\n` : '') +
     `Asset: ${signal.asset}\n` +
     `Type: ${signal.trade_type.toUpperCase()}\n` +
     `Entry Price: ${signal.entry_price}\n` +
+    (signal.stop_loss ? `Stop Loss: ${signal.stop_loss}\n` : '') +
+    getTakeProfits(signal).map(tp => `Take Profit ${tp.target}: ${tp.price}\n`).join('') +
     `Recommended Risk: ${signal.risk_percentage}%\n` +
-    `Time: ${signal.entry_time.toISOString().replace('T', ' ').substring(0, 19)}\n\n` +
+    `Time: ${signal.entry_time.toISOString().replace('T', ' ').substring(0, 19)}\n` +
+    (signal.expires_at ? `Valid Until: ${signal.expires_at.toISOString().replace('T', ' ').substring(0, 19)}\n` : '') +
+    `\n` +
     (signal.notes ? `Notes: ${signal.notes}\n\n` : '') +
+    (warning ? `${warning}\n\n` : '') +
     `Trade responsibly and manage your risk!`;
 };
 
+/**
+ * Format a binary signal message
+ * @param {Object} signal - Binary signal object
+ * @param {string} warning - News blackout warning, if any
+ * @returns {string} - Formatted message
+ */
+const formatBinarySignalMessage = (signal, warning = '') => {
+  return `⏱ *NEW BINARY SIGNAL* ⏱\n\n` +
+    `Signal ID: ${signal.signal_id}\n` +
+    (signal.provider ? `Provider: ${signal.provider.name}\n` : '') +
+    `Asset: ${signal.asset}\n` +
+    `Direction: ${signal.trade_type.toUpperCase() === 'BUY' ? 'CALL (up)' : 'PUT (down)'}\n` +
+    `Entry Price: ${signal.entry_price}\n` +
+    `Expiry: ${signal.expiry_minutes}m\n` +
+    `Payout: ${signal.payout_percentage}%\n` +
+    `Recommended Risk: ${signal.risk_percentage}%\n` +
+    `Time: ${signal.entry_time.toISOString().replace('T', ' ').substring(0, 19)}\n` +
+    `Expires At: ${signal.expires_at.toISOString().replace('T', ' ').substring(0, 19)}\n` +
+    `\n` +
+    (signal.notes ? `Notes: ${signal.notes}\n\n` : '') +
+    (warning ? `${warning}\n\n` : '') +
+    `Enter before the next candle and trade responsibly!`;
+};
+
 /**
  * Format signal close message
  * @param {Object} signal - Signal object
  * @returns {string} - Formatted message
  */
 const formatSignalCloseMessage = (signal) => {
-  const profitLossText = signal.profit_loss > 0 ? 
-    `✅ PROFIT: +${signal.profit_loss.toFixed(2)}%` : 
-    `❌ LOSS: ${signal.profit_loss.toFixed(2)}%`;
+  if (signal.signal_type === 'BINARY') {
+    return formatBinaryCloseMessage(signal);
+  }
+  
+  const partialCloses = signal.partial_closes || [];
   
-  return `🔔 *SIGNAL CLOSED* 🔔\n\n` +
+  // A signal that is still active was only closed at one of its targets
+  if (signal.status === 'ACTIVE') {
+    const lastClose = partialCloses[partialCloses.length - 1];
+    
+    return `🎯 *TAKE PROFIT ${lastClose.target} HIT* 🎯\n\n` +
+      `Signal ID: ${signal.signal_id}\n` +
+      `Asset: ${signal.asset}\n` +
+      `Type: ${signal.trade_type.toUpperCase()}\n` +
+      `Entry Price: ${signal.entry_price}\n` +
+      `Exit Price: ${lastClose.exit_price}\n` +
+      `${formatProfitLoss(lastClose.profit_loss)} on ${lastClose.percentage.toFixed(0)}% of the position\n` +
+      `Remaining Position: ${signal.remaining_percentage.toFixed(0)}%\n\n` +
+      `Consider moving your stop loss to break-even.`;
+  }
+  
+  const hasExitPrice = signal.exit_price !== null && signal.exit_price !== undefined;
+  const closedPercentage = partialCloses.reduce((sum, close) => sum + close.percentage, 0);
+  const expiredPercentage = hasExitPrice ? 0 : 100 - closedPercentage;
+  
+  const closeLabels = { stop_loss: 'SL', expiry: 'Expiry' };
+  const breakdownText = partialCloses.length > 1 || (partialCloses.length > 0 && expiredPercentage > 0) ?
+    `\nTargets:\n` + partialCloses.map(close => 
+      `${close.target ? `TP${close.target}` : (closeLabels[close.trigger] || 'Close')} @ ${close.exit_price}: ` +
+      `${close.profit_loss > 0 ? '+' : ''}${close.profit_loss.toFixed(2)}% (${close.percentage.toFixed(0)}%)\n`
+    ).join('') : '';
+  
+  return (signal.status === 'EXPIRED' ? `⌛ *SIGNAL EXPIRED* ⌛\n\n` : `🔔 *SIGNAL CLOSED* 🔔\n\n`) +
     `Signal ID: ${signal.signal_id}\n` +
     `Asset: ${signal.asset}\n` +
     `Type: ${signal.trade_type.toUpperCase()}\n` +
     `Entry Price: ${signal.entry_price}\n` +
-    `Exit Price: ${signal.exit_price}\n` +
-    `${profitLossText}\n` +
+    (hasExitPrice ? `Exit Price: ${signal.exit_price}\n` : '') +
+    (signal.close_trigger && !['manual', 'expiry'].includes(signal.close_trigger) ? 
+      `Triggered By: ${formatCloseTrigger(signal.close_trigger)}\n` : '') +
+    breakdownText +
+    (signal.profit_loss !== null && signal.profit_loss !== undefined ? 
+      `${partialCloses.length > 1 ? 'Blended ' : ''}${formatProfitLoss(signal.profit_loss)}\n` : 
+      `The signal expired before reaching its targets.\n`) +
+    (partialCloses.length > 0 && expiredPercentage > 0 ?
+      `The remaining ${expiredPercentage.toFixed(0)}% expired without an exit price.\n` : '') +
     `Duration: ${formatDuration(signal.entry_time, signal.exit_time)}\n\n` +
     (signal.notes ? `Notes: ${signal.notes}\n\n` : '') +
     `Thank you for trading with OPTRIXTRADES!`;
 };
 
 /**
- * Generate unique signal ID
- * @returns {string} - Signal ID
+ * Format a resolved binary signal message
+ * @param {Object} signal - Resolved binary signal
+ * @returns {string} - Formatted message
+ */
+const formatBinaryCloseMessage = (signal) => {
+  const headers = {
+    WIN: `✅ *BINARY SIGNAL WON* ✅\n\n`,
+    LOSS: `❌ *BINARY SIGNAL LOST* ❌\n\n`,
+    DRAW: `➖ *BINARY SIGNAL DRAW* ➖\n\n`
+  };
+  
+  return headers[signal.outcome] +
+    `Signal ID: ${signal.signal_id}\n` +
+    `Asset: ${signal.asset}\n` +
+    `Direction: ${signal.trade_type.toUpperCase() === 'BUY' ? 'CALL' : 'PUT'}\n` +
+    `Expiry: ${signal.expiry_minutes}m\n` +
+    `Entry Price: ${signal.entry_price}\n` +
+    `Expiry Price: ${signal.exit_price}\n` +
+    `${formatBinaryResult(signal.outcome, signal.profit_loss)}\n\n` +
+    (signal.notes ? `Notes: ${signal.notes}\n\n` : '') +
+    `Thank you for trading with OPTRIXTRADES!`;
+};
+
+/**
+ * Format the result of a binary signal or trade for display
+ * @param {string} outcome - WIN, LOSS or DRAW
+ * @param {number} stakeReturn - Return on the stake as a percentage
+ * @returns {string} - Formatted result
+ */
+const formatBinaryResult = (outcome, stakeReturn) => {
+  if (outcome === 'WIN') {
+    return `✅ WIN: +${stakeReturn.toFixed(0)}% payout`;
+  }
+  
+  if (outcome === 'LOSS') {
+    return `❌ LOSS: stake lost`;
+  }
+  
+  return `➖ DRAW: stake returned`;
+};
+
+/**
+ * Format a profit/loss percentage for display
+ * @param {number} profitLoss - Profit/loss percentage
+ * @returns {string} - Formatted profit/loss
+ */
+const formatProfitLoss = (profitLoss) => {
+  return profitLoss > 0 ? 
+    `✅ PROFIT: +${profitLoss.toFixed(2)}%` : 
+    `❌ LOSS: ${profitLoss.toFixed(2)}%`;
+};
+
+/**
+ * Format the level that closed a signal for display
+ * @param {string} trigger - Close trigger (manual, stop_loss, take_profit_N)
+ * @returns {string} - Formatted trigger
+ */
+const formatCloseTrigger = (trigger) => {
+  if (trigger === 'stop_loss') {
+    return 'Stop Loss';
+  }
+  
+  if (trigger && trigger.startsWith('take_profit_')) {
+    return `Take Profit ${trigger.replace('take_profit_', '')}`;
+  }
+  
+  return 'Manual Close';
+};
+
+/**
+ * Get the take-profit targets defined on a signal
+ * @param {Object} signal - Signal object
+ * @returns {Array<Object>} - Targets as { target, price }
+ */
+const getTakeProfits = (signal) => {
+  return [1, 2, 3]
+    .map(target => ({ target, price: signal[`take_profit_${target}`] }))
+    .filter(tp => tp.price !== null && tp.price !== undefined);
+};
+
+/**
+ * Validate stop-loss and take-profit levels against the entry price
+ * @param {Object} signalData - Signal data
+ * @throws {Error} - If a level is on the wrong side of the entry or out of order
+ */
+const validateExitLevels = (signalData) => {
+  const isBuy = signalData.trade_type.toLowerCase() === 'buy';
+  const entry = parseFloat(signalData.entry_price);
+  const takeProfits = getTakeProfits(signalData).map(tp => parseFloat(tp.price));
+  
+  if (signalData.stop_loss) {
+    const stopLoss = parseFloat(signalData.stop_loss);
+    
+    if (isBuy ? stopLoss >= entry : stopLoss <= entry) {
+      throw new Error(`Stop loss must be ${isBuy ? 'below' : 'above'} the entry price for a ${isBuy ? 'buy' : 'sell'} signal`);
+    }
+  }
+  
+  let previous = entry;
+  
+  for (const price of takeProfits) {
+    if (isBuy ? price <= previous : price >= previous) {
+      throw new Error(`Take-profit targets must be ${isBuy ? 'above' : 'below'} the entry price and in order`);
+    }
+    
+    previous = price;
+  }
+};
+
+/**
+ * Validate the expiry and payout of a binary signal
+ * @param {Object} signalData - Signal data
+ * @throws {Error} - If the expiry or payout is invalid, or exit levels are given
+ */
+const validateBinarySignal = (signalData) => {
+  const { expiryMinutes } = config.trading.binary;
+  
+  if (!expiryMinutes.includes(signalData.expiry_minutes)) {
+    throw new Error(`Binary expiry must be one of ${expiryMinutes.map(minutes => `${minutes}m`).join(', ')}`);
+  }
+  
+  if (signalData.payout_percentage !== undefined && signalData.payout_percentage !== null) {
+    const payout = parseFloat(signalData.payout_percentage);
+    
+    if (isNaN(payout) || payout <= 0 || payout > 100) {
+      throw new Error('Binary payout must be a percentage between 0 and 100');
+    }
+  }
+  
+  if (signalData.stop_loss || getTakeProfits(signalData).length > 0) {
+    throw new Error('Binary signals cannot have a stop loss or take profit');
+  }
+};
+
+/**
+ * Get the outcome of a binary position at expiry
+ * @param {string} tradeType - BUY (call) or SELL (put)
+ * @param {number} entryPrice - Entry price
+ * @param {number} expiryPrice - Price at expiry
+ * @returns {string} - WIN, LOSS or DRAW
+ */
+const getBinaryOutcome = (tradeType, entryPrice, expiryPrice) => {
+  const entry = parseFloat(entryPrice);
+  const expiry = parseFloat(expiryPrice);
+  
+  if (expiry === entry) {
+    return 'DRAW';
+  }
+  
+  const isBuy = tradeType.toUpperCase() === 'BUY';
+  return (isBuy ? expiry > entry : expiry < entry) ? 'WIN' : 'LOSS';
+};
+
+/**
+ * Calculate the return on the stake of a binary outcome
+ * @param {string} outcome - WIN, LOSS or DRAW
+ * @param {number} payoutPercentage - Payout on a win
+ * @returns {number} - Return as a percentage of the stake
+ */
+const calculateBinaryReturn = (outcome, payoutPercentage) => {
+  if (outcome === 'WIN') {
+    return payoutPercentage;
+  }
+  
+  // A draw refunds the stake
+  return outcome === 'LOSS' ? -100 : 0;
+};
+
+/**
+ * Calculate the profit/loss of a position closed in parts
+ * @param {Array<Object>} partialCloses - Closes as { percentage, profit_loss }
+ * @returns {number} - Profit/loss percentage weighted by the share closed at each level
+ */
+const calculateBlendedProfitLoss = (partialCloses) => {
+  const totalPercentage = partialCloses.reduce((sum, close) => sum + close.percentage, 0);
+  
+  if (totalPercentage === 0) {
+    return 0;
+  }
+  
+  return partialCloses.reduce((sum, close) => 
+    sum + close.profit_loss * close.percentage, 0) / totalPercentage;
+};
+
+/**
+ * Calculate when a signal stops being valid
+ * @param {Date} entryTime - Signal entry time
+ * @param {number} [validityHours] - Per-signal override of trading.signalValidityHours
+ * @returns {Date} - Expiry time
+ */
+const calculateExpiryTime = (entryTime, validityHours) => {
+  const hours = validityHours > 0 ? validityHours : config.trading.signalValidityHours;
+  return new Date(entryTime.getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Take the next number from a day's signal ID sequence
+ * The counter is incremented in a single statement, so concurrent callers never get the same number.
+ * @param {string} day - UTC day as YYMMDD
+ * @returns {Promise<number>} - Sequence number, starting at 1 each day
+ */
+const nextSignalSequence = async (day) => {
+  const [row] = await SignalSequence.sequelize.query(
+    `INSERT INTO signal_sequences (day, last_value, created_at, updated_at)
+     VALUES (:day, 1, NOW(), NOW())
+     ON CONFLICT (day) DO UPDATE SET last_value = signal_sequences.last_value + 1, updated_at = NOW()
+     RETURNING last_value`,
+    { replacements: { day }, type: QueryTypes.SELECT }
+  );
+  
+  return row.last_value;
+};
+
+/**
+ * Generate the next signal ID, e.g. OPT-261019-004 or OPT-261019-EURUSD-004 with trading.signalIds.includeAsset
+ * @param {string} asset - Signal's asset
+ * @param {Date} date - Creation time; IDs are numbered per UTC day
+ * @returns {Promise<string>} - Signal ID
  */
-const generateSignalId = () => {
-  const date = new Date();
-  const year = date.getFullYear().toString().slice(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+const generateSignalId = async (asset, date = new Date()) => {
+  const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+  const sequence = (await nextSignalSequence(day)).toString().padStart(3, '0');
+  const assetCode = config.trading.signalIds.includeAsset ? 
+    String(asset).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10) : 
+    '';
   
-  return `OPT-${year}${month}${day}-${random}`;
+  return assetCode ? `OPT-${day}-${assetCode}-${sequence}` : `OPT-${day}-${sequence}`;
+};
+
+/**
+ * Store a new signal under the next free signal ID
+ * An ID can still be taken by a signal from before the sequence, whose IDs had a random suffix, so a
+ * conflict moves on to the next number.
+ * @param {Object} signal - Signal values, without signal_id
+ * @returns {Promise<Object>} - Created signal
+ */
+const createSignalRecord = async (signal) => {
+  for (let attempt = 1; ; attempt++) {
+    const signalId = await generateSignalId(signal.asset);
+    
+    try {
+      return await Signal.create({ ...signal, signal_id: signalId });
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError) || attempt >= SIGNAL_ID_ATTEMPTS) {
+        throw error;
+      }
+      
+      logger.warn(`Signal ID ${signalId} is already taken, trying the next one`);
+    }
+  }
 };
 
 /**
@@ -489,16 +2748,6 @@ const calculateProfitLoss = (tradeType, entryPrice, exitPrice) => {
   }
 };
 
-/**
- * Calculate quantity based on amount and price
- * @param {number} amount - Trade amount
- * @param {number} price - Asset price
- * @returns {number} - Quantity
- */
-const calculateQuantity = (amount, price) => {
-  return amount / parseFloat(price);
-};
-
 /**
  * Format duration between two dates
  * @param {Date} startDate - Start date
@@ -533,7 +2782,7 @@ const formatDuration = (startDate, endDate) => {
  */
 const getSignalsByTier = async (tier) => {
   try {
-    let query = { user_id: null, status: 'active' };
+    let query = { status: 'ACTIVE' };
     
     if (tier === 'free') {
       // Free users don't see any signals
@@ -543,11 +2792,11 @@ const getSignalsByTier = async (tier) => {
       query.tier = 'basic';
     } else if (tier === 'premium') {
       // Premium users see basic and premium signals
-      query.tier = { $in: ['basic', 'premium'] };
+      query.tier = { [Op.in]: ['basic', 'premium'] };
     }
     // VIP users see all signals (no additional filter needed)
     
-    return await Trading.findAll({
+    return await Signal.findAll({
       where: query,
       order: [['entry_time', 'DESC']]
     });
@@ -559,16 +2808,45 @@ const getSignalsByTier = async (tier) => {
 
 module.exports = {
   createSignal,
+  approveSignal,
+  rejectSignal,
+  getPendingApprovalSignals,
+  getSignalApprovalTrail,
+  formatApprovalTrail,
+  publishScheduledSignal,
+  rescheduleSignal,
+  cancelScheduledSignal,
+  getScheduledSignals,
+  parsePublishTime,
   closeSignal,
+  processBinaryResolutionJob,
+  getBinaryOutcome,
+  formatBinaryResult,
+  formatTradeResult,
+  findTriggeredLevel,
+  resolveSignalLevels,
+  expireSignals,
+  amendSignal,
+  retractSignal,
+  cancelSignal,
+  formatSignalCancelMessage,
   broadcastSignal,
   broadcastSignalClose,
+  processSignalDeliveryJob,
   processAutoTrading,
   enableAutoTrading,
+  previewPositionSize,
+  recordJournalTrade,
+  closeJournalTrade,
   disableAutoTrading,
   getUserTradingHistory,
   getActiveSignals,
   getRecentClosedSignals,
   formatSignalMessage,
   formatSignalCloseMessage,
+  getTakeProfits,
+  validateExitLevels,
+  validateBinarySignal,
+  calculateBlendedProfitLoss,
   getSignalsByTier
 };
\ No newline at end of file
@@ -86,6 +86,82 @@ const updateBrokerUid = async (telegramId, brokerUid) => {
   }
 };
 
+/**
+ * Update user's signal filters
+ * @param {string} telegramId - User's Telegram ID
+ * @param {Object} filters - Filter changes (assets, asset_classes, direction, max_risk, active_hours)
+ * @returns {Promise<Object>} - Updated user object
+ */
+const updateSignalFilters = async (telegramId, filters) => {
+  try {
+    const user = await getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      throw new Error(`User with Telegram ID ${telegramId} not found`);
+    }
+    
+    // Reassign the whole object so Sequelize picks up the JSONB change
+    await user.update({ signal_filters: { ...(user.signal_filters || {}), ...filters } });
+    logUserAction(telegramId, 'signal_filters_updated', filters);
+    
+    return user;
+  } catch (error) {
+    logError(telegramId, 'updateSignalFilters', error);
+    throw error;
+  }
+};
+
+/**
+ * Update user's auto-trade guardrails
+ * @param {string} telegramId - User's Telegram ID
+ * @param {Object} guardrails - Guardrail changes, or null to go back to the defaults
+ * @returns {Promise<Object>} - Updated user object
+ */
+const updateAutoTradeGuardrails = async (telegramId, guardrails) => {
+  try {
+    const user = await getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      throw new Error(`User with Telegram ID ${telegramId} not found`);
+    }
+    
+    // Reassign the whole object so Sequelize picks up the JSONB change
+    await user.update({ 
+      auto_trade_guardrails: guardrails ? { ...(user.auto_trade_guardrails || {}), ...guardrails } : {}
+    });
+    logUserAction(telegramId, 'auto_trade_guardrails_updated', guardrails || { reset: true });
+    
+    return user;
+  } catch (error) {
+    logError(telegramId, 'updateAutoTradeGuardrails', error);
+    throw error;
+  }
+};
+
+/**
+ * Update user's position sizing settings
+ * @param {string} telegramId - User's Telegram ID
+ * @param {Object} sizing - position_sizing_mode with auto_trade_amount, position_size_percentage or risk_per_trade
+ * @returns {Promise<Object>} - Updated user object
+ */
+const updatePositionSizing = async (telegramId, sizing) => {
+  try {
+    const user = await getUserByTelegramId(telegramId);
+    
+    if (!user) {
+      throw new Error(`User with Telegram ID ${telegramId} not found`);
+    }
+    
+    await user.update(sizing);
+    logUserAction(telegramId, 'position_sizing_updated', sizing);
+    
+    return user;
+  } catch (error) {
+    logError(telegramId, 'updatePositionSizing', error);
+    throw error;
+  }
+};
+
 /**
  * Update user's verification status
  * @param {string} telegramId - User's Telegram ID
@@ -313,6 +389,9 @@ module.exports = {
   createOrUpdateUser,
   getUserByTelegramId,
   updateBrokerUid,
+  updateSignalFilters,
+  updateAutoTradeGuardrails,
+  updatePositionSizing,
   updateVerificationStatus,
   updateAutoTradeSettings,
   updateChannelMembership,
@@ -63,5 +63,6 @@ const downloadFileFromTelegram = async (bot, filePath) => {
 };
 
 module.exports = {
-  uploadTelegramPhoto
+  uploadTelegramPhoto,
+  downloadFileFromTelegram
 };
\ No newline at end of file
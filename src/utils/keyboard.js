@@ -4,7 +4,7 @@
 
 /**
  * Create a keyboard with inline buttons
- * @param {Array} buttons - Array of button objects with text and callback_data
+ * @param {Array} buttons - Array of button objects with text and callback_data, or of rows of them
  * @param {number} columns - Number of columns in the keyboard
  * @returns {Object} - Inline keyboard markup
  */
@@ -13,6 +13,15 @@ const createInlineKeyboard = (buttons, columns = 1) => {
   let row = [];
   
   buttons.forEach((button, index) => {
+    // A nested array is an explicit row of buttons
+    if (Array.isArray(button)) {
+      keyboard.push(button.map(rowButton => ({
+        text: rowButton.text,
+        callback_data: rowButton.callback_data
+      })));
+      return;
+    }
+    
     row.push({
       text: button.text,
       callback_data: button.callback_data
@@ -13,9 +13,13 @@ const logFormat = winston.format.combine(
 // Define log directory
 const logDir = path.join(process.cwd(), 'logs');
 
+// Determine if we should log to files based on environment
+const isProduction = process.env.NODE_ENV === 'production';
+const canWriteToFileSystem = process.env.CAN_WRITE_LOGS !== 'false';
+
 // Create logs directory if it doesn't exist
 try {
-  if (!fs.existsSync(logDir)) {
+  if (canWriteToFileSystem && !fs.existsSync(logDir)) {
     fs.mkdirSync(logDir, { recursive: true });
     console.log(`Created logs directory at ${logDir}`);
   }
@@ -25,10 +29,6 @@ try {
   // In this case, we'll just log to console
 }
 
-// Determine if we should log to files based on environment
-const isProduction = process.env.NODE_ENV === 'production';
-const canWriteToFileSystem = process.env.CAN_WRITE_LOGS !== 'false';
-
 // Create transports array
 const transports = [
   // Write logs to console
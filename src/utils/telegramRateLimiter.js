@@ -0,0 +1,102 @@
+/**
+ * Rate limiter for bulk Telegram sends
+ * Keeps a bot under Telegram's global and per-chat message limits and
+ * backs off for the retry_after Telegram sends with an HTTP 429
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Get the retry_after (in seconds) of a 429 error from the Bot API
+ * @param {Error} error - Error thrown by the Bot API client
+ * @returns {number|null} - Seconds to wait, or null if the error is not a 429
+ */
+const getRetryAfter = (error) => {
+  const code = error.response?.body?.error_code || error.code;
+
+  if (code !== 429 && code !== '429') {
+    return null;
+  }
+
+  return error.response?.body?.parameters?.retry_after || null;
+};
+
+/**
+ * Create a rate limiter for sending messages through a bot
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} options - Limiter options
+ * @param {number} options.messagesPerSecond - Messages per second across all chats
+ * @param {number} options.perChatIntervalMs - Minimum interval between messages to one chat
+ * @param {number} options.maxRetries - Retries after a 429 before giving up
+ * @returns {Object} - Limiter with a sendMessage(chatId, text, options) method
+ */
+const createTelegramRateLimiter = (bot, { messagesPerSecond, perChatIntervalMs, maxRetries }) => {
+  const chatLastSentAt = new Map();
+  let nextGlobalSendAt = 0;
+  let pausedUntil = 0;
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Forget chats whose interval has passed so the map does not grow with the user base
+  const pruneChats = () => {
+    const cutoff = Date.now() - perChatIntervalMs;
+
+    for (const [chatId, sentAt] of chatLastSentAt) {
+      if (sentAt < cutoff) {
+        chatLastSentAt.delete(chatId);
+      }
+    }
+  };
+
+  // Reserve the next send slot for a chat and wait for it
+  const waitForSlot = async (chatId) => {
+    // Reserve again if a 429 pause started while this send was waiting
+    do {
+      const lastSentAt = chatLastSentAt.get(chatId);
+      const sendAt = Math.max(
+        Date.now(),
+        nextGlobalSendAt,
+        pausedUntil,
+        lastSentAt !== undefined ? lastSentAt + perChatIntervalMs : 0
+      );
+
+      nextGlobalSendAt = sendAt + 1000 / messagesPerSecond;
+      chatLastSentAt.set(chatId, sendAt);
+
+      if (sendAt > Date.now()) {
+        await wait(sendAt - Date.now());
+      }
+    } while (pausedUntil > Date.now());
+
+    if (chatLastSentAt.size > 10000) {
+      pruneChats();
+    }
+  };
+
+  const sendMessage = async (chatId, text, options = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot(chatId);
+
+      try {
+        return await bot.sendMessage(chatId, text, options);
+      } catch (error) {
+        const retryAfter = getRetryAfter(error);
+
+        if (!retryAfter || attempt >= maxRetries) {
+          throw error;
+        }
+
+        // A 429 throttles the whole bot, so every pending send waits it out
+        pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter * 1000);
+        logger.warn(`Telegram rate limit hit, pausing sends for ${retryAfter}s`);
+      }
+    }
+  };
+
+  return { sendMessage };
+};
+
+module.exports = {
+  createTelegramRateLimiter,
+  getRetryAfter
+};
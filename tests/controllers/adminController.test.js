@@ -0,0 +1,149 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+// Import the modules to test
+const adminController = require('../../src/controllers/adminController');
+const tradingService = require('../../src/services/tradingService');
+const reactionService = require('../../src/services/reactionService');
+const { bot, adminIds } = require('../../src/config/bot');
+
+describe('Admin Controller', () => {
+  const adminId = '424242';
+  let sendMessageStub;
+
+  const callback = (data) => ({
+    id: 'cb1',
+    data,
+    from: { id: adminId },
+    message: { chat: { id: adminId } }
+  });
+
+  const message = (text) => ({
+    text,
+    chat: { id: adminId },
+    from: { id: adminId }
+  });
+
+  beforeEach(() => {
+    // Stub bot methods
+    sendMessageStub = sinon.stub(bot, 'sendMessage').resolves({ message_id: 123 });
+    sinon.stub(bot, 'answerCallbackQuery').resolves();
+    adminIds.push(adminId);
+  });
+
+  afterEach(() => {
+    // Restore all stubs
+    sinon.restore();
+    adminIds.splice(adminIds.indexOf(adminId), 1);
+  });
+
+  describe('signal wizard', () => {
+    it('should walk through every step and create the signal after confirmation', async () => {
+      // Arrange
+      const createSignalStub = sinon.stub(tradingService, 'createSignal').resolves({
+        signal_id: 'OPT-261019-015',
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: 1.085,
+        tier: 'vip'
+      });
+
+      // Act
+      await adminController.handleSignalWizardCallback(callback('sigwiz_start'), 'start');
+      await adminController.handleSignalWizardCallback(callback('sigwiz_asset_EURUSD'), 'asset_EURUSD');
+      await adminController.handleSignalWizardCallback(callback('sigwiz_direction_BUY'), 'direction_BUY');
+      await adminController.processSignalWizardInput(message('1.085'));
+      await adminController.handleSignalWizardCallback(callback('sigwiz_skip'), 'skip');
+      await adminController.processSignalWizardInput(message('1.09 1.095'));
+      await adminController.handleSignalWizardCallback(callback('sigwiz_tier_vip'), 'tier_vip');
+      await adminController.handleSignalWizardCallback(callback('sigwiz_expiry_4'), 'expiry_4');
+      await adminController.processSignalWizardInput(message('London open breakout'));
+      const preview = sendMessageStub.lastCall.args[1];
+      await adminController.handleSignalWizardCallback(callback('sigwiz_confirm'), 'confirm');
+
+      // Assert
+      expect(preview).to.include('Signal Preview');
+      expect(preview).to.include('Take Profit 2: 1.095');
+      expect(createSignalStub.calledOnce).to.be.true;
+      expect(createSignalStub.firstCall.args[0]).to.deep.equal({
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: 1.085,
+        take_profit_1: 1.09,
+        take_profit_2: 1.095,
+        take_profit_3: undefined,
+        tier: 'vip',
+        validity_hours: 4,
+        notes: 'London open breakout'
+      });
+      expect(createSignalStub.firstCall.args[1]).to.equal(adminId);
+    });
+
+    it('should reject take profits on the wrong side of the entry and ask again', async () => {
+      // Arrange
+      await adminController.handleSignalWizardCallback(callback('sigwiz_start'), 'start');
+      await adminController.handleSignalWizardCallback(callback('sigwiz_asset_EURUSD'), 'asset_EURUSD');
+      await adminController.handleSignalWizardCallback(callback('sigwiz_direction_SELL'), 'direction_SELL');
+      await adminController.processSignalWizardInput(message('1.085'));
+      await adminController.handleSignalWizardCallback(callback('sigwiz_skip'), 'skip');
+
+      // Act
+      await adminController.processSignalWizardInput(message('1.09'));
+
+      // Assert
+      expect(sendMessageStub.lastCall.args[1]).to.include('Please try again');
+
+      await adminController.handleSignalWizardCallback(callback('sigwiz_cancel'), 'cancel');
+    });
+
+    it('should ignore assets that are not in the configured list', async () => {
+      // Arrange
+      await adminController.handleSignalWizardCallback(callback('sigwiz_start'), 'start');
+      const callsBefore = sendMessageStub.callCount;
+
+      // Act
+      await adminController.handleSignalWizardCallback(callback('sigwiz_asset_FAKECOIN'), 'asset_FAKECOIN');
+
+      // Assert
+      expect(sendMessageStub.callCount).to.equal(callsBefore);
+
+      await adminController.handleSignalWizardCallback(callback('sigwiz_cancel'), 'cancel');
+    });
+  });
+
+  describe('signal list', () => {
+    beforeEach(() => {
+      sinon.stub(tradingService, 'getActiveSignals').resolves([
+        { signal_id: 'OPT-261019-016', asset: 'EURUSD', trade_type: 'BUY', entry_price: 1.085, provider: { name: 'Alex FX' } }
+      ]);
+      sinon.stub(reactionService, 'getSignalReactionTallies').resolves(new Map([
+        ['OPT-261019-016', { UP: 3, DOWN: 1, TOO_LATE: 0 }]
+      ]));
+    });
+
+    it('should show the member feedback on each active signal', async () => {
+      // Act
+      await adminController.handleAdminSignals(callback('admin_signals'));
+
+      // Assert
+      const text = sendMessageStub.firstCall.args[1];
+      expect(text).to.include('OPT-261019-016: EURUSD BUY @ 1.085 by Alex FX');
+      expect(text).to.include('Feedback: 👍 3 · 👎 1 · ⏰ 0 (75% positive of 4)');
+    });
+
+    it('should redraw the list in place when refreshed', async () => {
+      // Arrange
+      const editStub = sinon.stub(bot, 'editMessageText').resolves({});
+      const refresh = callback('admin_signals_refresh');
+      refresh.message.message_id = 77;
+
+      // Act
+      await adminController.handleAdminSignals(refresh, true);
+
+      // Assert
+      expect(sendMessageStub.called).to.be.false;
+      expect(editStub.firstCall.args[0]).to.include('Feedback: 👍 3');
+      expect(editStub.firstCall.args[1]).to.include({ chat_id: adminId, message_id: 77 });
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+// Import the modules to test
+const backtestService = require('../../src/services/backtestService');
+const { Signal } = require('../../src/models');
+const { ValidationError } = require('../../src/utils/errorHandler');
+
+describe('Backtest Service', () => {
+  const csv = [
+    'timestamp,open,high,low,close',
+    '2026-10-01T00:00:00Z,100,101,99,100.5',
+    '2026-10-01T01:00:00Z,100.5,103,100,102.5',
+    '2026-10-01T02:00:00Z,102.5,103,96,97',
+    '2026-10-01T03:00:00Z,97,98,94,95',
+    '2026-10-01T04:00:00Z,95,99,94.5,98'
+  ].join('\n');
+  let candles;
+
+  beforeEach(() => {
+    candles = backtestService.parseCandles(csv);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parseCandles', () => {
+    it('should parse candles in any column order and skip bad rows', () => {
+      // Arrange
+      const content = 'Close,Timestamp,Open,High,Low\n2,2026-10-01T01:00:00Z,1,3,0.5\nbad,row\n1.5,2026-10-01T00:00:00Z,1,2,1\n';
+
+      // Act
+      const parsed = backtestService.parseCandles(content);
+
+      // Assert
+      expect(parsed).to.have.length(2);
+      expect(parsed[0].time.toISOString()).to.equal('2026-10-01T00:00:00.000Z');
+      expect(parsed[1]).to.include({ open: 1, high: 3, low: 0.5, close: 2 });
+    });
+
+    it('should reject a file without OHLC columns', () => {
+      // Act & Assert
+      expect(() => backtestService.parseCandles('time,price\n1,2')).to.throw('timestamp, open, high, low and close');
+    });
+
+    it('should read epoch timestamps in seconds and milliseconds', () => {
+      // Arrange
+      const content = 'timestamp,open,high,low,close\n1791000000,1,2,0.5,1.5\n1791003600000,1.5,2,1,1.8\n';
+
+      // Act
+      const parsed = backtestService.parseCandles(content);
+
+      // Assert
+      expect(parsed.map(candle => candle.time.getTime())).to.deep.equal([1791000000000, 1791003600000]);
+    });
+
+    it('should reject a file without a single readable row', () => {
+      // Act & Assert
+      expect(() => backtestService.parseCandles('timestamp,open,high,low,close\nyesterday,1,2,0.5,1.5\n'))
+        .to.throw(ValidationError, 'no rows with a valid timestamp');
+    });
+  });
+
+  describe('simulateTrade', () => {
+    it('should exit at the take-profit', () => {
+      // Act
+      const result = backtestService.simulateTrade({
+        entry_time: '2026-10-01T00:00:00Z', trade_type: 'BUY', entry_price: 100, stop_loss: 95, take_profit: 102
+      }, candles);
+
+      // Assert
+      expect(result.trigger).to.equal('take_profit');
+      expect(result.exit_price).to.equal(102);
+      expect(result.profit_loss).to.be.closeTo(2, 0.0001);
+    });
+
+    it('should count a candle reaching both levels as a stop-loss', () => {
+      // Act
+      const result = backtestService.simulateTrade({
+        entry_time: '2026-10-01T02:00:00Z', trade_type: 'SELL', entry_price: 102.5, stop_loss: 103, take_profit: 97
+      }, candles);
+
+      // Assert
+      expect(result.trigger).to.equal('stop_loss');
+      expect(result.exit_price).to.equal(103);
+      expect(result.profit_loss).to.be.below(0);
+    });
+
+    it('should exit at the open of the candle at expiry', () => {
+      // Act
+      const result = backtestService.simulateTrade({
+        entry_time: '2026-10-01T00:00:00Z', trade_type: 'BUY', entry_price: 100, expires_at: '2026-10-01T03:00:00Z'
+      }, candles);
+
+      // Assert
+      expect(result.trigger).to.equal('expiry');
+      expect(result.exit_price).to.equal(97);
+      expect(result.profit_loss).to.be.closeTo(-3, 0.0001);
+    });
+
+    it('should settle a binary option only at expiry', () => {
+      // Act
+      const result = backtestService.simulateTrade({
+        signal_type: 'BINARY', entry_time: '2026-10-01T00:00:00Z', trade_type: 'SELL', entry_price: 100,
+        payout_percentage: 80, expires_at: '2026-10-01T04:00:00Z'
+      }, candles);
+
+      // Assert
+      expect(result.outcome).to.equal('WIN');
+      expect(result.profit_loss).to.equal(80);
+    });
+
+    it('should not settle a binary option whose expiry is past the data', () => {
+      // Act
+      const result = backtestService.simulateTrade({
+        signal_type: 'BINARY', entry_time: '2026-10-01T00:00:00Z', trade_type: 'BUY', entry_price: 100,
+        payout_percentage: 80, expires_at: '2026-10-02T00:00:00Z'
+      }, candles);
+
+      // Assert
+      expect(result).to.be.null;
+    });
+  });
+
+  describe('buildRuleTrades', () => {
+    it('should hold one position at a time', () => {
+      // Act
+      const trades = backtestService.buildRuleTrades({ direction: 'BUY', stop_loss_pct: 3, take_profit_pct: 2, interval: 1 }, candles);
+
+      // Assert
+      expect(trades.map(trade => trade.trigger)).to.deep.equal(['take_profit', 'stop_loss', 'stop_loss', 'take_profit']);
+      expect(trades[1].entry_time.toISOString()).to.equal('2026-10-01T02:00:00.000Z');
+    });
+
+    it('should drop a trade still open when the data runs out', () => {
+      // Act
+      const trades = backtestService.buildRuleTrades({ direction: 'BUY', take_profit_pct: 2, interval: 1 }, candles);
+
+      // Assert
+      expect(trades).to.have.length(1);
+      expect(trades[0].trigger).to.equal('take_profit');
+    });
+  });
+
+  describe('runBacktest', () => {
+    it('should size trades to the stop-loss and report win rate, expectancy and drawdown', () => {
+      // Arrange
+      const definition = {
+        mode: 'signals',
+        asset: 'EURUSD',
+        starting_balance: 10000,
+        risk_per_trade: 1,
+        signals: [
+          { entry_time: '2026-10-01T00:00:00Z', trade_type: 'BUY', entry_price: 100, stop_loss: 98, take_profit: 102 },
+          { entry_time: '2026-10-01T02:00:00Z', trade_type: 'BUY', entry_price: 102.5, stop_loss: 100.45, take_profit: 110 }
+        ]
+      };
+
+      // Act
+      const result = backtestService.runBacktest(definition, candles);
+
+      // Assert
+      expect(result.trades[0].amount).to.equal(5000);
+      expect(result.trades[0].profit_loss_amount).to.equal(100);
+      expect(result.trades[1].profit_loss_amount).to.be.closeTo(-101, 0.01);
+      expect(result.stats).to.include({ total_trades: 2, wins: 1, losses: 1, win_rate: 50 });
+      expect(result.stats.expectancy).to.be.closeTo(-0.5, 0.01);
+      expect(result.stats.max_drawdown).to.be.closeTo(101, 0.01);
+      expect(result.stats.max_drawdown_percentage).to.equal(1);
+      expect(result.equity_curve).to.have.length(3);
+    });
+
+    it('should give the same stats when its report is replayed', () => {
+      // Arrange
+      const definition = backtestService.parseBacktestCommand(['eurusd', 'sell', 'sl=2', 'tp=3', 'risk=2']);
+      const result = backtestService.runBacktest(definition, candles);
+
+      // Act
+      const report = JSON.parse(backtestService.buildReport(definition, { file: 'EURUSD.csv', sha256: 'abc' }, result));
+      const replay = backtestService.runBacktest(report.definition, backtestService.parseCandles(csv));
+
+      // Assert
+      expect(report.candles).to.deep.equal({ file: 'EURUSD.csv', sha256: 'abc' });
+      expect(replay.stats).to.deep.equal(report.stats);
+    });
+  });
+
+  describe('getSignalTrades', () => {
+    it('should replay signals to their first take-profit and default expiry', async () => {
+      // Arrange
+      const findAllStub = sinon.stub(Signal, 'findAll').resolves([{
+        signal_id: 'OPT-1', signal_type: 'STANDARD', entry_time: new Date('2026-10-01T00:00:00Z'), trade_type: 'BUY',
+        entry_price: 100, stop_loss: 98, take_profit_1: 102, payout_percentage: null, expires_at: null
+      }]);
+
+      // Act
+      const trades = await backtestService.getSignalTrades('eurusd');
+
+      // Assert
+      expect(findAllStub.firstCall.args[0].where.asset).to.equal('EURUSD');
+      expect(trades[0].take_profit).to.equal(102);
+      expect(new Date(trades[0].expires_at) > new Date(trades[0].entry_time)).to.be.true;
+    });
+  });
+
+  describe('parseBacktestCommand', () => {
+    it('should parse a rule', () => {
+      // Act
+      const definition = backtestService.parseBacktestCommand(['btcusd', 'buy', 'sl=1%', 'tp=2', 'exp=4h', 'every=3', 'balance=$500']);
+
+      // Assert
+      expect(definition.mode).to.equal('rule');
+      expect(definition.starting_balance).to.equal(500);
+      expect(definition.rule).to.deep.equal({
+        direction: 'BUY', stop_loss_pct: 1, take_profit_pct: 2, expiry_hours: 4, interval: 3
+      });
+    });
+
+    it('should include the whole day given as to=', () => {
+      // Act
+      const definition = backtestService.parseBacktestCommand(['EURUSD', 'signals', 'from=2026-10-01', 'to=2026-10-02']);
+
+      // Assert
+      expect(definition.mode).to.equal('signals');
+      expect(definition.from.toISOString()).to.equal('2026-10-01T00:00:00.000Z');
+      expect(definition.to.toISOString()).to.equal('2026-10-02T23:59:59.999Z');
+    });
+
+    it('should reject a rule without an exit or an unknown option', () => {
+      // Act & Assert
+      expect(() => backtestService.parseBacktestCommand(['EURUSD', 'buy'])).to.throw('at least one of');
+      expect(() => backtestService.parseBacktestCommand(['EURUSD', 'buy', 'sl=1', 'foo=2'])).to.throw('Unknown backtest option');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+
+// Import the modules to test
+const blackoutService = require('../../src/services/blackoutService');
+const { NewsBlackout } = require('../../src/models');
+const { config } = require('../../src/config/appConfig');
+const { ValidationError } = require('../../src/utils/errorHandler');
+
+describe('Blackout Service', () => {
+  const buildBlackout = (overrides = {}) => ({
+    id: 1,
+    title: 'Non-Farm Payrolls',
+    symbols: ['USD'],
+    severity: 'HIGH',
+    starts_at: new Date('2026-10-20T12:25:00Z'),
+    ends_at: new Date('2026-10-20T12:45:00Z'),
+    ...overrides
+  });
+
+  afterEach(() => {
+    config.trading.blackout.minSeverity = 'LOW';
+    sinon.restore();
+  });
+
+  describe('parseBlackoutCommand', () => {
+    it('should parse a window with a duration, symbols, severity and title', () => {
+      // Act
+      const blackout = blackoutService.parseBlackoutCommand(['2026-10-20T12:25', '20m', 'usd,eur', 'high', 'Non-Farm', 'Payrolls']);
+
+      // Assert
+      expect(blackout).to.deep.equal({
+        title: 'Non-Farm Payrolls',
+        starts_at: new Date('2026-10-20T12:25:00Z'),
+        ends_at: new Date('2026-10-20T12:45:00Z'),
+        symbols: ['USD', 'EUR'],
+        severity: 'HIGH'
+      });
+    });
+
+    it('should reject a window that ends before it starts', () => {
+      // Act & Assert
+      expect(() => blackoutService.parseBlackoutCommand(['2026-10-20T12:25', '2026-10-20T12:00', 'USD', 'high']))
+        .to.throw(ValidationError, 'must be after its start');
+    });
+
+    it('should reject an unknown severity', () => {
+      // Act & Assert
+      expect(() => blackoutService.parseBlackoutCommand(['2026-10-20T12:25', '30m', 'USD', 'extreme']))
+        .to.throw(ValidationError, 'Severity must be low, medium or high');
+    });
+  });
+
+  describe('importBlackoutCsv', () => {
+    it('should add valid rows and report the line of each invalid one', async () => {
+      // Arrange
+      const createStub = sinon.stub(NewsBlackout, 'create').callsFake(async (values) => ({ id: 7, ...values }));
+      const content = 'start,end,symbols,severity,title\n' +
+        '2026-10-20T12:25,2026-10-20T12:45,USD,high,Non-Farm Payrolls\n' +
+        '\n' +
+        '2026-10-21T08:00,1h,EUR;GBP,medium,"PMIs, flash"\n' +
+        'tomorrow,1h,USD,high,CPI\n';
+
+      // Act
+      const result = await blackoutService.importBlackoutCsv(content, '999');
+
+      // Assert
+      expect(result.created).to.have.length(2);
+      expect(createStub.secondCall.args[0]).to.include({ title: 'PMIs, flash', severity: 'MEDIUM', created_by: '999' });
+      expect(createStub.secondCall.args[0].symbols).to.deep.equal(['EUR', 'GBP']);
+      expect(createStub.secondCall.args[0].ends_at).to.deep.equal(new Date('2026-10-21T09:00:00Z'));
+      expect(result.errors).to.deep.equal([{ line: 5, message: 'Invalid time "tomorrow". Use YYYY-MM-DDTHH:MM (UTC)' }]);
+    });
+
+    it('should reject a file without the expected header', async () => {
+      // Act & Assert
+      try {
+        await blackoutService.importBlackoutCsv('when,what\n2026-10-20T12:25,USD\n', '999');
+        expect.fail('importBlackoutCsv should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+
+  describe('coversAsset', () => {
+    it('should cover every asset quoted in a currency but only the asset itself otherwise', () => {
+      // Assert
+      expect(blackoutService.coversAsset(buildBlackout(), 'EURUSD')).to.be.true;
+      expect(blackoutService.coversAsset(buildBlackout(), 'XAUUSD')).to.be.true;
+      expect(blackoutService.coversAsset(buildBlackout(), 'EURGBP')).to.be.false;
+      expect(blackoutService.coversAsset(buildBlackout({ symbols: ['US30'] }), 'US30')).to.be.true;
+      expect(blackoutService.coversAsset(buildBlackout({ symbols: ['US30'] }), 'NAS100')).to.be.false;
+    });
+
+    it('should match assets written with a separator or in lowercase', () => {
+      // Assert
+      expect(blackoutService.coversAsset(buildBlackout({ symbols: ['XAUUSD'] }), 'XAU/USD')).to.be.true;
+      expect(blackoutService.coversAsset(buildBlackout({ symbols: ['XAUUSD'] }), 'xau-usd')).to.be.true;
+      expect(blackoutService.coversAsset(buildBlackout({ symbols: ['XAUUSD'] }), 'XAG/USD')).to.be.false;
+    });
+  });
+
+  describe('getAutoTradeBlackout', () => {
+    it('should only consider windows at or above the configured severity that cover the asset', async () => {
+      // Arrange
+      config.trading.blackout.minSeverity = 'MEDIUM';
+      const now = new Date('2026-10-20T12:30:00Z');
+      const findStub = sinon.stub(NewsBlackout, 'findAll').resolves([
+        buildBlackout({ id: 1, symbols: ['JPY'] }),
+        buildBlackout({ id: 2 })
+      ]);
+
+      // Act
+      const blackout = await blackoutService.getAutoTradeBlackout('EURUSD', now);
+
+      // Assert
+      expect(blackout.id).to.equal(2);
+      expect(findStub.firstCall.args[0].where).to.deep.equal({
+        starts_at: { [Op.lte]: now },
+        ends_at: { [Op.gt]: now },
+        severity: { [Op.in]: ['MEDIUM', 'HIGH'] }
+      });
+    });
+
+    it('should let auto-trading go ahead when no window covers the asset', async () => {
+      // Arrange
+      sinon.stub(NewsBlackout, 'findAll').resolves([buildBlackout({ symbols: ['JPY'] })]);
+
+      // Act
+      const blackout = await blackoutService.getAutoTradeBlackout('EURUSD');
+
+      // Assert
+      expect(blackout).to.be.null;
+    });
+  });
+
+  describe('formatBlackoutWarning', () => {
+    it('should list each window in UTC', () => {
+      // Act
+      const warning = blackoutService.formatBlackoutWarning([buildBlackout()]);
+
+      // Assert
+      expect(warning).to.include('NEWS BLACKOUT');
+      expect(warning).to.include('HIGH USD - Non-Farm Payrolls: 2026-10-20 12:25 UTC to 2026-10-20 12:45 UTC');
+    });
+
+    it('should be empty without blackouts', () => {
+      // Assert
+      expect(blackoutService.formatBlackoutWarning([])).to.equal('');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { expect } = require('chai');
+
+// Import the modules to test
+const { PaperTradingBroker, createBroker } = require('../../src/services/brokers');
+
+describe('Brokers', () => {
+  describe('PaperTradingBroker', () => {
+    let broker;
+
+    beforeEach(() => {
+      broker = new PaperTradingBroker({ startingBalance: 1000, slippageBps: 50 });
+    });
+
+    it('should fill buys above and sells below the reference price', async () => {
+      const buy = await broker.placeOrder('1', { asset: 'eurusd', side: 'buy', amount: 100, price: 100 });
+      const sell = await broker.placeOrder('1', { asset: 'EURUSD', side: 'SELL', amount: 100, price: 100 });
+
+      expect(buy.fill_price).to.be.closeTo(100.5, 0.0001);
+      expect(buy.quantity).to.be.closeTo(100 / 100.5, 0.0001);
+      expect(buy.asset).to.equal('EURUSD');
+      expect(sell.fill_price).to.be.closeTo(99.5, 0.0001);
+    });
+
+    it('should give the same fills and order IDs for the same orders', async () => {
+      const other = new PaperTradingBroker({ startingBalance: 1000, slippageBps: 50 });
+
+      const first = await broker.placeOrder('1', { asset: 'EURUSD', side: 'BUY', amount: 100, price: 1.085 });
+      const second = await other.placeOrder('1', { asset: 'EURUSD', side: 'BUY', amount: 100, price: 1.085 });
+
+      expect(second).to.deep.equal(first);
+    });
+
+    it('should settle a closed position into the balance, paying slippage both ways', async () => {
+      // Arrange
+      const order = await broker.placeOrder('1', { asset: 'EURUSD', side: 'BUY', amount: 201, price: 100 });
+
+      // Act
+      const fill = await broker.closeOrder('1', order.order_id, 110);
+
+      // Assert - bought at 100.5 and sold at 109.45
+      expect(fill.fill_price).to.be.closeTo(109.45, 0.0001);
+      expect(fill.profit_loss).to.equal(17.9);
+      expect(await broker.getBalance('1')).to.equal(1017.9);
+      expect(await broker.getPositions('1')).to.be.empty;
+    });
+
+    it('should close flat at the entry fill when no price is given', async () => {
+      const order = await broker.placeOrder('1', { asset: 'EURUSD', side: 'SELL', amount: 100, price: 100 });
+
+      const fill = await broker.closeOrder('1', order.order_id, null);
+
+      expect(fill.profit_loss).to.equal(0);
+      expect(await broker.getBalance('1')).to.equal(1000);
+    });
+
+    it('should settle binary options at the payout without slippage', async () => {
+      // Arrange
+      const win = await broker.placeOrder('1', { asset: 'EURUSD', side: 'BUY', amount: 100, price: 1.085, payout_percentage: 85 });
+      const loss = await broker.placeOrder('1', { asset: 'EURUSD', side: 'SELL', amount: 100, price: 1.085, payout_percentage: 85 });
+
+      // Act
+      const winFill = await broker.closeOrder('1', win.order_id, 1.086);
+      const lossFill = await broker.closeOrder('1', loss.order_id, 1.086);
+
+      // Assert
+      expect(win.fill_price).to.equal(1.085);
+      expect(winFill).to.include({ outcome: 'WIN', profit_loss: 85 });
+      expect(lossFill).to.include({ outcome: 'LOSS', profit_loss: -100 });
+      expect(await broker.getBalance('1')).to.equal(985);
+    });
+
+    it('should reject orders larger than the balance', async () => {
+      try {
+        await broker.placeOrder('1', { asset: 'EURUSD', side: 'BUY', amount: 1500, price: 100 });
+        expect.fail('placeOrder should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Insufficient paper balance: $1000.00 available');
+      }
+    });
+
+    it('should keep accounts apart', async () => {
+      await broker.placeOrder('1', { asset: 'EURUSD', side: 'BUY', amount: 400, price: 100 });
+
+      expect(await broker.getBalance('1')).to.equal(600);
+      expect(await broker.getBalance('2')).to.equal(1000);
+      expect(await broker.getPositions('2')).to.be.empty;
+    });
+  });
+
+  describe('createBroker', () => {
+    it('should return null when no provider is configured', () => {
+      expect(createBroker({ provider: '' })).to.be.null;
+    });
+
+    it('should create a paper broker', () => {
+      const broker = createBroker({ provider: 'paper', paper: { startingBalance: 500, slippageBps: 0 } });
+
+      expect(broker).to.be.instanceOf(PaperTradingBroker);
+      expect(broker.startingBalance).to.equal(500);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createBroker({ provider: 'acme' })).to.throw('Unknown broker provider: acme');
+    });
+  });
+});
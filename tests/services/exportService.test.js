@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+
+// Import the modules to test
+const exportService = require('../../src/services/exportService');
+const { Signal, Trading } = require('../../src/models');
+const { config } = require('../../src/config/appConfig');
+
+describe('Export Service', () => {
+  const originalPageSize = config.trading.export.pageSize;
+
+  /**
+   * Stub a model's findAll over records, honouring the ID, offset and limit of each batch
+   */
+  const stubRecords = (model, records) => {
+    sinon.stub(model, 'count').resolves(records.length);
+    return sinon.stub(model, 'findAll').callsFake(async ({ where, offset, limit }) =>
+      records.filter(record => record.id > where.id[Op.gt]).slice(offset, offset + limit));
+  };
+
+  const collect = async (exportJob) => {
+    const documents = [];
+
+    for await (const document of exportJob.documents) {
+      documents.push(document);
+    }
+
+    return documents;
+  };
+
+  afterEach(() => {
+    config.trading.export.pageSize = originalPageSize;
+    sinon.restore();
+  });
+
+  describe('parseExportOptions', () => {
+    it('should parse the format, date range, asset, status and page', () => {
+      // Act
+      const options = exportService.parseExportOptions(
+        ['JSON', 'from=2026-10-01', 'to=2026-10-19', 'asset=eurusd', 'status=closed', 'page=2'],
+        exportService.TRADE_STATUSES
+      );
+
+      // Assert
+      expect(options.format).to.equal('json');
+      expect(options.from.toISOString()).to.equal('2026-10-01T00:00:00.000Z');
+      expect(options.to.toISOString()).to.equal('2026-10-19T23:59:59.999Z');
+      expect(options).to.include({ asset: 'EURUSD', status: 'CLOSED', page: 2 });
+    });
+
+    it('should default to CSV of everything', () => {
+      // Act
+      const options = exportService.parseExportOptions([]);
+
+      // Assert
+      expect(options).to.deep.equal({ format: 'csv', from: null, to: null, asset: null, status: null, page: null });
+    });
+
+    it('should reject unknown options, bad dates and statuses', () => {
+      // Act & Assert
+      expect(() => exportService.parseExportOptions(['xml'])).to.throw('Unknown export option');
+      expect(() => exportService.parseExportOptions(['from=19/10/2026'])).to.throw('Invalid date');
+      expect(() => exportService.parseExportOptions(['status=OPEN'], exportService.SIGNAL_STATUSES)).to.throw('status must be one of');
+      expect(() => exportService.parseExportOptions(['from=2026-10-19', 'to=2026-10-01'])).to.throw('from= must be before to=');
+    });
+  });
+
+  describe('formatPage', () => {
+    it('should escape CSV fields and neutralise formulas', () => {
+      // Arrange
+      const records = [{ id: 1, notes: 'Closed early, "news"', entry_time: new Date('2026-10-01T00:00:00Z'), exit_price: null }];
+
+      // Act
+      const csv = exportService.formatPage(records, ['id', 'notes', 'entry_time', 'exit_price'], 'csv');
+      const formula = exportService.formatPage([{ notes: '=HYPERLINK("x")' }], ['notes'], 'csv');
+
+      // Assert
+      expect(csv).to.equal('id,notes,entry_time,exit_price\n1,"Closed early, ""news""",2026-10-01T00:00:00.000Z,\n');
+      expect(formula).to.equal('notes\n"\'=HYPERLINK(""x"")"\n');
+    });
+
+    it('should format JSON with only the exported columns', () => {
+      // Act
+      const json = JSON.parse(exportService.formatPage([{ id: 1, asset: 'EURUSD', secret: 'x' }], ['id', 'asset'], 'json'));
+
+      // Assert
+      expect(json).to.deep.equal([{ id: 1, asset: 'EURUSD' }]);
+    });
+  });
+
+  describe('exportTradingHistory', () => {
+    const trades = [1, 2, 3, 4, 5].map(id => ({ id, asset: 'EURUSD', status: 'CLOSED' }));
+
+    it('should send a document per page', async () => {
+      // Arrange
+      config.trading.export.pageSize = 2;
+      const findAllStub = stubRecords(Trading, trades);
+
+      // Act
+      const exportJob = await exportService.exportTradingHistory(7, exportService.parseExportOptions(['from=2026-10-01']));
+      const documents = await collect(exportJob);
+
+      // Assert
+      expect(exportJob).to.include({ total: 5, pages: 3 });
+      expect(documents.map(document => document.count)).to.deep.equal([2, 2, 1]);
+      expect(documents[2].filename).to.equal('trading-history-2026-10-01-to-now-page-3.csv');
+      expect(findAllStub.firstCall.args[0].where.user_id).to.equal(7);
+      expect(findAllStub.firstCall.args[0].where.entry_time[Op.gte].toISOString()).to.equal('2026-10-01T00:00:00.000Z');
+    });
+
+    it('should send only the page asked for', async () => {
+      // Arrange
+      config.trading.export.pageSize = 2;
+      stubRecords(Trading, trades);
+
+      // Act
+      const documents = await collect(await exportService.exportTradingHistory(7, exportService.parseExportOptions(['json', 'page=2'])));
+
+      // Assert
+      expect(documents).to.have.length(1);
+      expect(documents[0].filename).to.equal('trading-history-page-2.json');
+      expect(JSON.parse(documents[0].content).map(trade => trade.id)).to.deep.equal([3, 4]);
+    });
+
+    it('should reject a page past the end', async () => {
+      // Arrange
+      config.trading.export.pageSize = 2;
+      stubRecords(Trading, trades);
+
+      // Act & Assert
+      try {
+        await exportService.exportTradingHistory(7, exportService.parseExportOptions(['page=4']));
+        expect.fail('Expected export to fail');
+      } catch (error) {
+        expect(error.message).to.equal('There are only 3 pages to export');
+      }
+    });
+  });
+
+  describe('exportSignals', () => {
+    it('should read large exports in batches', async () => {
+      // Arrange
+      const signals = Array.from({ length: 1200 }, (_, index) => ({ id: index + 1, signal_id: `OPT-${index + 1}` }));
+      const findAllStub = stubRecords(Signal, signals);
+
+      // Act
+      const documents = await collect(await exportService.exportSignals(exportService.parseExportOptions([])));
+
+      // Assert
+      expect(findAllStub.callCount).to.equal(3);
+      expect(documents).to.have.length(1);
+      expect(documents[0].content.trim().split('\n')).to.have.length(1201);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+// Import the modules to test
+const guardrailService = require('../../src/services/guardrailService');
+const { Trading } = require('../../src/models');
+
+describe('Guardrail Service', () => {
+  // Wednesday
+  const now = new Date('2026-10-21T15:00:00Z');
+  const signal = { signal_id: 'OPT-261021-001', asset: 'EURUSD' };
+  let user;
+
+  beforeEach(() => {
+    user = {
+      id: 1,
+      telegram_id: '111',
+      auto_trade_guardrails: {},
+      update: sinon.stub().callsFake(async (values) => Object.assign(user, values))
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('checkAutoTradeGuardrails', () => {
+    it('should allow a trade inside every limit', async () => {
+      // Arrange
+      sinon.stub(Trading, 'findAll').resolves([]);
+      sinon.stub(Trading, 'count').resolves(1);
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip).to.be.null;
+    });
+
+    it('should skip once the maximum of open trades is reached', async () => {
+      // Arrange
+      user.auto_trade_guardrails = { max_open_trades: 2 };
+      sinon.stub(Trading, 'findAll').resolves([]);
+      sinon.stub(Trading, 'count').resolves(2);
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip.reason).to.equal('max_open_trades');
+    });
+
+    it('should pause auto-trading until tomorrow once the daily loss limit is reached', async () => {
+      // Arrange
+      user.auto_trade_guardrails = { daily_loss_limit: 100 };
+      sinon.stub(Trading, 'findAll').resolves([]);
+      const sumStub = sinon.stub(Trading, 'sum').resolves(-120);
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip.reason).to.equal('daily_loss_limit');
+      expect(sumStub.firstCall.args[1].where.user_id).to.equal(1);
+      expect(user.auto_trade_paused_until.toISOString()).to.equal('2026-10-22T00:00:00.000Z');
+    });
+
+    it('should pause auto-trading until Monday once the weekly loss limit is reached', async () => {
+      // Arrange
+      user.auto_trade_guardrails = { weekly_loss_limit: 300 };
+      sinon.stub(Trading, 'findAll').resolves([]);
+      sinon.stub(Trading, 'sum').resolves(-300);
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip.reason).to.equal('weekly_loss_limit');
+      expect(user.auto_trade_paused_until.toISOString()).to.equal('2026-10-26T00:00:00.000Z');
+    });
+
+    it('should skip while auto-trading is paused', async () => {
+      // Arrange
+      user.auto_trade_paused_until = new Date('2026-10-22T00:00:00Z');
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip.reason).to.equal('paused');
+    });
+
+    it('should cool down after consecutive losses', async () => {
+      // Arrange
+      user.auto_trade_guardrails = { loss_streak_limit: 2, cooldown_hours: 4 };
+      sinon.stub(Trading, 'findAll').resolves([
+        { profit_loss: -10, exit_time: new Date('2026-10-21T13:00:00Z') },
+        { profit_loss: -5, exit_time: new Date('2026-10-21T12:00:00Z') }
+      ]);
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip.reason).to.equal('loss_cooldown');
+      expect(skip.message).to.include('2026-10-21 17:00 UTC');
+    });
+
+    it('should not cool down when a recent trade was a win', async () => {
+      // Arrange
+      user.auto_trade_guardrails = { loss_streak_limit: 2, cooldown_hours: 4 };
+      sinon.stub(Trading, 'findAll').resolves([
+        { profit_loss: -10, exit_time: new Date('2026-10-21T13:00:00Z') },
+        { profit_loss: 5, exit_time: new Date('2026-10-21T12:00:00Z') }
+      ]);
+      sinon.stub(Trading, 'count').resolves(0);
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip).to.be.null;
+    });
+
+    it('should skip a trade that would go over the exposure cap for its asset', async () => {
+      // Arrange
+      user.auto_trade_guardrails = { max_asset_exposure: 250 };
+      sinon.stub(Trading, 'findAll').resolves([]);
+      sinon.stub(Trading, 'count').resolves(1);
+      const sumStub = sinon.stub(Trading, 'sum').resolves(200);
+
+      // Act
+      const skip = await guardrailService.checkAutoTradeGuardrails(user, signal, 100, now);
+
+      // Assert
+      expect(skip.reason).to.equal('asset_exposure');
+      expect(sumStub.firstCall.args[1].where.asset).to.equal('EURUSD');
+    });
+  });
+
+  describe('parseGuardrails', () => {
+    it('should map command settings to guardrail fields', () => {
+      expect(guardrailService.parseGuardrails(['max_open=3', 'daily_loss=100', 'cooldown=0'])).to.deep.equal({
+        max_open_trades: 3,
+        daily_loss_limit: 100,
+        cooldown_hours: 0
+      });
+    });
+
+    it('should reject unknown settings', () => {
+      expect(() => guardrailService.parseGuardrails(['leverage=10'])).to.throw('Unknown guardrail setting "leverage=10"');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+
+// Import the modules to test
+const portfolioService = require('../../src/services/portfolioService');
+const { PortfolioEntry, Trading } = require('../../src/models');
+const { InMemoryPriceFeed } = require('../../src/services/priceFeeds');
+
+describe('Portfolio Service', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const user = { id: 1, telegram_id: '111', deposit_amount: 1000, createdAt: new Date('2026-09-01T00:00:00Z') };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('ensureOpeningDeposit', () => {
+    it('should record the deposit once', async () => {
+      // Arrange
+      sinon.stub(PortfolioEntry, 'findOne').resolves(null);
+      const createStub = sinon.stub(PortfolioEntry, 'create').callsFake(async (data) => data);
+
+      // Act
+      const entry = await portfolioService.ensureOpeningDeposit(user);
+
+      // Assert
+      expect(createStub.calledOnce).to.be.true;
+      expect(entry.type).to.equal('DEPOSIT');
+      expect(entry.amount).to.equal(1000);
+      expect(entry.occurred_at).to.equal(user.createdAt);
+    });
+
+    it('should not record the deposit again', async () => {
+      // Arrange
+      sinon.stub(PortfolioEntry, 'findOne').resolves({ id: 5, type: 'DEPOSIT' });
+      const createStub = sinon.stub(PortfolioEntry, 'create');
+
+      // Act
+      await portfolioService.ensureOpeningDeposit(user);
+
+      // Assert
+      expect(createStub.called).to.be.false;
+    });
+  });
+
+  describe('recordRealisedProfitLoss', () => {
+    it('should record a closed trade\'s P/L against the trade', async () => {
+      // Arrange
+      const findOrCreateStub = sinon.stub(PortfolioEntry, 'findOrCreate').callsFake(async ({ defaults }) => [defaults, true]);
+      const exitTime = new Date('2026-10-18T10:00:00Z');
+
+      // Act
+      const entry = await portfolioService.recordRealisedProfitLoss({
+        id: 42,
+        user_id: 1,
+        signal_id: 'OPT-261018-001',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        profit_loss: -12.5,
+        exit_time: exitTime
+      });
+
+      // Assert
+      expect(findOrCreateStub.firstCall.args[0].where).to.deep.equal({ trade_id: 42 });
+      expect(entry.amount).to.equal(-12.5);
+      expect(entry.description).to.equal('BUY EURUSD (OPT-261018-001)');
+      expect(entry.occurred_at).to.equal(exitTime);
+    });
+
+    it('should skip trades without a result', async () => {
+      // Arrange
+      const findOrCreateStub = sinon.stub(PortfolioEntry, 'findOrCreate');
+
+      // Act
+      const entry = await portfolioService.recordRealisedProfitLoss({ id: 43, profit_loss: null });
+
+      // Assert
+      expect(entry).to.be.null;
+      expect(findOrCreateStub.called).to.be.false;
+    });
+  });
+
+  describe('recordAdjustment', () => {
+    it('should reject a zero adjustment', async () => {
+      // Act
+      const error = await portfolioService.recordAdjustment(user, 0).catch(err => err);
+
+      // Assert
+      expect(error.message).to.include('non-zero amount');
+    });
+  });
+
+  describe('getUnrealisedProfitLoss', () => {
+    it('should value buys and sells at the current price', () => {
+      const buy = { trade_type: 'BUY', entry_price: 100, trade_amount: 200 };
+      const sell = { trade_type: 'SELL', entry_price: 100, trade_amount: 200 };
+
+      expect(portfolioService.getUnrealisedProfitLoss(buy, 105)).to.equal(10);
+      expect(portfolioService.getUnrealisedProfitLoss(sell, 105)).to.equal(-10);
+    });
+
+    it('should not value binary trades or trades without a price', () => {
+      const binary = { trade_type: 'BUY', entry_price: 100, trade_amount: 200, Signal: { signal_type: 'BINARY' } };
+
+      expect(portfolioService.getUnrealisedProfitLoss(binary, 105)).to.be.null;
+      expect(portfolioService.getUnrealisedProfitLoss({ trade_type: 'BUY', entry_price: 100, trade_amount: 200 }, null)).to.be.null;
+    });
+  });
+
+  describe('getPortfolio', () => {
+    it('should add open positions valued at the feed price to the ledger balance', async () => {
+      // Arrange
+      sinon.stub(PortfolioEntry, 'findOne').resolves({ id: 1, type: 'DEPOSIT' });
+      sinon.stub(PortfolioEntry, 'sum').callsFake(async (field, { where }) => {
+        if (where.type === 'REALISED_PL') {
+          return 50;
+        }
+
+        // 1000 deposited before both trend periods, +30 inside the 30 days, +20 inside the 7 days
+        if (where.occurred_at) {
+          return where.occurred_at[Op.lt] > new Date('2026-10-01T00:00:00Z') ? 1030 : 1000;
+        }
+
+        return 1050;
+      });
+      sinon.stub(Trading, 'findAll').resolves([
+        { trade_type: 'BUY', asset: 'EURUSD', entry_price: 100, trade_amount: 100 },
+        { trade_type: 'SELL', asset: 'XAUUSD', entry_price: 2000, trade_amount: 100 }
+      ]);
+      const priceFeed = new InMemoryPriceFeed({ EURUSD: 110 });
+
+      // Act
+      const portfolio = await portfolioService.getPortfolio(user, priceFeed, now);
+
+      // Assert
+      expect(portfolio.balance).to.equal(1050);
+      expect(portfolio.realised).to.equal(50);
+      expect(portfolio.unrealised).to.equal(10);
+      expect(portfolio.equity).to.equal(1060);
+      expect(portfolio.positions[1].unrealised).to.be.null;
+      expect(portfolio.trends.map(trend => trend.change)).to.deep.equal([30, 60]);
+      expect(portfolioService.formatPortfolio(portfolio)).to.include('Equity: $1060.00');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+// Import the modules to test
+const positionSizingService = require('../../src/services/positionSizingService');
+const { PaperTradingBroker } = require('../../src/services/brokers');
+const { config } = require('../../src/config/appConfig');
+
+describe('Position Sizing Service', () => {
+  // 2% between the entry and the stop-loss
+  const signal = { signal_id: 'OPT-261019-001', trade_type: 'BUY', asset: 'EURUSD', entry_price: 100, stop_loss: 98 };
+
+  beforeEach(() => {
+    sinon.stub(config.trading, 'maxRiskPerTrade').value(5);
+    sinon.stub(config.trading, 'maxTradeAmount').value(0);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('calculatePositionSize', () => {
+    it('should use the fixed amount per trade', () => {
+      // Arrange
+      const user = { position_sizing_mode: 'fixed', auto_trade_amount: 150 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, signal, 10000);
+
+      // Assert
+      expect(size.amount).to.equal(150);
+      expect(size.quantity).to.equal(1.5);
+      expect(size.risk_amount).to.equal(3);
+      expect(size.risk_percentage).to.equal(0.03);
+      expect(size.capped_by).to.be.null;
+    });
+
+    it('should size a share of the balance', () => {
+      // Arrange
+      const user = { position_sizing_mode: 'balance', position_size_percentage: 10 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, signal, 2500);
+
+      // Assert
+      expect(size.amount).to.equal(250);
+    });
+
+    it('should size the position so the stop-loss loses the risk percentage of the balance', () => {
+      // Arrange
+      const user = { position_sizing_mode: 'risk', risk_per_trade: 1 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, signal, 10000);
+
+      // Assert
+      expect(size.amount).to.equal(5000);
+      expect(size.risk_amount).to.equal(100);
+      expect(size.risk_percentage).to.equal(1);
+    });
+
+    it('should risk the whole stake of a binary signal', () => {
+      // Arrange
+      const user = { position_sizing_mode: 'risk', risk_per_trade: 2 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, { ...signal, signal_type: 'BINARY', stop_loss: null }, 1000);
+
+      // Assert
+      expect(size.amount).to.equal(20);
+      expect(size.risk_amount).to.equal(20);
+    });
+
+    it('should cap a fixed amount at the maximum risk per trade', () => {
+      // Arrange
+      const user = { position_sizing_mode: 'fixed', auto_trade_amount: 500 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, { ...signal, stop_loss: 50 }, 1000);
+
+      // Assert
+      expect(size.amount).to.equal(100);
+      expect(size.risk_percentage).to.equal(5);
+      expect(size.capped_by).to.equal('max_risk');
+    });
+
+    it('should cap the risk percentage at the maximum risk per trade', () => {
+      // Arrange
+      const user = { position_sizing_mode: 'risk', risk_per_trade: 8 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, signal, 1000);
+
+      // Assert
+      expect(size.risk_percentage).to.equal(5);
+    });
+
+    it('should cap the position at the user\'s maximum trade amount', () => {
+      // Arrange
+      const user = { position_sizing_mode: 'risk', risk_per_trade: 1, max_trade_amount: 1200 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, signal, 10000);
+
+      // Assert
+      expect(size.amount).to.equal(1200);
+      expect(size.capped_by).to.equal('max_trade_amount');
+    });
+
+    it('should not apply the risk cap to a signal without a stop-loss', () => {
+      // Arrange
+      const user = { auto_trade_amount: 500 };
+
+      // Act
+      const size = positionSizingService.calculatePositionSize(user, { ...signal, stop_loss: null }, 1000);
+
+      // Assert
+      expect(size.mode).to.equal('fixed');
+      expect(size.amount).to.equal(500);
+      expect(size.risk_amount).to.be.null;
+    });
+  });
+
+  describe('getTrackedBalance', () => {
+    it('should use the broker balance when a broker is configured', async () => {
+      // Arrange
+      const broker = new PaperTradingBroker({ startingBalance: 750 });
+
+      // Act
+      const balance = await positionSizingService.getTrackedBalance({ telegram_id: '111', deposit_amount: 500 }, broker);
+
+      // Assert
+      expect(balance).to.equal(750);
+    });
+
+    it('should fall back to the deposit without a broker', async () => {
+      // Act
+      const balance = await positionSizingService.getTrackedBalance({ telegram_id: '111', deposit_amount: 500 }, null);
+
+      // Assert
+      expect(balance).to.equal(500);
+    });
+  });
+
+  describe('parseSizingSettings', () => {
+    it('should parse each sizing mode', () => {
+      expect(positionSizingService.parseSizingSettings(['fixed', '$100'])).to.deep.equal({
+        position_sizing_mode: 'fixed',
+        auto_trade_amount: 100
+      });
+      expect(positionSizingService.parseSizingSettings(['balance', '5%'])).to.deep.equal({
+        position_sizing_mode: 'balance',
+        position_size_percentage: 5
+      });
+      expect(positionSizingService.parseSizingSettings(['risk', '1'])).to.deep.equal({
+        position_sizing_mode: 'risk',
+        risk_per_trade: 1
+      });
+    });
+
+    it('should reject a risk percentage over the maximum risk per trade', () => {
+      expect(() => positionSizingService.parseSizingSettings(['risk', '6'])).to.throw('between 0 and 5');
+    });
+  });
+
+  describe('formatSizingSettings', () => {
+    it('should show the default risk per trade when the user has not set one', () => {
+      // Act
+      const text = positionSizingService.formatSizingSettings({ position_sizing_mode: 'risk', risk_per_trade: null });
+
+      // Assert
+      expect(text).to.include(`(${config.trading.defaultRiskPerTrade}% of balance risked to the stop-loss)`);
+    });
+  });
+});
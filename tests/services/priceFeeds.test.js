@@ -0,0 +1,81 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import the modules to test
+const { CsvReplayFeed, InMemoryPriceFeed, createPriceFeed } = require('../../src/services/priceFeeds');
+
+describe('Price Feeds', () => {
+  describe('CsvReplayFeed', () => {
+    let csvPath;
+
+    beforeEach(() => {
+      // Arrange - ticks are deliberately out of order
+      csvPath = path.join(os.tmpdir(), `prices-${Date.now()}.csv`);
+      fs.writeFileSync(csvPath, [
+        'timestamp,asset,price',
+        '2026-10-19T10:02:00Z,EURUSD,1.0870',
+        '2026-10-19T10:00:00Z,EURUSD,1.0850',
+        '2026-10-19T10:01:00Z,eurusd,1.0860',
+        '2026-10-19T10:00:00Z,BTCUSD,67000'
+      ].join('\n'));
+    });
+
+    afterEach(() => {
+      fs.unlinkSync(csvPath);
+    });
+
+    it('should replay ticks for an asset in time order', async () => {
+      const feed = new CsvReplayFeed(csvPath);
+
+      expect(await feed.getPrice('EURUSD')).to.equal(1.085);
+      expect(await feed.getPrice('EURUSD')).to.equal(1.086);
+      expect(await feed.getPrice('eurusd')).to.equal(1.087);
+    });
+
+    it('should keep returning the last tick once the file is exhausted', async () => {
+      const feed = new CsvReplayFeed(csvPath);
+
+      await feed.getPrice('BTCUSD');
+
+      expect(await feed.getPrice('BTCUSD')).to.equal(67000);
+    });
+
+    it('should return null for assets without ticks', async () => {
+      const feed = new CsvReplayFeed(csvPath);
+
+      expect(await feed.getPrice('GBPUSD')).to.be.null;
+    });
+
+    it('should restart the replay after reset', async () => {
+      const feed = new CsvReplayFeed(csvPath);
+      await feed.getPrice('EURUSD');
+
+      feed.reset();
+
+      expect(await feed.getPrice('EURUSD')).to.equal(1.085);
+    });
+  });
+
+  describe('InMemoryPriceFeed', () => {
+    it('should return the price that was set', async () => {
+      const feed = new InMemoryPriceFeed({ EURUSD: 1.08 });
+      feed.setPrice('btcusd', 65000);
+
+      const prices = await feed.getPrices(['EURUSD', 'BTCUSD', 'GBPUSD']);
+
+      expect(prices).to.deep.equal({ EURUSD: 1.08, BTCUSD: 65000, GBPUSD: null });
+    });
+  });
+
+  describe('createPriceFeed', () => {
+    it('should return null when no provider is configured', () => {
+      expect(createPriceFeed({ provider: '' })).to.be.null;
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createPriceFeed({ provider: 'unknown' })).to.throw('Unknown price feed provider: unknown');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+// Import the modules to test
+const providerService = require('../../src/services/providerService');
+const userService = require('../../src/services/userService');
+const { Signal, SignalProvider } = require('../../src/models');
+const { ValidationError, NotFoundError } = require('../../src/utils/errorHandler');
+
+describe('Provider Service', () => {
+  const buildRow = (values, aggregates) => ({
+    ...values,
+    getDataValue: (key) => aggregates[key]
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('createProvider', () => {
+    it('should store the handle in lowercase', async () => {
+      // Arrange
+      sinon.stub(SignalProvider, 'findOne').resolves(null);
+      const createStub = sinon.stub(SignalProvider, 'create').callsFake(async (values) => ({ id: 1, ...values }));
+
+      // Act
+      const provider = await providerService.createProvider({ handle: 'Alex', name: 'Alex FX', bio: 'Ten years of FX' }, '999');
+
+      // Assert
+      expect(createStub.firstCall.args[0]).to.deep.equal({ handle: 'alex', name: 'Alex FX', bio: 'Ten years of FX', created_by: '999' });
+      expect(provider.id).to.equal(1);
+    });
+
+    it('should reject a handle that is already taken', async () => {
+      // Arrange
+      sinon.stub(SignalProvider, 'findOne').resolves({ id: 1, handle: 'alex' });
+
+      // Act & Assert
+      try {
+        await providerService.createProvider({ handle: 'alex', name: 'Alex Again' }, '999');
+        expect.fail('createProvider should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('already taken');
+      }
+    });
+  });
+
+  describe('resolveSignalProvider', () => {
+    it('should refuse a retired provider', async () => {
+      // Arrange
+      sinon.stub(SignalProvider, 'findOne').resolves({ id: 1, handle: 'alex', active: false });
+
+      // Act & Assert
+      try {
+        await providerService.resolveSignalProvider('alex', '999');
+        expect.fail('resolveSignalProvider should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+
+    it('should leave signals from alerts without a provider', async () => {
+      // Arrange
+      const findStub = sinon.stub(SignalProvider, 'findOne');
+
+      // Act
+      const provider = await providerService.resolveSignalProvider(null, null);
+
+      // Assert
+      expect(provider).to.be.null;
+      expect(findStub.called).to.be.false;
+    });
+  });
+
+  describe('followsSignalProvider', () => {
+    it('should pass signals without a provider to everyone', () => {
+      // Assert
+      expect(providerService.followsSignalProvider({ followed_providers: [] }, { provider_id: null })).to.be.true;
+      expect(providerService.followsSignalProvider({ followed_providers: [] }, { provider_id: 2 })).to.be.false;
+      expect(providerService.followsSignalProvider({ followed_providers: [2] }, { provider_id: 2 })).to.be.true;
+    });
+  });
+
+  describe('followProvider', () => {
+    it('should add the provider once to the user\'s follows', async () => {
+      // Arrange
+      const user = { followed_providers: [2, 3], update: sinon.stub().resolves() };
+      sinon.stub(userService, 'getUserByTelegramId').resolves(user);
+      sinon.stub(SignalProvider, 'findByPk').resolves({ id: 3, active: true });
+
+      // Act
+      await providerService.followProvider('111', 3);
+
+      // Assert
+      expect(user.update.firstCall.args[0]).to.deep.equal({ followed_providers: [2, 3] });
+    });
+
+    it('should remove the provider when unfollowing, even once retired', async () => {
+      // Arrange
+      const user = { followed_providers: [2, 3], update: sinon.stub().resolves() };
+      sinon.stub(userService, 'getUserByTelegramId').resolves(user);
+      sinon.stub(SignalProvider, 'findByPk').resolves({ id: 2, active: false });
+
+      // Act
+      await providerService.unfollowProvider('111', 2);
+
+      // Assert
+      expect(user.update.firstCall.args[0]).to.deep.equal({ followed_providers: [3] });
+    });
+
+    it('should not follow a retired provider', async () => {
+      // Arrange
+      sinon.stub(userService, 'getUserByTelegramId').resolves({ followed_providers: [], update: sinon.stub() });
+      sinon.stub(SignalProvider, 'findByPk').resolves({ id: 2, active: false });
+
+      // Act & Assert
+      try {
+        await providerService.followProvider('111', 2);
+        expect.fail('followProvider should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('getProviderStats', () => {
+    it('should break closed and binary results down by provider', async () => {
+      // Arrange
+      sinon.stub(SignalProvider, 'findAll').resolves([{ id: 1, handle: 'alex', name: 'Alex FX' }]);
+      sinon.stub(Signal, 'findAll').resolves([
+        buildRow({ provider_id: 1, signal_type: 'STANDARD', status: 'CLOSED', outcome: null }, { count: '4', profitable: '3', total_profit_loss: '6' }),
+        buildRow({ provider_id: 1, signal_type: 'STANDARD', status: 'ACTIVE', outcome: null }, { count: '1', profitable: '0', total_profit_loss: null }),
+        buildRow({ provider_id: 1, signal_type: 'BINARY', status: 'CLOSED', outcome: 'WIN' }, { count: '2', profitable: '2', total_profit_loss: '170' }),
+        buildRow({ provider_id: null, signal_type: 'STANDARD', status: 'CLOSED', outcome: null }, { count: '2', profitable: '1', total_profit_loss: '-1' })
+      ]);
+
+      // Act
+      const stats = await providerService.getProviderStats();
+
+      // Assert
+      expect(stats).to.have.length(2);
+      expect(stats[0]).to.include({
+        provider_id: 1,
+        name: 'Alex FX',
+        totalSignals: 7,
+        closedSignals: 4,
+        profitableSignals: 3,
+        winRate: '75.00',
+        avgProfitLoss: '1.50',
+        binaryWins: 2,
+        binaryLosses: 0
+      });
+      expect(stats[1]).to.include({ provider_id: null, name: 'Admins', closedSignals: 2, winRate: '50.00', avgProfitLoss: '-0.50' });
+      expect(providerService.formatTrackRecord(stats[0])).to.equal('7 signals, 75.00% of 4 closed in profit, avg 1.50%, binary 2W / 0L / 0D');
+    });
+  });
+});
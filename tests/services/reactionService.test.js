@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+
+// Import the modules to test
+const reactionService = require('../../src/services/reactionService');
+const userService = require('../../src/services/userService');
+const { Signal, SignalReaction } = require('../../src/models');
+const { NotFoundError, ValidationError } = require('../../src/utils/errorHandler');
+
+describe('Reaction Service', () => {
+  const buildRow = (values, count) => ({
+    ...values,
+    getDataValue: () => count
+  });
+
+  beforeEach(() => {
+    sinon.stub(userService, 'getUserByTelegramId').resolves({ id: 1, telegram_id: '111' });
+    sinon.stub(Signal, 'findOne').resolves({ signal_id: 'OPT-261019-001', provider_id: 4 });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('recordReaction', () => {
+    it('should record a first reaction with the signal\'s provider', async () => {
+      // Arrange
+      sinon.stub(SignalReaction, 'findOne').resolves(null);
+      const createStub = sinon.stub(SignalReaction, 'create').resolves({});
+
+      // Act
+      const reaction = await reactionService.recordReaction('111', 'OPT-261019-001', 'late');
+
+      // Assert
+      expect(reaction).to.equal('TOO_LATE');
+      expect(createStub.firstCall.args[0]).to.deep.equal({
+        signal_id: 'OPT-261019-001',
+        user_id: 1,
+        provider_id: 4,
+        reaction: 'TOO_LATE'
+      });
+    });
+
+    it('should change a reaction to another button', async () => {
+      // Arrange
+      const existing = { reaction: 'UP', update: sinon.stub().resolves(), destroy: sinon.stub().resolves() };
+      sinon.stub(SignalReaction, 'findOne').resolves(existing);
+
+      // Act
+      const reaction = await reactionService.recordReaction('111', 'OPT-261019-001', 'down');
+
+      // Assert
+      expect(reaction).to.equal('DOWN');
+      expect(existing.update.firstCall.args[0]).to.deep.equal({ reaction: 'DOWN' });
+      expect(existing.destroy.called).to.be.false;
+    });
+
+    it('should take a reaction back when the same button is pressed again', async () => {
+      // Arrange
+      const existing = { reaction: 'UP', update: sinon.stub().resolves(), destroy: sinon.stub().resolves() };
+      sinon.stub(SignalReaction, 'findOne').resolves(existing);
+
+      // Act
+      const reaction = await reactionService.recordReaction('111', 'OPT-261019-001', 'up');
+
+      // Assert
+      expect(reaction).to.be.null;
+      expect(existing.destroy.calledOnce).to.be.true;
+    });
+
+    it('should reject unknown reactions and signals', async () => {
+      // Arrange
+      Signal.findOne.resolves(null);
+
+      // Act & Assert
+      try {
+        await reactionService.recordReaction('111', 'OPT-261019-001', 'love');
+        expect.fail('recordReaction should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+
+      try {
+        await reactionService.recordReaction('111', 'OPT-261019-001', 'up');
+        expect.fail('recordReaction should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('getSignalReactionTallies', () => {
+    it('should tally the reactions of each signal', async () => {
+      // Arrange
+      const findStub = sinon.stub(SignalReaction, 'findAll').resolves([
+        buildRow({ signal_id: 'OPT-261019-001', reaction: 'UP' }, '6'),
+        buildRow({ signal_id: 'OPT-261019-001', reaction: 'TOO_LATE' }, '2'),
+        buildRow({ signal_id: 'OPT-261019-002', reaction: 'DOWN' }, '1')
+      ]);
+
+      // Act
+      const tallies = await reactionService.getSignalReactionTallies(['OPT-261019-001', 'OPT-261019-002']);
+
+      // Assert
+      expect(findStub.firstCall.args[0].where).to.deep.equal({ signal_id: { [Op.in]: ['OPT-261019-001', 'OPT-261019-002'] } });
+      expect(tallies.get('OPT-261019-001')).to.deep.equal({ UP: 6, DOWN: 0, TOO_LATE: 2 });
+      expect(reactionService.formatReactionTally(tallies.get('OPT-261019-001'))).to.equal('👍 6 · 👎 0 · ⏰ 2 (75% positive of 8)');
+      expect(reactionService.formatReactionTally(tallies.get('OPT-261019-003'))).to.equal('No feedback yet');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require('chai');
+
+const signalFilterService = require('../../src/services/signalFilterService');
+const { ValidationError } = require('../../src/utils/errorHandler');
+
+describe('Signal Filter Service', () => {
+  const signal = {
+    signal_id: 'OPT-261019-010',
+    asset: 'EUR/USD',
+    trade_type: 'buy',
+    risk_percentage: 2
+  };
+  const noon = new Date('2026-10-19T12:00:00Z');
+
+  describe('matchesSignalFilters', () => {
+    it('should let every signal through when no filters are set', () => {
+      expect(signalFilterService.matchesSignalFilters(signal, {}, noon)).to.be.true;
+      expect(signalFilterService.matchesSignalFilters(signal, undefined, noon)).to.be.true;
+    });
+
+    it('should match whitelisted assets and asset classes', () => {
+      expect(signalFilterService.matchesSignalFilters(signal, { assets: ['EURUSD'] }, noon)).to.be.true;
+      expect(signalFilterService.matchesSignalFilters(signal, { asset_classes: ['forex'] }, noon)).to.be.true;
+      expect(signalFilterService.matchesSignalFilters(signal, {
+        assets: ['XAUUSD'],
+        asset_classes: ['crypto']
+      }, noon)).to.be.false;
+    });
+
+    it('should apply direction and maximum risk', () => {
+      expect(signalFilterService.matchesSignalFilters(signal, { direction: 'SELL' }, noon)).to.be.false;
+      expect(signalFilterService.matchesSignalFilters(signal, { direction: 'BUY' }, noon)).to.be.true;
+      expect(signalFilterService.matchesSignalFilters(signal, { max_risk: 1 }, noon)).to.be.false;
+      expect(signalFilterService.matchesSignalFilters(signal, { max_risk: 2 }, noon)).to.be.true;
+    });
+
+    it('should apply active hours, including windows that wrap around midnight', () => {
+      expect(signalFilterService.matchesSignalFilters(signal, { active_hours: { start: 8, end: 20 } }, noon)).to.be.true;
+      expect(signalFilterService.matchesSignalFilters(signal, { active_hours: { start: 22, end: 6 } }, noon)).to.be.false;
+      expect(signalFilterService.matchesSignalFilters(signal, { active_hours: { start: 22, end: 6 } },
+        new Date('2026-10-19T23:30:00Z'))).to.be.true;
+    });
+  });
+
+  describe('parseAssetFilter', () => {
+    it('should split assets from asset classes', () => {
+      expect(signalFilterService.parseAssetFilter('eur/usd, Crypto XAUUSD')).to.deep.equal({
+        assets: ['EURUSD', 'XAUUSD'],
+        asset_classes: ['crypto']
+      });
+    });
+
+    it('should clear the whitelist with "all"', () => {
+      expect(signalFilterService.parseAssetFilter('all')).to.deep.equal({ assets: [], asset_classes: [] });
+    });
+  });
+
+  describe('parseMaxRisk', () => {
+    it('should parse percentages and "any"', () => {
+      expect(signalFilterService.parseMaxRisk('2.5%')).to.equal(2.5);
+      expect(signalFilterService.parseMaxRisk('any')).to.be.null;
+      expect(() => signalFilterService.parseMaxRisk('lots')).to.throw(ValidationError);
+    });
+  });
+
+  describe('parseActiveHours', () => {
+    it('should parse hour ranges and "any"', () => {
+      expect(signalFilterService.parseActiveHours('8-20')).to.deep.equal({ start: 8, end: 20 });
+      expect(signalFilterService.parseActiveHours('22:00-06:00')).to.deep.equal({ start: 22, end: 6 });
+      expect(signalFilterService.parseActiveHours('9-24')).to.deep.equal({ start: 9, end: 0 });
+      expect(signalFilterService.parseActiveHours('any')).to.be.null;
+    });
+
+    it('should reject malformed or empty windows', () => {
+      expect(() => signalFilterService.parseActiveHours('morning')).to.throw(ValidationError);
+      expect(() => signalFilterService.parseActiveHours('8-8')).to.throw(ValidationError);
+      expect(() => signalFilterService.parseActiveHours('25-3')).to.throw(ValidationError);
+    });
+  });
+});
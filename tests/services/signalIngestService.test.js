@@ -0,0 +1,246 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+
+// Import the modules to test
+const signalIngestService = require('../../src/services/signalIngestService');
+const tradingService = require('../../src/services/tradingService');
+const { SignalAlert } = require('../../src/models');
+const { bot, adminIds } = require('../../src/config/bot');
+const { config } = require('../../src/config/appConfig');
+const { ValidationError, AuthorizationError } = require('../../src/utils/errorHandler');
+
+describe('Signal Ingest Service', () => {
+  const originalIngest = { ...config.trading.ingest };
+  const alertPayload = {
+    source: 'tradingview',
+    alert_id: 'tv-123',
+    ticker: 'FX:EURUSD',
+    action: 'buy',
+    price: '1.0850',
+    sl: '1.0800',
+    tp: '1.0900',
+    comment: 'Breakout'
+  };
+  let sendMessageStub;
+
+  beforeEach(() => {
+    config.trading.ingest = { secret: 'shared-secret', sources: { tradingview: 'publish', desk: 'approve' } };
+    sendMessageStub = sinon.stub(bot, 'sendMessage').resolves({ message_id: 1 });
+  });
+
+  afterEach(() => {
+    config.trading.ingest = originalIngest;
+    sinon.restore();
+  });
+
+  describe('verifySignature', () => {
+    const body = JSON.stringify(alertPayload);
+    const signature = crypto.createHmac('sha256', 'shared-secret').update(body).digest('hex');
+
+    it('should accept the HMAC of the body, with or without a sha256= prefix', () => {
+      // Act & Assert
+      expect(signalIngestService.verifySignature(Buffer.from(body), signature)).to.be.true;
+      expect(signalIngestService.verifySignature(Buffer.from(body), `sha256=${signature}`)).to.be.true;
+    });
+
+    it('should reject a wrong or missing signature', () => {
+      // Act & Assert
+      expect(signalIngestService.verifySignature(Buffer.from(`${body} `), signature)).to.be.false;
+      expect(signalIngestService.verifySignature(Buffer.from(body), 'abc')).to.be.false;
+      expect(signalIngestService.verifySignature(Buffer.from(body), undefined)).to.be.false;
+    });
+  });
+
+  describe('normalizeAlert', () => {
+    it('should accept TradingView-style fields', () => {
+      // Act
+      const signalData = signalIngestService.normalizeAlert(alertPayload);
+
+      // Assert
+      expect(signalData).to.deep.equal({
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        signal_type: 'STANDARD',
+        entry_price: 1.085,
+        stop_loss: 1.08,
+        take_profit_1: 1.09,
+        tier: 'premium',
+        notes: 'Breakout'
+      });
+    });
+
+    it('should reject an alert with levels on the wrong side', () => {
+      // Act & Assert
+      expect(() => signalIngestService.normalizeAlert({ ...alertPayload, sl: '1.0900' }))
+        .to.throw(ValidationError, 'Stop loss must be below the entry price');
+    });
+
+    it('should reject an alert without a direction or entry', () => {
+      // Act & Assert
+      expect(() => signalIngestService.normalizeAlert({ ...alertPayload, action: 'hold' })).to.throw(ValidationError, 'trade_type');
+      expect(() => signalIngestService.normalizeAlert({ ...alertPayload, price: undefined })).to.throw(ValidationError, 'entry_price is required');
+    });
+  });
+
+  describe('ingestAlert', () => {
+    it('should publish an alert from a publishing source', async () => {
+      // Arrange
+      const alert = { id: 4, update: sinon.stub().resolves() };
+      const createAlertStub = sinon.stub(SignalAlert, 'create').resolves(alert);
+      const createSignalStub = sinon.stub(tradingService, 'createSignal').resolves({ signal_id: 'OPT-261019-001' });
+
+      // Act
+      const result = await signalIngestService.ingestAlert(alertPayload, Buffer.from('{}'));
+
+      // Assert
+      expect(result.status).to.equal('published');
+      expect(createAlertStub.firstCall.args[0]).to.include({ source: 'tradingview', dedup_key: 'tv-123' });
+      expect(createSignalStub.firstCall.args[0].asset).to.equal('EURUSD');
+      expect(createSignalStub.firstCall.args[1]).to.be.null;
+      expect(alert.update.firstCall.args[0]).to.deep.equal({ status: 'PUBLISHED', signal_id: 'OPT-261019-001' });
+    });
+
+    it('should queue an alert from an approving source and notify admins', async () => {
+      // Arrange
+      adminIds.push('9001');
+      sinon.stub(SignalAlert, 'create').callsFake(async (data) => ({ id: 5, ...data }));
+      const createSignalStub = sinon.stub(tradingService, 'createSignal');
+
+      try {
+        // Act
+        const result = await signalIngestService.ingestAlert({ ...alertPayload, source: 'desk' }, Buffer.from('{}'));
+
+        // Assert
+        expect(result.status).to.equal('queued');
+        expect(createSignalStub.called).to.be.false;
+        expect(sendMessageStub.firstCall.args[0]).to.equal('9001');
+        expect(sendMessageStub.firstCall.args[1]).to.include('SIGNAL ALERT #5 FROM DESK');
+        expect(sendMessageStub.firstCall.args[2].reply_markup.inline_keyboard[0].map(button => button.callback_data))
+          .to.deep.equal(['alert_approve:5', 'alert_reject:5']);
+      } finally {
+        adminIds.pop();
+      }
+    });
+
+    it('should ignore a repeat of an alert', async () => {
+      // Arrange
+      const { alert_id: alertId, ...payload } = alertPayload;
+      const rawBody = Buffer.from(JSON.stringify(payload));
+      const createAlertStub = sinon.stub(SignalAlert, 'create').rejects(new UniqueConstraintError({}));
+      sinon.stub(SignalAlert, 'findOne').resolves({ id: 4, signal_id: 'OPT-261019-001' });
+      const createSignalStub = sinon.stub(tradingService, 'createSignal');
+
+      // Act
+      const result = await signalIngestService.ingestAlert(payload, rawBody);
+
+      // Assert
+      expect(result.status).to.equal('duplicate');
+      expect(createAlertStub.firstCall.args[0].dedup_key).to.equal(crypto.createHash('sha256').update(rawBody).digest('hex'));
+      expect(createSignalStub.called).to.be.false;
+    });
+
+    it('should reject an alert from an unknown source', async () => {
+      // Act & Assert
+      try {
+        await signalIngestService.ingestAlert({ ...alertPayload, source: 'unknown' }, Buffer.from('{}'));
+        expect.fail('Expected ingest to fail');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+      }
+    });
+
+    it('should not take inherited object properties for sources', async () => {
+      // Act & Assert
+      for (const source of ['constructor', '__proto__', 'toString']) {
+        expect(() => signalIngestService.getSourceMode(source)).to.throw(AuthorizationError);
+      }
+    });
+
+    it('should let the source retry an alert that could not be published', async () => {
+      // Arrange
+      const alert = { id: 6, destroy: sinon.stub().resolves() };
+      sinon.stub(SignalAlert, 'create').resolves(alert);
+      sinon.stub(tradingService, 'createSignal').rejects(new Error('Database unavailable'));
+
+      // Act & Assert
+      try {
+        await signalIngestService.ingestAlert(alertPayload, Buffer.from('{}'));
+        expect.fail('Expected ingest to fail');
+      } catch (error) {
+        expect(error.message).to.equal('Database unavailable');
+        expect(alert.destroy.calledOnce).to.be.true;
+      }
+    });
+
+    it('should keep the alert when its signal was created before publishing failed', async () => {
+      // Arrange
+      const alert = { id: 7, destroy: sinon.stub().resolves(), update: sinon.stub().resolves() };
+      sinon.stub(SignalAlert, 'create').resolves(alert);
+      const broadcastError = new Error('Queue unavailable');
+      broadcastError.signal = { signal_id: 'OPT-261019-003' };
+      sinon.stub(tradingService, 'createSignal').rejects(broadcastError);
+
+      // Act & Assert
+      try {
+        await signalIngestService.ingestAlert(alertPayload, Buffer.from('{}'));
+        expect.fail('Expected ingest to fail');
+      } catch (error) {
+        expect(error.message).to.equal('Queue unavailable');
+        expect(alert.destroy.called).to.be.false;
+        expect(alert.update.firstCall.args[0]).to.deep.equal({ status: 'PUBLISHED', signal_id: 'OPT-261019-003' });
+      }
+    });
+  });
+
+  describe('approveAlert', () => {
+    it('should publish the alert as the approving admin', async () => {
+      // Arrange
+      const alert = { id: 5, source: 'desk', payload: { asset: 'EURUSD' }, update: sinon.stub().resolves() };
+      const updateStub = sinon.stub(SignalAlert, 'update').resolves([1]);
+      sinon.stub(SignalAlert, 'findByPk').resolves(alert);
+      const createSignalStub = sinon.stub(tradingService, 'createSignal').resolves({ signal_id: 'OPT-261019-002' });
+
+      // Act
+      const { signal } = await signalIngestService.approveAlert(5, '42');
+
+      // Assert
+      expect(updateStub.firstCall.args[1].where).to.deep.equal({ id: 5, status: 'PENDING' });
+      expect(createSignalStub.firstCall.args).to.deep.equal([{ asset: 'EURUSD' }, '42']);
+      expect(signal.signal_id).to.equal('OPT-261019-002');
+      expect(alert.update.firstCall.args[0]).to.deep.equal({ signal_id: 'OPT-261019-002' });
+    });
+
+    it('should not publish an alert that was already reviewed', async () => {
+      // Arrange
+      sinon.stub(SignalAlert, 'update').resolves([0]);
+      const createSignalStub = sinon.stub(tradingService, 'createSignal');
+
+      // Act & Assert
+      try {
+        await signalIngestService.approveAlert(5, '42');
+        expect.fail('Expected approval to fail');
+      } catch (error) {
+        expect(error.message).to.equal('Alert #5 is not waiting for approval');
+        expect(createSignalStub.called).to.be.false;
+      }
+    });
+
+    it('should put the alert back in the queue if publishing fails', async () => {
+      // Arrange
+      const alert = { id: 5, payload: {}, update: sinon.stub().resolves() };
+      sinon.stub(SignalAlert, 'update').resolves([1]);
+      sinon.stub(SignalAlert, 'findByPk').resolves(alert);
+      sinon.stub(tradingService, 'createSignal').rejects(new Error('Database unavailable'));
+
+      // Act & Assert
+      try {
+        await signalIngestService.approveAlert(5, '42');
+        expect.fail('Expected approval to fail');
+      } catch (error) {
+        expect(alert.update.firstCall.args[0]).to.deep.equal({ status: 'PENDING', reviewed_by: null, reviewed_at: null });
+      }
+    });
+  });
+});
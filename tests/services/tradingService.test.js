@@ -0,0 +1,1985 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op, UniqueConstraintError } = require('sequelize');
+
+// Import the modules to test
+const tradingService = require('../../src/services/tradingService');
+const userService = require('../../src/services/userService');
+const queueService = require('../../src/services/queueService');
+const guardrailService = require('../../src/services/guardrailService');
+const portfolioService = require('../../src/services/portfolioService');
+const { NewsBlackout, Signal, SignalDelivery, SignalProvider, SignalSequence, Trading, User } = require('../../src/models');
+const { bot } = require('../../src/config/bot');
+const { config } = require('../../src/config/appConfig');
+const { InMemoryPriceFeed, setPriceFeed } = require('../../src/services/priceFeeds');
+const { PaperTradingBroker, setBroker } = require('../../src/services/brokers');
+
+describe('Trading Service', () => {
+  let sendMessageStub;
+  let recordProfitLossStub;
+  let sequenceStub;
+  let blackoutStub;
+  let providerStub;
+  let deliveriesStub;
+
+  beforeEach(() => {
+    // Stub bot methods
+    sendMessageStub = sinon.stub(bot, 'sendMessage').resolves({ message_id: 123 });
+    recordProfitLossStub = sinon.stub(portfolioService, 'recordRealisedProfitLoss').resolves(null);
+    // The signal ID sequence is the only raw query the service runs
+    sequenceStub = sinon.stub(SignalSequence.sequelize, 'query').resolves([{ last_value: 4 }]);
+    blackoutStub = sinon.stub(NewsBlackout, 'findAll').resolves([]);
+    providerStub = sinon.stub(SignalProvider, 'findOne').resolves(null);
+    deliveriesStub = sinon.stub(SignalDelivery, 'findAll').resolves([]);
+  });
+
+  afterEach(() => {
+    // Restore all stubs
+    sinon.restore();
+  });
+
+  /**
+   * Stub Signal.update so status-guarded claims are applied to the given stored signals
+   * @param {...Object} signals - Signal stubs
+   * @returns {Object} - Signal.update stub
+   */
+  const stubSignalClaims = (...signals) => {
+    for (const signal of signals) {
+      signal.reload = async () => signal;
+    }
+
+    return sinon.stub(Signal, 'update').callsFake(async (values, { where }) => {
+      const claimed = signals.filter(signal =>
+        Object.entries(where).every(([key, value]) => signal[key] === value));
+      claimed.forEach(signal => Object.assign(signal, values));
+      return [claimed.length];
+    });
+  };
+
+  describe('createSignal', () => {
+    it('should store the signal in the signals table as ACTIVE', async () => {
+      // Arrange
+      const createStub = sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+      sinon.stub(User, 'findAll').resolves([]);
+
+      // Act
+      const signal = await tradingService.createSignal({
+        asset: 'EURUSD',
+        trade_type: 'buy',
+        entry_price: 1.085
+      }, '999');
+
+      // Assert
+      expect(createStub.calledOnce).to.be.true;
+      expect(signal.status).to.equal('ACTIVE');
+      expect(signal.trade_type).to.equal('BUY');
+      expect(signal.created_by).to.equal('999');
+      expect(signal).to.not.have.property('user_id');
+    });
+
+    it('should hand back the stored signal when broadcasting it fails', async () => {
+      // Arrange
+      sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      sinon.stub(userService, 'getVerifiedUsers').rejects(new Error('Database unavailable'));
+      sinon.stub(User, 'findAll').resolves([]);
+
+      // Act & Assert
+      try {
+        await tradingService.createSignal({ asset: 'EURUSD', trade_type: 'buy', entry_price: 1.085 }, '999');
+        expect.fail('createSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Database unavailable');
+        expect(error.signal.signal_id).to.match(/^OPT-/);
+      }
+    });
+
+    it('should let a signal override the default validity window', async () => {
+      // Arrange
+      sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+      sinon.stub(User, 'findAll').resolves([]);
+
+      // Act
+      const signal = await tradingService.createSignal({
+        asset: 'EURUSD',
+        trade_type: 'sell',
+        entry_price: 1.085,
+        validity_hours: 2
+      }, '999');
+
+      // Assert
+      expect(signal.expires_at - signal.entry_time).to.equal(2 * 60 * 60 * 1000);
+    });
+
+    it('should reject a stop loss above the entry of a buy signal', async () => {
+      try {
+        await tradingService.createSignal({
+          asset: 'EURUSD',
+          trade_type: 'buy',
+          entry_price: 1.085,
+          stop_loss: 1.09
+        }, '999');
+        expect.fail('createSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Stop loss must be below the entry price');
+      }
+    });
+
+    it('should reject signals with missing data', async () => {
+      // Act & Assert
+      try {
+        await tradingService.createSignal({ asset: 'EURUSD' }, '999');
+        expect.fail('createSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Missing required signal data');
+      }
+    });
+
+    it('should attribute the signal to the provider linked to the admin', async () => {
+      // Arrange
+      sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+      sinon.stub(User, 'findAll').resolves([]);
+      providerStub.resolves({ id: 3, handle: 'alex', name: 'Alex FX', active: true });
+
+      // Act
+      const signal = await tradingService.createSignal({
+        asset: 'EURUSD',
+        trade_type: 'buy',
+        entry_price: 1.085
+      }, '999');
+
+      // Assert
+      expect(providerStub.firstCall.args[0].where).to.deep.equal({ telegram_id: '999', active: true });
+      expect(signal.provider_id).to.equal(3);
+    });
+
+    it('should let the admin pick another provider by handle', async () => {
+      // Arrange
+      sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+      sinon.stub(User, 'findAll').resolves([]);
+      providerStub.resolves({ id: 5, handle: 'maria', name: 'Maria', active: true });
+
+      // Act
+      const signal = await tradingService.createSignal({
+        asset: 'EURUSD',
+        trade_type: 'buy',
+        entry_price: 1.085,
+        provider: 'Maria'
+      }, '999');
+
+      // Assert
+      expect(providerStub.firstCall.args[0].where).to.deep.equal({ handle: 'maria' });
+      expect(signal.provider_id).to.equal(5);
+    });
+
+    describe('signal IDs', () => {
+      const today = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+
+      beforeEach(() => {
+        sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+        sinon.stub(User, 'findAll').resolves([]);
+      });
+
+      afterEach(() => {
+        config.trading.signalIds.includeAsset = false;
+      });
+
+      it('should number signal IDs from the UTC day\'s sequence', async () => {
+        // Arrange
+        sinon.stub(Signal, 'create').callsFake(async (data) => data);
+
+        // Act
+        const signal = await tradingService.createSignal({ asset: 'EURUSD', trade_type: 'buy', entry_price: 1.085 }, '999');
+
+        // Assert
+        expect(signal.signal_id).to.equal(`OPT-${today}-004`);
+        expect(sequenceStub.firstCall.args[1].replacements).to.deep.equal({ day: today });
+      });
+
+      it('should put the asset in signal IDs when configured', async () => {
+        // Arrange
+        config.trading.signalIds.includeAsset = true;
+        sinon.stub(Signal, 'create').callsFake(async (data) => data);
+
+        // Act
+        const signal = await tradingService.createSignal({ asset: 'eurusd', trade_type: 'buy', entry_price: 1.085 }, '999');
+
+        // Assert
+        expect(signal.signal_id).to.equal(`OPT-${today}-EURUSD-004`);
+      });
+
+      it('should move on to the next number when an ID is already taken', async () => {
+        // Arrange
+        sequenceStub.onSecondCall().resolves([{ last_value: 5 }]);
+        const createStub = sinon.stub(Signal, 'create');
+        createStub.onFirstCall().rejects(new UniqueConstraintError({ fields: { signal_id: `OPT-${today}-004` } }));
+        createStub.onSecondCall().callsFake(async (data) => data);
+
+        // Act
+        const signal = await tradingService.createSignal({ asset: 'EURUSD', trade_type: 'buy', entry_price: 1.085 }, '999');
+
+        // Assert
+        expect(createStub.calledTwice).to.be.true;
+        expect(signal.signal_id).to.equal(`OPT-${today}-005`);
+      });
+
+      it('should give up after repeated conflicts', async () => {
+        // Arrange
+        const createStub = sinon.stub(Signal, 'create').rejects(new UniqueConstraintError({}));
+
+        // Act & Assert
+        try {
+          await tradingService.createSignal({ asset: 'EURUSD', trade_type: 'buy', entry_price: 1.085 }, '999');
+          expect.fail('createSignal should have thrown');
+        } catch (error) {
+          expect(error).to.be.instanceOf(UniqueConstraintError);
+          expect(createStub.callCount).to.equal(5);
+        }
+      });
+    });
+  });
+
+  describe('scheduled signals', () => {
+    it('should store a future signal as SCHEDULED and queue its publish job instead of broadcasting', async () => {
+      // Arrange
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+      sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      const scheduleStub = sinon.stub(queueService, 'scheduleSignalPublishJob').resolves({});
+      const usersStub = sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+
+      // Act
+      const signal = await tradingService.createSignal({
+        asset: 'EURUSD',
+        trade_type: 'buy',
+        entry_price: 1.085,
+        validity_hours: 4,
+        publish_at: publishAt
+      }, '999');
+
+      // Assert
+      expect(signal.status).to.equal('SCHEDULED');
+      expect(signal.publish_at).to.deep.equal(publishAt);
+      expect(signal.expires_at.getTime() - publishAt.getTime()).to.equal(4 * 60 * 60 * 1000);
+      expect(scheduleStub.calledOnceWith(signal.signal_id, publishAt)).to.be.true;
+      expect(usersStub.called).to.be.false;
+    });
+
+    it('should reject a publish time in the past', async () => {
+      // Act & Assert
+      try {
+        await tradingService.createSignal({
+          asset: 'EURUSD',
+          trade_type: 'buy',
+          entry_price: 1.085,
+          publish_at: new Date(Date.now() - 1000)
+        }, '999');
+        expect.fail('Expected createSignal to throw');
+      } catch (error) {
+        expect(error.message).to.equal('Publish time must be in the future');
+      }
+    });
+
+    it('should publish a due signal, keeping its validity window', async () => {
+      // Arrange
+      const plannedAt = new Date(Date.now() - 1000);
+      const signal = {
+        signal_id: 'OPT-261019-012',
+        tier: 'basic',
+        status: 'SCHEDULED',
+        created_by: '999',
+        publish_at: plannedAt,
+        entry_time: plannedAt,
+        expires_at: new Date(plannedAt.getTime() + 2 * 60 * 60 * 1000)
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+      sinon.stub(User, 'findAll').resolves([]);
+
+      // Act
+      const published = await tradingService.publishScheduledSignal('OPT-261019-012');
+
+      // Assert
+      expect(published.status).to.equal('ACTIVE');
+      expect(signal.expires_at.getTime() - signal.entry_time.getTime()).to.equal(2 * 60 * 60 * 1000);
+    });
+
+    it('should not publish a signal that has been rescheduled to later', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves({
+        signal_id: 'OPT-261019-013',
+        status: 'SCHEDULED',
+        publish_at: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      // Act
+      const published = await tradingService.publishScheduledSignal('OPT-261019-013');
+
+      // Assert
+      expect(published).to.be.null;
+    });
+
+    it('should not publish a signal cancelled while its publish job was starting', async () => {
+      // Arrange
+      const plannedAt = new Date(Date.now() - 1000);
+      const signal = {
+        id: 12,
+        signal_id: 'OPT-261019-012',
+        status: 'SCHEDULED',
+        publish_at: plannedAt,
+        entry_time: plannedAt,
+        expires_at: new Date(plannedAt.getTime() + 2 * 60 * 60 * 1000)
+      };
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      const updateStub = sinon.stub(Signal, 'update').resolves([0]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      const published = await tradingService.publishScheduledSignal('OPT-261019-012');
+
+      // Assert
+      expect(published).to.be.null;
+      expect(updateStub.firstCall.args[1].where).to.deep.equal({ id: 12, status: 'SCHEDULED', publish_at: plannedAt });
+      expect(queueStub.called).to.be.false;
+    });
+
+    it('should only cancel a signal that is still scheduled', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves({ id: 15, signal_id: 'OPT-261019-015', status: 'SCHEDULED' });
+      const updateStub = sinon.stub(Signal, 'update').resolves([0]);
+      const removeStub = sinon.stub(queueService, 'removeSignalPublishJob').resolves(true);
+
+      // Act & Assert
+      try {
+        await tradingService.cancelScheduledSignal('OPT-261019-015', '999');
+        expect.fail('cancelScheduledSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Scheduled signal with ID OPT-261019-015 not found');
+      }
+
+      expect(updateStub.firstCall.args[1].where).to.deep.equal({ id: 15, status: 'SCHEDULED' });
+      expect(removeStub.called).to.be.false;
+    });
+
+    it('should move the publish job and expiry when rescheduling', async () => {
+      // Arrange
+      const plannedAt = new Date(Date.now() + 60 * 60 * 1000);
+      const newPublishAt = new Date(Date.now() + 3 * 60 * 60 * 1000);
+      const signal = {
+        signal_id: 'OPT-261019-014',
+        status: 'SCHEDULED',
+        publish_at: plannedAt,
+        entry_time: plannedAt,
+        expires_at: new Date(plannedAt.getTime() + 24 * 60 * 60 * 1000)
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      const removeStub = sinon.stub(queueService, 'removeSignalPublishJob').resolves(true);
+      const scheduleStub = sinon.stub(queueService, 'scheduleSignalPublishJob').resolves({});
+
+      // Act
+      await tradingService.rescheduleSignal('OPT-261019-014', newPublishAt, '999');
+
+      // Assert
+      expect(removeStub.calledOnceWith('OPT-261019-014')).to.be.true;
+      expect(scheduleStub.calledOnceWith('OPT-261019-014', newPublishAt)).to.be.true;
+      expect(signal.expires_at.getTime() - newPublishAt.getTime()).to.equal(24 * 60 * 60 * 1000);
+    });
+
+    it('should parse publish times as UTC', () => {
+      const now = new Date('2026-10-19T10:00:00Z');
+
+      expect(tradingService.parsePublishTime('12:30', now).toISOString()).to.equal('2026-10-19T12:30:00.000Z');
+      expect(tradingService.parsePublishTime('08:00', now).toISOString()).to.equal('2026-10-20T08:00:00.000Z');
+      expect(tradingService.parsePublishTime('2026-10-21T07:45', now).toISOString()).to.equal('2026-10-21T07:45:00.000Z');
+      expect(() => tradingService.parsePublishTime('25:00', now)).to.throw('Invalid publish time');
+    });
+  });
+
+  describe('signal approval', () => {
+    const { SignalApproval } = require('../../src/models');
+    const { adminIds } = require('../../src/config/bot');
+    let approvalStub;
+
+    /**
+     * Build a signal waiting for approval whose conditional updates apply to itself
+     */
+    const pendingSignal = (values = {}) => {
+      const entryTime = new Date(Date.now() - 10 * 60 * 1000);
+      const signal = {
+        signal_id: 'OPT-261019-020',
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        tier: 'premium',
+        status: 'PENDING_APPROVAL',
+        created_by: '999',
+        entry_time: entryTime,
+        expires_at: new Date(entryTime.getTime() + 4 * 60 * 60 * 1000),
+        reload: async () => signal,
+        update: async (changes) => Object.assign(signal, changes),
+        ...values
+      };
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(Signal, 'update').callsFake(async (changes) => {
+        Object.assign(signal, changes);
+        return [1];
+      });
+      return signal;
+    };
+
+    beforeEach(() => {
+      adminIds.push('999', '888');
+      approvalStub = sinon.stub(SignalApproval, 'create').resolves({});
+    });
+
+    afterEach(() => {
+      adminIds.splice(adminIds.length - 2, 2);
+      config.trading.approval.required = false;
+    });
+
+    it('should hold a new signal for approval and only notify the other admins', async () => {
+      // Arrange
+      config.trading.approval.required = true;
+      sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      const usersStub = sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+
+      // Act
+      const signal = await tradingService.createSignal({
+        asset: 'EURUSD',
+        trade_type: 'buy',
+        entry_price: 1.085
+      }, '999');
+
+      // Assert
+      expect(signal.status).to.equal('PENDING_APPROVAL');
+      expect(approvalStub.calledOnceWith(sinon.match({ signal_id: signal.signal_id, admin_id: '999', action: 'SUBMITTED' }))).to.be.true;
+      expect(sendMessageStub.calledOnce).to.be.true;
+      expect(sendMessageStub.firstCall.args[0]).to.equal('888');
+      expect(sendMessageStub.firstCall.args[1]).to.include('SIGNAL AWAITING APPROVAL');
+      expect(sendMessageStub.firstCall.args[2].reply_markup.inline_keyboard[0].map(button => button.callback_data))
+        .to.deep.equal([`signal_approve:${signal.signal_id}`, `signal_reject:${signal.signal_id}`]);
+      expect(usersStub.called).to.be.false;
+    });
+
+    it('should not let an admin approve their own signal', async () => {
+      // Arrange
+      pendingSignal();
+
+      // Act & Assert
+      try {
+        await tradingService.approveSignal('OPT-261019-020', '999');
+        expect.fail('Expected approveSignal to throw');
+      } catch (error) {
+        expect(error.message).to.include('different admin');
+        expect(Signal.update.called).to.be.false;
+      }
+    });
+
+    it('should publish a signal approved by another admin and record the approval', async () => {
+      // Arrange
+      const signal = pendingSignal();
+      const usersStub = sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+      sinon.stub(User, 'findAll').resolves([]);
+
+      // Act
+      const approved = await tradingService.approveSignal('OPT-261019-020', '888');
+
+      // Assert
+      expect(approved.status).to.equal('ACTIVE');
+      expect(signal.expires_at.getTime() - signal.entry_time.getTime()).to.equal(4 * 60 * 60 * 1000);
+      expect(Signal.update.firstCall.args[1].where).to.deep.equal({ signal_id: 'OPT-261019-020', status: 'PENDING_APPROVAL' });
+      expect(approvalStub.calledOnceWith(sinon.match({ admin_id: '888', action: 'APPROVED' }))).to.be.true;
+      expect(sendMessageStub.calledWith('999', sinon.match('approved by 888'))).to.be.true;
+      expect(usersStub.calledOnce).to.be.true;
+    });
+
+    it('should schedule an approved signal whose publish time is still ahead', async () => {
+      // Arrange
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+      pendingSignal({ publish_at: publishAt, entry_time: publishAt, expires_at: new Date(publishAt.getTime() + 60 * 60 * 1000) });
+      const scheduleStub = sinon.stub(queueService, 'scheduleSignalPublishJob').resolves({});
+      const usersStub = sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+
+      // Act
+      const approved = await tradingService.approveSignal('OPT-261019-020', '888');
+
+      // Assert
+      expect(approved.status).to.equal('SCHEDULED');
+      expect(scheduleStub.calledOnceWith('OPT-261019-020', publishAt)).to.be.true;
+      expect(usersStub.called).to.be.false;
+    });
+
+    it('should cancel a rejected signal and tell its creator why', async () => {
+      // Arrange
+      pendingSignal();
+      const usersStub = sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+
+      // Act
+      const rejected = await tradingService.rejectSignal('OPT-261019-020', '888', 'Wrong entry price');
+
+      // Assert
+      expect(rejected.status).to.equal('CANCELLED');
+      expect(approvalStub.calledOnceWith(sinon.match({ admin_id: '888', action: 'REJECTED', reason: 'Wrong entry price' }))).to.be.true;
+      expect(sendMessageStub.calledWith('999', sinon.match('Reason: Wrong entry price'))).to.be.true;
+      expect(usersStub.called).to.be.false;
+    });
+
+    it('should format the approval trail', () => {
+      // Act
+      const trail = tradingService.formatApprovalTrail([
+        { admin_id: '999', action: 'SUBMITTED', createdAt: new Date('2026-10-19T08:00:00Z') },
+        { admin_id: '888', action: 'REJECTED', reason: 'Typo', createdAt: new Date('2026-10-19T08:05:00Z') }
+      ]);
+
+      // Assert
+      expect(trail).to.equal(
+        '🛂 Submitted by 999 at 2026-10-19 08:00 UTC\n' +
+        '❌ Rejected by 888 at 2026-10-19 08:05 UTC (Typo)'
+      );
+    });
+  });
+
+  describe('closeSignal', () => {
+    /**
+     * Build a stored signal that closes claim in place
+     * @param {Object} data - Signal fields
+     * @returns {Object} - Signal stub
+     */
+    function buildSignal(data) {
+      const signal = {
+        signal_id: 'OPT-261019-001',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        tier: 'basic',
+        status: 'ACTIVE',
+        remaining_percentage: 100,
+        partial_closes: [],
+        notes: '',
+        entry_time: new Date(),
+        ...data
+      };
+      stubSignalClaims(signal);
+      return signal;
+    }
+
+    let tradesStub;
+
+    beforeEach(() => {
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+      tradesStub = sinon.stub(Trading, 'findAll').resolves([]);
+    });
+
+    it('should keep the signal active after a partial take-profit close', async () => {
+      // Arrange
+      const signal = buildSignal({ take_profit_1: 110, take_profit_2: 120 });
+      sinon.stub(Signal, 'findOne').resolves(signal);
+
+      // Act
+      const result = await tradingService.closeSignal('OPT-261019-001', { exit_price: 110, target: 1 }, '999');
+
+      // Assert
+      expect(result.status).to.equal('ACTIVE');
+      expect(result.remaining_percentage).to.equal(50);
+      expect(result.partial_closes).to.have.lengthOf(1);
+      expect(result.partial_closes[0].profit_loss).to.be.closeTo(10, 0.0001);
+    });
+
+    it('should send the close only to the users the signal was delivered to', async () => {
+      // Arrange
+      const signal = buildSignal({ signal_id: 'OPT-261019-021', provider_id: 7 });
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      const follower = { id: 1, telegram_id: '111', subscription_tier: 'basic', followed_providers: [7] };
+      deliveriesStub.resolves([{ User: follower }, { User: follower }]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      await tradingService.closeSignal('OPT-261019-021', { exit_price: 105 }, '999');
+
+      // Assert
+      expect(deliveriesStub.firstCall.args[0].where.signal_id).to.equal('OPT-261019-021');
+      expect(queueStub.firstCall.args[0].map(delivery => delivery.chat_id)).to.deep.equal(['111']);
+      expect(queueStub.firstCall.args[0][0].type).to.equal('signal_close');
+    });
+
+    it('should blend profit/loss across the targets that were hit', async () => {
+      // Arrange
+      const signal = buildSignal({ take_profit_1: 110, take_profit_2: 120 });
+      sinon.stub(Signal, 'findOne').resolves(signal);
+
+      // Act
+      await tradingService.closeSignal('OPT-261019-001', { exit_price: 110, target: 1 }, '999');
+      const result = await tradingService.closeSignal('OPT-261019-001', { exit_price: 120, target: 2 }, '999');
+
+      // Assert
+      expect(result.status).to.equal('CLOSED');
+      expect(result.remaining_percentage).to.equal(0);
+      expect(result.profit_loss).to.be.closeTo(15, 0.0001);
+    });
+
+    it('should not close or broadcast twice when another close claimed the signal first', async () => {
+      // Arrange
+      const signal = buildSignal({ id: 5 });
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      Signal.update.resolves([0]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act & Assert
+      try {
+        await tradingService.closeSignal('OPT-261019-001', { exit_price: 110 }, '999');
+        expect.fail('closeSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('closed by another update');
+      }
+
+      expect(Signal.update.firstCall.args[1].where).to.deep.equal({ id: 5, status: 'ACTIVE', remaining_percentage: 100 });
+      expect(tradesStub.called).to.be.false;
+      expect(queueStub.called).to.be.false;
+    });
+
+    it('should close linked trades at the exit with dollar profit/loss and tell each user', async () => {
+      // Arrange
+      const signal = buildSignal({});
+      const trade = {
+        signal_id: 'OPT-261019-001',
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: 100,
+        trade_amount: 250,
+        auto_traded: true,
+        User: { telegram_id: '444' }
+      };
+      trade.update = sinon.stub().callsFake(async (values) => Object.assign(trade, values));
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      tradesStub.resolves([trade]);
+
+      // Act
+      await tradingService.closeSignal('OPT-261019-001', { exit_price: 97 }, '999');
+
+      // Assert
+      expect(tradesStub.firstCall.args[0].where).to.deep.equal({ signal_id: 'OPT-261019-001', status: 'OPEN' });
+      expect(trade.status).to.equal('CLOSED');
+      expect(trade.exit_price).to.equal(97);
+      expect(trade.profit_loss_percentage).to.be.closeTo(-3, 0.0001);
+      expect(trade.profit_loss).to.equal(-7.5);
+      expect(sendMessageStub.calledWith('444', sinon.match('LOSS: -$7.50 (-3.00%)'))).to.be.true;
+    });
+
+    it('should ask journal trades for their outcome instead of closing them', async () => {
+      // Arrange
+      const signal = buildSignal({});
+      const trade = {
+        id: 77,
+        signal_id: 'OPT-261019-001',
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: 99.5,
+        trade_amount: 100,
+        auto_traded: false,
+        User: { telegram_id: '445' },
+        update: sinon.stub().resolves()
+      };
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      tradesStub.resolves([trade]);
+
+      // Act
+      await tradingService.closeSignal('OPT-261019-001', { exit_price: 97 }, '999');
+
+      // Assert
+      expect(trade.update.called).to.be.false;
+      const prompt = sendMessageStub.getCalls().find(call => call.args[0] === '445');
+      expect(prompt.args[1]).to.include('HOW DID YOUR TRADE GO?');
+      expect(prompt.args[2].reply_markup.inline_keyboard.map(row => row[0].callback_data))
+        .to.deep.equal(['journal_close:77:signal', 'journal_close:77:price']);
+    });
+
+    it('should leave linked trades open after a partial close', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves(buildSignal({ take_profit_1: 110, take_profit_2: 120 }));
+
+      // Act
+      await tradingService.closeSignal('OPT-261019-001', { exit_price: 110, target: 1 }, '999');
+
+      // Assert
+      expect(tradesStub.called).to.be.false;
+    });
+
+    it('should reject a target the signal does not define', async () => {
+      sinon.stub(Signal, 'findOne').resolves(buildSignal({ take_profit_1: 110 }));
+
+      try {
+        await tradingService.closeSignal('OPT-261019-001', { exit_price: 130, target: 3 }, '999');
+        expect.fail('closeSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Signal OPT-261019-001 has no take-profit 3');
+      }
+    });
+  });
+
+  describe('findTriggeredLevel', () => {
+    const signal = {
+      trade_type: 'SELL',
+      stop_loss: 110,
+      take_profit_1: 90,
+      take_profit_2: 80,
+      partial_closes: [{ target: 1 }]
+    };
+
+    it('should detect a crossed stop loss', () => {
+      expect(tradingService.findTriggeredLevel(signal, 111)).to.deep.equal({
+        trigger: 'stop_loss', target: null, price: 110
+      });
+    });
+
+    it('should skip targets that were already closed', () => {
+      expect(tradingService.findTriggeredLevel(signal, 85)).to.be.null;
+      expect(tradingService.findTriggeredLevel(signal, 79)).to.deep.equal({
+        trigger: 'take_profit_2', target: 2, price: 80
+      });
+    });
+  });
+
+  describe('resolveSignalLevels', () => {
+    it('should close every target crossed by the current price and record the trigger', async () => {
+      // Arrange
+      const signal = {
+        signal_id: 'OPT-261019-002',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        stop_loss: 95,
+        take_profit_1: 105,
+        take_profit_2: 110,
+        tier: 'basic',
+        status: 'ACTIVE',
+        remaining_percentage: 100,
+        partial_closes: [],
+        notes: '',
+        entry_time: new Date()
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findAll').resolves([signal]);
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(Trading, 'findAll').resolves([]);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+
+      // Act
+      const closes = await tradingService.resolveSignalLevels(new InMemoryPriceFeed({ EURUSD: 112 }));
+
+      // Assert
+      expect(closes).to.equal(2);
+      expect(signal.status).to.equal('CLOSED');
+      expect(signal.close_trigger).to.equal('take_profit_2');
+      expect(signal.partial_closes.map(close => close.trigger)).to.deep.equal(['take_profit_1', 'take_profit_2']);
+    });
+  });
+
+  describe('expireSignals', () => {
+    it('should expire stale signals, close their auto-trades and notify recipients', async () => {
+      // Arrange
+      const signal = {
+        signal_id: 'OPT-261019-003',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        tier: 'basic',
+        status: 'ACTIVE',
+        remaining_percentage: 100,
+        partial_closes: [],
+        entry_time: new Date(Date.now() - 48 * 60 * 60 * 1000)
+      };
+      stubSignalClaims(signal);
+      const trade = { trade_type: 'BUY', entry_price: 100, auto_traded: true, update: sinon.stub().resolves() };
+      sinon.stub(Signal, 'findAll').resolves([signal]);
+      sinon.stub(Trading, 'findAll').resolves([trade]);
+      deliveriesStub.resolves([{ User: { id: 1, telegram_id: '111', subscription_tier: 'basic' } }]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      const expired = await tradingService.expireSignals(new InMemoryPriceFeed({ EURUSD: 98 }));
+
+      // Assert
+      expect(expired).to.equal(1);
+      expect(signal.status).to.equal('EXPIRED');
+      expect(signal.profit_loss).to.be.closeTo(-2, 0.0001);
+      expect(trade.update.firstCall.args[0].status).to.equal('CLOSED');
+      expect(queueStub.firstCall.args[0][0].type).to.equal('signal_close');
+      expect(queueStub.firstCall.args[0][0].text).to.include('SIGNAL EXPIRED');
+    });
+
+    it('should expire without a profit/loss when no price feed is available', async () => {
+      // Arrange
+      const signal = {
+        signal_id: 'OPT-261019-004',
+        trade_type: 'SELL',
+        asset: 'EURUSD',
+        entry_price: 100,
+        tier: 'basic',
+        status: 'ACTIVE',
+        remaining_percentage: 100,
+        partial_closes: [],
+        entry_time: new Date(Date.now() - 48 * 60 * 60 * 1000)
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findAll').resolves([signal]);
+      sinon.stub(Trading, 'findAll').resolves([]);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+
+      // Act
+      await tradingService.expireSignals();
+
+      // Assert
+      expect(signal.status).to.equal('EXPIRED');
+      expect(signal.profit_loss).to.be.null;
+      expect(tradingService.formatSignalCloseMessage(signal)).to.include('expired before reaching its targets');
+    });
+
+    it('should keep the result of the targets already hit when no price feed is available', async () => {
+      // Arrange
+      const signal = {
+        signal_id: 'OPT-261019-005',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        tier: 'basic',
+        status: 'ACTIVE',
+        remaining_percentage: 50,
+        partial_closes: [{ target: 1, trigger: 'take_profit_1', exit_price: 102, percentage: 50, profit_loss: 2, time: new Date() }],
+        entry_time: new Date(Date.now() - 48 * 60 * 60 * 1000)
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findAll').resolves([signal]);
+      sinon.stub(Trading, 'findAll').resolves([]);
+
+      // Act
+      await tradingService.expireSignals();
+
+      // Assert
+      const message = tradingService.formatSignalCloseMessage(signal);
+      expect(signal.status).to.equal('EXPIRED');
+      expect(signal.profit_loss).to.equal(2);
+      expect(signal.partial_closes).to.have.length(1);
+      expect(message).to.include('TP1 @ 102: +2.00% (50%)');
+      expect(message).to.include('The remaining 50% expired without an exit price.');
+      expect(message).to.not.include('expired before reaching its targets');
+    });
+  });
+
+  describe('binary signals', () => {
+    /**
+     * Build a stored binary signal that resolutions claim in place
+     * @param {Object} data - Signal fields
+     * @returns {Object} - Signal stub
+     */
+    function buildBinarySignal(data) {
+      const signal = {
+        signal_id: 'OPT-261019-020',
+        signal_type: 'BINARY',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 1.085,
+        expiry_minutes: 5,
+        payout_percentage: 85,
+        tier: 'basic',
+        status: 'ACTIVE',
+        remaining_percentage: 100,
+        partial_closes: [],
+        created_by: '999',
+        notes: '',
+        entry_time: new Date(Date.now() - 5 * 60 * 1000),
+        expires_at: new Date(),
+        ...data
+      };
+      stubSignalClaims(signal);
+      return signal;
+    }
+
+    beforeEach(() => {
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+    });
+
+    afterEach(() => {
+      setPriceFeed(null);
+    });
+
+    it('should expire a binary signal after its expiry duration and queue its resolution', async () => {
+      // Arrange
+      sinon.stub(Signal, 'create').callsFake(async (data) => data);
+      sinon.stub(User, 'findAll').resolves([]);
+      const scheduleStub = sinon.stub(queueService, 'scheduleBinaryResolutionJob').resolves({});
+
+      // Act
+      const signal = await tradingService.createSignal({
+        asset: 'EURUSD',
+        trade_type: 'buy',
+        entry_price: 1.085,
+        signal_type: 'binary',
+        expiry_minutes: 5,
+        payout_percentage: 85
+      }, '999');
+
+      // Assert
+      expect(signal.signal_type).to.equal('BINARY');
+      expect(signal.expires_at - signal.entry_time).to.equal(5 * 60 * 1000);
+      expect(signal.payout_percentage).to.equal(85);
+      expect(scheduleStub.calledOnceWith(signal.signal_id, signal.expires_at)).to.be.true;
+    });
+
+    it('should reject an expiry that is not offered', async () => {
+      try {
+        await tradingService.createSignal({
+          asset: 'EURUSD',
+          trade_type: 'buy',
+          entry_price: 1.085,
+          signal_type: 'BINARY',
+          expiry_minutes: 7
+        }, '999');
+        expect.fail('createSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Binary expiry must be one of 1m, 5m, 15m');
+      }
+    });
+
+    it('should resolve to WIN, LOSS or DRAW against the entry price', () => {
+      expect(tradingService.getBinaryOutcome('BUY', 1.085, 1.086)).to.equal('WIN');
+      expect(tradingService.getBinaryOutcome('BUY', 1.085, 1.084)).to.equal('LOSS');
+      expect(tradingService.getBinaryOutcome('SELL', 1.085, 1.084)).to.equal('WIN');
+      expect(tradingService.getBinaryOutcome('SELL', 1.085, 1.085)).to.equal('DRAW');
+    });
+
+    it('should resolve at the expiry price given to closeSignal and close linked trades with the payout', async () => {
+      // Arrange
+      const signal = buildBinarySignal();
+      const trade = { trade_amount: 50, auto_traded: true, update: sinon.stub().resolves() };
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(Trading, 'findAll').resolves([trade]);
+
+      // Act
+      const result = await tradingService.closeSignal('OPT-261019-020', { exit_price: 1.087 }, '999');
+
+      // Assert
+      expect(result.status).to.equal('CLOSED');
+      expect(result.outcome).to.equal('WIN');
+      expect(result.profit_loss).to.equal(85);
+      expect(trade.update.firstCall.args[0]).to.include({ outcome: 'WIN', profit_loss: 42.5, profit_loss_percentage: 85 });
+      expect(tradingService.formatSignalCloseMessage(result)).to.include('BINARY SIGNAL WON');
+    });
+
+    it('should resolve a due signal from the price feed when its job runs', async () => {
+      // Arrange
+      const signal = buildBinarySignal({ trade_type: 'SELL' });
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(Trading, 'findAll').resolves([]);
+      setPriceFeed(new InMemoryPriceFeed({ EURUSD: 1.09 }));
+
+      // Act
+      const result = await tradingService.processBinaryResolutionJob({ data: { signal_id: 'OPT-261019-020' } });
+
+      // Assert
+      expect(result.outcome).to.equal('LOSS');
+      expect(signal.profit_loss).to.equal(-100);
+      expect(signal.exit_price).to.equal(1.09);
+    });
+
+    it('should skip a job whose signal was resolved by another update first', async () => {
+      // Arrange
+      const signal = buildBinarySignal();
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      const tradesStub = sinon.stub(Trading, 'findAll').resolves([]);
+      Signal.update.resolves([0]);
+      setPriceFeed(new InMemoryPriceFeed({ EURUSD: 1.09 }));
+
+      // Act
+      const result = await tradingService.processBinaryResolutionJob({ data: { signal_id: 'OPT-261019-020' } });
+
+      // Assert
+      expect(result.outcome).to.equal('skipped');
+      expect(Signal.update.firstCall.args[1].where).to.include({ status: 'ACTIVE' });
+      expect(tradesStub.called).to.be.false;
+    });
+
+    it('should ask the admin for the expiry price when no price feed is available', async () => {
+      // Arrange
+      const signal = buildBinarySignal();
+      sinon.stub(Signal, 'findOne').resolves(signal);
+
+      // Act
+      const result = await tradingService.processBinaryResolutionJob({ data: { signal_id: 'OPT-261019-020' } });
+
+      // Assert
+      expect(result.outcome).to.equal('awaiting_price');
+      expect(signal.status).to.equal('ACTIVE');
+      expect(sendMessageStub.firstCall.args[0]).to.equal('999');
+      expect(sendMessageStub.firstCall.args[1]).to.include('/close OPT-261019-020 <expiry_price>');
+    });
+
+    it('should leave unresolved binary signals to the admin when expiring without a price', async () => {
+      // Arrange
+      const signal = buildBinarySignal();
+      sinon.stub(Signal, 'findAll').resolves([signal]);
+
+      // Act
+      const expired = await tradingService.expireSignals();
+
+      // Assert
+      expect(expired).to.equal(0);
+      expect(signal.status).to.equal('ACTIVE');
+    });
+  });
+
+  describe('broadcastSignal', () => {
+    it('should queue one delivery per eligible recipient and report progress to the admin', async () => {
+      // Arrange
+      const signal = { signal_id: 'OPT-261019-005', tier: 'premium', created_by: '999' };
+      sinon.stub(userService, 'getVerifiedUsers').resolves([
+        { id: 1, telegram_id: '111', subscription_tier: 'basic' },
+        { id: 2, telegram_id: '222', subscription_tier: 'premium' },
+        { id: 3, telegram_id: '333', subscription_tier: 'vip' }
+      ]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      const queued = await tradingService.broadcastSignal(signal);
+
+      // Assert
+      const deliveries = queueStub.firstCall.args[0];
+      expect(queued).to.equal(2);
+      expect(deliveries.map(delivery => delivery.chat_id)).to.deep.equal(['222', '333']);
+      expect(deliveries[0]).to.include({ type: 'signal', signal_id: 'OPT-261019-005', user_id: 2 });
+      expect(deliveries[0].batch).to.include({ total: 2, admin_id: '999', progress_message_id: 123 });
+      expect(sendMessageStub.firstCall.args[0]).to.equal('999');
+      expect(sendMessageStub.firstCall.args[1]).to.include('DELIVERING SIGNAL');
+    });
+
+    it('should carry a warning about news blackouts within the signal\'s validity', async () => {
+      // Arrange
+      const entryTime = new Date();
+      const signal = {
+        signal_id: 'OPT-261019-012',
+        asset: 'XAUUSD',
+        tier: 'basic',
+        created_by: null,
+        entry_time: entryTime,
+        expires_at: new Date(entryTime.getTime() + 4 * 60 * 60 * 1000)
+      };
+      sinon.stub(userService, 'getVerifiedUsers').resolves([{ id: 1, telegram_id: '111', subscription_tier: 'basic' }]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+      blackoutStub.resolves([
+        { title: 'FOMC', symbols: ['USD'], severity: 'HIGH', starts_at: new Date('2026-10-19T18:00:00Z'), ends_at: new Date('2026-10-19T19:00:00Z') },
+        { title: 'ECB', symbols: ['EUR'], severity: 'HIGH', starts_at: new Date('2026-10-19T12:00:00Z'), ends_at: new Date('2026-10-19T13:00:00Z') }
+      ]);
+
+      // Act
+      await tradingService.broadcastSignal(signal);
+
+      // Assert
+      const warning = queueStub.firstCall.args[0][0].warning;
+      expect(blackoutStub.firstCall.args[0].where.starts_at).to.deep.equal({ [Op.lte]: signal.expires_at });
+      expect(blackoutStub.firstCall.args[0].where.ends_at).to.deep.equal({ [Op.gt]: entryTime });
+      expect(warning).to.include('NEWS BLACKOUT');
+      expect(warning).to.include('HIGH USD - FOMC: 2026-10-19 18:00 UTC to 2026-10-19 19:00 UTC');
+      expect(warning).to.not.include('ECB');
+    });
+
+    it('should leave out users whose signal filters hide the signal', async () => {
+      // Arrange
+      const signal = {
+        signal_id: 'OPT-261019-011',
+        trade_type: 'SELL',
+        asset: 'BTCUSD',
+        risk_percentage: 1,
+        tier: 'basic',
+        created_by: 'system'
+      };
+      sinon.stub(userService, 'getVerifiedUsers').resolves([
+        { id: 1, telegram_id: '111', subscription_tier: 'basic', signal_filters: { asset_classes: ['forex'] } },
+        { id: 2, telegram_id: '222', subscription_tier: 'basic', signal_filters: { direction: 'BUY' } },
+        { id: 3, telegram_id: '333', subscription_tier: 'basic', signal_filters: { asset_classes: ['crypto'] } },
+        { id: 4, telegram_id: '444', subscription_tier: 'basic', signal_filters: {} }
+      ]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      const queued = await tradingService.broadcastSignal(signal);
+
+      // Assert
+      expect(queued).to.equal(2);
+      expect(queueStub.firstCall.args[0].map(delivery => delivery.chat_id)).to.deep.equal(['333', '444']);
+    });
+
+    it('should only deliver a provider\'s signal to its followers', async () => {
+      // Arrange
+      const signal = { signal_id: 'OPT-261019-013', tier: 'basic', provider_id: 7, created_by: 'system' };
+      sinon.stub(userService, 'getVerifiedUsers').resolves([
+        { id: 1, telegram_id: '111', subscription_tier: 'basic', followed_providers: [7] },
+        { id: 2, telegram_id: '222', subscription_tier: 'basic', followed_providers: [8] },
+        { id: 3, telegram_id: '333', subscription_tier: 'basic', followed_providers: [] },
+        { id: 4, telegram_id: '444', subscription_tier: 'premium', followed_providers: [8, 7] }
+      ]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      const queued = await tradingService.broadcastSignal(signal);
+
+      // Assert
+      expect(queued).to.equal(2);
+      expect(queueStub.firstCall.args[0].map(delivery => delivery.chat_id)).to.deep.equal(['111', '444']);
+    });
+
+    it('should deliver in-process when the queue is unavailable', async () => {
+      // Arrange
+      const signal = {
+        signal_id: 'OPT-261019-008',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 1.085,
+        risk_percentage: 1,
+        tier: 'basic',
+        status: 'ACTIVE',
+        created_by: 'system',
+        entry_time: new Date()
+      };
+      sinon.stub(userService, 'getVerifiedUsers').resolves([
+        { id: 1, telegram_id: '401', subscription_tier: 'basic' }
+      ]);
+      sinon.stub(queueService, 'addTradingSignalJobs').rejects(new Error('Redis unavailable'));
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      const createStub = sinon.stub(SignalDelivery, 'create').resolves({});
+
+      // Act
+      await tradingService.broadcastSignal(signal);
+
+      // Assert
+      expect(sendMessageStub.calledOnceWith('401')).to.be.true;
+      expect(createStub.firstCall.args[0]).to.include({ user_id: 1, status: 'SENT' });
+    });
+  });
+
+  describe('processSignalDeliveryJob', () => {
+    const signal = {
+      signal_id: 'OPT-261019-009',
+      trade_type: 'BUY',
+      asset: 'EURUSD',
+      entry_price: 1.085,
+      risk_percentage: 1,
+      tier: 'basic',
+      status: 'ACTIVE',
+      entry_time: new Date()
+    };
+
+    const buildJob = (chatId, batch = null) => ({
+      data: {
+        type: 'signal',
+        signal_id: signal.signal_id,
+        user_id: 1,
+        chat_id: chatId,
+        subscription_tier: 'vip',
+        text: null,
+        batch
+      }
+    });
+
+    it('should send the signal and record the delivery', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      const createStub = sinon.stub(SignalDelivery, 'create').resolves({});
+
+      // Act
+      const result = await tradingService.processSignalDeliveryJob(buildJob('501'));
+
+      // Assert
+      expect(result.outcome).to.equal('sent');
+      expect(sendMessageStub.firstCall.args[2].reply_markup.inline_keyboard.map(row => row[0].callback_data))
+        .to.deep.equal(['took_trade:OPT-261019-009', 'auto_trade:OPT-261019-009', 'signal_react:OPT-261019-009:up']);
+      expect(sendMessageStub.firstCall.args[2].reply_markup.inline_keyboard[2].map(button => button.callback_data))
+        .to.deep.equal(['signal_react:OPT-261019-009:up', 'signal_react:OPT-261019-009:down', 'signal_react:OPT-261019-009:late']);
+      expect(createStub.firstCall.args[0]).to.include({ chat_id: '501', message_id: 123, status: 'SENT' });
+    });
+
+    it('should add the blackout warning carried by the job to the signal message', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(SignalDelivery, 'create').resolves({});
+      const job = buildJob('504');
+      job.data.warning = '⚠️ NEWS BLACKOUT ⚠️';
+
+      // Act
+      await tradingService.processSignalDeliveryJob(job);
+
+      // Assert
+      expect(sendMessageStub.firstCall.args[1]).to.include('⚠️ NEWS BLACKOUT ⚠️');
+    });
+
+    it('should record a failed delivery with the Telegram error code', async () => {
+      // Arrange
+      const blockedError = new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user');
+      blockedError.response = { body: { error_code: 403 } };
+      sendMessageStub.rejects(blockedError);
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      const createStub = sinon.stub(SignalDelivery, 'create').resolves({});
+
+      // Act
+      const result = await tradingService.processSignalDeliveryJob(buildJob('502'));
+
+      // Assert
+      expect(result.outcome).to.equal('failed');
+      expect(createStub.firstCall.args[0]).to.include({ chat_id: '502', status: 'FAILED', error_code: '403' });
+    });
+
+    it('should skip recipients of a signal retracted mid fan-out', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves({ ...signal, status: 'CANCELLED' });
+
+      // Act
+      const result = await tradingService.processSignalDeliveryJob(buildJob('503'));
+
+      // Assert
+      expect(result.outcome).to.equal('skipped');
+      expect(sendMessageStub.called).to.be.false;
+    });
+
+    it('should report completion to the posting admin', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(SignalDelivery, 'create').resolves({});
+      const editStub = sinon.stub(bot, 'editMessageText').resolves({});
+      const batch = { id: 'signal:OPT-261019-009:1', type: 'signal', total: 1, admin_id: '999', progress_message_id: 77 };
+
+      // Act
+      await tradingService.processSignalDeliveryJob(buildJob('505', batch));
+
+      // Assert
+      expect(editStub.firstCall.args[0]).to.include('DELIVERY COMPLETE');
+      expect(editStub.firstCall.args[0]).to.include('Sent: 1');
+      expect(editStub.firstCall.args[1]).to.include({ chat_id: '999', message_id: 77 });
+    });
+  });
+
+  describe('amendSignal', () => {
+    it('should edit every delivered message in place', async () => {
+      // Arrange
+      const signal = {
+        signal_id: 'OPT-261019-006',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        stop_loss: 95,
+        risk_percentage: 1,
+        entry_time: new Date(),
+        update: async (values) => Object.assign(signal, values)
+      };
+      const delivery = {
+        chat_id: '111',
+        message_id: 55,
+        User: { subscription_tier: 'vip' },
+        update: sinon.stub().resolves()
+      };
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      deliveriesStub.resolves([delivery]);
+      const editStub = sinon.stub(bot, 'editMessageText').resolves({});
+
+      // Act
+      const result = await tradingService.amendSignal('OPT-261019-006', { stop_loss: 97 }, '999');
+
+      // Assert
+      expect(result.editedCount).to.equal(1);
+      expect(editStub.firstCall.args[0]).to.include('Stop Loss: 97');
+      expect(editStub.firstCall.args[1]).to.include({ chat_id: '111', message_id: 55 });
+      expect(editStub.firstCall.args[1].reply_markup.inline_keyboard[1][0].callback_data).to.equal('auto_trade:OPT-261019-006');
+      expect(delivery.update.firstCall.args[0].status).to.equal('EDITED');
+    });
+  });
+
+  describe('retractSignal', () => {
+    it('should cancel the signal and delete every delivered message', async () => {
+      // Arrange
+      const signal = {
+        id: 7,
+        signal_id: 'OPT-261019-007',
+        status: 'ACTIVE'
+      };
+      stubSignalClaims(signal);
+      const deliveries = [
+        { chat_id: '111', message_id: 55, update: sinon.stub().resolves() },
+        { chat_id: '222', message_id: 56, update: sinon.stub().resolves() }
+      ];
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      deliveriesStub.resolves(deliveries);
+      const trade = {
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        trade_amount: 100,
+        User: { telegram_id: '333' },
+        update: sinon.stub().resolves()
+      };
+      const tradesStub = sinon.stub(Trading, 'findAll').resolves([trade]);
+      const tooOldError = new Error("ETELEGRAM: 400 Bad Request: message can't be deleted");
+      tooOldError.response = { body: { error_code: 400 } };
+      sinon.stub(bot, 'deleteMessage')
+        .withArgs('111', 55).resolves(true)
+        .withArgs('222', 56).rejects(tooOldError);
+
+      // Act
+      const result = await tradingService.retractSignal('OPT-261019-007', '999');
+
+      // Assert
+      expect(signal.status).to.equal('CANCELLED');
+      expect(tradesStub.firstCall.args[0].where).to.deep.equal({ signal_id: 'OPT-261019-007', status: 'OPEN', auto_traded: true });
+      expect(trade.update.firstCall.args[0]).to.include({ status: 'CANCELLED', profit_loss: 0 });
+      expect(sendMessageStub.calledWith('333', sinon.match('TRADE CANCELLED'))).to.be.true;
+      expect(result.deletedCount).to.equal(1);
+      expect(result.failedCount).to.equal(1);
+      expect(deliveries[0].update.firstCall.args[0].status).to.equal('DELETED');
+      expect(deliveries[1].update.firstCall.args[0].error_code).to.equal('400');
+    });
+
+    it('should leave a signal that was closed meanwhile untouched', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves({ id: 7, signal_id: 'OPT-261019-007', status: 'ACTIVE' });
+      const updateStub = sinon.stub(Signal, 'update').resolves([0]);
+      const tradesStub = sinon.stub(Trading, 'findAll').resolves([]);
+      const deleteStub = sinon.stub(bot, 'deleteMessage').resolves(true);
+
+      // Act & Assert
+      try {
+        await tradingService.retractSignal('OPT-261019-007', '999');
+        expect.fail('retractSignal should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Active signal with ID OPT-261019-007 not found');
+      }
+
+      expect(updateStub.firstCall.args[1].where).to.deep.equal({ id: 7, status: 'ACTIVE' });
+      expect(tradesStub.called).to.be.false;
+      expect(deleteStub.called).to.be.false;
+    });
+  });
+
+  describe('cancelSignal', () => {
+    let signal;
+
+    beforeEach(() => {
+      signal = {
+        id: 8,
+        signal_id: 'OPT-261019-008',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        status: 'ACTIVE'
+      };
+      signal.reload = async () => Object.assign(signal, Signal.update.firstCall.args[0]);
+      sinon.stub(Signal, 'findOne').resolves(signal);
+    });
+
+    afterEach(() => {
+      setBroker(null);
+      setPriceFeed(null);
+    });
+
+    it('should void unfilled auto-trades, close filled ones and notify every recipient with the reason', async () => {
+      // Arrange
+      const broker = new PaperTradingBroker({ startingBalance: 1000, slippageBps: 0 });
+      setBroker(broker);
+      setPriceFeed(new InMemoryPriceFeed({ EURUSD: 102 }));
+      const order = await broker.placeOrder('444', { asset: 'EURUSD', side: 'BUY', amount: 100, price: 100 });
+      const unfilledTrade = {
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        trade_amount: 100,
+        auto_traded: true,
+        broker_order_id: null,
+        User: { telegram_id: '333' },
+        update: sinon.stub().resolves()
+      };
+      const filledTrade = {
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: 100,
+        trade_amount: 100,
+        auto_traded: true,
+        broker: broker.name,
+        broker_order_id: order.order_id,
+        User: { telegram_id: '444' }
+      };
+      filledTrade.update = async (values) => Object.assign(filledTrade, values);
+      const journalTrade = {
+        id: 31,
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: 100.2,
+        trade_amount: 50,
+        auto_traded: false,
+        User: { telegram_id: '555' },
+        update: sinon.stub().resolves()
+      };
+      sinon.stub(Signal, 'update').resolves([1]);
+      sinon.stub(Trading, 'findAll').resolves([unfilledTrade, filledTrade, journalTrade]);
+      deliveriesStub.resolves([
+        { chat_id: '111', message_id: 55, User: { id: 1, telegram_id: '111', subscription_tier: 'vip' } },
+        { chat_id: '222', message_id: 56, User: { id: 2, telegram_id: '222', subscription_tier: 'premium' } },
+        { chat_id: '111', message_id: 57, User: { id: 1, telegram_id: '111', subscription_tier: 'vip' } }
+      ]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      const result = await tradingService.cancelSignal('OPT-261019-008', 'Spread widened before entry', '999');
+
+      // Assert
+      expect(Signal.update.firstCall.args[0]).to.include({ status: 'CANCELLED', cancel_reason: 'Spread widened before entry' });
+      expect(Signal.update.firstCall.args[1].where).to.deep.equal({ id: 8, status: 'ACTIVE' });
+      expect(unfilledTrade.update.firstCall.args[0]).to.include({ status: 'CANCELLED', profit_loss: 0 });
+      expect(filledTrade).to.include({ status: 'CLOSED', exit_price: 102, profit_loss: 2 });
+      expect(recordProfitLossStub.calledOnceWith(filledTrade)).to.be.true;
+      expect(sendMessageStub.calledWith('333', sinon.match('TRADE CANCELLED'))).to.be.true;
+      expect(sendMessageStub.calledWith('444', sinon.match('TRADE CLOSED EARLY'))).to.be.true;
+      expect(journalTrade.update.called).to.be.false;
+      expect(sendMessageStub.calledWith('555', sinon.match('was cancelled'))).to.be.true;
+      expect(result).to.include({ voidedCount: 1, unwoundCount: 1, notifiedCount: 2 });
+
+      const jobs = queueStub.firstCall.args[0];
+      expect(jobs.map(job => job.chat_id)).to.deep.equal(['111', '222']);
+      expect(jobs[0].type).to.equal('signal_cancel');
+      expect(jobs[0].text).to.include('SIGNAL CANCELLED');
+      expect(jobs[0].text).to.include('Reason: Spread widened before entry');
+    });
+
+    it('should not notify anyone when another admin cancelled the signal first', async () => {
+      // Arrange
+      sinon.stub(Signal, 'update').resolves([0]);
+      const tradesStub = sinon.stub(Trading, 'findAll').resolves([]);
+      const queueStub = sinon.stub(queueService, 'addTradingSignalJobs').resolves([]);
+
+      // Act
+      let error;
+      try {
+        await tradingService.cancelSignal('OPT-261019-008', '', '999');
+      } catch (err) {
+        error = err;
+      }
+
+      // Assert
+      expect(error.message).to.include('not found');
+      expect(tradesStub.called).to.be.false;
+      expect(queueStub.called).to.be.false;
+    });
+
+    it('should send the pre-rendered notice when a cancel delivery job runs', async () => {
+      // Arrange
+      const job = {
+        data: {
+          type: 'signal_cancel',
+          signal_id: 'OPT-261019-008',
+          user_id: 1,
+          chat_id: '111',
+          subscription_tier: 'vip',
+          text: '🚫 SIGNAL CANCELLED',
+          batch: null
+        }
+      };
+
+      // Act
+      const result = await tradingService.processSignalDeliveryJob(job);
+
+      // Assert
+      expect(result.outcome).to.equal('sent');
+      expect(sendMessageStub.calledOnceWith('111', '🚫 SIGNAL CANCELLED')).to.be.true;
+      expect(Signal.findOne.called).to.be.false;
+    });
+  });
+
+  describe('calculateBlendedProfitLoss', () => {
+    it('should weight each close by the share of the position it closed', () => {
+      const result = tradingService.calculateBlendedProfitLoss([
+        { percentage: 50, profit_loss: 2 },
+        { percentage: 25, profit_loss: 4 },
+        { percentage: 25, profit_loss: -2 }
+      ]);
+
+      expect(result).to.be.closeTo(1.5, 0.0001);
+    });
+  });
+
+  describe('formatSignalMessage', () => {
+    it('should render the stop loss and take-profit targets', () => {
+      const message = tradingService.formatSignalMessage({
+        signal_id: 'OPT-261019-001',
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: 1.085,
+        stop_loss: 1.08,
+        take_profit_1: 1.09,
+        take_profit_2: 1.095,
+        risk_percentage: 1,
+        entry_time: new Date()
+      });
+
+      expect(message).to.include('Stop Loss: 1.08');
+      expect(message).to.include('Take Profit 1: 1.09');
+      expect(message).to.include('Take Profit 2: 1.095');
+      expect(message).to.not.include('Take Profit 3');
+    });
+  });
+
+  describe('enableAutoTrading', () => {
+    it('should keep the sizing mode the user chose and store the risk as their risk per trade', async () => {
+      // Arrange
+      const user = { telegram_id: '111', subscription_tier: 'vip', position_sizing_mode: 'risk' };
+      sinon.stub(userService, 'getUserByTelegramId').resolves(user);
+      const sizingStub = sinon.stub(userService, 'updatePositionSizing').resolves(user);
+      const settingsStub = sinon.stub(userService, 'updateAutoTradeSettings').resolves(user);
+
+      // Act
+      await tradingService.enableAutoTrading('111', { amount: 250, risk_percentage: 2 });
+
+      // Assert
+      expect(sizingStub.firstCall.args[1]).to.deep.equal({ auto_trade_amount: 250 });
+      expect(settingsStub.firstCall.args).to.deep.equal(['111', true, 2]);
+    });
+  });
+
+  describe('processAutoTrading', () => {
+    let broker;
+    let guardrailStub;
+
+    beforeEach(() => {
+      // 10 basis points of slippage on every fill
+      broker = new PaperTradingBroker({ startingBalance: 1000, slippageBps: 10 });
+      setBroker(broker);
+      guardrailStub = sinon.stub(guardrailService, 'checkAutoTradeGuardrails').resolves(null);
+    });
+
+    afterEach(() => {
+      setBroker(null);
+    });
+
+    it('should create OPEN user trades linked to the parent signal', async () => {
+      // Arrange
+      sinon.stub(User, 'findAll').resolves([
+        { id: 1, telegram_id: '111', auto_trade_amount: 100, risk_per_trade: 2 }
+      ]);
+      const createStub = sinon.stub(Trading, 'create').resolves({ id: 10 });
+      const signal = {
+        signal_id: 'OPT-261019-001',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 1.25,
+        risk_percentage: 1,
+        tier: 'vip'
+      };
+
+      // Act
+      const count = await tradingService.processAutoTrading(signal);
+
+      // Assert
+      expect(count).to.equal(1);
+      const trade = createStub.firstCall.args[0];
+      expect(trade.signal_id).to.equal('OPT-261019-001');
+      expect(trade.status).to.equal('OPEN');
+      expect(trade.quantity).to.be.closeTo(100 / 1.25125, 0.0001);
+      expect(sendMessageStub.calledOnce).to.be.true;
+    });
+
+    it('should only auto-trade a provider\'s signal for its followers', async () => {
+      // Arrange
+      sinon.stub(User, 'findAll').resolves([
+        { id: 1, telegram_id: '111', auto_trade_amount: 100, followed_providers: [] },
+        { id: 2, telegram_id: '222', auto_trade_amount: 100, followed_providers: [7] }
+      ]);
+      const createStub = sinon.stub(Trading, 'create').resolves({ id: 10 });
+      const signal = {
+        signal_id: 'OPT-261019-014',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 1.25,
+        risk_percentage: 1,
+        tier: 'vip',
+        provider_id: 7
+      };
+
+      // Act
+      const count = await tradingService.processAutoTrading(signal);
+
+      // Assert
+      expect(count).to.equal(1);
+      expect(createStub.firstCall.args[0].user_id).to.equal(2);
+    });
+
+    it('should place an order at the broker and record its fill', async () => {
+      // Arrange
+      sinon.stub(User, 'findAll').resolves([
+        { id: 1, telegram_id: '112', auto_trade_amount: 200 }
+      ]);
+      const createStub = sinon.stub(Trading, 'create').resolves({ id: 11 });
+
+      // Act
+      await tradingService.processAutoTrading({
+        signal_id: 'OPT-261019-002',
+        trade_type: 'SELL',
+        asset: 'EURUSD',
+        entry_price: 100,
+        risk_percentage: 1,
+        tier: 'vip'
+      });
+
+      // Assert
+      const trade = createStub.firstCall.args[0];
+      expect(trade.entry_price).to.be.closeTo(99.9, 0.0001);
+      expect(trade.broker).to.equal('paper');
+      expect(trade.broker_order_id).to.equal('PAPER-000001');
+      expect(await broker.getBalance('112')).to.equal(800);
+      expect(await broker.getPositions('112')).to.have.lengthOf(1);
+    });
+
+    it('should size trades from the broker balance and the signal\'s stop-loss', async () => {
+      // Arrange
+      sinon.stub(User, 'findAll').resolves([
+        { id: 1, telegram_id: '116', position_sizing_mode: 'risk', risk_per_trade: 1 }
+      ]);
+      const createStub = sinon.stub(Trading, 'create').resolves({ id: 14 });
+
+      // Act
+      await tradingService.processAutoTrading({
+        signal_id: 'OPT-261019-006',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        stop_loss: 95,
+        risk_percentage: 1,
+        tier: 'vip'
+      });
+
+      // Assert
+      const trade = createStub.firstCall.args[0];
+      expect(trade.trade_amount).to.equal(200);
+      expect(trade.risk_percentage).to.equal(1);
+      expect(guardrailStub.firstCall.args[2]).to.equal(200);
+      expect(await broker.getBalance('116')).to.equal(800);
+    });
+
+    it('should skip and report trades stopped by a guardrail', async () => {
+      // Arrange
+      sinon.stub(User, 'findAll').resolves([
+        { id: 1, telegram_id: '115', auto_trade_amount: 100 }
+      ]);
+      const createStub = sinon.stub(Trading, 'create').resolves({ id: 13 });
+      guardrailStub.resolves({ reason: 'max_open_trades', message: 'You already have 5 open auto-trades (limit 5)' });
+
+      // Act
+      const count = await tradingService.processAutoTrading({
+        signal_id: 'OPT-261019-005',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        risk_percentage: 1,
+        tier: 'vip'
+      });
+
+      // Assert
+      expect(count).to.equal(0);
+      expect(createStub.called).to.be.false;
+      expect(await broker.getPositions('115')).to.be.empty;
+      expect(sendMessageStub.firstCall.args[0]).to.equal('115');
+      expect(sendMessageStub.firstCall.args[1]).to.include('AUTO-TRADE SKIPPED');
+      expect(sendMessageStub.firstCall.args[1]).to.include('You already have 5 open auto-trades (limit 5)');
+    });
+
+    it('should skip every user while a news blackout covers the asset', async () => {
+      // Arrange
+      sinon.stub(User, 'findAll').resolves([
+        { id: 1, telegram_id: '116', auto_trade_amount: 100 }
+      ]);
+      const createStub = sinon.stub(Trading, 'create').resolves({ id: 14 });
+      blackoutStub.resolves([{
+        title: 'Non-Farm Payrolls',
+        symbols: ['USD'],
+        severity: 'HIGH',
+        starts_at: new Date(Date.now() - 5 * 60 * 1000),
+        ends_at: new Date(Date.now() + 25 * 60 * 1000)
+      }]);
+
+      // Act
+      const count = await tradingService.processAutoTrading({
+        signal_id: 'OPT-261019-006',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        risk_percentage: 1,
+        tier: 'vip'
+      });
+
+      // Assert
+      expect(count).to.equal(0);
+      expect(createStub.called).to.be.false;
+      expect(guardrailStub.called).to.be.false;
+      expect(sendMessageStub.firstCall.args[1]).to.include('AUTO-TRADE SKIPPED');
+      expect(sendMessageStub.firstCall.args[1]).to.include('Non-Farm Payrolls');
+      expect(sendMessageStub.firstCall.args[1]).to.not.include('/guardrails');
+    });
+
+    it('should skip users the broker rejects', async () => {
+      // Arrange
+      sinon.stub(User, 'findAll').resolves([
+        { id: 1, telegram_id: '113', auto_trade_amount: 5000 }
+      ]);
+      const createStub = sinon.stub(Trading, 'create').resolves({ id: 12 });
+
+      // Act
+      const count = await tradingService.processAutoTrading({
+        signal_id: 'OPT-261019-003',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        risk_percentage: 1,
+        tier: 'vip'
+      });
+
+      // Assert
+      expect(count).to.equal(0);
+      expect(createStub.called).to.be.false;
+    });
+
+    it('should close the broker position with the signal and record the broker result', async () => {
+      // Arrange
+      const order = await broker.placeOrder('114', { asset: 'EURUSD', side: 'BUY', amount: 100, price: 100 });
+      const trade = {
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: order.fill_price,
+        trade_amount: 100,
+        broker: 'paper',
+        broker_order_id: order.order_id,
+        auto_traded: true,
+        User: { telegram_id: '114' }
+      };
+      trade.update = sinon.stub().callsFake(async (values) => Object.assign(trade, values));
+      const signal = {
+        signal_id: 'OPT-261019-004',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        tier: 'vip',
+        status: 'ACTIVE',
+        remaining_percentage: 100,
+        partial_closes: [],
+        notes: '',
+        entry_time: new Date()
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(Trading, 'findAll').resolves([trade]);
+      sinon.stub(userService, 'getVerifiedUsers').resolves([]);
+
+      // Act
+      await tradingService.closeSignal('OPT-261019-004', { exit_price: 110 }, '999');
+
+      // Assert - bought at 100.1 and sold at 109.89
+      expect(trade.status).to.equal('CLOSED');
+      expect(trade.exit_price).to.be.closeTo(109.89, 0.0001);
+      expect(trade.profit_loss).to.equal(9.78);
+      expect(await broker.getBalance('114')).to.equal(1009.78);
+      expect(await broker.getPositions('114')).to.be.empty;
+      expect(recordProfitLossStub.calledOnceWith(trade)).to.be.true;
+    });
+
+    it('should record the broker result when a signal expires without a price', async () => {
+      // Arrange
+      const order = await broker.placeOrder('115', { asset: 'EURUSD', side: 'BUY', amount: 100, price: 100 });
+      const trade = {
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: order.fill_price,
+        trade_amount: 100,
+        broker: 'paper',
+        broker_order_id: order.order_id,
+        auto_traded: true,
+        User: { telegram_id: '115' }
+      };
+      trade.update = sinon.stub().callsFake(async (values) => Object.assign(trade, values));
+      const signal = {
+        signal_id: 'OPT-261019-005',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        tier: 'vip',
+        status: 'ACTIVE',
+        remaining_percentage: 100,
+        partial_closes: [],
+        entry_time: new Date(Date.now() - 48 * 60 * 60 * 1000)
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findAll').resolves([signal]);
+      sinon.stub(Trading, 'findAll').resolves([trade]);
+
+      // Act
+      await tradingService.expireSignals();
+
+      // Assert - the paper broker closes flat at the entry fill
+      expect(signal.status).to.equal('EXPIRED');
+      expect(trade.status).to.equal('CLOSED');
+      expect(trade.exit_price).to.equal(order.fill_price);
+      expect(trade.profit_loss).to.equal(0);
+      expect(recordProfitLossStub.calledOnceWith(trade)).to.be.true;
+    });
+
+    it('should give a broker trade the result of the targets hit before a signal expires without a price', async () => {
+      // Arrange
+      const order = await broker.placeOrder('116', { asset: 'EURUSD', side: 'BUY', amount: 100, price: 100 });
+      const trade = {
+        asset: 'EURUSD',
+        trade_type: 'BUY',
+        entry_price: order.fill_price,
+        trade_amount: 100,
+        broker: 'paper',
+        broker_order_id: order.order_id,
+        auto_traded: true,
+        User: { telegram_id: '116' }
+      };
+      trade.update = sinon.stub().callsFake(async (values) => Object.assign(trade, values));
+      const signal = {
+        signal_id: 'OPT-261019-006',
+        trade_type: 'BUY',
+        asset: 'EURUSD',
+        entry_price: 100,
+        tier: 'vip',
+        status: 'ACTIVE',
+        remaining_percentage: 50,
+        partial_closes: [{ target: 1, trigger: 'take_profit_1', exit_price: 104, percentage: 50, profit_loss: 4, time: new Date() }],
+        entry_time: new Date(Date.now() - 48 * 60 * 60 * 1000)
+      };
+      stubSignalClaims(signal);
+      sinon.stub(Signal, 'findAll').resolves([signal]);
+      sinon.stub(Trading, 'findAll').resolves([trade]);
+
+      // Act
+      await tradingService.expireSignals();
+
+      // Assert
+      expect(signal.profit_loss).to.equal(4);
+      expect(trade.profit_loss_percentage).to.equal(4);
+      expect(trade.profit_loss).to.equal(4);
+      expect(trade.exit_price).to.equal(order.fill_price);
+      expect(await broker.getPositions('116')).to.be.empty;
+    });
+  });
+
+  describe('trade journal', () => {
+    const signal = {
+      signal_id: 'OPT-261019-011',
+      signal_type: 'STANDARD',
+      trade_type: 'SELL',
+      asset: 'EURUSD',
+      entry_price: 1.1,
+      risk_percentage: 1,
+      tier: 'premium',
+      status: 'ACTIVE'
+    };
+
+    beforeEach(() => {
+      sinon.stub(userService, 'getUserByTelegramId').resolves({ id: 7, telegram_id: '601' });
+    });
+
+    it('should record the user\'s own entry and size as an OPEN manual trade', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(Trading, 'findOne').resolves(null);
+      const createStub = sinon.stub(Trading, 'create').callsFake(async (data) => ({ id: 80, ...data }));
+
+      // Act
+      const trade = await tradingService.recordJournalTrade('601', 'OPT-261019-011', { entry_price: 1.1012, trade_amount: 300 });
+
+      // Assert
+      expect(createStub.firstCall.args[0]).to.include({
+        user_id: 7,
+        signal_id: 'OPT-261019-011',
+        trade_type: 'SELL',
+        entry_price: 1.1012,
+        trade_amount: 300,
+        status: 'OPEN',
+        auto_traded: false
+      });
+      expect(trade.quantity).to.be.closeTo(300 / 1.1012, 0.0001);
+    });
+
+    it('should not record the same signal twice', async () => {
+      // Arrange
+      sinon.stub(Signal, 'findOne').resolves(signal);
+      sinon.stub(Trading, 'findOne').resolves({ id: 80 });
+      const createStub = sinon.stub(Trading, 'create');
+
+      // Act
+      const error = await tradingService.recordJournalTrade('601', 'OPT-261019-011', { entry_price: 1.1, trade_amount: 300 })
+        .catch(err => err);
+
+      // Assert
+      expect(error.message).to.equal('You already recorded a trade on signal OPT-261019-011');
+      expect(createStub.called).to.be.false;
+    });
+
+    it('should close a journal trade at the signal exit from the user\'s own entry', async () => {
+      // Arrange
+      const trade = {
+        id: 80,
+        trade_type: 'SELL',
+        entry_price: 1.1,
+        trade_amount: 300,
+        Signal: { ...signal, status: 'CLOSED', exit_price: 1.089 }
+      };
+      trade.update = sinon.stub().callsFake(async (values) => Object.assign(trade, values));
+      const findOneStub = sinon.stub(Trading, 'findOne').resolves(trade);
+
+      // Act
+      await tradingService.closeJournalTrade('601', 80, { at_signal_exit: true });
+
+      // Assert
+      expect(findOneStub.firstCall.args[0].where).to.include({ id: 80, user_id: 7, status: 'OPEN', auto_traded: false });
+      expect(trade.status).to.equal('CLOSED');
+      expect(trade.exit_price).to.equal(1.089);
+      expect(trade.profit_loss).to.equal(3);
+      expect(recordProfitLossStub.calledOnceWith(trade)).to.be.true;
+    });
+
+    it('should close a binary journal trade with the user\'s outcome', async () => {
+      // Arrange
+      const trade = {
+        id: 81,
+        trade_type: 'BUY',
+        entry_price: 1.1,
+        trade_amount: 40,
+        Signal: { ...signal, signal_type: 'BINARY', payout_percentage: 85 }
+      };
+      trade.update = sinon.stub().callsFake(async (values) => Object.assign(trade, values));
+      sinon.stub(Trading, 'findOne').resolves(trade);
+
+      // Act
+      await tradingService.closeJournalTrade('601', 81, { outcome: 'WIN' });
+
+      // Assert
+      expect(trade.outcome).to.equal('WIN');
+      expect(trade.profit_loss).to.equal(34);
+      expect(trade.exit_price).to.be.null;
+    });
+  });
+
+  describe('getSignalsByTier', () => {
+    it('should return no signals for free users', async () => {
+      const findAllStub = sinon.stub(Signal, 'findAll').resolves([]);
+
+      const signals = await tradingService.getSignalsByTier('free');
+
+      expect(signals).to.deep.equal([]);
+      expect(findAllStub.called).to.be.false;
+    });
+
+    it('should query active basic and premium signals for premium users', async () => {
+      const findAllStub = sinon.stub(Signal, 'findAll').resolves([]);
+
+      await tradingService.getSignalsByTier('premium');
+
+      const { where } = findAllStub.firstCall.args[0];
+      expect(where.status).to.equal('ACTIVE');
+      expect(where.tier[Op.in]).to.deep.equal(['basic', 'premium']);
+    });
+  });
+});
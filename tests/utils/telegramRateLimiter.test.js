@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTelegramRateLimiter, getRetryAfter } = require('../../src/utils/telegramRateLimiter');
+
+describe('Telegram Rate Limiter', () => {
+  let clock;
+  let bot;
+  let sendTimes;
+
+  const options = { messagesPerSecond: 10, perChatIntervalMs: 1000, maxRetries: 2 };
+
+  const floodError = (retryAfter) => {
+    const error = new Error(`ETELEGRAM: 429 Too Many Requests: retry after ${retryAfter}`);
+    error.response = { body: { error_code: 429, parameters: { retry_after: retryAfter } } };
+    return error;
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'Date'] });
+    sendTimes = [];
+    bot = {
+      sendMessage: sinon.stub().callsFake(async (chatId) => {
+        sendTimes.push({ chatId, time: Date.now() });
+        return { message_id: sendTimes.length };
+      })
+    };
+  });
+
+  afterEach(() => {
+    clock.restore();
+    sinon.restore();
+  });
+
+  it('should space sends to different chats by the global rate', async () => {
+    // Arrange
+    const limiter = createTelegramRateLimiter(bot, options);
+
+    // Act
+    const sends = ['1', '2', '3'].map(chatId => limiter.sendMessage(chatId, 'hi'));
+    await clock.runAllAsync();
+    await Promise.all(sends);
+
+    // Assert
+    expect(sendTimes.map(send => send.time)).to.deep.equal([0, 100, 200]);
+  });
+
+  it('should space sends to the same chat by the per-chat interval', async () => {
+    // Arrange
+    const limiter = createTelegramRateLimiter(bot, options);
+
+    // Act
+    const sends = [limiter.sendMessage('1', 'first'), limiter.sendMessage('1', 'second')];
+    await clock.runAllAsync();
+    await Promise.all(sends);
+
+    // Assert
+    expect(sendTimes[1].time - sendTimes[0].time).to.equal(1000);
+  });
+
+  it('should wait for retry_after before resending after a 429', async () => {
+    // Arrange
+    bot.sendMessage.onFirstCall().callsFake(async () => {
+      sendTimes.push({ chatId: '1', time: Date.now() });
+      throw floodError(3);
+    });
+    const limiter = createTelegramRateLimiter(bot, options);
+
+    // Act
+    const send = limiter.sendMessage('1', 'hi');
+    await clock.runAllAsync();
+    const sent = await send;
+
+    // Assert
+    expect(sent.message_id).to.equal(2);
+    expect(sendTimes[1].time - sendTimes[0].time).to.equal(3000);
+  });
+
+  it('should give up after the configured number of retries', async () => {
+    // Arrange
+    bot.sendMessage.rejects(floodError(1));
+    const limiter = createTelegramRateLimiter(bot, options);
+
+    // Act
+    const send = limiter.sendMessage('1', 'hi').catch(error => error);
+    await clock.runAllAsync();
+    const error = await send;
+
+    // Assert
+    expect(bot.sendMessage.callCount).to.equal(3);
+    expect(getRetryAfter(error)).to.equal(1);
+  });
+
+  it('should not retry other errors', async () => {
+    // Arrange
+    const blockedError = new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user');
+    blockedError.response = { body: { error_code: 403 } };
+    bot.sendMessage.rejects(blockedError);
+    const limiter = createTelegramRateLimiter(bot, options);
+
+    // Act
+    const send = limiter.sendMessage('1', 'hi').catch(error => error);
+    await clock.runAllAsync();
+    const error = await send;
+
+    // Assert
+    expect(error).to.equal(blockedError);
+    expect(bot.sendMessage.calledOnce).to.be.true;
+    expect(getRetryAfter(error)).to.be.null;
+  });
+});